@@ -0,0 +1,588 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./utils');
+const { projectPath } = require('./constants');
+const { API_ERROR_CODE, sendToMaster, onMasterMessage } = require('./ipapi_is_worker_utils');
+
+// Routes a key can be restricted to with `allowedRoutes`
+const API_KEY_ROUTES = Object.freeze({
+  LOOKUP: 'lookup',
+  BULK: 'bulk',
+  BULK_STREAM: 'bulk_stream',
+  WHOIS: 'whois',
+  DISTANCE: 'distance',
+  SEARCH: 'search',
+  EXPORT: 'export',
+});
+
+// Settings of a key that can be set on creation and changed later
+const KEY_OPTIONS = {
+  name: (value) => typeof value === 'string' && value.length <= 200,
+  enabled: (value) => typeof value === 'boolean',
+  dailyQuota: (value) => value === null || (Number.isInteger(value) && value >= 0),
+  monthlyQuota: (value) => value === null || (Number.isInteger(value) && value >= 0),
+  requestsPerMinute: (value) => value === null || (Number.isInteger(value) && value > 0),
+  allowedRoutes: (value) => value === null || (Array.isArray(value) && value.every((route) => Object.values(API_KEY_ROUTES).includes(route))),
+};
+
+const DEFAULT_STORE_FILE = path.join(projectPath, 'config/api_keys.json');
+// How often workers send their usage to the master and the master saves the store
+const SYNC_INTERVAL_MS = 1000;
+const SAVE_DELAY_MS = 5000;
+const ADMIN_TIMEOUT_MS = 5000;
+
+const hashKey = (apiKey) => crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+
+const generateApiKey = () => crypto.randomBytes(20).toString('hex');
+
+const generateKeyId = () => crypto.randomBytes(6).toString('hex');
+
+/**
+ * The current quota periods (UTC).
+ *
+ * @param {number} now - Timestamp in ms
+ * @returns {object} - `{ day, month, minute }`
+ */
+const getPeriods = (now = Date.now()) => {
+  const iso = new Date(now).toISOString();
+  return {
+    day: iso.slice(0, 10),
+    month: iso.slice(0, 7),
+    minute: iso.slice(0, 16),
+  };
+};
+
+/**
+ * Usage of a key in the current periods, counters of past periods read as 0.
+ *
+ * @param {object|undefined} usage - The stored usage of the key
+ * @param {number} now
+ * @returns {object} - `{ daily, monthly, perMinute }`
+ */
+const getCurrentUsage = (usage, now = Date.now()) => {
+  const periods = getPeriods(now);
+  usage = usage || {};
+  return {
+    daily: usage.day === periods.day ? usage.daily : 0,
+    monthly: usage.month === periods.month ? usage.monthly : 0,
+    perMinute: usage.minute === periods.minute ? usage.perMinute : 0,
+  };
+};
+
+/**
+ * Add requests and lookups to the usage of a key, starting new periods as needed.
+ *
+ * @param {object|undefined} usage - The stored usage of the key
+ * @param {number} requests
+ * @param {number} lookups
+ * @param {number} now
+ * @returns {object} - The updated usage
+ */
+const addUsage = (usage, requests, lookups, now = Date.now()) => {
+  const periods = getPeriods(now);
+  const current = getCurrentUsage(usage, now);
+  return {
+    day: periods.day,
+    daily: current.daily + lookups,
+    month: periods.month,
+    monthly: current.monthly + lookups,
+    minute: periods.minute,
+    perMinute: current.perMinute + requests,
+  };
+};
+
+/**
+ * Validate the settings of a key given to the admin endpoints.
+ *
+ * @param {object} options
+ * @returns {object|null} - An error object or null if the options are valid
+ */
+const validateKeyOptions = (options) => {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return {
+      error: 'Invalid key options: expected a JSON object',
+      error_code: API_ERROR_CODE.INVALID_KEY_OPTIONS,
+    };
+  }
+  for (const option in options) {
+    if (!KEY_OPTIONS[option]) {
+      return {
+        error: `Invalid key options: unknown option \`${option}\`, allowed are ${Object.keys(KEY_OPTIONS).join(', ')}`,
+        error_code: API_ERROR_CODE.INVALID_KEY_OPTIONS,
+      };
+    }
+    if (!KEY_OPTIONS[option](options[option])) {
+      return {
+        error: `Invalid key options: invalid value for \`${option}\``,
+        error_code: API_ERROR_CODE.INVALID_KEY_OPTIONS,
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Check whether a request of a local API key may be served.
+ *
+ * @param {object|undefined} entry - The stored key, undefined for unknown keys
+ * @param {object|undefined} usage - The usage of the key
+ * @param {string} route - One of API_KEY_ROUTES
+ * @param {number} now
+ * @returns {false|object} - false if allowed, otherwise the error object
+ */
+const checkKeyAccess = (entry, usage, route, now = Date.now()) => {
+  if (!entry) {
+    return {
+      error: 'Invalid API key',
+      error_code: API_ERROR_CODE.FORBIDDEN_INVALID_API_KEY,
+    };
+  }
+  if (!entry.enabled) {
+    return {
+      error: 'Your API key is disabled',
+      error_code: API_ERROR_CODE.FORBIDDEN_NOT_ALLOWED,
+    };
+  }
+  if (Array.isArray(entry.allowedRoutes) && !entry.allowedRoutes.includes(route)) {
+    return {
+      error: `Your API key is not allowed to use ${route} requests`,
+      error_code: API_ERROR_CODE.FORBIDDEN_ROUTE_NOT_ALLOWED,
+    };
+  }
+
+  const current = getCurrentUsage(usage, now);
+  if (entry.requestsPerMinute && current.perMinute >= entry.requestsPerMinute) {
+    return {
+      error: `Too many API requests: your API key is limited to ${entry.requestsPerMinute} requests per minute`,
+      error_code: API_ERROR_CODE.RATE_LIMIT_EXCEEDED,
+    };
+  }
+  if (entry.dailyQuota !== null && entry.dailyQuota !== undefined && current.daily >= entry.dailyQuota) {
+    return {
+      error: `Your daily quota of ${entry.dailyQuota} lookups is exceeded`,
+      error_code: API_ERROR_CODE.QUOTA_EXCEEDED,
+    };
+  }
+  if (entry.monthlyQuota !== null && entry.monthlyQuota !== undefined && current.monthly >= entry.monthlyQuota) {
+    return {
+      error: `Your monthly quota of ${entry.monthlyQuota} lookups is exceeded`,
+      error_code: API_ERROR_CODE.QUOTA_EXCEEDED,
+    };
+  }
+  return false;
+};
+
+/**
+ * File backed store of the local API keys and their usage.
+ *
+ * Only one process owns the store: the cluster master, or the worker itself when it runs standalone.
+ * Keys are stored as SHA-256 hashes and addressed by their id, the key itself is only
+ * returned once when it is created or rotated.
+ */
+class ApiKeyStore {
+  constructor(storeFile = DEFAULT_STORE_FILE) {
+    this.storeFile = storeFile;
+    this.keys = {};
+    this.usage = {};
+    this.saveTimer = null;
+  }
+
+  load() {
+    if (!fs.existsSync(this.storeFile)) {
+      log(`[ApiKeyStore] ${this.storeFile} does not exist, starting with an empty key store`);
+      return;
+    }
+    try {
+      const data = JSON.parse(fs.readFileSync(this.storeFile, 'utf-8'));
+      this.keys = data.keys || {};
+      this.usage = data.usage || {};
+      log(`[ApiKeyStore] Loaded ${Object.keys(this.keys).length} API keys from ${this.storeFile}`);
+    } catch (err) {
+      log(`[ApiKeyStore] Failed to load ${this.storeFile}: ${err.message}`, 'ERROR');
+    }
+  }
+
+  /**
+   * Write the store atomically, so that a crash never leaves a truncated file.
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(this.storeFile), { recursive: true });
+      const tmpFile = `${this.storeFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({ keys: this.keys, usage: this.usage }, null, 2), { mode: 0o600 });
+      fs.renameSync(tmpFile, this.storeFile);
+    } catch (err) {
+      log(`[ApiKeyStore] Failed to save ${this.storeFile}: ${err.message}`, 'ERROR');
+    }
+  }
+
+  scheduleSave() {
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+      this.saveTimer.unref();
+    }
+  }
+
+  getState() {
+    return {
+      keys: this.keys,
+      usage: this.usage,
+    };
+  }
+
+  /**
+   * @param {object} increments - `{ [keyHash]: { requests, lookups } }`
+   */
+  addUsage(increments) {
+    const now = Date.now();
+    for (const keyHash in increments) {
+      if (!this.keys[keyHash]) {
+        continue;
+      }
+      const { requests, lookups } = increments[keyHash];
+      this.usage[keyHash] = addUsage(this.usage[keyHash], requests, lookups, now);
+    }
+    this.scheduleSave();
+  }
+
+  findHashById(id) {
+    return Object.keys(this.keys).find((keyHash) => this.keys[keyHash].id === id) || null;
+  }
+
+  describe(keyHash) {
+    const entry = this.keys[keyHash];
+    return {
+      ...entry,
+      usage: getCurrentUsage(this.usage[keyHash]),
+    };
+  }
+
+  listKeys() {
+    return {
+      keys: Object.keys(this.keys).map((keyHash) => this.describe(keyHash)),
+    };
+  }
+
+  createKey(options = {}) {
+    const invalid = validateKeyOptions(options);
+    if (invalid) {
+      return invalid;
+    }
+    const apiKey = generateApiKey();
+    const keyHash = hashKey(apiKey);
+    this.keys[keyHash] = {
+      id: generateKeyId(),
+      name: '',
+      enabled: true,
+      dailyQuota: null,
+      monthlyQuota: null,
+      requestsPerMinute: null,
+      allowedRoutes: null,
+      ...options,
+      created: Date.now(),
+      rotated: null,
+    };
+    this.save();
+    return {
+      ...this.describe(keyHash),
+      key: apiKey,
+    };
+  }
+
+  updateKey(id, changes = {}) {
+    const keyHash = this.findHashById(id);
+    if (!keyHash) {
+      return this.notFound(id);
+    }
+    const invalid = validateKeyOptions(changes);
+    if (invalid) {
+      return invalid;
+    }
+    Object.assign(this.keys[keyHash], changes);
+    this.save();
+    return this.describe(keyHash);
+  }
+
+  /**
+   * Replace the key of an entry, settings and usage are kept.
+   */
+  rotateKey(id) {
+    const keyHash = this.findHashById(id);
+    if (!keyHash) {
+      return this.notFound(id);
+    }
+    const apiKey = generateApiKey();
+    const newHash = hashKey(apiKey);
+    this.keys[newHash] = { ...this.keys[keyHash], rotated: Date.now() };
+    this.usage[newHash] = this.usage[keyHash];
+    delete this.keys[keyHash];
+    delete this.usage[keyHash];
+    this.save();
+    return {
+      ...this.describe(newHash),
+      key: apiKey,
+    };
+  }
+
+  revokeKey(id) {
+    const keyHash = this.findHashById(id);
+    if (!keyHash) {
+      return this.notFound(id);
+    }
+    delete this.keys[keyHash];
+    delete this.usage[keyHash];
+    this.save();
+    return {
+      id: id,
+      revoked: true,
+    };
+  }
+
+  notFound(id) {
+    return {
+      error: `API key with id ${id} not found`,
+      error_code: API_ERROR_CODE.API_KEY_NOT_FOUND,
+    };
+  }
+
+  /**
+   * Run an admin operation, used for the requests the workers forward to the master.
+   *
+   * @param {string} op - list, create, update, rotate or revoke
+   * @param {object} args - `{ id, options }`
+   * @returns {object}
+   */
+  execute(op, args = {}) {
+    switch (op) {
+      case 'list':
+        return this.listKeys();
+      case 'create':
+        return this.createKey(args.options);
+      case 'update':
+        return this.updateKey(args.id, args.options);
+      case 'rotate':
+        return this.rotateKey(args.id);
+      case 'revoke':
+        return this.revokeKey(args.id);
+      default:
+        return {
+          error: `Unknown key store operation: ${op}`,
+          error_code: API_ERROR_CODE.UNEXPECTED_SERVER_ERROR,
+        };
+    }
+  }
+}
+
+/**
+ * The view of a worker on the key store.
+ *
+ * Under the cluster master the worker keeps a copy of the keys and usage that the master
+ * broadcasts, and sends the usage it counted every SYNC_INTERVAL_MS. Quotas are thus
+ * enforced across all workers, with at most one sync interval of delay.
+ * A standalone worker owns the store itself. PM2 instances without the cluster master are
+ * refused, each of them would own a copy of the store and overwrite the changes of the others.
+ */
+class ApiKeyStoreClient {
+  constructor(storeFile, useMaster) {
+    if (!useMaster && process.env.NODE_APP_INSTANCE !== undefined) {
+      throw new Error('Local API keys need the cluster master under PM2, start the API with cluster-manager.js or disable `localApiKeys`');
+    }
+    this.useMaster = useMaster;
+    this.pendingUsage = {};
+    this.pendingAdmin = new Map();
+    this.nextRequestId = 0;
+
+    if (useMaster) {
+      this.state = { keys: {}, usage: {} };
+      onMasterMessage((msg) => this.handleMasterMessage(msg));
+      sendToMaster({ type: 'apiKeyStateRequest' });
+      setInterval(() => this.flushUsage(), SYNC_INTERVAL_MS).unref();
+    } else {
+      this.store = new ApiKeyStore(storeFile);
+      this.store.load();
+      this.state = this.store.getState();
+      process.on('exit', () => this.store.save());
+    }
+  }
+
+  handleMasterMessage(msg) {
+    if (!msg || typeof msg !== 'object') {
+      return;
+    }
+    if (msg.type === 'apiKeyState') {
+      this.state = msg.state;
+    } else if (msg.type === 'apiKeyAdminResult' && this.pendingAdmin.has(msg.requestId)) {
+      const { resolve, timer } = this.pendingAdmin.get(msg.requestId);
+      clearTimeout(timer);
+      this.pendingAdmin.delete(msg.requestId);
+      resolve(msg.result);
+    }
+  }
+
+  /**
+   * @param {string} apiKey
+   * @param {string} route - One of API_KEY_ROUTES
+   * @returns {false|object} - false if allowed, otherwise the error object
+   */
+  check(apiKey, route) {
+    const keyHash = hashKey(apiKey);
+    let usage = this.state.usage[keyHash];
+    const pending = this.pendingUsage[keyHash];
+    if (pending) {
+      usage = addUsage(usage, pending.requests, pending.lookups);
+    }
+    return checkKeyAccess(this.state.keys[keyHash], usage, route);
+  }
+
+  /**
+   * How many lookups the key may still make today and this month.
+   *
+   * @param {string} apiKey
+   * @returns {number} - Infinity if the key has no quota
+   */
+  getRemainingLookups(apiKey) {
+    const keyHash = hashKey(apiKey);
+    const entry = this.state.keys[keyHash];
+    if (!entry) {
+      return 0;
+    }
+    const current = getCurrentUsage(this.state.usage[keyHash]);
+    let remaining = Infinity;
+    if (entry.dailyQuota !== null && entry.dailyQuota !== undefined) {
+      remaining = Math.min(remaining, entry.dailyQuota - current.daily);
+    }
+    if (entry.monthlyQuota !== null && entry.monthlyQuota !== undefined) {
+      remaining = Math.min(remaining, entry.monthlyQuota - current.monthly);
+    }
+    return Math.max(remaining, 0);
+  }
+
+  /**
+   * Count a served request of a local API key.
+   *
+   * @param {string} apiKey
+   * @param {number} lookups - The number of IPs/ASNs looked up
+   */
+  count(apiKey, lookups = 1) {
+    const keyHash = hashKey(apiKey);
+    if (!this.state.keys[keyHash]) {
+      return;
+    }
+    if (!this.useMaster) {
+      this.store.addUsage({ [keyHash]: { requests: 1, lookups } });
+      return;
+    }
+    if (!this.pendingUsage[keyHash]) {
+      this.pendingUsage[keyHash] = { requests: 0, lookups: 0 };
+    }
+    this.pendingUsage[keyHash].requests++;
+    this.pendingUsage[keyHash].lookups += lookups;
+  }
+
+  flushUsage() {
+    if (Object.keys(this.pendingUsage).length === 0) {
+      return;
+    }
+    const usage = this.pendingUsage;
+    this.pendingUsage = {};
+    // count the usage locally until the master broadcasts the new state
+    for (const keyHash in usage) {
+      this.state.usage[keyHash] = addUsage(this.state.usage[keyHash], usage[keyHash].requests, usage[keyHash].lookups);
+    }
+    sendToMaster({ type: 'apiKeyUsage', usage });
+  }
+
+  /**
+   * Run an admin operation on the store.
+   *
+   * @param {string} op - list, create, update, rotate or revoke
+   * @param {object} args - `{ id, options }`
+   * @returns {Promise<object>}
+   */
+  execute(op, args = {}) {
+    if (!this.useMaster) {
+      return Promise.resolve(this.store.execute(op, args));
+    }
+    return new Promise((resolve) => {
+      const requestId = `${process.pid}-${this.nextRequestId++}`;
+      const timer = setTimeout(() => {
+        this.pendingAdmin.delete(requestId);
+        resolve({
+          error: 'The cluster master did not answer the key store request',
+          error_code: API_ERROR_CODE.UNEXPECTED_SERVER_ERROR,
+        });
+      }, ADMIN_TIMEOUT_MS);
+      this.pendingAdmin.set(requestId, { resolve, timer });
+      sendToMaster({ type: 'apiKeyAdmin', requestId, op, args });
+    });
+  }
+}
+
+/**
+ * Path of the key store file, relative paths are resolved against the project directory.
+ *
+ * @param {object} apiConfig
+ * @returns {string}
+ */
+const getStoreFile = (apiConfig) => {
+  const storeFile = apiConfig.localApiKeys && apiConfig.localApiKeys.storeFile;
+  if (!storeFile) {
+    return DEFAULT_STORE_FILE;
+  }
+  return path.isAbsolute(storeFile) ? storeFile : path.join(projectPath, storeFile);
+};
+
+/**
+ * Master side: own the store and answer the key store messages of the workers.
+ *
+ * @param {object} apiConfig
+ * @param {function} getWorkers - Returns `{ send }` of every running worker
+ * @returns {function} - Called with the sending worker and the message, returns whether the message was handled
+ */
+const createApiKeyStoreMaster = (apiConfig, getWorkers) => {
+  const store = new ApiKeyStore(getStoreFile(apiConfig));
+  store.load();
+  process.on('exit', () => store.save());
+
+  let broadcastTimer = null;
+  const broadcast = () => {
+    clearTimeout(broadcastTimer);
+    broadcastTimer = null;
+    for (const worker of getWorkers()) {
+      worker.send({ type: 'apiKeyState', state: store.getState() });
+    }
+  };
+
+  return (sender, msg) => {
+    if (msg.type === 'apiKeyStateRequest') {
+      sender.send({ type: 'apiKeyState', state: store.getState() });
+    } else if (msg.type === 'apiKeyUsage') {
+      store.addUsage(msg.usage);
+      // all workers send their usage at about the same time, broadcast once
+      if (!broadcastTimer) {
+        broadcastTimer = setTimeout(broadcast, SYNC_INTERVAL_MS / 4);
+      }
+    } else if (msg.type === 'apiKeyAdmin') {
+      const result = store.execute(msg.op, msg.args);
+      sender.send({ type: 'apiKeyAdminResult', requestId: msg.requestId, result });
+      broadcast();
+    } else {
+      return false;
+    }
+    return true;
+  };
+};
+
+module.exports = {
+  API_KEY_ROUTES,
+  ApiKeyStore,
+  ApiKeyStoreClient,
+  createApiKeyStoreMaster,
+  getStoreFile,
+  checkKeyAccess,
+  validateKeyOptions,
+  hashKey,
+};
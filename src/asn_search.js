@@ -0,0 +1,222 @@
+/**
+ * Search over the autonomous systems of IPtoASN and paginated browsing of their prefixes.
+ * IPtoASN.lookup() returns all prefixes of an ASN inline, large networks announce thousands,
+ * here they are listed page by page, optionally aggregated, with summary stats.
+ * The search index maps the words of the AS description, organization and domain to the
+ * AS numbers, it is built when the ASN database is loaded.
+ */
+const { performance } = require('perf_hooks');
+const { parseNetwork } = require('./mmdb_writer');
+const { mergeRanges, aggregateRanges } = require('./datacenter_export');
+const { tokenize, parsePagination, SEARCH_DEFAULT_LIMIT } = require('./company_search');
+const { API_ERROR_CODE } = require('./ipapi_is_worker_utils');
+const { log, round } = require('./utils');
+
+const PREFIXES_DEFAULT_LIMIT = 100;
+const PREFIXES_MAX_LIMIT = 1000;
+
+const invalid = (error) => ({ error, error_code: API_ERROR_CODE.INVALID_SEARCH_QUERY });
+
+/**
+ * Parse an AS number such as `13335` or `AS13335`.
+ *
+ * @param {string|number} asn
+ * @returns {number|null}
+ */
+const parseAsn = (asn) => {
+  const match = /^(?:as)?(\d{1,10})$/i.exec(String(asn === undefined || asn === null ? '' : asn).trim());
+  if (!match) {
+    return null;
+  }
+  const parsed = Number(match[1]);
+  return parsed <= 0xffffffff ? parsed : null;
+};
+
+/**
+ * The prefixes of one address family as ranges.
+ *
+ * @param {Array<string>} prefixes - CIDRs
+ * @returns {Array<Array>} - `[[start, end], ...]` with BigInt bounds
+ */
+const prefixesToRanges = (prefixes) => prefixes.map(parseNetwork).filter(Boolean).map(({ start, end }) => [start, end]);
+
+/**
+ * Prefix counts, the number of IPv4 addresses and the number of IPv6 /48s an ASN announces.
+ * Prefixes longer than /48 count as the /48 they are in.
+ *
+ * @param {Array<string>} ipv4
+ * @param {Array<string>} ipv6
+ * @returns {object}
+ */
+const summarizePrefixes = (ipv4, ipv6) => {
+  let numIPv4 = 0n;
+  for (const [start, end] of mergeRanges(prefixesToRanges(ipv4))) {
+    numIPv4 += end - start + 1n;
+  }
+  let num48s = 0n;
+  let last48 = -1n;
+  for (const [start, end] of mergeRanges(prefixesToRanges(ipv6))) {
+    const first = start >> 80n;
+    const from = first > last48 ? first : last48 + 1n;
+    const to = end >> 80n;
+    if (to >= from) {
+      num48s += to - from + 1n;
+      last48 = to;
+    }
+  }
+  return {
+    num_prefixes_ipv4: ipv4.length,
+    num_prefixes_ipv6: ipv6.length,
+    num_ipv4_addresses: Number(numIPv4),
+    num_ipv6_48s: Number(num48s),
+  };
+};
+
+class AsnSearch {
+  /**
+   * @param {IPtoASN} asnLut - Its autnums and metaASN are indexed
+   */
+  constructor(asnLut) {
+    this.asnLut = asnLut;
+    this.words = null;
+    this.buildIndex();
+  }
+
+  buildIndex() {
+    const t0 = performance.now();
+    const words = new Map();
+    const metaASN = this.asnLut.metaASN || {};
+    for (const asn in this.asnLut.autnums) {
+      const meta = metaASN[asn] || {};
+      for (const word of new Set([...tokenize(this.asnLut.autnums[asn].d), ...tokenize(meta.org), ...tokenize(meta.domain)])) {
+        const asns = words.get(word);
+        if (asns) {
+          asns.push(asn);
+        } else {
+          words.set(word, [asn]);
+        }
+      }
+    }
+    this.words = words;
+    log(`[AsnSearch] Indexed ${Object.keys(this.asnLut.autnums).length} autonomous systems in ${round((performance.now() - t0) / 1000, 2)}s`, 'INFO');
+  }
+
+  /**
+   * Autonomous systems whose description, organization or domain contain all words of `query`.
+   * Without a query all ASNs of the country are returned. Active ASNs come first, then those with more prefixes.
+   *
+   * @param {object} options - `{ query, country, page, limit }`, country is an ISO 3166-1 alpha-2 code
+   * @returns {object} - `{ total, page, limit, results }` or an error object
+   */
+  search({ query = '', country = null, page = 1, limit = SEARCH_DEFAULT_LIMIT } = {}) {
+    const words = tokenize(query);
+    const countryCode = country ? String(country).trim().toLowerCase() : null;
+    if (words.length === 0 && !countryCode) {
+      return invalid('Invalid search: give a query (q) or a country');
+    }
+    if (countryCode && !/^[a-z]{2}$/.test(countryCode)) {
+      return invalid(`Invalid country: ${country}, expected a two letter country code`);
+    }
+    const pagination = parsePagination(page, limit);
+    if (pagination.error) {
+      return pagination;
+    }
+
+    let candidates;
+    if (words.length > 0) {
+      const lists = words.map((word) => this.words.get(word) || []).sort((a, b) => a.length - b.length);
+      const others = lists.slice(1).map((list) => new Set(list));
+      candidates = lists[0].filter((asn) => others.every((set) => set.has(asn)));
+    } else {
+      candidates = Object.keys(this.asnLut.autnums);
+    }
+
+    const matches = [];
+    for (const asn of candidates) {
+      const autnum = this.asnLut.autnums[asn];
+      if (countryCode && (autnum.c || '').toLowerCase() !== countryCode) {
+        continue;
+      }
+      matches.push({ asn, autnum, numPrefixes: (autnum.p || []).length + (autnum.p6 || []).length });
+    }
+    matches.sort((a, b) => (b.autnum.a ? 1 : 0) - (a.autnum.a ? 1 : 0) || b.numPrefixes - a.numPrefixes || a.asn - b.asn);
+
+    const metaASN = this.asnLut.metaASN || {};
+    const offset = (pagination.page - 1) * pagination.limit;
+    return {
+      total: matches.length,
+      page: pagination.page,
+      limit: pagination.limit,
+      results: matches.slice(offset, offset + pagination.limit).map(({ asn, autnum }) => {
+        const meta = metaASN[asn] || {};
+        return {
+          asn: Number(asn),
+          descr: autnum.d,
+          org: meta.org,
+          domain: meta.domain,
+          type: meta.type,
+          rir: meta.rir,
+          country: autnum.c ? autnum.c.toLowerCase() : undefined,
+          active: autnum.a,
+          num_prefixes_ipv4: (autnum.p || []).length,
+          num_prefixes_ipv6: (autnum.p6 || []).length,
+        };
+      }),
+    };
+  }
+
+  /**
+   * One page of the prefixes of an ASN, IPv4 before IPv6, and the summary of all of them.
+   *
+   * @param {string|number} asn - e.g. `13335` or `AS13335`
+   * @param {object} options - `{ ipVersion, aggregate, page, limit }`, aggregate collapses adjacent and overlapping prefixes
+   * @returns {object} - `{ asn, aggregated, summary, total, page, limit, prefixes }` or an error object
+   */
+  prefixes(asn, { ipVersion = null, aggregate = false, page = 1, limit = PREFIXES_DEFAULT_LIMIT } = {}) {
+    const parsedAsn = parseAsn(asn);
+    if (parsedAsn === null) {
+      return invalid(`Invalid AS number: ${asn}`);
+    }
+    const version = ipVersion === null || ipVersion === undefined || ipVersion === '' ? null : Number(ipVersion);
+    if (version !== null && version !== 4 && version !== 6) {
+      return invalid(`Invalid ip_version: ${ipVersion}, expected 4 or 6`);
+    }
+    const pagination = parsePagination(page, limit, PREFIXES_MAX_LIMIT);
+    if (pagination.error) {
+      return pagination;
+    }
+    if (!(parsedAsn in this.asnLut.autnums)) {
+      return {
+        error: `No data for ASN ${parsedAsn}`,
+        error_code: API_ERROR_CODE.ASN_NOT_FOUND,
+      };
+    }
+
+    const { ipv4, ipv6 } = this.asnLut.getPrefixesForAsn(parsedAsn);
+    const list = (prefixes, family) => {
+      if (version && version !== family) {
+        return [];
+      }
+      return aggregate ? aggregateRanges(prefixesToRanges(prefixes), family) : prefixes;
+    };
+    const prefixes = [...list(ipv4, 4), ...list(ipv6, 6)];
+    const offset = (pagination.page - 1) * pagination.limit;
+    return {
+      asn: parsedAsn,
+      aggregated: !!aggregate,
+      summary: summarizePrefixes(ipv4, ipv6),
+      total: prefixes.length,
+      page: pagination.page,
+      limit: pagination.limit,
+      prefixes: prefixes.slice(offset, offset + pagination.limit),
+    };
+  }
+}
+
+module.exports = {
+  PREFIXES_DEFAULT_LIMIT,
+  PREFIXES_MAX_LIMIT,
+  parseAsn,
+  summarizePrefixes,
+  AsnSearch,
+};
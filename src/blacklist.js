@@ -6,6 +6,7 @@ const { IPtoCompany } = require('./company');
 const { round, sortObjectByValue, log } = require('./utils');
 const { numHostsInNet, firstIpOfNet } = require('ip_address_tools');
 const { POS_VAL, RAM_DB_DIR, ASN_ABUSER_SCORE_FILE } = require('./constants');
+const { addSource } = require('./lookup_explain');
 
 class IPtoBlacklist {
   constructor() {
@@ -31,7 +32,11 @@ class IPtoBlacklist {
     return Promise.resolve();
   }
 
-  lookup(ip) {
+  /**
+   * @param {string} ip - The IP address to look up
+   * @param {object} explain - Optional explanation (see lookup_explain.js) that records which LUT set a flag
+   */
+  lookup(ip, explain = null) {
     let response = {
       is_tor: false,
       is_abuser: false,
@@ -41,14 +46,23 @@ class IPtoBlacklist {
 
     const torRes = this.torLut.fastLookup(ip);
     response.is_tor = (torRes === POS_VAL);
+    if (response.is_tor) {
+      addSource(explain, 'is_tor', this.torLut, ip);
+    }
 
     let abuserRes = this.abuserLut.fastLookup(ip);
     if (abuserRes) {
       response.is_abuser = Array.isArray(abuserRes) ? abuserRes.length > 0 : false;
     }
+    if (response.is_abuser) {
+      addSource(explain, 'is_abuser', this.abuserLut, ip);
+    }
 
     const proxyRes = this.proxyLut.fastLookup(ip);
     response.is_proxy = (proxyRes === POS_VAL);
+    if (response.is_proxy) {
+      addSource(explain, 'is_proxy', this.proxyLut, ip);
+    }
 
     let vpnResSpecific = this.namedVpnLut.fastLookup(ip);
     if (vpnResSpecific) {
@@ -62,18 +76,25 @@ class IPtoBlacklist {
       } else {
         response.is_vpn = vpnResSpecific;
       }
+      if (response.is_vpn) {
+        addSource(explain, 'is_vpn', this.namedVpnLut, ip);
+      }
     }
 
     if (!response.is_vpn) {
       const vpnRes = this.interpolatedVpnLut.fastLookup(ip);
       if (vpnRes) {
         response.is_vpn = vpnRes;
+        addSource(explain, 'is_vpn', this.interpolatedVpnLut, ip);
       }
     }
 
     if (!response.is_vpn) {
       const vpnRes = this.vpnLut.fastLookup(ip);
       response.is_vpn = (vpnRes === POS_VAL);
+      if (response.is_vpn) {
+        addSource(explain, 'is_vpn', this.vpnLut, ip);
+      }
     }
 
     return response;
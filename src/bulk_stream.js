@@ -0,0 +1,235 @@
+const { StringDecoder } = require('string_decoder');
+const { performance } = require('perf_hooks');
+const { round } = require('./utils');
+const { API_ERROR_CODE, isErrorResponse } = require('./ipapi_is_worker_utils');
+
+const DEFAULT_MAX_STREAM_LOOKUPS = 1000000;
+const MAX_LINE_LENGTH = 1024;
+// give other requests a chance every so many lookups, lookups are synchronous
+const YIELD_EVERY = 1000;
+
+const NDJSON_CONTENT_TYPE = 'application/x-ndjson';
+const STREAMABLE_CONTENT_TYPES = ['text/plain', 'application/x-ndjson', 'text/csv', 'application/octet-stream'];
+
+/**
+ * Per request limits of the streaming bulk endpoint.
+ * `bulkStream.apiKeys[apiKey]` in the config overrides the defaults of `bulkStream`.
+ *
+ * @param {object} apiConfig - The API config
+ * @param {string|null} apiKey - The API key of the request
+ * @returns {object} - `{ maxLookups }`
+ */
+function getBulkStreamLimits(apiConfig, apiKey) {
+  const streamConfig = (apiConfig && apiConfig.bulkStream) || {};
+  const keyConfig = (apiKey && streamConfig.apiKeys && streamConfig.apiKeys[apiKey]) || {};
+  return {
+    maxLookups: keyConfig.maxLookups ?? streamConfig.maxLookups ?? DEFAULT_MAX_STREAM_LOOKUPS,
+  };
+}
+
+/**
+ * Get the multipart boundary if the request is a multipart/form-data upload.
+ *
+ * @param {string} contentType - The Content-Type header
+ * @returns {string|null|false} - The boundary, null for streamable plain bodies and false for unsupported types
+ */
+function getStreamBodyType(contentType) {
+  const type = (contentType || 'text/plain').split(';')[0].trim().toLowerCase();
+  if (type === 'multipart/form-data') {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    return match ? (match[1] || match[2]).trim() : false;
+  }
+  return STREAMABLE_CONTENT_TYPES.includes(type) ? null : false;
+}
+
+const waitForData = (stream) => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    stream.off('readable', onReady);
+    stream.off('end', onReady);
+    stream.off('close', onReady);
+    stream.off('error', onError);
+  };
+  const onReady = () => {
+    cleanup();
+    resolve();
+  };
+  const onError = (err) => {
+    cleanup();
+    reject(err);
+  };
+  stream.on('readable', onReady);
+  stream.on('end', onReady);
+  stream.on('close', onReady);
+  stream.on('error', onError);
+});
+
+/**
+ * Read a stream line by line. Only pulls more data when the consumer asks for the next line,
+ * and unlike `for await` it does not destroy the stream when the consumer stops early.
+ *
+ * @param {Readable} stream
+ */
+async function* readLines(stream) {
+  const decoder = new StringDecoder('utf8');
+  let rest = '';
+
+  while (true) {
+    const chunk = stream.read();
+    if (chunk === null) {
+      if (stream.readableEnded || stream.destroyed) {
+        break;
+      }
+      await waitForData(stream);
+      continue;
+    }
+
+    rest += decoder.write(chunk);
+    const lines = rest.split('\n');
+    rest = lines.pop();
+    if (rest.length > MAX_LINE_LENGTH) {
+      const err = new Error(`Line longer than ${MAX_LINE_LENGTH} characters`);
+      err.code = API_ERROR_CODE.INVALID_BULK_STREAM_LINE;
+      throw err;
+    }
+    for (const line of lines) {
+      yield line.replace(/\r$/, '');
+    }
+  }
+
+  rest += decoder.end();
+  if (rest) {
+    yield rest.replace(/\r$/, '');
+  }
+}
+
+/**
+ * Only the lines of the uploaded files (parts with a filename or named `ips`) of a multipart body.
+ *
+ * @param {AsyncIterable<string>} lines
+ * @param {string} boundary
+ */
+async function* multipartLines(lines, boundary) {
+  const delimiter = `--${boundary}`;
+  let inHeaders = false;
+  let isIpPart = false;
+
+  for await (const line of lines) {
+    if (line === delimiter) {
+      inHeaders = true;
+      isIpPart = false;
+      continue;
+    }
+    if (line === `${delimiter}--`) {
+      return;
+    }
+    if (inHeaders) {
+      if (line === '') {
+        inHeaders = false;
+      } else if (/^content-disposition:/i.test(line)) {
+        isIpPart = /filename=/i.test(line) || /name="?ips"?/i.test(line);
+      }
+      continue;
+    }
+    if (isIpPart) {
+      yield line;
+    }
+  }
+}
+
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * Look up every line of the request body and stream back one NDJSON line per lookup.
+ * The last line is a trailer with the counts and total_elapsed_ms.
+ *
+ * @param {object} req - The Express request, its body must not have been consumed
+ * @param {object} res - The Express response
+ * @param {function} lookup - Called with each query, returns the lookup result
+ * @param {object} options - `{ maxLookups, boundary }`
+ * @returns {Promise<object>} - The trailer, `aborted` is set if the client went away
+ */
+async function streamBulkLookup(req, res, lookup, options = {}) {
+  const startTs = performance.now();
+  const maxLookups = options.maxLookups ?? DEFAULT_MAX_STREAM_LOOKUPS;
+  const trailer = {
+    trailer: true,
+    total: 0,
+    succeeded: 0,
+    failed: 0,
+  };
+
+  let aborted = false;
+  res.on('close', () => {
+    aborted = !res.writableFinished;
+  });
+
+  res.status(200);
+  res.header('Content-Type', NDJSON_CONTENT_TYPE);
+
+  let lines = readLines(req);
+  if (options.boundary) {
+    lines = multipartLines(lines, options.boundary);
+  }
+
+  try {
+    for await (const line of lines) {
+      if (aborted) {
+        break;
+      }
+      const query = line.trim();
+      if (!query || query.startsWith('#')) {
+        continue;
+      }
+      if (trailer.total >= maxLookups) {
+        trailer.error = `Lookup limit reached: at most ${maxLookups} lookups are allowed per request`;
+        trailer.error_code = API_ERROR_CODE.BULK_LIMIT_EXCEEDED;
+        break;
+      }
+
+      const result = lookup(query);
+      trailer.total++;
+      if (isErrorResponse(result)) {
+        trailer.failed++;
+      } else {
+        trailer.succeeded++;
+      }
+
+      if (!res.write(JSON.stringify({ query, ...result }) + '\n')) {
+        await waitForDrain(res);
+      }
+      if (trailer.total % YIELD_EVERY === 0) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    }
+  } catch (err) {
+    trailer.error = `Failed to read request body: ${err.message}`;
+    trailer.error_code = Object.values(API_ERROR_CODE).includes(err.code) ? err.code : API_ERROR_CODE.UNEXPECTED_SERVER_ERROR;
+  }
+
+  trailer.total_elapsed_ms = round(performance.now() - startTs, 2);
+
+  if (!aborted) {
+    res.end(JSON.stringify(trailer) + '\n');
+    // discard what the client still sends after we stopped reading
+    if (!req.readableEnded) {
+      req.resume();
+    }
+  }
+
+  return { ...trailer, aborted };
+}
+
+module.exports = {
+  NDJSON_CONTENT_TYPE,
+  getBulkStreamLimits,
+  getStreamBodyType,
+  streamBulkLookup,
+};
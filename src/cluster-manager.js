@@ -1,5 +1,8 @@
 const cluster = require("cluster");
 const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { Worker } = require("worker_threads");
 const numCPUs = os.cpus().length;
 
 process.on("message", (msg) => {
@@ -12,20 +15,226 @@ process.on("message", (msg) => {
   }
 });
 
-if (cluster.isMaster) {
-  console.log(`🟢 Master ${process.pid} is running`);
+/**
+ * Load the API config the workers will use.
+ *
+ * @returns {object}
+ */
+const loadApiConfig = () => {
+  const { getConfigPath } = require("./ipapi_is_worker_utils");
+  const configPath = getConfigPath();
+  if (!configPath) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(configPath, "utf-8"));
+};
+
+/**
+ * Worker threads cannot share a listening socket through the cluster module,
+ * they each bind the port with SO_REUSEPORT instead (Node >= 22.12 / 23.1).
+ *
+ * @returns {boolean}
+ */
+const supportsReusePort = () => {
+  const [major, minor] = process.versions.node.split(".").map(Number);
+  if (process.platform !== "linux") {
+    return false;
+  }
+  return major > 23 || (major === 23 && minor >= 1) || (major === 22 && minor >= 12);
+};
+
+/**
+ * Answer the IPC requests of the workers, e.g. a worker that needs the metrics of all workers for /metrics.
+ *
+ * @param {function} getWorkers - Returns `{ send }` of every running worker
+ * @param {object} apiConfig
+ * @param {function} reloadWorkers - Rolling reload of all workers, used by the update scheduler
+ * @returns {function} - Called with the sending worker (`{ send }`) and the message
+ */
+const createWorkerMessageHandler = (getWorkers, apiConfig, reloadWorkers) => {
+  const { collectWorkerMetrics, addWorkerSnapshot } = require("./metrics");
+  const pendingCollections = new Map();
+
+  // the master owns the local API key store, so usage is counted across all workers
+  let handleApiKeyMessage = () => false;
+  if (apiConfig.localApiKeys && apiConfig.localApiKeys.enabled) {
+    const { createApiKeyStoreMaster } = require("./api_key_store");
+    handleApiKeyMessage = createApiKeyStoreMaster(apiConfig, getWorkers);
+  }
+
+  // blocks apply to the whole host, so there is one firewall for all workers
+  let handleFirewallMessage = () => false;
+  if (apiConfig.enableFirewall) {
+    const { createFirewallMaster } = require("./firewall");
+    handleFirewallMessage = createFirewallMaster(apiConfig, getWorkers);
+  }
+
+  // rate limits hold for all workers together
+  const { createRateLimiterMaster } = require("./rate_limiter");
+  const handleRateLimitMessage = createRateLimiterMaster();
+
+  // database updates are installed once for the host, then the workers reload one by one
+  const { createUpdateSchedulerMaster } = require("./update_scheduler");
+  const handleUpdateMessage = createUpdateSchedulerMaster(apiConfig, reloadWorkers);
+
+  // every worker evaluates the watchlist after a reload, the master reports each change once
+  let handleWatchlistMessage = () => false;
+  if (apiConfig.watchlist && apiConfig.watchlist.enabled) {
+    const { createWatchlistMaster } = require("./watchlist");
+    handleWatchlistMessage = createWatchlistMaster(apiConfig);
+  }
 
-  // Fork workers
-  for (let i = 0; i < numCPUs; i++) {
+  return (sender, msg) => {
+    if (!msg || typeof msg !== "object") {
+      return;
+    }
+    if (handleRateLimitMessage(sender, msg) || handleApiKeyMessage(sender, msg) || handleFirewallMessage(sender, msg)
+      || handleUpdateMessage(sender, msg) || handleWatchlistMessage(sender, msg)) {
+      return;
+    }
+    if (msg.type === "collectMetrics") {
+      collectWorkerMetrics(getWorkers(), sender, msg.requestId, pendingCollections);
+    } else if (msg.type === "metricsSnapshot") {
+      addWorkerSnapshot(pendingCollections, msg);
+    }
+  };
+};
+
+/**
+ * Default mode: every worker is a forked process with its own copy of the LUTs.
+ *
+ * @param {number} numWorkers
+ * @param {object} apiConfig
+ */
+const startClusterWorkers = (numWorkers, apiConfig) => {
+  const { RollingReload } = require("./update_scheduler");
+  for (let i = 0; i < numWorkers; i++) {
     cluster.fork();
   }
 
+  // a worker reloads on SIGUSR1 and answers with `reloadFinished`
+  const rollingReload = new RollingReload();
+  const reloadWorkers = () => rollingReload.run(Object.values(cluster.workers).map((worker) => ({
+    key: worker.id,
+    trigger: () => worker.process.kill("SIGUSR1"),
+  })));
+
+  const toSender = (worker) => ({ send: (msg) => worker.isConnected() && worker.send(msg) });
+  const handleWorkerMessage = createWorkerMessageHandler(() => Object.values(cluster.workers).map(toSender), apiConfig, reloadWorkers);
+  cluster.on("message", (worker, msg) => {
+    if (msg === "reloadFinished") {
+      rollingReload.finished(worker.id);
+      return;
+    }
+    handleWorkerMessage(toSender(worker), msg);
+  });
+
   // Restart worker if it dies
   cluster.on("exit", (worker, code, signal) => {
     console.log(`⚠️ Worker ${worker.process.pid} died. Restarting...`);
     cluster.fork();
   });
 
+  process.on("SIGUSR1", () => {
+    console.log("🔄 Master received SIGUSR1, reloading the workers one by one");
+    reloadWorkers();
+  });
+};
+
+/**
+ * Shared mode (config `sharedLutMemory`): the master loads the LUTs into
+ * SharedArrayBuffers once and all worker threads read from the same memory.
+ *
+ * @param {number} numWorkers
+ * @param {object} apiConfig
+ */
+const startThreadWorkers = (numWorkers, apiConfig) => {
+  const { SharedLutStore } = require("./shared_lut_store");
+  const { RollingReload } = require("./update_scheduler");
+  const workers = new Set();
+  let sharedStore = SharedLutStore.loadPersisted();
+
+  // Worker threads don't receive signals, repack the LUTs once and hand them to one thread after the other.
+  // The repack runs in its own thread, the master keeps answering IPC (rate limits, metrics) meanwhile.
+  const rollingReload = new RollingReload();
+  let reloading = null;
+  const reloadWorkers = () => {
+    if (!reloading) {
+      reloading = SharedLutStore.loadPersistedInThread()
+        .then((store) => {
+          sharedStore = store;
+          return rollingReload.run(Array.from(workers).map((worker) => ({
+            key: worker.threadId,
+            trigger: () => worker.postMessage({ type: "reloadLuts", sharedLuts: sharedStore.toWorkerData() }),
+          })));
+        }, (err) => {
+          console.log(`⚠️ Repacking the shared LUTs failed, keeping the loaded ones: ${err.message}`);
+          return { reloaded: 0, failed: workers.size };
+        })
+        .finally(() => {
+          reloading = null;
+        });
+    }
+    return reloading;
+  };
+
+  const toSender = (worker) => ({ send: (msg) => worker.postMessage(msg) });
+  const handleWorkerMessage = createWorkerMessageHandler(() => Array.from(workers).map(toSender), apiConfig, reloadWorkers);
+
+  const startWorkerThread = () => {
+    const worker = new Worker(path.join(__dirname, "ipapi_is_worker.js"), {
+      argv: process.argv.slice(2),
+      workerData: { sharedLuts: sharedStore.toWorkerData() },
+    });
+    workers.add(worker);
+
+    worker.on("message", (msg) => {
+      if (msg === "reloadFinished") {
+        rollingReload.finished(worker.threadId);
+        return;
+      }
+      handleWorkerMessage(toSender(worker), msg);
+    });
+    worker.on("error", (err) => {
+      console.log(`⚠️ Worker thread ${worker.threadId} failed: ${err.message}`);
+    });
+
+    // Restart worker if it dies
+    worker.on("exit", () => {
+      console.log(`⚠️ Worker thread ${worker.threadId} died. Restarting...`);
+      workers.delete(worker);
+      startWorkerThread();
+    });
+  };
+
+  for (let i = 0; i < numWorkers; i++) {
+    startWorkerThread();
+  }
+
+  process.on("SIGUSR1", () => {
+    console.log("🔄 Master received SIGUSR1, reloading shared LUTs");
+    reloadWorkers();
+  });
+};
+
+if (cluster.isMaster) {
+  console.log(`🟢 Master ${process.pid} is running`);
+
+  const apiConfig = loadApiConfig();
+  // tells the workers that IPC requests (metrics, API key store) are answered
+  process.env.IPAPI_CLUSTER_MASTER = "1";
+  const numWorkers = numCPUs;
+
+  if (apiConfig.sharedLutMemory && !supportsReusePort()) {
+    console.log(`⚠️ sharedLutMemory requires Node >= 22.12 on Linux (running ${process.version}), falling back to forked workers`);
+    startClusterWorkers(numWorkers, apiConfig);
+  } else if (apiConfig.sharedLutMemory) {
+    console.log(`🟢 Starting ${numWorkers} worker threads with shared LUT memory`);
+    startThreadWorkers(numWorkers, apiConfig);
+  } else {
+    startClusterWorkers(numWorkers, apiConfig);
+  }
+
 } else {
   require("./ipapi_is_worker"); // Worker process
-}
\ No newline at end of file
+}
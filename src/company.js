@@ -1,11 +1,12 @@
 const fs = require('fs');
+const { performance } = require('perf_hooks');
 const { getInetnumStartIP, isIPv4Cidr, isIPv4Inetnum, isLastResortOrg,
   networkToStr, getNetworkType, getCidrFromInet6num, numHostsInNet } = require('ip_address_tools');
 const { IPv6 } = require('ip-num');
 const { FastLut, ON_MULTI_ALL } = require('./fast_lut');
 const { decodeRir, decodeType } = require('./types');
 const { APIEndpoint, COMPANY_LUT_FILE, COMPANY_ORG_ABUSER_SCORE_FILE } = require('./constants');
-const { log } = require('./utils');
+const { log, round } = require('./utils');
 
 // 'telecom', 'telekom', ' mobile', ' net ', 'internet', 'residential', 
 const priorityNames = ['kreistag', 'landtag', 'ordinariat', 'stadtverwaltung', 'kreisverwaltung',
@@ -46,11 +47,14 @@ class IPtoCompany {
     this.companyLut = new FastLut('CompanyLut', ON_MULTI_ALL);
     this.companyIdLut = JSON.parse(fs.readFileSync(COMPANY_LUT_FILE, 'utf-8'));
     this.abuserScore = {};
+    // built on the first search for the networks of an organization, see getNetworksOfOrgs()
+    this.orgNetworks = null;
   }
 
   async loadLookupTable() {
     this.companyLut.loadPersistedLut();
     this.abuserScore = JSON.parse(fs.readFileSync(COMPANY_ORG_ABUSER_SCORE_FILE, 'utf-8'));
+    this.resetOrgNetworkIndex();
     this.companyLutLoaded = true;
     return Promise.resolve();
   }
@@ -225,6 +229,64 @@ class IPtoCompany {
     return retVal;
   }
 
+  /**
+   * Index the networks of every organization.
+   * The networks of the line are kept as line indexes (`2 * lineIdx + 1` for IPv6), those of the directLut as strings.
+   */
+  buildOrgNetworkIndex() {
+    const t0 = performance.now();
+    const orgNetworks = new Map();
+    this.companyLut.iterLut((network, obj, ipVersion, net, lineIdx) => {
+      const ref = lineIdx === undefined ? network : 2 * lineIdx + (ipVersion === 6 ? 1 : 0);
+      for (const orgId of Array.isArray(obj) ? obj : [obj]) {
+        const refs = orgNetworks.get(String(orgId));
+        if (refs) {
+          refs.push(ref);
+        } else {
+          orgNetworks.set(String(orgId), [ref]);
+        }
+      }
+    });
+    this.orgNetworks = orgNetworks;
+    log(`[IPtoCompany] Indexed the networks of ${orgNetworks.size} organizations in ${round((performance.now() - t0) / 1000, 2)}s`, 'INFO');
+  }
+
+  /**
+   * Drop the index of the organization networks, it refers to positions in the CompanyLut.
+   * Must be called after the CompanyLut was reloaded, the next search indexes it again.
+   */
+  resetOrgNetworkIndex() {
+    this.orgNetworks = null;
+  }
+
+  /**
+   * The networks of some organizations, the index is built on the first call.
+   *
+   * @param {Array<string>} orgIds
+   * @param {number} maxNetworks - Per organization
+   * @returns {object} - `{ networks, total }` by org id
+   */
+  getNetworksOfOrgs(orgIds, maxNetworks = 1000) {
+    if (!this.orgNetworks) {
+      this.buildOrgNetworkIndex();
+    }
+    const found = {};
+    for (const orgId of orgIds) {
+      const refs = this.orgNetworks.get(String(orgId)) || [];
+      found[orgId] = {
+        networks: refs.slice(0, maxNetworks).map((ref) => {
+          if (typeof ref === 'string') {
+            return ref;
+          }
+          const ipVersion = ref % 2 === 1 ? 6 : 4;
+          return getNetworkStr(this.companyLut.getNetwork(ipVersion, Math.floor(ref / 2)), ipVersion);
+        }),
+        total: refs.length,
+      };
+    }
+    return found;
+  }
+
   async getOrgNamesByIpCount(limit = 500) {
     let nameNumIps = {};
     const netsFileName = 'organisation_data/allNets.tsv';
@@ -0,0 +1,159 @@
+/**
+ * Search over the organizations of the companyIdLut, the reverse of the company lookup:
+ * which organizations match a name, a domain or an abuse email, optionally filtered by
+ * type and RIR. The index maps the words of the name, domain and abuse email to the org ids,
+ * it is built when the company database is loaded, not on the request path.
+ */
+const { performance } = require('perf_hooks');
+const { encodeType, encodeRir } = require('./types');
+const { API_ERROR_CODE } = require('./ipapi_is_worker_utils');
+const { log, round } = require('./utils');
+
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 100;
+
+/**
+ * The lower case words of a string, split at everything that is not a letter or digit.
+ */
+const tokenize = (str) => (typeof str === 'string' ? str.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean) : []);
+
+const normalizeDomain = (domain) => (typeof domain === 'string' ? domain.toLowerCase().trim().replace(/^www\./, '') : '');
+
+const addToIndex = (index, key, orgId) => {
+  const orgIds = index.get(key);
+  if (orgIds) {
+    orgIds.push(orgId);
+  } else {
+    index.set(key, [orgId]);
+  }
+};
+
+/**
+ * Parse `page` and `limit`.
+ *
+ * @param {string|number} page - 1 based
+ * @param {string|number} limit
+ * @param {number} maxLimit
+ * @returns {object} - `{ page, limit }` or an error object
+ */
+const parsePagination = (page = 1, limit = SEARCH_DEFAULT_LIMIT, maxLimit = SEARCH_MAX_LIMIT) => {
+  const parsedPage = Number(page);
+  const parsedLimit = Number(limit);
+  if (!Number.isInteger(parsedPage) || parsedPage < 1 || !Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > maxLimit) {
+    return {
+      error: `Invalid pagination: page must be a positive integer and limit between 1 and ${maxLimit}`,
+      error_code: API_ERROR_CODE.INVALID_SEARCH_QUERY,
+    };
+  }
+  return { page: parsedPage, limit: parsedLimit };
+};
+
+class CompanySearch {
+  /**
+   * @param {IPtoCompany} company - Its companyIdLut is indexed
+   */
+  constructor(company) {
+    this.company = company;
+    this.words = null;
+    this.domains = null;
+    this.buildIndex();
+  }
+
+  buildIndex() {
+    const t0 = performance.now();
+    const words = new Map();
+    const domains = new Map();
+    for (const orgId in this.company.companyIdLut) {
+      const { orgName, domain, email } = this.company.decode(orgId) || {};
+      const normalizedDomain = normalizeDomain(domain);
+      if (normalizedDomain && normalizedDomain !== 'null') {
+        addToIndex(domains, normalizedDomain, orgId);
+      }
+      for (const word of new Set([...tokenize(orgName), ...tokenize(normalizedDomain), ...tokenize(email)])) {
+        addToIndex(words, word, orgId);
+      }
+    }
+    this.words = words;
+    this.domains = domains;
+    log(`[CompanySearch] Indexed ${Object.keys(this.company.companyIdLut).length} organizations in ${round((performance.now() - t0) / 1000, 2)}s`, 'INFO');
+  }
+
+  /**
+   * Organizations whose name, domain or abuse email contain all words of `query`.
+   * Exact name matches come first, then names that start with the query.
+   *
+   * @param {object} options - `{ query, domain, type, rir, page, limit }`, domain matches the domain of the organization exactly
+   * @returns {object} - `{ total, page, limit, results }` or an error object
+   */
+  search({ query = '', domain = '', type = null, rir = null, page = 1, limit = SEARCH_DEFAULT_LIMIT } = {}) {
+    const words = tokenize(query);
+    const domainKey = normalizeDomain(domain);
+    if (words.length === 0 && !domainKey) {
+      return {
+        error: 'Invalid search: give a query (q) or a domain',
+        error_code: API_ERROR_CODE.INVALID_SEARCH_QUERY,
+      };
+    }
+    if (type && !encodeType(type)) {
+      return {
+        error: `Invalid type: ${type}, expected one of isp, hosting, banking, education, government, business`,
+        error_code: API_ERROR_CODE.INVALID_SEARCH_QUERY,
+      };
+    }
+    if (rir && !encodeRir(rir)) {
+      return {
+        error: `Invalid rir: ${rir}`,
+        error_code: API_ERROR_CODE.INVALID_SEARCH_QUERY,
+      };
+    }
+    const pagination = parsePagination(page, limit);
+    if (pagination.error) {
+      return pagination;
+    }
+
+    const lists = words.map((word) => this.words.get(word) || []);
+    if (domainKey) {
+      lists.push(this.domains.get(domainKey) || []);
+    }
+    lists.sort((a, b) => a.length - b.length);
+    const others = lists.slice(1).map((list) => new Set(list));
+    const candidates = lists[0].filter((orgId) => others.every((set) => set.has(orgId)));
+
+    const normalizedQuery = words.join(' ');
+    const matches = [];
+    for (const orgId of candidates) {
+      const org = this.company.decode(orgId);
+      if (!org || (type && org.type !== type.toLowerCase()) || (rir && (org.rir || '').toLowerCase() !== rir.toLowerCase())) {
+        continue;
+      }
+      const name = tokenize(org.orgName).join(' ');
+      const rank = name === normalizedQuery ? 0 : (normalizedQuery && name.startsWith(normalizedQuery) ? 1 : 2);
+      matches.push({ orgId, org, rank });
+    }
+    matches.sort((a, b) => a.rank - b.rank || (a.org.orgName || '').length - (b.org.orgName || '').length ||
+      (a.org.orgName || '').localeCompare(b.org.orgName || ''));
+
+    const offset = (pagination.page - 1) * pagination.limit;
+    return {
+      total: matches.length,
+      page: pagination.page,
+      limit: pagination.limit,
+      results: matches.slice(offset, offset + pagination.limit).map(({ orgId, org }) => ({
+        org_id: orgId,
+        name: org.orgName,
+        domain: org.domain && org.domain !== 'null' ? org.domain : undefined,
+        type: org.type,
+        rir: org.rir,
+        abuse: { name: org.name, address: org.address, email: org.email, phone: org.phone },
+      })),
+    };
+  }
+}
+
+module.exports = {
+  SEARCH_DEFAULT_LIMIT,
+  SEARCH_MAX_LIMIT,
+  tokenize,
+  parsePagination,
+  CompanySearch,
+};
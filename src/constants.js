@@ -14,6 +14,9 @@ const RAM_DB_DIR = fs.existsSync(alternativeRamDbDir)
   ? alternativeRamDbDir
   : path.join(__dirname, './../ipapi_database_ram/');
 
+// Installed versions of the RAM database, RAM_DB_DIR is a symlink to the active one
+const RAM_DB_VERSIONS_DIR = `${path.resolve(RAM_DB_DIR)}_versions/`;
+
 const localWhoisDataDir = path.join(__dirname, './../../ip_api_data/WHOIS_CRAWL/');
 const remoteWhoisDataDir = '/var/WHOIS_CRAWL/';
 const WHOIS_DATA_DIR = fs.existsSync(localWhoisDataDir)
@@ -72,6 +75,7 @@ module.exports = {
   // Database directories
   IP_API_DB_DIR,
   RAM_DB_DIR,
+  RAM_DB_VERSIONS_DIR,
 
   // ASN data files
   ASN_USED_AUTNUMS_FILE,
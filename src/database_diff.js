@@ -0,0 +1,267 @@
+/**
+ * Differences between two versions of the RAM database.
+ *
+ * For every table the networks of both versions are compared: a network is `added` or
+ * `removed` if it is only in one version, `changed` if its data differs. Ids are resolved
+ * with the lookup tables of each version, so a company that got a new org id is not a change,
+ * but a network whose geoname moved to another country is.
+ *
+ * The summary has the counts per table, the details are written as NDJSON, one change per line:
+ *   { "table": "geolocation", "change": "changed", "network": "1.2.3.0/24", "fields": ["country_code"], "old": {...}, "new": {...} }
+ */
+const fs = require('fs');
+const path = require('path');
+const { FastLut } = require('./fast_lut');
+const { RAM_DB_DIR } = require('./constants');
+const { listVersions } = require('./database_versions');
+const { log } = require('./utils');
+
+const WRITE_BATCH_SIZE = 5000;
+
+const readLookupTable = (dir, file) => {
+  const lookupFile = path.join(dir, 'LookupTables', file);
+  return fs.existsSync(lookupFile) ? JSON.parse(fs.readFileSync(lookupFile, 'utf-8')) : {};
+};
+
+/**
+ * `resolver(dir)` returns a function that turns an object of the LUT of the version in
+ * `dir` into the value that is compared. Tables without a resolver compare the objects.
+ */
+const DIFF_TABLES = Object.freeze({
+  asn: { lut: 'AsnLut' },
+  company: {
+    lut: 'CompanyLut',
+    resolver: (dir) => {
+      const companyIdLut = readLookupTable(dir, 'companyIdLut.json');
+      return (orgId) => {
+        const [name, domain] = (companyIdLut[orgId] || '').split('\t');
+        return { name: name || null, domain: domain || null };
+      };
+    },
+  },
+  datacenter: { lut: 'HostingLut' },
+  geolocation: {
+    lut: 'FinalLut',
+    resolver: (dir) => {
+      const geonameLut = readLookupTable(dir, 'geonameIdLut.json');
+      return (geonameId) => {
+        const [countryCode, state, city] = (geonameLut[geonameId] || '').split('_');
+        return {
+          geoname_id: geonameId,
+          country_code: countryCode ? countryCode.toUpperCase().trim() : null,
+          state: state || null,
+          city: city || null,
+        };
+      };
+    },
+  },
+  tor: { lut: 'TorLut' },
+  proxy: { lut: 'ProxyLut' },
+  vpn: { lut: 'VpnLut' },
+  named_vpn: { lut: 'NamedVpnLut' },
+  interpolated_vpn: { lut: 'InterpolatedVpnLut' },
+  abuser: { lut: 'AbuserLut' },
+  mobile: { lut: 'MobileLut' },
+  satellite: { lut: 'SatelliteLut' },
+  crawler: { lut: 'CrawlerAndBotsLut' },
+  clean: { lut: 'CleanLut' },
+});
+
+const DIFF_TABLE_NAMES = Object.keys(DIFF_TABLES);
+
+/**
+ * The directory of a database version: a path, `active` for the installed
+ * version, or the name or RAM_DB_VERSION of a version listed by listVersions().
+ *
+ * @param {string} ref
+ * @returns {string}
+ */
+const resolveVersionDir = (ref) => {
+  if (ref === 'active') {
+    return fs.realpathSync(path.resolve(RAM_DB_DIR));
+  }
+  if (fs.existsSync(ref) && fs.statSync(ref).isDirectory()) {
+    return path.resolve(ref);
+  }
+  const version = listVersions().find(({ name, version }) => name === ref || version === ref);
+  if (!version) {
+    throw new Error(`${ref} is neither a directory nor an installed database version`);
+  }
+  return version.dir;
+};
+
+const readVersion = (dir) => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'version.json'), 'utf-8')).RAM_DB_VERSION || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const loadLut = (dir, name) => {
+  const lutDir = path.join(dir, name);
+  if (!fs.existsSync(lutDir)) {
+    return null;
+  }
+  const lut = new FastLut(name);
+  lut.ramDbStoreDir = `${lutDir}/`;
+  const status = lut.loadPersistedLut();
+  if (status !== 'success') {
+    throw new Error(`Loading ${lutDir} failed: ${status}`);
+  }
+  return lut;
+};
+
+/**
+ * Resolves objects of one version, each distinct object once.
+ */
+const createValueCache = (table, dir) => {
+  const resolve = DIFF_TABLES[table].resolver ? DIFF_TABLES[table].resolver(dir) : (obj) => obj;
+  const cache = new Map();
+  return (objKey) => {
+    if (!cache.has(objKey)) {
+      const value = resolve(JSON.parse(objKey));
+      cache.set(objKey, { value, key: JSON.stringify(value) });
+    }
+    return cache.get(objKey);
+  };
+};
+
+/**
+ * Top level fields whose values differ, for objects only.
+ */
+const changedFields = (oldValue, newValue) => {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(oldValue) || !isObject(newValue)) {
+    return [];
+  }
+  const keys = new Set([...Object.keys(oldValue), ...Object.keys(newValue)]);
+  return Array.from(keys).filter((key) => JSON.stringify(oldValue[key]) !== JSON.stringify(newValue[key])).sort();
+};
+
+/**
+ * Compare one table of two database versions. The networks of the old version are
+ * held in memory while the new version is iterated.
+ *
+ * @param {string} table - One of DIFF_TABLES
+ * @param {string} oldDir
+ * @param {string} newDir
+ * @param {function} onChange - Called with every change, may be null
+ * @returns {object} - The summary of the table
+ */
+const diffTable = (table, oldDir, newDir, onChange = null) => {
+  const oldLut = loadLut(oldDir, DIFF_TABLES[table].lut);
+  const newLut = loadLut(newDir, DIFF_TABLES[table].lut);
+  if (!oldLut || !newLut) {
+    return { skipped: oldLut || newLut ? `not in the ${oldLut ? 'new' : 'old'} version` : 'not in either version' };
+  }
+
+  const summary = { old_networks: 0, new_networks: 0, added: 0, removed: 0, changed: 0, changed_fields: {} };
+  const oldValue = createValueCache(table, oldDir);
+  const newValue = createValueCache(table, newDir);
+  const report = (change) => {
+    summary[change.change]++;
+    if (onChange) {
+      onChange({ table, ...change });
+    }
+  };
+
+  const oldNetworks = new Map();
+  oldLut.iterLut((network, obj) => {
+    oldNetworks.set(network, JSON.stringify(obj));
+  });
+  summary.old_networks = oldNetworks.size;
+
+  newLut.iterLut((network, obj) => {
+    summary.new_networks++;
+    const newKey = JSON.stringify(obj);
+    const oldKey = oldNetworks.get(network);
+    if (oldKey === undefined) {
+      report({ change: 'added', network, new: newValue(newKey).value });
+      return;
+    }
+    oldNetworks.delete(network);
+    if (oldKey === newKey && !DIFF_TABLES[table].resolver) {
+      return;
+    }
+    const before = oldValue(oldKey);
+    const after = newValue(newKey);
+    if (before.key !== after.key) {
+      const fields = changedFields(before.value, after.value);
+      for (const field of fields) {
+        summary.changed_fields[field] = (summary.changed_fields[field] || 0) + 1;
+      }
+      report({ change: 'changed', network, fields, old: before.value, new: after.value });
+    }
+  });
+
+  for (const [network, oldKey] of oldNetworks) {
+    report({ change: 'removed', network, old: oldValue(oldKey).value });
+  }
+  return summary;
+};
+
+/**
+ * Compare two database versions.
+ *
+ * @param {string} oldDir
+ * @param {string} newDir
+ * @param {object} options - `{ tables, out }`, out is the NDJSON file for the details, none if not given
+ * @returns {object} - `{ old_version, new_version, tables }`, tables has the summary of every table
+ */
+const diffDatabases = (oldDir, newDir, { tables = DIFF_TABLE_NAMES, out = null } = {}) => {
+  for (const table of tables) {
+    if (!DIFF_TABLES[table]) {
+      throw new Error(`Unknown table: ${table}, expected one of ${DIFF_TABLE_NAMES.join(', ')}`);
+    }
+  }
+
+  let fd = null;
+  let tmpFile = null;
+  let batch = [];
+  const flush = () => {
+    fs.writeSync(fd, batch.join('\n') + '\n');
+    batch = [];
+  };
+  if (out) {
+    fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+    tmpFile = `${out}.${process.pid}.tmp`;
+    fd = fs.openSync(tmpFile, 'w');
+  }
+
+  const result = { old_version: readVersion(oldDir), new_version: readVersion(newDir), tables: {} };
+  let finished = false;
+  try {
+    for (const table of tables) {
+      result.tables[table] = diffTable(table, oldDir, newDir, fd === null ? null : (change) => {
+        batch.push(JSON.stringify(change));
+        if (batch.length >= WRITE_BATCH_SIZE) {
+          flush();
+        }
+      });
+      log(`[diffDatabases] ${table}: ${JSON.stringify(result.tables[table])}`, 'INFO');
+    }
+    if (fd !== null && batch.length > 0) {
+      flush();
+    }
+    finished = true;
+  } finally {
+    if (fd !== null) {
+      fs.closeSync(fd);
+      if (finished) {
+        fs.renameSync(tmpFile, out);
+      } else {
+        fs.rmSync(tmpFile, { force: true });
+      }
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  DIFF_TABLES,
+  DIFF_TABLE_NAMES,
+  resolveVersionDir,
+  diffTable,
+  diffDatabases,
+};
@@ -0,0 +1,404 @@
+/**
+ * Versioned installs of the RAM database.
+ *
+ * Every version lives in its own directory below RAM_DB_VERSIONS_DIR, named
+ * `<install time>_<RAM_DB_VERSION>`. RAM_DB_DIR is a symlink to the active version,
+ * so switching versions is a single rename and a worker never sees a half extracted database.
+ *
+ * A version is installed in three steps:
+ *   1. verify the files against the SHA-256 hashes of its manifest.json
+ *   2. smoke test: load every FastLut and look up an IPv4 and an IPv6 address
+ *   3. move it below RAM_DB_VERSIONS_DIR and switch the symlink
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { FastLut } = require('./fast_lut');
+const { SHARED_LUT_NAMES } = require('./shared_lut_store');
+const { RAM_DB_DIR, RAM_DB_VERSIONS_DIR } = require('./constants');
+const { parseUpdateSource } = require('./update_sources');
+const { log } = require('./utils');
+
+const MANIFEST_FILE = 'manifest.json';
+const VERSION_FILE = 'version.json';
+const DEFAULT_KEEP_VERSIONS = 3;
+const SMOKE_TEST_IPS = ['8.8.8.8', '2001:4860:4860::8888'];
+
+// without the trailing slash, lstat() would follow the symlink
+const RAM_DB_LINK = path.resolve(RAM_DB_DIR);
+
+/**
+ * The `databaseUpdate` options of the config with their defaults.
+ *
+ * @param {object} apiConfig
+ * @returns {object} - `{ keepVersions, requireManifest, source }`, source is a result of parseUpdateSource()
+ */
+const getDatabaseUpdateOptions = (apiConfig = {}) => {
+  const options = apiConfig.databaseUpdate || {};
+  return {
+    keepVersions: Number.isInteger(options.keepVersions) && options.keepVersions >= 0
+      ? options.keepVersions
+      : DEFAULT_KEEP_VERSIONS,
+    requireManifest: !!options.requireManifest,
+    source: parseUpdateSource(options.source, options.downloadKey),
+  };
+};
+
+const hashFile = async (file) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(file), hash);
+  return hash.digest('hex');
+};
+
+/**
+ * All files below `dir`, as paths relative to it, without the manifest.
+ */
+const listFiles = (dir, prefix = '') => {
+  let files = [];
+  for (const entry of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+    const relPath = path.posix.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      files = files.concat(listFiles(dir, relPath));
+    } else if (entry.isFile() && relPath !== MANIFEST_FILE) {
+      files.push(relPath);
+    }
+  }
+  return files.sort();
+};
+
+const readDatabaseVersion = (dir) => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, VERSION_FILE), 'utf-8')).RAM_DB_VERSION || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Write the manifest.json of a database directory.
+ *
+ * @param {string} dir
+ * @param {boolean} verified - false if the files were never checked against hashes of the publisher
+ * @returns {Promise<object>} - The manifest
+ */
+const createManifest = async (dir, verified = true) => {
+  const files = {};
+  for (const file of listFiles(dir)) {
+    files[file] = await hashFile(path.join(dir, file));
+  }
+  const manifest = {
+    version: readDatabaseVersion(dir),
+    created: new Date().toISOString(),
+    algorithm: 'sha256',
+    verified: verified,
+    files: files,
+  };
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  return manifest;
+};
+
+/**
+ * Whether the files of a database directory were checked against a manifest.json of the publisher.
+ * Databases without one only passed the smoke test, their manifest is created with `verified: false`.
+ *
+ * @param {string} dir
+ * @returns {boolean}
+ */
+const isVerifiedDatabase = (dir) => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf-8')).verified !== false;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Check the files of a database directory against its manifest.json.
+ * Files that are not in the manifest are reported, but do not fail the check.
+ *
+ * @param {string} dir
+ * @returns {Promise<object>} - `{ ok, error, missing, mismatched, unlisted }`
+ */
+const verifyManifest = async (dir) => {
+  const result = { ok: false, error: null, missing: [], mismatched: [], unlisted: [] };
+  let manifest = null;
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf-8'));
+  } catch (err) {
+    result.error = `Cannot read ${MANIFEST_FILE}: ${err.message}`;
+    return result;
+  }
+  if (manifest.algorithm !== 'sha256' || !manifest.files || typeof manifest.files !== 'object') {
+    result.error = `${MANIFEST_FILE} has no sha256 hashes`;
+    return result;
+  }
+
+  const present = new Set(listFiles(dir));
+  for (const file in manifest.files) {
+    if (!present.has(file)) {
+      result.missing.push(file);
+    } else if (await hashFile(path.join(dir, file)) !== manifest.files[file]) {
+      result.mismatched.push(file);
+    }
+    present.delete(file);
+  }
+  result.unlisted = Array.from(present);
+  result.ok = result.missing.length === 0 && result.mismatched.length === 0;
+  if (!result.ok) {
+    result.error = `${result.missing.length} files missing, ${result.mismatched.length} files with a wrong hash`;
+  }
+  return result;
+};
+
+/**
+ * Load every FastLut of a database directory and look up a few IPs.
+ * LUTs of the active version must also exist in the new one.
+ *
+ * @param {string} dir
+ * @returns {object} - `{ ok, error, luts }`
+ */
+const smokeTestDatabase = (dir) => {
+  const activeDir = getActiveVersionDir();
+  const luts = [];
+  for (const name of SHARED_LUT_NAMES) {
+    const lutDir = path.join(dir, name);
+    if (!fs.existsSync(lutDir)) {
+      if (activeDir && fs.existsSync(path.join(activeDir, name))) {
+        return { ok: false, error: `${name} is missing`, luts };
+      }
+      continue;
+    }
+    try {
+      const lut = new FastLut(name);
+      lut.ramDbStoreDir = `${lutDir}/`;
+      const status = lut.loadPersistedLut();
+      if (status !== 'success') {
+        return { ok: false, error: `Loading ${name} failed: ${status}`, luts };
+      }
+      for (const ip of SMOKE_TEST_IPS) {
+        lut.fastLookup(ip);
+      }
+      luts.push(name);
+    } catch (err) {
+      return { ok: false, error: `Loading ${name} failed: ${err.message}`, luts };
+    }
+  }
+  if (luts.length === 0) {
+    return { ok: false, error: 'No lookup tables found', luts };
+  }
+  return { ok: true, error: null, luts };
+};
+
+/**
+ * The directory of the active version, null if RAM_DB_DIR does not exist.
+ * Before the first versioned install RAM_DB_DIR is a plain directory.
+ */
+const getActiveVersionDir = () => {
+  try {
+    return fs.realpathSync(RAM_DB_LINK);
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * The installed versions, the most recent first.
+ *
+ * @returns {Array<object>} - `{ name, version, dir, active, verified }`
+ */
+const listVersions = () => {
+  if (!fs.existsSync(RAM_DB_VERSIONS_DIR)) {
+    return [];
+  }
+  const activeDir = getActiveVersionDir();
+  return fs.readdirSync(RAM_DB_VERSIONS_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map((entry) => {
+      const dir = path.join(RAM_DB_VERSIONS_DIR, entry.name);
+      return {
+        name: entry.name,
+        version: readDatabaseVersion(dir),
+        dir: dir,
+        active: fs.realpathSync(dir) === activeDir,
+        verified: isVerifiedDatabase(dir),
+      };
+    })
+    .sort((a, b) => b.name.localeCompare(a.name));
+};
+
+/**
+ * A new directory below RAM_DB_VERSIONS_DIR, names sort by install time.
+ */
+const newVersionDir = (version, installed = new Date()) => {
+  const ts = installed.toISOString().replace(/[-:.]/g, '');
+  const name = `${ts}_${String(version || 'unknown').replace(/[^\w.-]/g, '_')}`;
+  let dir = path.join(RAM_DB_VERSIONS_DIR, name);
+  for (let i = 1; fs.existsSync(dir); i++) {
+    dir = path.join(RAM_DB_VERSIONS_DIR, `${name}-${i}`);
+  }
+  return dir;
+};
+
+/**
+ * Point RAM_DB_DIR to a version directory. A symlink is renamed over the old one,
+ * which is atomic. A plain RAM_DB_DIR of an installation from before versioning
+ * is moved below RAM_DB_VERSIONS_DIR first, so it can be rolled back to.
+ *
+ * @param {string} dir
+ */
+const switchToVersion = (dir) => {
+  fs.mkdirSync(RAM_DB_VERSIONS_DIR, { recursive: true });
+  const stat = fs.lstatSync(RAM_DB_LINK, { throwIfNoEntry: false });
+  if (stat && stat.isDirectory()) {
+    const legacyDir = newVersionDir(readDatabaseVersion(RAM_DB_LINK), stat.mtime);
+    log(`[switchToVersion] Moving the unversioned ${RAM_DB_LINK} to ${legacyDir}`, 'INFO');
+    fs.renameSync(RAM_DB_LINK, legacyDir);
+  }
+  const tmpLink = `${RAM_DB_LINK}.${process.pid}.tmp`;
+  fs.rmSync(tmpLink, { force: true });
+  fs.symlinkSync(dir, tmpLink, 'dir');
+  fs.renameSync(tmpLink, RAM_DB_LINK);
+  log(`[switchToVersion] ${RAM_DB_LINK} now points to ${dir}`, 'INFO');
+};
+
+/**
+ * Delete all but the active version and the `keepVersions` most recent other versions.
+ *
+ * @param {number} keepVersions
+ * @returns {Array<string>} - The deleted version directories
+ */
+const pruneVersions = (keepVersions = DEFAULT_KEEP_VERSIONS) => {
+  const removed = [];
+  const inactive = listVersions().filter((version) => !version.active);
+  for (const { dir } of inactive.slice(keepVersions)) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    removed.push(dir);
+  }
+  if (removed.length > 0) {
+    log(`[pruneVersions] Deleted ${removed.length} old database versions`, 'INFO');
+  }
+  return removed;
+};
+
+/**
+ * The database root in an extracted archive, which may contain it in a single subdirectory.
+ */
+const findDatabaseRoot = (dir) => {
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+  const isRoot = entries.some((entry) => entry.name === VERSION_FILE || SHARED_LUT_NAMES.includes(entry.name));
+  if (!isRoot && entries.length === 1 && entries[0].isDirectory()) {
+    return findDatabaseRoot(path.join(dir, entries[0].name));
+  }
+  return dir;
+};
+
+/**
+ * Verify, smoke test and activate a staged database directory. The directory is moved
+ * below RAM_DB_VERSIONS_DIR, it should be on the same file system.
+ * If anything fails, the staged directory is deleted and the active version is untouched.
+ *
+ * @param {string} stagedDir - An extracted database
+ * @param {object} options - Result of getDatabaseUpdateOptions()
+ * @returns {Promise<object>} - `{ ok, error, version, dir, verified }`
+ */
+const installDatabaseVersion = async (stagedDir, options = getDatabaseUpdateOptions()) => {
+  const fail = (error) => {
+    log(`[installDatabaseVersion] Not installing ${stagedDir}: ${error}`, 'ERROR');
+    fs.rmSync(stagedDir, { recursive: true, force: true });
+    return { ok: false, error: error, version: null, dir: null, verified: false };
+  };
+
+  const root = findDatabaseRoot(stagedDir);
+  const version = readDatabaseVersion(root);
+  const verified = fs.existsSync(path.join(root, MANIFEST_FILE));
+
+  if (verified) {
+    const verified = await verifyManifest(root);
+    if (!verified.ok) {
+      return fail(`Manifest check failed: ${verified.error}`);
+    }
+    if (verified.unlisted.length > 0) {
+      log(`[installDatabaseVersion] Files not in the manifest: ${verified.unlisted.join(', ')}`, 'WARN');
+    }
+  } else if (options.requireManifest) {
+    return fail(`No ${MANIFEST_FILE} in the database`);
+  } else {
+    log(`[installDatabaseVersion] No ${MANIFEST_FILE} in the database, it is NOT verified and only smoke tested. ` +
+      'Set `databaseUpdate.requireManifest` to refuse such databases', 'WARN');
+  }
+
+  const smokeTest = smokeTestDatabase(root);
+  if (!smokeTest.ok) {
+    return fail(`Smoke test failed: ${smokeTest.error}`);
+  }
+  if (!verified) {
+    await createManifest(root, false);
+  }
+
+  fs.mkdirSync(RAM_DB_VERSIONS_DIR, { recursive: true });
+  const dir = newVersionDir(version);
+  fs.renameSync(root, dir);
+  if (root !== stagedDir) {
+    fs.rmSync(stagedDir, { recursive: true, force: true });
+  }
+  switchToVersion(dir);
+  pruneVersions(options.keepVersions);
+  log(`[installDatabaseVersion] Installed ${verified ? 'verified' : 'unverified'} database version ${version} ` +
+    `(${smokeTest.luts.length} LUTs) to ${dir}`, verified ? 'INFO' : 'WARN');
+  return { ok: true, error: null, version: version, dir: dir, verified: verified };
+};
+
+/**
+ * Switch back to an installed version, by default to the one installed before the active one.
+ * The files are checked against the manifest, or smoke tested if there is none, before switching.
+ *
+ * @param {string|null} name - Directory name or RAM_DB_VERSION of the version
+ * @returns {Promise<object>} - `{ ok, error, version, dir }`
+ */
+const rollbackDatabase = async (name = null) => {
+  const versions = listVersions();
+  const activeIdx = versions.findIndex((version) => version.active);
+  let target = null;
+  if (name) {
+    target = versions.find((version) => version.name === name || version.version === name);
+  } else {
+    target = versions.slice(activeIdx + 1).find((version) => !version.active);
+  }
+  if (!target) {
+    return { ok: false, error: name ? `Version ${name} is not installed` : 'No previous version installed' };
+  }
+  if (target.active) {
+    return { ok: false, error: `Version ${target.name} is already active` };
+  }
+
+  if (fs.existsSync(path.join(target.dir, MANIFEST_FILE))) {
+    const verified = await verifyManifest(target.dir);
+    if (!verified.ok) {
+      return { ok: false, error: `Manifest check of ${target.name} failed: ${verified.error}` };
+    }
+  } else {
+    // the unversioned database of an installation from before versioning has no manifest
+    const smokeTest = smokeTestDatabase(target.dir);
+    if (!smokeTest.ok) {
+      return { ok: false, error: `Smoke test of ${target.name} failed: ${smokeTest.error}` };
+    }
+  }
+  switchToVersion(target.dir);
+  log(`[rollbackDatabase] Rolled back to database version ${target.version} (${target.name})`, 'INFO');
+  return { ok: true, error: null, version: target.version, dir: target.dir };
+};
+
+module.exports = {
+  MANIFEST_FILE,
+  getDatabaseUpdateOptions,
+  createManifest,
+  isVerifiedDatabase,
+  verifyManifest,
+  smokeTestDatabase,
+  listVersions,
+  switchToVersion,
+  pruneVersions,
+  installDatabaseVersion,
+  rollbackDatabase,
+};
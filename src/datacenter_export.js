@@ -0,0 +1,230 @@
+/**
+ * The ranges of datacenter providers as block or allow lists for firewalls and proxies.
+ *
+ * The networks of a provider in the HostingLut overlap and are often adjacent, they are
+ * merged and split into the fewest CIDRs. Formats:
+ *   - text: one CIDR per line
+ *   - json: `{ providers: [{ provider, ipv4, ipv6 }] }`
+ *   - nginx: `deny 1.2.3.0/24;` lines for an include file
+ *   - iptables: an iptables-restore file with one chain, IPv4 only unless ipVersion is 6 (ip6tables-restore),
+ *     load it with `--noflush`, otherwise the whole filter table is replaced
+ *   - ipset: an `ipset restore` file with one hash:net set per address family
+ *   - haproxy: an ACL file for `acl <name> src -f <file>`
+ */
+const { parseNetwork, rangeToPrefixes } = require('./mmdb_writer');
+const { API_ERROR_CODE } = require('./ipapi_is_worker_utils');
+
+const DATACENTER_EXPORT_FORMATS = ['text', 'json', 'nginx', 'iptables', 'ipset', 'haproxy'];
+const DATACENTER_EXPORT_ACTIONS = ['deny', 'allow'];
+const DEFAULT_EXPORT_NAME = 'ipapi-datacenter';
+const IPSET_MIN_MAXELEM = 65536;
+
+/**
+ * The provider of a HostingLut object, the same as in IPtoDatacenter.ipSpaceSummary().
+ */
+const getProviderName = (obj) => {
+  let provider = null;
+  if (Array.isArray(obj)) {
+    provider = obj[0];
+  } else if (obj) {
+    provider = obj.datacenter;
+  }
+  if (typeof provider === 'string' && provider.startsWith('The activity you have detected originates from a dynamic hosting environment.')) {
+    provider = 'Amazon AWS';
+  }
+  return typeof provider === 'string' ? provider : null;
+};
+
+const formatIp = (value, version) => {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map((shift) => ((value >> shift) & 0xffn).toString()).join('.');
+  }
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((value >> shift) & 0xffffn).toString(16));
+  }
+  // RFC 5952: the longest run of at least two zero groups becomes ::
+  let best = { start: -1, length: 1 };
+  for (let i = 0; i < groups.length; i++) {
+    let length = 0;
+    while (groups[i + length] === '0') {
+      length++;
+    }
+    if (length > best.length) {
+      best = { start: i, length };
+    }
+  }
+  if (best.start === -1) {
+    return groups.join(':');
+  }
+  return `${groups.slice(0, best.start).join(':')}::${groups.slice(best.start + best.length).join(':')}`;
+};
+
+/**
+ * Merge overlapping and adjacent ranges.
+ *
+ * @param {Array<Array>} ranges - `[[start, end], ...]` with BigInt bounds
+ * @returns {Array<Array>} - The merged ranges, sorted by start
+ */
+const mergeRanges = (ranges) => {
+  const sorted = ranges.slice().sort((a, b) => (a[0] < b[0] ? -1 : (a[0] > b[0] ? 1 : 0)));
+  const merged = [];
+  for (const [start, end] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + 1n) {
+      if (end > last[1]) {
+        last[1] = end;
+      }
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+};
+
+/**
+ * Merge overlapping and adjacent ranges and split them into CIDRs.
+ *
+ * @param {Array<Array>} ranges - `[[start, end], ...]` with BigInt bounds
+ * @param {number} version - 4 or 6
+ * @returns {Array<string>}
+ */
+const aggregateRanges = (ranges, version) => {
+  const bits = version === 4 ? 32 : 128;
+  return mergeRanges(ranges).flatMap(([start, end]) => rangeToPrefixes(start, end, bits).map(([prefix, length]) => `${formatIp(prefix, version)}/${length}`));
+};
+
+/**
+ * The aggregated ranges of some providers.
+ *
+ * @param {FastLut} hostingLut
+ * @param {Array<string>} providers - Provider names, case insensitive
+ * @param {number|null} ipVersion - 4, 6 or null for both
+ * @returns {object} - `{ providers: [{ provider, ipv4, ipv6 }] }` or an error object if a provider is unknown
+ */
+const exportDatacenterRanges = (hostingLut, providers, ipVersion = null) => {
+  const wanted = new Set(providers.map((provider) => provider.toLowerCase().trim()));
+  const found = new Map();
+  hostingLut.iterLut((network, obj) => {
+    const provider = getProviderName(obj);
+    if (!provider || !wanted.has(provider.toLowerCase())) {
+      return;
+    }
+    const range = parseNetwork(network);
+    if (!range || (ipVersion && range.version !== ipVersion)) {
+      return;
+    }
+    const key = provider.toLowerCase();
+    if (!found.has(key)) {
+      found.set(key, { provider, 4: [], 6: [] });
+    }
+    found.get(key)[range.version].push([range.start, range.end]);
+  }, ipVersion || 'both');
+
+  const unknown = Array.from(wanted).filter((provider) => !found.has(provider));
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown datacenter providers or no ${ipVersion ? `IPv${ipVersion} ` : ''}ranges: ${unknown.join(', ')}`,
+      error_code: API_ERROR_CODE.DATACENTER_PROVIDER_NOT_FOUND,
+    };
+  }
+
+  return {
+    providers: Array.from(found.values()).map((entry) => ({
+      provider: entry.provider,
+      ipv4: aggregateRanges(entry[4], 4),
+      ipv6: aggregateRanges(entry[6], 6),
+    })),
+  };
+};
+
+/**
+ * Render the result of exportDatacenterRanges().
+ *
+ * @param {object} exported
+ * @param {string} format - One of DATACENTER_EXPORT_FORMATS
+ * @param {object} options - `{ action, name, ipVersion }`, name is the iptables chain or ipset set
+ * @returns {object} - `{ contentType, body }`
+ */
+const renderDatacenterRanges = (exported, format, { action = 'deny', name = DEFAULT_EXPORT_NAME, ipVersion = null } = {}) => {
+  if (format === 'json') {
+    return { contentType: 'application/json', body: JSON.stringify(exported) };
+  }
+  const families = ipVersion ? [ipVersion] : [4, 6];
+  const cidrsOf = (entry, version) => (families.includes(version) ? entry[`ipv${version}`] : []);
+  const lines = [];
+
+  if (format === 'iptables') {
+    // iptables-restore and ip6tables-restore take one address family each
+    const version = ipVersion === 6 ? 6 : 4;
+    const chain = name.toUpperCase();
+    lines.push(`# Load with: ${version === 6 ? 'ip6tables' : 'iptables'}-restore --noflush < file`, '*filter', `:${chain} - [0:0]`);
+    for (const entry of exported.providers) {
+      const comment = entry.provider.replace(/["\\]/g, '').slice(0, 255);
+      for (const cidr of entry[`ipv${version}`]) {
+        lines.push(`-A ${chain} -s ${cidr} -m comment --comment "${comment}" -j ${action === 'allow' ? 'ACCEPT' : 'DROP'}`);
+      }
+    }
+    lines.push('COMMIT');
+  } else if (format === 'ipset') {
+    for (const version of families) {
+      const set = `${name}-v${version}`;
+      const cidrs = exported.providers.flatMap((entry) => entry[`ipv${version}`]);
+      lines.push(`create ${set} hash:net family ${version === 6 ? 'inet6' : 'inet'} maxelem ${Math.max(IPSET_MIN_MAXELEM, cidrs.length)} -exist`);
+      lines.push(...cidrs.map((cidr) => `add ${set} ${cidr} -exist`));
+    }
+  } else {
+    for (const entry of exported.providers) {
+      if (format !== 'text') {
+        lines.push(`# ${entry.provider}`);
+      }
+      for (const cidr of [...cidrsOf(entry, 4), ...cidrsOf(entry, 6)]) {
+        lines.push(format === 'nginx' ? `${action} ${cidr};` : cidr);
+      }
+    }
+  }
+  return { contentType: 'text/plain', body: lines.length > 0 ? `${lines.join('\n')}\n` : '' };
+};
+
+/**
+ * Validate the options of an export.
+ *
+ * @param {object} options - `{ providers, format, action, name, ipVersion }`, providers as list or comma separated
+ * @returns {object} - The parsed options or an error object
+ */
+const parseDatacenterExportOptions = ({ providers, format = 'text', action = 'deny', name = DEFAULT_EXPORT_NAME, ipVersion = null } = {}) => {
+  const invalid = (error) => ({ error, error_code: API_ERROR_CODE.INVALID_EXPORT_OPTIONS });
+  const providerList = (Array.isArray(providers) ? providers : String(providers || '').split(','))
+    .map((provider) => String(provider).trim())
+    .filter(Boolean);
+  if (providerList.length === 0) {
+    return invalid('Give one or more datacenter providers, e.g. provider=Amazon AWS,Hetzner');
+  }
+  format = String(format).toLowerCase();
+  if (!DATACENTER_EXPORT_FORMATS.includes(format)) {
+    return invalid(`Invalid format: ${format}, expected one of ${DATACENTER_EXPORT_FORMATS.join(', ')}`);
+  }
+  action = String(action).toLowerCase();
+  if (!DATACENTER_EXPORT_ACTIONS.includes(action)) {
+    return invalid(`Invalid action: ${action}, expected one of ${DATACENTER_EXPORT_ACTIONS.join(', ')}`);
+  }
+  // ipset names have at most 31 characters, iptables chains 28
+  if (!/^[A-Za-z0-9_-]{1,24}$/.test(String(name))) {
+    return invalid('Invalid name: use at most 24 letters, digits, - and _');
+  }
+  const version = ipVersion === null || ipVersion === undefined || ipVersion === '' ? null : Number(ipVersion);
+  if (version !== null && version !== 4 && version !== 6) {
+    return invalid(`Invalid ip_version: ${ipVersion}, expected 4 or 6`);
+  }
+  return { providers: providerList, format, action, name: String(name), ipVersion: version };
+};
+
+module.exports = {
+  DATACENTER_EXPORT_FORMATS,
+  DATACENTER_EXPORT_ACTIONS,
+  parseDatacenterExportOptions,
+  mergeRanges,
+  aggregateRanges,
+  exportDatacenterRanges,
+  renderDatacenterRanges,
+};
@@ -84,28 +84,54 @@ function checkFileExistsAndValid(filePath, fileName) {
   }
 }
 
+// The checks that must pass, in the order they are performed
+const REQUIRED_CHECKS = [
+  // Check required directories
+  [checkDirectoryExists, RAM_DB_DIR, 'RAM_DB_DIR'],
+  // Check ASN files
+  [checkFileExistsAndValid, ASN_USED_AUTNUMS_RAM_DB_FILE, 'ASN_USED_AUTNUMS_RAM_DB_FILE'],
+  [checkFileExistsAndValid, ASN_ABUSER_SCORE_FILE, 'ASN_ABUSER_SCORE_FILE'],
+  [checkFileExistsAndValid, ASN_DATA_RAM_DB_FILE, 'ASN_DATA_RAM_DB_FILE'],
+  // Check Company and Geolocation files
+  [checkFileExistsAndValid, COMPANY_LUT_FILE, 'COMPANY_LUT_FILE'],
+  [checkFileExistsAndValid, COMPANY_ORG_ABUSER_SCORE_FILE, 'COMPANY_ORG_ABUSER_SCORE_FILE'],
+  [checkFileExistsAndValid, GEONAME_ID_LUT_FILE, 'GEONAME_ID_LUT_FILE'],
+];
+
 /**
  * Perform all environment checks
  * @throws {Error} If any check fails
  */
 function performEnvironmentChecks() {
-  // Check required directories
-  checkDirectoryExists(RAM_DB_DIR, 'RAM_DB_DIR');
   checkDirectoryExistsWithWarning(WHOIS_DATA_DIR, 'WHOIS_DATA_DIR');
 
-  // Check ASN files
-  checkFileExistsAndValid(ASN_USED_AUTNUMS_RAM_DB_FILE, 'ASN_USED_AUTNUMS_RAM_DB_FILE');
-  checkFileExistsAndValid(ASN_ABUSER_SCORE_FILE, 'ASN_ABUSER_SCORE_FILE');
-  checkFileExistsAndValid(ASN_DATA_RAM_DB_FILE, 'ASN_DATA_RAM_DB_FILE');
-
-  // Check Company and Geolocation files
-  checkFileExistsAndValid(COMPANY_LUT_FILE, 'COMPANY_LUT_FILE');
-  checkFileExistsAndValid(COMPANY_ORG_ABUSER_SCORE_FILE, 'COMPANY_ORG_ABUSER_SCORE_FILE');
-  checkFileExistsAndValid(GEONAME_ID_LUT_FILE, 'GEONAME_ID_LUT_FILE');
+  for (const [check, checkPath, name] of REQUIRED_CHECKS) {
+    check(checkPath, name);
+  }
 
   log('All environment checks passed successfully!', 'DEBUG');
 }
 
+/**
+ * Run all environment checks without throwing, for the health endpoints
+ * @returns {object} - `{ ok, checks }` with one `{ name, ok, error }` entry per check
+ */
+function getEnvironmentCheckResults() {
+  const checks = REQUIRED_CHECKS.map(([check, checkPath, name]) => {
+    try {
+      check(checkPath, name);
+      return { name, ok: true, error: null };
+    } catch (error) {
+      return { name, ok: false, error: error.message };
+    }
+  });
+
+  return {
+    ok: checks.every((result) => result.ok),
+    checks,
+  };
+}
+
 /**
  * Main function to run environment checks
  * Can be called directly or imported as a module
@@ -122,6 +148,7 @@ if (require.main === module) {
 
 module.exports = {
   performEnvironmentChecks,
+  getEnvironmentCheckResults,
   checkDirectoryExists,
   checkDirectoryExistsWithWarning,
   checkFileExistsAndValid
@@ -65,6 +65,128 @@ function binaryToOverlapping(buf) {
   return map;
 }
 
+/* -------------------------------------------------------------------------
+ * Helper – binary format for the objects / objects6 arrays
+ * ---------------------------------------------------------------------- *
+ *  uint32   count
+ *  (count + 1) x uint32 byte offset of each JSON encoded object
+ *  …        UTF-8 JSON of all objects, back to back
+ *  (Little-endian throughout)
+ *  Objects are decoded on access, only the most recently used ones are kept, so the buffer can live in shared memory.
+ * ---------------------------------------------------------------------- */
+function objectsToBinary(objects) {
+  const encoded = objects.map((obj) => Buffer.from(JSON.stringify(obj === undefined ? null : obj), 'utf8'));
+  const headerBytes = 4 + (encoded.length + 1) * 4;
+  let bodyBytes = 0;
+  for (const enc of encoded) bodyBytes += enc.length;
+
+  const buf = Buffer.alloc(headerBytes + bodyBytes);
+  buf.writeUInt32LE(encoded.length, 0);
+  let offset = headerBytes;
+  for (let i = 0; i < encoded.length; i++) {
+    buf.writeUInt32LE(offset, 4 + i * 4);
+    encoded[i].copy(buf, offset);
+    offset += encoded[i].length;
+  }
+  buf.writeUInt32LE(offset, 4 + encoded.length * 4);
+  return buf;
+}
+
+function binaryObjectCount(buf) {
+  return buf.length >= 4 ? buf.readUInt32LE(0) : 0;
+}
+
+// The most recently decoded objects of all binary buffers. Bounded, so a long-running worker
+// does not end up with its own copy of every LUT object next to the shared buffers.
+const DECODED_OBJECTS_MAX = 10000;
+const decodedObjects = new Map();
+const bufferIds = new WeakMap();
+let nextBufferId = 0;
+const decodedObjectStats = { hits: 0, misses: 0, bytes: 0 };
+
+/**
+ * The object at `index`. Recently used objects are kept decoded, so a hot object is the
+ * same on every call and only parsed again once it was evicted.
+ */
+function getBinaryObject(buf, index) {
+  if (index < 0 || index >= binaryObjectCount(buf)) {
+    return undefined;
+  }
+  let bufferId = bufferIds.get(buf);
+  if (bufferId === undefined) {
+    bufferId = nextBufferId++;
+    bufferIds.set(buf, bufferId);
+  }
+  const key = bufferId * 2 ** 32 + index;
+  const cached = decodedObjects.get(key);
+  if (cached) {
+    decodedObjectStats.hits++;
+    // move to the end, the first entry is the least recently used
+    decodedObjects.delete(key);
+    decodedObjects.set(key, cached);
+    return cached.object;
+  }
+
+  decodedObjectStats.misses++;
+  const start = buf.readUInt32LE(4 + index * 4);
+  const end = buf.readUInt32LE(4 + (index + 1) * 4);
+  const entry = { object: JSON.parse(buf.toString('utf8', start, end)), bytes: end - start };
+  decodedObjects.set(key, entry);
+  decodedObjectStats.bytes += entry.bytes;
+  if (decodedObjects.size > DECODED_OBJECTS_MAX) {
+    const [oldestKey, oldest] = decodedObjects.entries().next().value;
+    decodedObjects.delete(oldestKey);
+    decodedObjectStats.bytes -= oldest.bytes;
+  }
+  return entry.object;
+}
+
+/**
+ * How many objects this worker keeps decoded from the shared buffers and the size of their JSON.
+ *
+ * @returns {object}
+ */
+const getDecodedObjectStats = () => {
+  const { hits, misses, bytes } = decodedObjectStats;
+  return {
+    hits,
+    misses,
+    itemCount: decodedObjects.size,
+    maxItems: DECODED_OBJECTS_MAX,
+    cacheSizeMB: Number((bytes / (1024 * 1024)).toFixed(2)),
+  };
+};
+
+/**
+ * Index of the first element of the sorted `values` that is >= target.
+ *
+ * @param {Uint32Array|Array<bigint>} values
+ * @param {number|bigint} target
+ * @returns {number}
+ */
+function lowerBound(values, target) {
+  let low = 0;
+  let high = values.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (values[mid] < target) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+// Set by the cluster master (via worker threads) when the LUT buffers live in shared memory
+let sharedLutStore = null;
+
+const setSharedLutStore = (store) => {
+  sharedLutStore = store;
+};
+
+const getSharedLutStore = () => sharedLutStore;
+
 class FastLut {
   constructor(name, onMultiMatch = ON_MULTI_FIRST, verbose = false) {
     this.name = name;
@@ -85,6 +207,8 @@ class FastLut {
     // this saves a lot of storage space, but we need to uncollapse them looking up IPv6 addresses
     // also line is binary when loaded from disk
     this.loadedFromPersisted = false;
+    // true when line/where/objects are views on SharedArrayBuffers owned by the cluster master
+    this.loadedFromShared = false;
 
     // Some lookup tables don't need to keep track of overlapping networks, since there are none 
     // In geolocation databases for example, it does not make sense to have an IP address with two different locations
@@ -131,6 +255,8 @@ class FastLut {
 
     // Direct Lookup Table for Single IP Addresses (Both IPv4 and IPv6)
     this.directLut = {};
+    // The directLut keys sorted by address, see buildDirectIndex()
+    this.directIndex = null;
 
     // when to stop searching
     this.overlappingCutoff = 200;
@@ -173,6 +299,7 @@ class FastLut {
         this.directLut[key] = obj;
       }
       this.netsAdded.directLut++;
+      this.directIndex = null;
     };
 
     if (ipVersion === 4) {
@@ -688,7 +815,19 @@ class FastLut {
   }
 
   getObject = (ipVersion, rangeIndex) => {
-    return ipVersion === 4 ? this.objects[rangeIndex] : this.objects6[rangeIndex];
+    const objects = ipVersion === 4 ? this.objects : this.objects6;
+    if (Buffer.isBuffer(objects)) {
+      return getBinaryObject(objects, rangeIndex);
+    }
+    return objects[rangeIndex];
+  }
+
+  getObjectCount = (ipVersion) => {
+    const objects = ipVersion === 4 ? this.objects : this.objects6;
+    if (Buffer.isBuffer(objects)) {
+      return binaryObjectCount(objects);
+    }
+    return objects.length;
   }
 
   finalize = (ipVersion, index = null, allMatches = null, returnNetwork = false, directLookupHit = null) => {
@@ -716,7 +855,7 @@ class FastLut {
           network: this.getNetwork(ipVersion, this.getLineIndex(ipVersion, index)),
         };
       } else {
-        return ipVersion === 4 ? this.objects[index] : this.objects6[index];
+        return this.getObject(ipVersion, index);
       }
     } else if (allMatches !== null) {
       if (returnNetwork) {
@@ -845,7 +984,17 @@ class FastLut {
     return null;
   }
 
-  lookupRange = (startIp, endIp, ipVersion = 4, returnLutObjects = false) => {
+  /**
+   * The entries of the line between two IPs.
+   *
+   * @param {string} startIp
+   * @param {string} endIp
+   * @param {number} ipVersion - 4 or 6
+   * @param {boolean} returnLutObjects - Return `{ object, network }` instead of the raw line entries
+   * @param {number} maxEntries - Stop walking the line after this many entries
+   * @returns {Array}
+   */
+  lookupRange = (startIp, endIp, ipVersion = 4, returnLutObjects = false, maxEntries = Infinity) => {
     let entries = [];
     let startIpInt, endIpInt;
 
@@ -873,7 +1022,7 @@ class FastLut {
     }
 
     const seen = new Set();
-    for (let index = startIndex; index <= endIndex; index++) {
+    for (let index = startIndex; index <= endIndex && entries.length < maxEntries; index++) {
       const entry = this.getLineEntry(index, ipVersion);
       if (entry) {
         if (returnLutObjects) {
@@ -897,13 +1046,70 @@ class FastLut {
     return entries;
   }
 
-  getEntriesForNetworkRange = (network, returnLutObjects = false) => {
+  /**
+   * Sort the keys of the directLut by address, so that getDirectEntriesInRange() can binary
+   * search them instead of walking the whole directLut on every request.
+   */
+  buildDirectIndex = () => {
+    const keys4 = [];
+    const keys6 = [];
+    for (const key in this.directLut) {
+      if (isInteger(key)) {
+        keys4.push(Number(key));
+      } else {
+        keys6.push({ key, value: IPv6.fromString(key).value });
+      }
+    }
+    keys6.sort((a, b) => (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+    this.directIndex = {
+      4: Uint32Array.from(keys4).sort(),
+      6: {
+        keys: keys6.map((entry) => entry.key),
+        values: keys6.map((entry) => entry.value),
+      },
+    };
+  }
+
+  /**
+   * Single IPs of the directLut that lie within [startIpInt, endIpInt].
+   * lookupRange() only walks the line, so these have to be collected separately.
+   *
+   * @param {number|bigint} startIpInt - First IP of the range as integer
+   * @param {number|bigint} endIpInt - Last IP of the range as integer
+   * @param {number} ipVersion - 4 or 6
+   * @param {number} maxEntries - Stop after this many entries
+   * @returns {Array<object>} - `{ object, network }` entries, network is the IP address
+   */
+  getDirectEntriesInRange = (startIpInt, endIpInt, ipVersion = 4, maxEntries = Infinity) => {
+    if (!this.directIndex) {
+      this.buildDirectIndex();
+    }
+    const entries = [];
+
+    if (ipVersion === 4) {
+      const index = this.directIndex[4];
+      const end = Number(endIpInt);
+      for (let i = lowerBound(index, Number(startIpInt)); i < index.length && index[i] <= end && entries.length < maxEntries; i++) {
+        entries.push({ object: this.directLut[index[i]], network: IntToIPv4(index[i]) });
+      }
+      return entries;
+    }
+
+    const { keys, values } = this.directIndex[6];
+    const end = BigInt(endIpInt);
+    for (let i = lowerBound(values, BigInt(startIpInt)); i < values.length && values[i] <= end && entries.length < maxEntries; i++) {
+      entries.push({ object: this.directLut[keys[i]], network: keys[i] });
+    }
+    return entries;
+  }
+
+  getEntriesForNetworkRange = (network, returnLutObjects = false, maxEntries = Infinity) => {
     const [firstIp, lastIp] = getFirstAndLastIpOfNetwork(network);
     const ipVersion = isIP(firstIp);
     if (ipVersion === 0) {
       return [];
     }
-    const entries = this.lookupRange(firstIp, lastIp, ipVersion, returnLutObjects);
+    const entries = this.lookupRange(firstIp, lastIp, ipVersion, returnLutObjects, maxEntries);
     return entries;
   }
 
@@ -987,6 +1193,7 @@ class FastLut {
         }
       }
     }
+    this.buildDirectIndex();
 
     if (this.verbose) {
       log(`Inserted networks: ${JSON.stringify(this.netsAdded, null, 2)}`);
@@ -1188,7 +1395,51 @@ class FastLut {
     return 'success';
   }
 
+  /**
+   * Attach the LUT to buffers that were packed by the cluster master into shared memory.
+   * line/line6/where/where6 and the binary objects are used in place, only the
+   * directLut and the overlapping maps are decoded into this worker's heap.
+   *
+   * @param {object} shared - Entry of the SharedLutStore for this LUT
+   */
+  attachSharedLut = (shared) => {
+    const view = (sab) => (sab ? Buffer.from(sab) : null);
+
+    if (this.lutVersion !== null && this.lutVersion === shared.lutVersion) {
+      log(`[${this.name}] Reload not needed, shared database same as in memory.`, 'DEBUG');
+      return 'reloadNotNeeded';
+    }
+
+    this.line = view(shared.line) || [];
+    this.line6 = view(shared.line6) || [];
+    this.where = view(shared.where) || [];
+    this.where6 = view(shared.where6) || [];
+    this.objects = view(shared.objects) || [];
+    this.objects6 = view(shared.objects6) || [];
+    const directLut = view(shared.directLut);
+    this.directLut = directLut ? JSON.parse(directLut.toString('utf8')) : {};
+    this.buildDirectIndex();
+
+    if (!this.ignoreOverlapping) {
+      const o4 = view(shared.overlapping);
+      const o6 = view(shared.overlapping6);
+      this.overlapping = o4 ? this.sanitizeOverlappingMap(binaryToOverlapping(o4), this.getObjectCount(4)) : {};
+      this.overlapping6 = o6 ? this.sanitizeOverlappingMap(binaryToOverlapping(o6), this.getObjectCount(6)) : {};
+    }
+
+    this.loadedFromPersisted = true;
+    this.loadedFromShared = true;
+    this.lutLocked = this.lutLocked6 = true;
+    this.lutVersion = shared.lutVersion;
+    return 'success';
+  }
+
   loadPersistedLut = () => {
+    const shared = sharedLutStore ? sharedLutStore.get(this.name) : null;
+    if (shared) {
+      return this.attachSharedLut(shared);
+    }
+
     if (!fs.existsSync(this.ramDbStoreDir)) {
       log(`loadPersistedLut() failed, file ${this.ramDbStoreDir} does not exist`, 'ERROR');
       return 'ramDbStoreDirDoesNotExist';
@@ -1222,6 +1473,7 @@ class FastLut {
     this.objects = this.readJson(path.join(this.ramDbStoreDir, 'objects.json')) || [];
     this.objects6 = this.readJson(path.join(this.ramDbStoreDir, 'objects6.json')) || [];
     this.directLut = this.readJson(path.join(this.ramDbStoreDir, 'directLut.json')) || {};
+    this.buildDirectIndex();
 
     /* overlapping ----------------------------------------------------- */
     if (!this.ignoreOverlapping) {
@@ -1240,11 +1492,42 @@ class FastLut {
     }
 
     this.loadedFromPersisted = true;
+    this.loadedFromShared = false;
     this.lutLocked = this.lutLocked6 = true;
     this.lutVersion = fileLutVersion;
     return 'success';
   }
 
+  /**
+   * Which network of this LUT matched `ip`, used by the `explain` mode of the API.
+   * With ON_MULTI_ALL the first match (the one the lookup wrappers use) is reported.
+   *
+   * @param {string} ip - The IP address to look up
+   * @returns {object|null} - `{ lut, network }` or null if nothing matched
+   */
+  explainLookup = (ip) => {
+    let res = this.fastLookup(ip, true);
+    if (Array.isArray(res)) {
+      res = res[0];
+    }
+    if (!res || !res.network) {
+      return null;
+    }
+    return {
+      lut: this.name,
+      network: networkToStr(res.network, isIP(ip), true),
+    };
+  }
+
+  /**
+   * Call `callback(network, obj, ipVersion, net, lineIdx)` for every network of the LUT, `net` is the
+   * parsed `[start, end]` range and `lineIdx` the index of the network in the line, which getNetwork()
+   * takes. Entries of the direct LUT are single IPs and have neither `net` nor `lineIdx`.
+   *
+   * @param {function} callback
+   * @param {number|string} what - 4, 6 or 'both'
+   * @param {boolean} directLut - Whether to include the direct LUT entries
+   */
   iterLut = (callback, what = 'both', directLut = true) => {
     let ipVersions = [];
 
@@ -1267,7 +1550,7 @@ class FastLut {
         const objectIdx = this.getLineEntry(lineIdx, ipVersion)[2];
         const network = networkToStr(net, ipVersion, true);
         const obj = this.getObject(ipVersion, objectIdx);
-        callback(network, obj, ipVersion);
+        callback(network, obj, ipVersion, net, lineIdx);
         alreadySeenNets[net] = 1;
       }
     }
@@ -1330,6 +1613,10 @@ class FastLut {
 
 module.exports = {
   FastLut,
+  objectsToBinary,
+  setSharedLutStore,
+  getSharedLutStore,
+  getDecodedObjectStats,
   ON_MULTI_FIRST,
   ON_MULTI_SMALLEST,
   ON_MULTI_LARGEST,
@@ -0,0 +1,181 @@
+const { API_ERROR_CODE } = require('./ipapi_is_worker_utils');
+
+// Lookup tables that can be skipped when none of their fields were requested
+const LUT_NAMES = Object.freeze({
+  COMPANY: 'company',
+  ASN: 'asn',
+  LOCATION: 'location',
+  DATACENTER: 'datacenter',
+  BLACKLIST: 'blacklist',
+  MOBILE: 'mobile',
+  SATELLITE: 'satellite',
+  CRAWLER: 'crawler',
+  CUSTOM_LISTS: 'customLists',
+  CLEAN: 'clean',
+});
+
+// Which lookup tables produce each top level field of an IP lookup.
+// The clean LUT resets the abuse related flags, so it is needed whenever one of them is requested.
+const FIELD_LUTS = Object.freeze({
+  ip: [],
+  ipv6_transition: [],
+  rir: [LUT_NAMES.COMPANY],
+  is_bogon: [],
+  is_mobile: [LUT_NAMES.MOBILE],
+  is_satellite: [LUT_NAMES.SATELLITE],
+  is_crawler: [LUT_NAMES.CRAWLER, LUT_NAMES.CLEAN],
+  is_datacenter: [LUT_NAMES.DATACENTER, LUT_NAMES.CUSTOM_LISTS, LUT_NAMES.CLEAN],
+  is_tor: [LUT_NAMES.BLACKLIST, LUT_NAMES.CUSTOM_LISTS, LUT_NAMES.CLEAN],
+  is_proxy: [LUT_NAMES.BLACKLIST, LUT_NAMES.CUSTOM_LISTS, LUT_NAMES.CLEAN],
+  is_vpn: [LUT_NAMES.BLACKLIST, LUT_NAMES.CUSTOM_LISTS, LUT_NAMES.CLEAN],
+  is_abuser: [LUT_NAMES.BLACKLIST, LUT_NAMES.CUSTOM_LISTS, LUT_NAMES.CLEAN],
+  vpn: [LUT_NAMES.BLACKLIST, LUT_NAMES.CLEAN],
+  datacenter: [LUT_NAMES.DATACENTER, LUT_NAMES.CLEAN],
+  company: [LUT_NAMES.COMPANY],
+  abuse: [LUT_NAMES.COMPANY],
+  asn: [LUT_NAMES.ASN],
+  location: [LUT_NAMES.LOCATION],
+  risk: [LUT_NAMES.ASN, LUT_NAMES.COMPANY, LUT_NAMES.DATACENTER, LUT_NAMES.BLACKLIST, LUT_NAMES.CRAWLER,
+    LUT_NAMES.CUSTOM_LISTS, LUT_NAMES.CLEAN],
+  elapsed_ms: [],
+});
+
+// Fields that are always kept, the bulk formatters need them to recognize lookup rows
+const ALWAYS_INCLUDED_FIELDS = ['ip', 'error', 'error_code', 'perf', 'explain'];
+
+const FIELD_PATH_REGEX = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+const MAX_FIELDS = 64;
+
+/**
+ * Parse the `fields` parameter, e.g. `location.country_code,asn.asn,is_vpn`.
+ *
+ * @param {string|Array<string>} fieldsParam - Comma separated field paths
+ * @returns {object|null} - The field selection, an error object or null if no fields were requested
+ */
+function parseFieldSelection(fieldsParam) {
+  if (fieldsParam === undefined || fieldsParam === null || fieldsParam === '') {
+    return null;
+  }
+
+  const raw = Array.isArray(fieldsParam) ? fieldsParam.join(',') : String(fieldsParam);
+  const paths = [...new Set(raw.split(',').map((field) => field.trim()).filter(Boolean))];
+
+  if (paths.length === 0) {
+    return null;
+  }
+
+  if (paths.length > MAX_FIELDS) {
+    return {
+      error: `Invalid fields: at most ${MAX_FIELDS} fields can be selected`,
+      error_code: API_ERROR_CODE.INVALID_FIELDS,
+    };
+  }
+
+  for (const fieldPath of paths) {
+    if (!FIELD_PATH_REGEX.test(fieldPath)) {
+      return {
+        error: `Invalid fields: \`${fieldPath}\` is not a valid field path (expected e.g. location.country_code)`,
+        error_code: API_ERROR_CODE.INVALID_FIELDS,
+      };
+    }
+  }
+
+  // Build a tree of the selected paths, `true` marks a fully selected subtree
+  const tree = {};
+  for (const fieldPath of paths) {
+    const parts = fieldPath.split('.');
+    let node = tree;
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i];
+      if (node[part] === true) {
+        break;
+      }
+      if (i === parts.length - 1) {
+        node[part] = true;
+      } else {
+        node[part] = node[part] || {};
+        node = node[part];
+      }
+    }
+  }
+
+  return {
+    fields: paths,
+    tree: tree,
+  };
+}
+
+/**
+ * Get the lookup tables that must be queried to answer the field selection.
+ * Unknown top level fields (e.g. from ASN lookups) conservatively require all lookup tables.
+ *
+ * @param {object|null} selection - The parsed field selection
+ * @returns {Set<string>} - The names of the needed lookup tables
+ */
+function getNeededLuts(selection) {
+  if (!selection) {
+    return new Set(Object.values(LUT_NAMES));
+  }
+
+  const needed = new Set();
+  for (const field in selection.tree) {
+    if (!(field in FIELD_LUTS)) {
+      return new Set(Object.values(LUT_NAMES));
+    }
+    for (const lutName of FIELD_LUTS[field]) {
+      needed.add(lutName);
+    }
+  }
+  return needed;
+}
+
+function pruneNode(value, tree) {
+  if (tree === true) {
+    return value;
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return undefined;
+  }
+  const pruned = {};
+  for (const key in tree) {
+    if (Object.prototype.hasOwnProperty.call(value, key)) {
+      const child = pruneNode(value[key], tree[key]);
+      if (child !== undefined) {
+        pruned[key] = child;
+      }
+    }
+  }
+  return pruned;
+}
+
+/**
+ * Return a copy of the lookup result that contains only the selected fields.
+ * Error responses are returned unchanged.
+ *
+ * @param {object} obj - The API lookup result
+ * @param {object|null} selection - The parsed field selection
+ * @returns {object} - The pruned lookup result
+ */
+function pruneFields(obj, selection) {
+  if (!selection || !obj || typeof obj !== 'object' || obj.error) {
+    return obj;
+  }
+
+  const pruned = pruneNode(obj, selection.tree);
+  // ASN lookups have no `ip`, keep the AS number instead
+  const alwaysIncluded = ('ip' in obj) ? ALWAYS_INCLUDED_FIELDS : [...ALWAYS_INCLUDED_FIELDS, 'asn'];
+  for (const field of alwaysIncluded) {
+    if (Object.prototype.hasOwnProperty.call(obj, field) && !(field in pruned)) {
+      pruned[field] = obj[field];
+    }
+  }
+  return pruned;
+}
+
+module.exports = {
+  LUT_NAMES,
+  FIELD_LUTS,
+  parseFieldSelection,
+  getNeededLuts,
+  pruneFields,
+};
@@ -0,0 +1,506 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const axios = require('axios');
+const { log, spawnCommand, executeCommand } = require('./utils');
+const { projectPath } = require('./constants');
+const { API_ERROR_CODE, sendToMaster, onMasterMessage, normalizeIp, isInIpList } = require('./ipapi_is_worker_utils');
+
+const DEFAULT_BLOCK_MINUTES = 12 * 60;
+const DEFAULT_PORTS = [80, 443];
+// Never blocked, in addition to `firewall.allowlist` and `trustedProxies`
+const ALWAYS_ALLOWED = ['127.0.0.0/8', '::1/128'];
+const DEFAULT_BLOCKLIST_FILE = path.join(projectPath, 'log/firewall_blocklist.txt');
+const EXPIRY_INTERVAL_MS = 60 * 1000;
+const ADMIN_TIMEOUT_MS = 5000;
+// Denials of a client are counted per hour, like the other per client stats
+const DENIALS_RESET_MS = 60 * 60 * 1000;
+
+// Names of the chain, sets and table the firewall backends manage, nothing else is touched
+const IPTABLES_CHAIN = 'IPAPI_BLOCK';
+const IPSET_NAMES = { 4: 'ipapi_blocked4', 6: 'ipapi_blocked6' };
+const NFT_TABLE = ['inet', 'ipapi'];
+
+// Earlier versions inserted a rule per blocked IP into INPUT, they are removed once
+const LEGACY_INPUT_RULE = /^-A INPUT -s (\S+) -p tcp -m tcp --dport (80|443) -j DROP$/;
+const LEGACY_MIGRATED_FILE = path.join(projectPath, 'log/firewall_legacy_rules_removed');
+// These backends use iptables and remove the rules of earlier versions
+const IPTABLES_BACKENDS = ['iptables', 'ipset'];
+
+/**
+ * Run a command and fail if it exits with an error.
+ *
+ * @param {string} command
+ * @param {Array<string>} args
+ * @param {boolean} ignoreFailure - Resolve with the exit code instead
+ * @returns {Promise<number>} - The exit code
+ */
+const run = async (command, args, ignoreFailure = false) => {
+  const code = await spawnCommand(command, args);
+  if (code !== 0 && !ignoreFailure) {
+    throw new Error(`${command} ${args.join(' ')} exited with code ${code}`);
+  }
+  return code;
+};
+
+const ipFamily = (ip) => (net.isIPv6(ip) ? 6 : 4);
+
+/**
+ * Remove the rules of the block script of earlier versions from INPUT, they never expired.
+ * Runs once, LEGACY_MIGRATED_FILE marks that it ran.
+ */
+const removeLegacyInputRules = async () => {
+  if (fs.existsSync(LEGACY_MIGRATED_FILE)) {
+    return;
+  }
+  let removed = 0;
+  for (const line of (await executeCommand('iptables -S INPUT', true)).split('\n')) {
+    const match = line.trim().match(LEGACY_INPUT_RULE);
+    if (match) {
+      await run('iptables', ['-D', 'INPUT', '-s', match[1], '-p', 'tcp', '--dport', match[2], '-j', 'DROP'], true);
+      removed++;
+    }
+  }
+  log(`[Firewall] Removed ${removed} INPUT rules of earlier versions`, 'INFO');
+  await fs.promises.mkdir(path.dirname(LEGACY_MIGRATED_FILE), { recursive: true });
+  await fs.promises.writeFile(LEGACY_MIGRATED_FILE, `${new Date().toISOString()} removed ${removed} rules\n`);
+};
+
+/**
+ * Blocks in an own iptables/ip6tables chain that is jumped to from INPUT.
+ */
+const createIptablesBackend = (options) => {
+  const ports = options.ports.join(',');
+  const binary = (family) => (family === 6 ? 'ip6tables' : 'iptables');
+  const rule = (ip) => ['-s', ip, '-p', 'tcp', '-m', 'multiport', '--dports', ports, '-j', 'DROP'];
+
+  return {
+    async init() {
+      for (const family of [4, 6]) {
+        await run(binary(family), ['-N', IPTABLES_CHAIN], true);
+        await run(binary(family), ['-F', IPTABLES_CHAIN]);
+        if (await run(binary(family), ['-C', 'INPUT', '-j', IPTABLES_CHAIN], true) !== 0) {
+          await run(binary(family), ['-I', 'INPUT', '-j', IPTABLES_CHAIN]);
+        }
+      }
+    },
+    block: (ip) => run(binary(ipFamily(ip)), ['-A', IPTABLES_CHAIN, ...rule(ip)]),
+    unblock: (ip) => run(binary(ipFamily(ip)), ['-D', IPTABLES_CHAIN, ...rule(ip)]),
+  };
+};
+
+/**
+ * Blocks as elements of two sets in an own nftables table.
+ */
+const createNftablesBackend = (options) => {
+  const ports = options.ports.join(', ');
+  const set = (ip) => (ipFamily(ip) === 6 ? 'blocked6' : 'blocked4');
+
+  return {
+    async init() {
+      await run('nft', ['delete', 'table', ...NFT_TABLE], true);
+      await run('nft', ['add', 'table', ...NFT_TABLE]);
+      await run('nft', ['add', 'set', ...NFT_TABLE, 'blocked4', '{ type ipv4_addr; }']);
+      await run('nft', ['add', 'set', ...NFT_TABLE, 'blocked6', '{ type ipv6_addr; }']);
+      await run('nft', ['add', 'chain', ...NFT_TABLE, 'input', '{ type filter hook input priority -10; }']);
+      await run('nft', ['add', 'rule', ...NFT_TABLE, 'input', 'ip', 'saddr', '@blocked4', 'tcp', 'dport', `{ ${ports} }`, 'drop']);
+      await run('nft', ['add', 'rule', ...NFT_TABLE, 'input', 'ip6', 'saddr', '@blocked6', 'tcp', 'dport', `{ ${ports} }`, 'drop']);
+    },
+    block: (ip) => run('nft', ['add', 'element', ...NFT_TABLE, set(ip), `{ ${ip} }`]),
+    unblock: (ip) => run('nft', ['delete', 'element', ...NFT_TABLE, set(ip), `{ ${ip} }`]),
+  };
+};
+
+/**
+ * Blocks as members of an ipset per address family, matched by one iptables rule each.
+ */
+const createIpsetBackend = (options) => {
+  const ports = options.ports.join(',');
+  const binary = (family) => (family === 6 ? 'ip6tables' : 'iptables');
+  const rule = (family) => ['INPUT', '-p', 'tcp', '-m', 'multiport', '--dports', ports,
+    '-m', 'set', '--match-set', IPSET_NAMES[family], 'src', '-j', 'DROP'];
+
+  return {
+    async init() {
+      for (const family of [4, 6]) {
+        await run('ipset', ['create', IPSET_NAMES[family], 'hash:ip', 'family', family === 6 ? 'inet6' : 'inet', '-exist']);
+        await run('ipset', ['flush', IPSET_NAMES[family]]);
+        if (await run(binary(family), ['-C', ...rule(family)], true) !== 0) {
+          await run(binary(family), ['-I', ...rule(family)]);
+        }
+      }
+    },
+    block: (ip) => run('ipset', ['add', IPSET_NAMES[ipFamily(ip)], ip, '-exist']),
+    unblock: (ip) => run('ipset', ['del', IPSET_NAMES[ipFamily(ip)], ip, '-exist']),
+  };
+};
+
+/**
+ * Keeps a file with one blocked IP per line, for firewalls and WAFs that read blocklists.
+ */
+const createFileBackend = (options, getEntries) => {
+  const file = options.file
+    ? (path.isAbsolute(options.file) ? options.file : path.join(projectPath, options.file))
+    : DEFAULT_BLOCKLIST_FILE;
+
+  // the file is rewritten with the current entries, so it is the same after block and unblock
+  const write = async () => {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    const lines = getEntries().map((entry) => entry.ip);
+    await fs.promises.writeFile(tmpFile, lines.length > 0 ? lines.join('\n') + '\n' : '');
+    await fs.promises.rename(tmpFile, file);
+  };
+
+  return { init: write, block: write, unblock: write };
+};
+
+/**
+ * Posts every change to a webhook, e.g. of an external WAF.
+ * The expiry is part of the payload, the receiver should expire blocks by itself as well.
+ */
+const createWebhookBackend = (options, getEntries) => {
+  if (!options.webhookUrl) {
+    throw new Error('The webhook firewall backend needs `firewall.webhookUrl`');
+  }
+  const post = (payload) => axios.post(options.webhookUrl, payload, { timeout: 10000 });
+  const getEntry = (ip) => getEntries().find((entry) => entry.ip === ip) || {};
+
+  return {
+    init: () => post({ action: 'reset', entries: getEntries() }),
+    block: (ip) => post({ action: 'block', ...getEntry(ip), ip }),
+    unblock: (ip) => post({ action: 'unblock', ip }),
+  };
+};
+
+/**
+ * Only logs what would be blocked.
+ */
+const createDryRunBackend = () => ({
+  init: async () => log('[Firewall] dry-run, no IP will actually be blocked'),
+  block: async (ip) => log(`[Firewall] dry-run: would block ${ip}`),
+  unblock: async (ip) => log(`[Firewall] dry-run: would unblock ${ip}`),
+});
+
+const FIREWALL_BACKENDS = {
+  'iptables': createIptablesBackend,
+  'nftables': createNftablesBackend,
+  'ipset': createIpsetBackend,
+  'file': createFileBackend,
+  'webhook': createWebhookBackend,
+  'dry-run': createDryRunBackend,
+};
+
+// These backends change the packet filter of the host
+const SYSTEM_BACKENDS = ['iptables', 'nftables', 'ipset'];
+
+/**
+ * The `firewall` config with defaults.
+ *
+ * @param {object} apiConfig
+ * @returns {object}
+ */
+const getFirewallOptions = (apiConfig) => {
+  const options = apiConfig.firewall || {};
+  return {
+    backend: options.backend || 'iptables',
+    blockMinutes: options.blockMinutes || DEFAULT_BLOCK_MINUTES,
+    ports: Array.isArray(options.ports) && options.ports.length > 0 ? options.ports : DEFAULT_PORTS,
+    allowlist: [
+      ...ALWAYS_ALLOWED,
+      ...(Array.isArray(options.allowlist) ? options.allowlist : []),
+      ...(Array.isArray(apiConfig.trustedProxies) ? apiConfig.trustedProxies : []),
+    ],
+    file: options.file || null,
+    webhookUrl: options.webhookUrl || null,
+  };
+};
+
+/**
+ * The blocked IPs, each one expires on its own. The backend is only told about changes.
+ */
+class Firewall {
+  constructor(options) {
+    this.options = options;
+    this.entries = new Map();
+
+    let backend = options.backend;
+    if (!FIREWALL_BACKENDS[backend]) {
+      log(`[Firewall] Unknown backend "${backend}", using dry-run`, 'ERROR');
+      backend = 'dry-run';
+    } else if (SYSTEM_BACKENDS.includes(backend) && process.platform !== 'linux') {
+      log(`[Firewall] The ${backend} backend needs Linux, using dry-run`, 'WARN');
+      backend = 'dry-run';
+    }
+    try {
+      this.backend = FIREWALL_BACKENDS[backend](options, () => this.list());
+    } catch (err) {
+      log(`[Firewall] ${err.message}, using dry-run`, 'ERROR');
+      backend = 'dry-run';
+      this.backend = createDryRunBackend();
+    }
+    this.backendName = backend;
+    // changes are applied in order, so that an unblock never overtakes its block
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Start from an empty blocklist and expire blocks from now on.
+   *
+   * @returns {Promise<void>}
+   */
+  init() {
+    setInterval(() => this.expire(), EXPIRY_INTERVAL_MS).unref();
+    if (IPTABLES_BACKENDS.includes(this.backendName)) {
+      this.apply('remove the rules of earlier versions', removeLegacyInputRules);
+    }
+    return this.apply('init', () => this.backend.init());
+  }
+
+  apply(what, change) {
+    this.queue = this.queue
+      .then(change)
+      .catch((err) => log(`[Firewall] ${this.backendName} failed to ${what}: ${err.message}`, 'ERROR'));
+    return this.queue;
+  }
+
+  getState() {
+    return { backend: this.backendName, entries: this.list() };
+  }
+
+  list() {
+    return Array.from(this.entries.values());
+  }
+
+  /**
+   * @param {string} ip
+   * @param {string} reason
+   * @param {number} now
+   * @returns {object|false} - The new entry, false if the IP is allowlisted, invalid or already blocked
+   */
+  block(ip, reason = null, now = Date.now()) {
+    const normalized = normalizeIp(ip);
+    if (!normalized || this.entries.has(normalized) || isInIpList(normalized, this.options.allowlist)) {
+      return false;
+    }
+    const entry = {
+      ip: normalized,
+      reason: reason,
+      blocked: now,
+      expires: now + this.options.blockMinutes * 60 * 1000,
+    };
+    this.entries.set(normalized, entry);
+    log(`[Firewall] Blocking ${normalized} until ${new Date(entry.expires).toISOString()} (${reason})`);
+    this.apply(`block ${normalized}`, () => this.backend.block(normalized));
+    return entry;
+  }
+
+  /**
+   * @param {string} ip
+   * @returns {object|false} - The removed entry, false if the IP was not blocked
+   */
+  unblock(ip) {
+    const normalized = normalizeIp(ip);
+    const entry = normalized && this.entries.get(normalized);
+    if (!entry) {
+      return false;
+    }
+    this.entries.delete(normalized);
+    log(`[Firewall] Unblocking ${normalized}`);
+    this.apply(`unblock ${normalized}`, () => this.backend.unblock(normalized));
+    return entry;
+  }
+
+  /**
+   * @param {number} now
+   * @returns {number} - How many blocks expired
+   */
+  expire(now = Date.now()) {
+    let expired = 0;
+    for (const entry of this.list()) {
+      if (entry.expires <= now) {
+        this.unblock(entry.ip);
+        expired++;
+      }
+    }
+    if (expired > 0 && this.onChange) {
+      this.onChange();
+    }
+    return expired;
+  }
+
+  /**
+   * Run an admin operation.
+   *
+   * @param {string} op - list or unblock
+   * @param {object} args - `{ ip }`
+   * @returns {object}
+   */
+  execute(op, args = {}) {
+    if (op === 'list') {
+      return this.getState();
+    }
+    if (op === 'unblock') {
+      const entry = this.unblock(args.ip);
+      if (!entry) {
+        return {
+          error: `${args.ip} is not blocked`,
+          error_code: API_ERROR_CODE.FIREWALL_ENTRY_NOT_FOUND,
+        };
+      }
+      return { unblocked: entry };
+    }
+    return {
+      error: `Unknown firewall operation ${op}`,
+      error_code: API_ERROR_CODE.UNEXPECTED_SERVER_ERROR,
+    };
+  }
+}
+
+/**
+ * The view of a worker on the firewall.
+ *
+ * The worker counts the denied requests of every client and asks for a block once a client
+ * was denied more than `firewallAfter` times. Under the cluster master there is one firewall
+ * for all workers, whose blocklist the master broadcasts on every change.
+ * A standalone worker owns the firewall itself. PM2 instances without the cluster master are
+ * refused, each of them would set up the shared host firewall and overwrite the blocks of the others.
+ */
+class FirewallClient {
+  constructor(options, useMaster) {
+    if (!useMaster && process.env.NODE_APP_INSTANCE !== undefined) {
+      throw new Error('The firewall needs the cluster master under PM2, start the API with cluster-manager.js or disable `enableFirewall`');
+    }
+    this.useMaster = useMaster;
+    this.allowlist = options.allowlist;
+    this.denials = new Map();
+    this.pendingAdmin = new Map();
+    this.nextRequestId = 0;
+    setInterval(() => this.denials.clear(), DENIALS_RESET_MS).unref();
+
+    if (useMaster) {
+      this.state = { backend: options.backend, entries: [] };
+      onMasterMessage((msg) => this.handleMasterMessage(msg));
+      sendToMaster({ type: 'firewallStateRequest' });
+    } else {
+      this.firewall = new Firewall(options);
+      this.firewall.init();
+    }
+  }
+
+  handleMasterMessage(msg) {
+    if (!msg || typeof msg !== 'object') {
+      return;
+    }
+    if (msg.type === 'firewallState') {
+      this.state = msg.state;
+    } else if (msg.type === 'firewallAdminResult' && this.pendingAdmin.has(msg.requestId)) {
+      const { resolve, timer } = this.pendingAdmin.get(msg.requestId);
+      clearTimeout(timer);
+      this.pendingAdmin.delete(msg.requestId);
+      resolve(msg.result);
+    }
+  }
+
+  list() {
+    return this.useMaster ? this.state.entries : this.firewall.list();
+  }
+
+  isBlocked(ip) {
+    return this.list().some((entry) => entry.ip === ip);
+  }
+
+  /**
+   * Count a denied request of a client and block it once it was denied too often.
+   *
+   * @param {string} ip
+   * @param {number} firewallAfter
+   * @returns {boolean} - Whether a block was requested
+   */
+  countDenied(ip, firewallAfter) {
+    const denials = (this.denials.get(ip) || 0) + 1;
+    if (denials <= firewallAfter) {
+      this.denials.set(ip, denials);
+      return false;
+    }
+    this.denials.delete(ip);
+    if (this.isBlocked(ip) || isInIpList(ip, this.allowlist)) {
+      return false;
+    }
+    const reason = `denied more than ${firewallAfter} times`;
+    if (!this.useMaster) {
+      return this.firewall.block(ip, reason) !== false;
+    }
+    sendToMaster({ type: 'firewallBlock', ip, reason });
+    return true;
+  }
+
+  /**
+   * Run an admin operation on the firewall.
+   *
+   * @param {string} op - list or unblock
+   * @param {object} args - `{ ip }`
+   * @returns {Promise<object>}
+   */
+  execute(op, args = {}) {
+    if (!this.useMaster) {
+      return Promise.resolve(this.firewall.execute(op, args));
+    }
+    return new Promise((resolve) => {
+      const requestId = `${process.pid}-${this.nextRequestId++}`;
+      const timer = setTimeout(() => {
+        this.pendingAdmin.delete(requestId);
+        resolve({
+          error: 'The cluster master did not answer the firewall request',
+          error_code: API_ERROR_CODE.UNEXPECTED_SERVER_ERROR,
+        });
+      }, ADMIN_TIMEOUT_MS);
+      this.pendingAdmin.set(requestId, { resolve, timer });
+      sendToMaster({ type: 'firewallAdmin', requestId, op, args });
+    });
+  }
+}
+
+/**
+ * Master side: own the firewall and answer the firewall messages of the workers.
+ *
+ * @param {object} apiConfig
+ * @param {function} getWorkers - Returns `{ send }` of every running worker
+ * @returns {function} - Called with the sending worker and the message, returns whether the message was handled
+ */
+const createFirewallMaster = (apiConfig, getWorkers) => {
+  const firewall = new Firewall(getFirewallOptions(apiConfig));
+  firewall.init();
+
+  const broadcast = () => {
+    for (const worker of getWorkers()) {
+      worker.send({ type: 'firewallState', state: firewall.getState() });
+    }
+  };
+  firewall.onChange = broadcast;
+
+  return (sender, msg) => {
+    if (msg.type === 'firewallStateRequest') {
+      sender.send({ type: 'firewallState', state: firewall.getState() });
+    } else if (msg.type === 'firewallBlock') {
+      if (firewall.block(msg.ip, msg.reason)) {
+        broadcast();
+      }
+    } else if (msg.type === 'firewallAdmin') {
+      const result = firewall.execute(msg.op, msg.args);
+      sender.send({ type: 'firewallAdminResult', requestId: msg.requestId, result });
+      broadcast();
+    } else {
+      return false;
+    }
+    return true;
+  };
+};
+
+module.exports = {
+  FIREWALL_BACKENDS,
+  Firewall,
+  FirewallClient,
+  createFirewallMaster,
+  getFirewallOptions,
+};
@@ -1,4 +1,5 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const net = require('net');
 const readline = require('readline');
@@ -325,6 +326,40 @@ function logTestFail(label, { input, url, details }) {
   log(parts.join(' '));
 }
 
+/**
+ * Log one asserted case, passed if `actual` and `expected` are equal as JSON.
+ *
+ * @param {string} label
+ * @param {*} input - What the case ran with
+ * @param {*} expected
+ * @param {*} actual
+ * @returns {boolean}
+ */
+function checkTestCase(label, input, expected, actual) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    log(`[${label}] test passed`);
+    return true;
+  }
+  logTestFail(label, { input, details: `expected=${JSON.stringify(expected)} actual=${JSON.stringify(actual)}` });
+  return false;
+}
+
+/**
+ * Run `fn` with a new temporary directory, which is removed afterwards.
+ *
+ * @param {string} name - Part of the directory name
+ * @param {function} fn - Called with the directory
+ * @returns {Promise<*>} - What `fn` returns
+ */
+async function withTempDir(name, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `ipapi-${name}-`));
+  try {
+    return await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
 function extractRequestUrl(result, fallback) {
   if (result && typeof result === 'object' && result.__requestUrl) {
     return result.__requestUrl;
@@ -348,5 +383,7 @@ module.exports = {
   formatAxiosError,
   summarizeAxiosResponse,
   logTestFail,
+  checkTestCase,
+  withTempDir,
   extractRequestUrl,
 };
@@ -1,9 +1,31 @@
 const { round, absPath, sleep, calculateStatistics, executeCommandSync, log } = require('./utils');
 const { getRandomIPs, getRandomIPv6Addresses, getRandomIPv4 } = require('ip_address_tools');
 const { testFastLookupTable, simpleLutTests } = require('./test_fast_lookup_table');
-const { testPicksTheCorrectOrganization } = require('./company');
+const { testPicksTheCorrectOrganization, IPtoCompany } = require('./company');
 const { IPtoLocation } = require('./geolocation');
-const { API_ERROR_CODE } = require('./ipapi_is_worker_utils');
+const { API_ERROR_CODE, getIp } = require('./ipapi_is_worker_utils');
+const { ApiKeyStoreClient } = require('./api_key_store');
+const { RateLimiter, RateLimiterClient } = require('./rate_limiter');
+const { Firewall, FirewallClient, getFirewallOptions } = require('./firewall');
+const { MmdbWriter, MmdbReader } = require('./mmdb_writer');
+const { exportLutTables } = require('./lut_export');
+const { FastLut, ON_MULTI_ALL } = require('./fast_lut');
+const { POS_VAL } = require('./constants');
+const { createManifest, isVerifiedDatabase, verifyManifest } = require('./database_versions');
+const { RollingReload } = require('./update_scheduler');
+const { parseUpdateSource, createMirror, isNewerVersionAvailable, fetchFromSource } = require('./update_sources');
+const { diffDatabases } = require('./database_diff');
+const { Watchlist, evaluateWatchlist, getWatchlistOptions } = require('./watchlist');
+const { getRiskOptions, computeRiskScore, abuserScoreSignal } = require('./risk_score');
+const { WHOIS_FORMATS, formatWhoisRecord } = require('./whois_format');
+const { CompanySearch } = require('./company_search');
+const { exportDatacenterRanges, renderDatacenterRanges } = require('./datacenter_export');
+const { AsnSearch } = require('./asn_search');
+const { getEmbeddedIPv4 } = require('./ipv6_transition');
+const { IPtoASN } = require('./ip_to_asn');
+const { parseNetworkQuery, collectRangeEntries } = require('./network_report');
+const { MainIpApi } = require('./ip_api');
+const { main: runCli } = require('./ipapi_cli');
 const child_process = require("child_process");
 const axios = require('axios');
 const fs = require('fs');
@@ -29,6 +51,8 @@ const {
   formatAxiosError,
   summarizeAxiosResponse,
   logTestFail,
+  checkTestCase,
+  withTempDir,
   extractRequestUrl,
 } = require('./functional_test_utils');
 
@@ -882,9 +906,945 @@ async function testApiParameterBehavior() {
   }
 }
 
+/**
+ * Test the `fields` parameter: pruned responses and rejected field paths
+ */
+async function testFieldSelection() {
+  const testIp = '219.12.61.69';
+  const fields = 'location.country_code,asn.asn,is_vpn';
+  const types = (obj) => (obj ? Object.fromEntries(Object.entries(obj).map(([key, value]) => [key, typeof value])) : null);
+
+  const res = await APIRequest(testIp, false, false, { fields }) || {};
+  checkTestCase('fieldSelection:pruned', fields, ['asn', 'ip', 'is_vpn', 'location'],
+    Object.keys(res).filter((key) => key !== 'elapsed_ms').sort());
+  checkTestCase('fieldSelection:prunedNested', fields, { ip: testIp, location: { country_code: 'string' }, asn: { asn: 'number' } },
+    { ip: res.ip, location: types(res.location), asn: types(res.asn) });
+
+  // the cached full response must still be complete after a pruned lookup
+  const fullRes = await APIRequest(testIp) || {};
+  checkTestCase('fieldSelection:cacheNotPruned', testIp, { company: true, city: true },
+    { company: !!fullRes.company, city: !!fullRes.location && fullRes.location.city !== undefined });
+
+  const badRes = await APIRequest(testIp, false, false, { fields: 'location..city' }, true) || {};
+  checkTestCase('fieldSelection:invalidPath', 'location..city', { status: 400, error_code: API_ERROR_CODE.INVALID_FIELDS },
+    { status: badRes.status, error_code: badRes.data && badRes.data.error_code });
+}
+
+/**
+ * Test CIDR / inetnum queries that return an aggregated network report
+ */
+async function testNetworkQueries() {
+  const cidr = '15.220.232.0/24';
+  const res = await APIRequest(encodeURIComponent(cidr)) || {};
+  checkTestCase('networkQuery:cidr', cidr, { num_addresses: 256, amazonAws: true, vpnFraction: 'number' }, {
+    num_addresses: res.num_addresses,
+    amazonAws: Array.isArray(res.datacenters) && res.datacenters.some((dc) => dc.datacenter === 'Amazon AWS'),
+    vpnFraction: res.flagged && res.flagged.is_vpn ? typeof res.flagged.is_vpn.fraction : null,
+  });
+
+  const inetnum = '15.220.232.0 - 15.220.232.127';
+  const inetRes = await APIRequest(encodeURIComponent(inetnum)) || {};
+  checkTestCase('networkQuery:inetnum', inetnum, { num_addresses: 128, first_ip: '15.220.232.0' },
+    { num_addresses: inetRes.num_addresses, first_ip: inetRes.first_ip });
+
+  const tooLarge = '10.0.0.0/15';
+  const largeRes = await APIRequest(encodeURIComponent(tooLarge), false, false, {}, true) || {};
+  checkTestCase('networkQuery:tooLarge', tooLarge, { status: 400, error_code: API_ERROR_CODE.NETWORK_TOO_LARGE },
+    { status: largeRes.status, error_code: largeRes.data && largeRes.data.error_code });
+}
+
+/**
+ * Test that the entries of a network query are capped per LUT
+ */
+function testNetworkEntryCap() {
+  const range = parseNetworkQuery('10.0.0.0 - 10.0.0.255');
+  const networks = ['10.0.0.0 - 10.0.0.63', '10.0.0.64 - 10.0.0.127', '10.0.0.128 - 10.0.0.255'];
+  const lut = {
+    getEntriesForNetworkRange: () => networks.map((network, i) => ({ object: i, network })),
+    fastLookup: () => null,
+    getDirectEntriesInRange: () => [],
+  };
+  for (const [maxEntries, expected] of [[2, { entries: 2, truncated: true }], [3, { entries: 3, truncated: false }]]) {
+    const { entries, truncated } = collectRangeEntries(lut, range, maxEntries);
+    checkTestCase(`networkQuery:maxEntries=${maxEntries}`, range.network, expected, { entries: entries.length, truncated });
+  }
+}
+
+/**
+ * Test the streaming NDJSON bulk endpoint
+ */
+async function testBulkStream() {
+  const ips = ['8.8.8.8', '1.1.1.1', '2a00:1450:4001:82a::200e', 'notAnIp'];
+  try {
+    const res = await axios.post(`http://localhost:3899/bulk/stream?key=${testApiKey}`, ips.join('\n'), {
+      headers: { 'Content-Type': 'text/plain' },
+      responseType: 'text',
+    });
+    const lines = res.data.trim().split('\n').map((line) => JSON.parse(line));
+    const { total_elapsed_ms, ...trailer } = lines[lines.length - 1];
+    checkTestCase('bulkStream:ndjson', ips.join(','), {
+      status: 200,
+      lines: ips.length + 1,
+      first: { query: '8.8.8.8', ip: '8.8.8.8' },
+      trailer: { trailer: true, total: 4, succeeded: 3, failed: 1 },
+      elapsed: 'number',
+    }, {
+      status: res.status,
+      lines: lines.length,
+      first: { query: lines[0].query, ip: lines[0].ip },
+      trailer,
+      elapsed: typeof total_elapsed_ms,
+    });
+  } catch (err) {
+    logTestFail('bulkStream:ndjson', { input: ips.join(','), details: `error=${formatAxiosError(err)}` });
+  }
+
+  try {
+    await axios.post(`http://localhost:3899/bulk/stream?key=${testApiKey}`, { ips: ips });
+    logTestFail('bulkStream:rejectsJson', { input: 'application/json', details: 'expected 415' });
+  } catch (err) {
+    const response = err.response || {};
+    checkTestCase('bulkStream:rejectsJson', 'application/json', { status: 415, error_code: API_ERROR_CODE.UNSUPPORTED_CONTENT_TYPE },
+      { status: response.status, error_code: response.data && response.data.error_code });
+  }
+}
+
+async function testMetrics() {
+  const url = `http://localhost:3899/metrics?key=${testApiKey}`;
+  const families = {
+    requests: /^ipapi_requests_total\{type="(standard|standard_cached)",status="200"\} \d+$/m,
+    durationBucket: /^ipapi_request_duration_seconds_bucket\{type="[a-z_]+",le="\+Inf"\} \d+$/m,
+    workers: /^ipapi_workers [1-9]\d*$/m,
+    cacheHits: /^ipapi_cache_hits_total \d+$/m,
+  };
+  try {
+    await APIRequest('8.8.8.8');
+    const res = await axios.get(url, { responseType: 'text' });
+    checkTestCase('metrics:prometheus:contentType', url, { status: 200, textPlain: true },
+      { status: res.status, textPlain: res.headers['content-type'].startsWith('text/plain') });
+    for (const [name, pattern] of Object.entries(families)) {
+      checkTestCase(`metrics:prometheus:${name}`, pattern.source, true, pattern.test(res.data));
+    }
+  } catch (err) {
+    logTestFail('metrics:prometheus', { input: '8.8.8.8', url, details: `error=${formatAxiosError(err)}` });
+  }
+
+  try {
+    const res = await axios.get(url, { responseType: 'text', headers: { Accept: 'application/openmetrics-text' } });
+    checkTestCase('metrics:openmetrics', 'Accept: application/openmetrics-text', { contentType: true, eof: true, counterType: true }, {
+      contentType: res.headers['content-type'].startsWith('application/openmetrics-text'),
+      eof: res.data.trim().endsWith('# EOF'),
+      counterType: res.data.includes('# TYPE ipapi_requests counter'),
+    });
+  } catch (err) {
+    logTestFail('metrics:openmetrics', { input: 'Accept: application/openmetrics-text', url, details: `error=${formatAxiosError(err)}` });
+  }
+}
+
+async function testHealthEndpoints() {
+  for (const route of ['/healthz', '/readyz']) {
+    const url = `http://localhost:3899${route}`;
+    try {
+      const res = await axios.get(url);
+      const luts = Object.values(res.data.luts || {});
+      checkTestCase(`health:${route}`, route, {
+        status: 200,
+        ready: true,
+        state: 'ok',
+        apiReloading: false,
+        lutsLoaded: true,
+        environmentChecks: true,
+      }, {
+        status: res.status,
+        ready: res.data.ready,
+        state: res.data.status,
+        apiReloading: res.data.apiReloading,
+        lutsLoaded: luts.length > 0 && luts.every((lut) => lut.loaded),
+        environmentChecks: !!res.data.environment_check && Array.isArray(res.data.environment_check.checks),
+      });
+    } catch (err) {
+      logTestFail(`health:${route}`, { input: route, url, details: `error=${formatAxiosError(err)}` });
+    }
+  }
+}
+
+/**
+ * Whether creating a worker owned client throws when started as a PM2 instance without the cluster master.
+ */
+function isRefusedUnderPm2(create) {
+  const appInstance = process.env.NODE_APP_INSTANCE;
+  process.env.NODE_APP_INSTANCE = '1';
+  try {
+    create();
+    return false;
+  } catch (err) {
+    return true;
+  } finally {
+    if (appInstance === undefined) {
+      delete process.env.NODE_APP_INSTANCE;
+    } else {
+      process.env.NODE_APP_INSTANCE = appInstance;
+    }
+  }
+}
+
+/**
+ * The local API key store, used standalone (without cluster master) on a temporary file.
+ */
+async function testLocalApiKeyStore() {
+  try {
+    await withTempDir('keys', async (dir) => {
+      const storeFile = path.join(dir, 'api_keys.json');
+      const store = new ApiKeyStoreClient(storeFile, false);
+      const created = await store.execute('create', { options: { name: 'test', dailyQuota: 3, allowedRoutes: ['lookup'] } });
+      checkTestCase('localApiKeyStore:allowed', 'lookup', false, store.check(created.key, 'lookup'));
+      checkTestCase('localApiKeyStore:routeDenied', 'whois', API_ERROR_CODE.FORBIDDEN_ROUTE_NOT_ALLOWED, store.check(created.key, 'whois').error_code);
+      store.count(created.key, 3);
+      checkTestCase('localApiKeyStore:quotaDenied', 'lookup after 3 of 3', API_ERROR_CODE.QUOTA_EXCEEDED, store.check(created.key, 'lookup').error_code);
+
+      const rotated = await store.execute('rotate', { id: created.id });
+      checkTestCase('localApiKeyStore:oldKeyInvalid', 'rotate', API_ERROR_CODE.FORBIDDEN_INVALID_API_KEY, store.check(created.key, 'lookup').error_code);
+      checkTestCase('localApiKeyStore:usageKept', 'rotate', 3, rotated.usage.daily);
+      await store.execute('revoke', { id: created.id });
+      checkTestCase('localApiKeyStore:revoked', 'revoke', API_ERROR_CODE.FORBIDDEN_INVALID_API_KEY, store.check(rotated.key, 'lookup').error_code);
+      checkTestCase('localApiKeyStore:notStoredInPlain', storeFile, false, fs.readFileSync(storeFile, 'utf-8').includes(rotated.key));
+      checkTestCase('localApiKeyStore:refusedUnderPm2', 'NODE_APP_INSTANCE=1', true,
+        isRefusedUnderPm2(() => new ApiKeyStoreClient(storeFile, false)));
+    });
+  } catch (err) {
+    logTestFail('localApiKeyStore', { input: 'api_keys.json', details: `error=${err.stack || err}` });
+  }
+}
+
+/**
+ * Burst and hourly limits of the rate limiter, on a fake clock.
+ */
+function testRateLimiter() {
+  const limiter = new RateLimiter();
+  const limits = { perSecond: 2, perHour: 5 };
+  const input = JSON.stringify(limits);
+  const hour = 60 * 60 * 1000;
+  const start = 10 * hour;
+  try {
+    const burst = [limiter.consume('a', limits, 1, start), limiter.consume('a', limits, 1, start)];
+    checkTestCase('rateLimiter:allowed', input, [true, true], burst.map((r) => r.allowed));
+    const burstDenied = limiter.consume('a', limits, 1, start);
+    checkTestCase('rateLimiter:burstDenied', input, { allowed: false, retryAfter: 1, policy: '2;w=1, 5;w=3600' },
+      { allowed: burstDenied.allowed, retryAfter: burstDenied.retryAfter, policy: burstDenied.policy });
+    checkTestCase('rateLimiter:otherClient', input, true, limiter.consume('b', limits, 1, start).allowed);
+
+    const spread = [1000, 2000, 3000].map((ms) => limiter.consume('a', limits, 1, start + ms));
+    checkTestCase('rateLimiter:allowedWithinHour', input, [true, true, true], spread.map((r) => r.allowed));
+    const hourDenied = limiter.consume('a', limits, 1, start + 4000);
+    checkTestCase('rateLimiter:hourDenied', input, { allowed: false, limit: 5, remaining: 0, retryAfterRestOfHour: true },
+      { allowed: hourDenied.allowed, limit: hourDenied.limit, remaining: hourDenied.remaining, retryAfterRestOfHour: hourDenied.retryAfter > 3000 });
+
+    // half into the next hour, half of the previous hour still counts
+    checkTestCase('rateLimiter:slidingDenied', `${input} cost=3`, false, limiter.consume('a', limits, 3, start + 1.5 * hour).allowed);
+    checkTestCase('rateLimiter:slidingAllowed', `${input} cost=2`, true, limiter.consume('a', limits, 2, start + 1.5 * hour).allowed);
+  } catch (err) {
+    logTestFail('rateLimiter', { input, details: `error=${err.stack || err}` });
+  }
+}
+
+/**
+ * Without an answer of the cluster master the worker limits the request itself, or lets it
+ * through with `failOpen`. Here nobody answers, so every check runs into the timeout.
+ */
+async function testRateLimiterMasterTimeout() {
+  const limits = { kind: 'normal', perSecond: 1, perHour: null };
+  let timeouts = 0;
+  const limiter = new RateLimiterClient(true, { failOpen: false }, () => timeouts++);
+  const failOpenLimiter = new RateLimiterClient(true, { failOpen: true }, () => timeouts++);
+  const cases = [
+    { name: 'failOpen=false first request', consume: () => limiter.consume('1.2.3.4', limits), expected: { allowed: true, skipped: false } },
+    { name: 'failOpen=false second request', consume: () => limiter.consume('1.2.3.4', limits), expected: { allowed: false, skipped: false } },
+    { name: 'failOpen=true', consume: () => failOpenLimiter.consume('1.2.3.4', limits), expected: { allowed: true, skipped: true } },
+  ];
+  for (const { name, consume, expected } of cases) {
+    try {
+      const result = await consume();
+      checkTestCase(`rateLimiter:${name}`, JSON.stringify(limits), expected, { allowed: result.allowed, skipped: !!result.skipped });
+    } catch (err) {
+      logTestFail(`rateLimiter:${name}`, { input: JSON.stringify(limits), details: `error=${err.stack || err}` });
+    }
+  }
+  checkTestCase('rateLimiter:masterTimeouts', `${cases.length} requests`, cases.length, timeouts);
+}
+
+/**
+ * Forwarded headers are only honored from trusted proxies.
+ */
+function testClientIpResolution() {
+  const trustedProxies = ['127.0.0.0/8', '::1/128', '10.0.0.0/8'];
+  const cases = [
+    { name: 'mappedPeer', peer: '::ffff:127.0.0.1', headers: {}, expected: '127.0.0.1' },
+    { name: 'untrustedRealIp', peer: '203.0.113.5', headers: { 'x-real-ip': '1.2.3.4' }, expected: '203.0.113.5' },
+    { name: 'untrustedForwardedFor', peer: '203.0.113.5', headers: { 'x-forwarded-for': '1.2.3.4' }, expected: '203.0.113.5' },
+    { name: 'trustedRealIp', peer: '127.0.0.1', headers: { 'x-real-ip': '1.2.3.4' }, expected: '1.2.3.4' },
+    { name: 'forwardedForSkipsTrusted', peer: '127.0.0.1', headers: { 'x-forwarded-for': '6.6.6.6, 1.2.3.4, 10.1.1.1' }, expected: '1.2.3.4' },
+    { name: 'forwardedForAllTrusted', peer: '::ffff:10.0.0.2', headers: { 'x-forwarded-for': '10.0.0.3, ::ffff:10.0.0.4' }, expected: '10.0.0.3' },
+    { name: 'forwardedIPv6', peer: '::1', headers: { 'forwarded': 'for="[2001:db8:cafe::17]:4711";proto=https, for=10.0.0.1' }, expected: '2001:db8:cafe::17' },
+    { name: 'forwardedBeforeForwardedFor', peer: '127.0.0.1', headers: { 'forwarded': 'for=192.0.2.60:8080;by=10.0.0.1', 'x-forwarded-for': '6.6.6.6' }, expected: '192.0.2.60' },
+    { name: 'forwardedUnknown', peer: '127.0.0.1', headers: { 'forwarded': 'for=unknown, for=10.0.0.9' }, expected: '10.0.0.9' },
+  ];
+
+  for (const { name, peer, headers, expected } of cases) {
+    const req = { socket: { remoteAddress: peer }, headers };
+    checkTestCase(`clientIpResolution:${name}`, JSON.stringify({ peer, headers }), expected, getIp(req, true, trustedProxies));
+  }
+}
+
+/**
+ * Blocks expire on their own and allowlisted IPs are never blocked, with the file backend on a temporary file.
+ */
+async function testFirewall() {
+  try {
+    await withTempDir('firewall', async (dir) => {
+      const file = path.join(dir, 'blocklist.txt');
+      const options = getFirewallOptions({
+        trustedProxies: ['10.0.0.0/8'],
+        firewall: { backend: 'file', file, blockMinutes: 10, allowlist: ['192.0.2.0/24'] },
+      });
+      const firewall = new Firewall(options);
+      await firewall.init();
+      const now = Date.now();
+      checkTestCase('firewall:blocked', '::ffff:203.0.113.7', true, firewall.block('::ffff:203.0.113.7', 'test', now) !== false);
+      checkTestCase('firewall:blockedV6', '2001:db8::bad', true, firewall.block('2001:db8::bad', 'test', now + 60 * 1000) !== false);
+      for (const ip of ['192.0.2.1', '10.1.2.3', '127.0.0.1']) {
+        checkTestCase(`firewall:allowlisted:${ip}`, ip, false, firewall.block(ip, 'test', now));
+      }
+      await firewall.queue;
+      checkTestCase('firewall:written', file, '203.0.113.7\n2001:db8::bad\n', fs.readFileSync(file, 'utf-8'));
+
+      checkTestCase('firewall:expired', 'after 10 minutes', { expired: 1, left: 1 },
+        { expired: firewall.expire(now + 10 * 60 * 1000), left: firewall.list().length });
+      checkTestCase('firewall:unblocked', 'unblock 2001:db8::bad', true, firewall.execute('unblock', { ip: '2001:db8::bad' }).unblocked !== undefined);
+      checkTestCase('firewall:notFound', 'unblock 2001:db8::bad', API_ERROR_CODE.FIREWALL_ENTRY_NOT_FOUND,
+        firewall.execute('unblock', { ip: '2001:db8::bad' }).error_code);
+      await firewall.queue;
+      checkTestCase('firewall:emptied', file, '', fs.readFileSync(file, 'utf-8'));
+      checkTestCase('firewall:refusedUnderPm2', 'NODE_APP_INSTANCE=1', true, isRefusedUnderPm2(() => new FirewallClient(options, false)));
+    });
+  } catch (err) {
+    logTestFail('firewall', { input: 'blocklist.txt', details: `error=${err.stack || err}` });
+  }
+}
+
+async function testMmdbWriter() {
+  try {
+    await withTempDir('mmdb', (dir) => {
+      const file = path.join(dir, 'test.mmdb');
+      const writer = new MmdbWriter({ databaseType: 'ipapi.is-test' });
+      const asn = { asn: { asn: 3320, route: '91.0.0.0/10', descr: 'DTAG, DE' } };
+      const vpn = { ...asn, is_vpn: true, vpn: { service: 'Test VPN' } };
+      writer.insert('91.0.0.0 - 91.63.255.255', asn);
+      writer.insert('91.10.0.0/16', { is_vpn: true, vpn: { service: 'Test VPN' } });
+      writer.insert('2003::/19', asn);
+      writer.insert('2003::1', { is_tor: true });
+      writer.write(file);
+
+      const reader = MmdbReader.open(file);
+      const cases = [
+        ['91.1.2.3', asn],
+        ['91.10.2.3', vpn],
+        ['::ffff:91.10.2.3', vpn],
+        ['2003::1', { ...asn, is_tor: true }],
+        ['2003::2', asn],
+        ['8.8.8.8', null],
+      ];
+      for (const [ip, expected] of cases) {
+        checkTestCase(`mmdbWriter:${ip}`, ip, expected, reader.get(ip));
+      }
+      checkTestCase('mmdbWriter:metadata', file, { database_type: 'ipapi.is-test', ip_version: 6 },
+        { database_type: reader.metadata.database_type, ip_version: reader.metadata.ip_version });
+    });
+  } catch (err) {
+    logTestFail('mmdbWriter', { input: 'test.mmdb', details: `error=${err.stack || err}` });
+  }
+}
+
+async function testLutExport() {
+  try {
+    await withTempDir('export', (dir) => {
+      const torLut = new FastLut('exportTorLut');
+      torLut.addLut('1.2.3.4', POS_VAL);
+      torLut.addLut('2001:db8::/32', POS_VAL);
+      torLut.prepareLut();
+      const namedVpnLut = new FastLut('exportNamedVpnLut', ON_MULTI_ALL);
+      namedVpnLut.addLut('10.0.0.0/8', { service: 'Test VPN', type: 'exit_node' });
+      namedVpnLut.addLut('10.1.0.0 - 10.1.0.255', { service: 'Other VPN' });
+      namedVpnLut.prepareLut();
+      const ipApi = { blacklistLut: { torLut, namedVpnLut } };
+
+      const csvResults = exportLutTables(ipApi, ['tor', 'named_vpn', 'company'], dir, 'csv');
+      const ndjsonResults = exportLutTables(ipApi, ['named_vpn'], dir, 'ndjson');
+      const csvLines = fs.readFileSync(path.join(dir, 'named_vpn.csv'), 'utf-8').trim().split('\n');
+      const ndjsonRows = fs.readFileSync(path.join(dir, 'named_vpn.ndjson'), 'utf-8').trim().split('\n').map(JSON.parse);
+
+      checkTestCase('lutExport:skipsUnloaded', 'tor, named_vpn, company', { tables: 2, companyFile: false },
+        { tables: csvResults.length, companyFile: fs.existsSync(path.join(dir, 'company.csv')) });
+      checkTestCase('lutExport:torRows', 'tor', 2, csvResults[0].rows);
+      checkTestCase('lutExport:csvHeader', 'named_vpn.csv', '"network","start","end","ip_version","service","type"', csvLines[0]);
+      checkTestCase('lutExport:csvRow', 'named_vpn.csv', '"10.0.0.0 - 10.255.255.255","10.0.0.0","10.255.255.255","4","Test VPN","exit_node"', csvLines[1]);
+      checkTestCase('lutExport:csvRows', 'named_vpn.csv', 3, csvLines.length);
+      checkTestCase('lutExport:ndjsonRows', 'named_vpn.ndjson', 2, ndjsonResults[0].rows);
+      checkTestCase('lutExport:ndjsonRow', 'named_vpn.ndjson', { start: '10.1.0.0', end: '10.1.0.255', ip_version: 4, service: 'Other VPN' }, {
+        start: ndjsonRows[1].start,
+        end: ndjsonRows[1].end,
+        ip_version: ndjsonRows[1].ip_version,
+        service: ndjsonRows[1].service,
+      });
+    });
+  } catch (err) {
+    logTestFail('lutExport', { input: 'tor, named_vpn, company', details: `error=${err.stack || err}` });
+  }
+}
+
+async function testDatabaseManifest() {
+  try {
+    await withTempDir('db', async (dir) => {
+      fs.mkdirSync(path.join(dir, 'TorLut'));
+      fs.writeFileSync(path.join(dir, 'version.json'), JSON.stringify({ RAM_DB_VERSION: 'test' }));
+      fs.writeFileSync(path.join(dir, 'TorLut', 'line.bin'), Buffer.from([1, 2, 3]));
+      const manifest = await createManifest(dir);
+      checkTestCase('databaseManifest:created', 'TorLut/line.bin, version.json',
+        { version: 'test', files: ['TorLut/line.bin', 'version.json'] },
+        { version: manifest.version, files: Object.keys(manifest.files) });
+      checkTestCase('databaseManifest:verified', 'unchanged files', true, (await verifyManifest(dir)).ok);
+
+      fs.writeFileSync(path.join(dir, 'TorLut', 'line.bin'), Buffer.from([1, 2, 4]));
+      fs.writeFileSync(path.join(dir, 'TorLut', 'extra.json'), '{}');
+      const tampered = await verifyManifest(dir);
+      checkTestCase('databaseManifest:tampered', 'changed TorLut/line.bin, added TorLut/extra.json',
+        { ok: false, mismatched: ['TorLut/line.bin'], unlisted: ['TorLut/extra.json'] },
+        { ok: tampered.ok, mismatched: tampered.mismatched, unlisted: tampered.unlisted });
+      fs.rmSync(path.join(dir, 'version.json'));
+      const truncated = await verifyManifest(dir);
+      checkTestCase('databaseManifest:truncated', 'removed version.json',
+        { ok: false, missing: ['version.json'] }, { ok: truncated.ok, missing: truncated.missing });
+
+      // a manifest created for a database without one marks it as not verified
+      await createManifest(dir, false);
+      checkTestCase('databaseManifest:unverified', 'createManifest(dir, false)', false, isVerifiedDatabase(dir));
+    });
+  } catch (err) {
+    logTestFail('databaseManifest', { input: 'TorLut/line.bin, version.json', details: `error=${err.stack || err}` });
+  }
+}
+
+async function testRollingReload() {
+  const rollingReload = new RollingReload(200);
+  const events = [];
+  // worker 2 never finishes its reload and runs into the timeout
+  const workers = [1, 2, 3].map((key) => ({
+    key,
+    trigger: () => {
+      events.push(`start${key}`);
+      if (key !== 2) {
+        setTimeout(() => {
+          events.push(`done${key}`);
+          rollingReload.finished(key);
+        }, 20);
+      }
+    },
+  }));
+  try {
+    const first = rollingReload.run(workers);
+    const joined = rollingReload.run(workers) === first;
+    const result = await first;
+    const sequential = events.join(' ') === 'start1 done1 start2 start3 done3';
+    if (joined && sequential && result.reloaded === 2 && result.failed === 1) {
+      log(`[rollingReload] test passed`);
+    } else {
+      logTestFail('rollingReload', { input: 'workers 1, 2, 3', details: JSON.stringify({ joined, events, result }) });
+    }
+  } catch (err) {
+    logTestFail('rollingReload', { input: 'workers 1, 2, 3', details: `error=${err.stack || err}` });
+  }
+}
+
+async function testReloadReportsReloading() {
+  const api = new MainIpApi(false, false, true);
+  api.apiLoaded = true;
+  const reloadedLuts = [];
+  api.loadedLuts = {
+    companyLut: { loadPersistedLut: () => reloadedLuts.push('companyLut') },
+    torLut: { loadPersistedLut: () => reloadedLuts.push('torLut') },
+  };
+
+  const reload = api.reloadApi();
+  const concurrent = await api.reloadApi();
+  const reloadingWhileRunning = api.apiReloading && !api.apiLoaded;
+  const status = await reload;
+  const state = { concurrent, reloadingWhileRunning, status, reloadedLuts, apiReloading: api.apiReloading, apiLoaded: api.apiLoaded };
+  const expected = { concurrent: 'currentlyReloading', reloadingWhileRunning: true, status: 'reloaded',
+    reloadedLuts: ['companyLut', 'torLut'], apiReloading: false, apiLoaded: true };
+  if (JSON.stringify(state) === JSON.stringify(expected)) {
+    log(`[reloadApi] test passed`);
+  } else {
+    logTestFail('reloadApi', { input: 'companyLut, torLut', details: `expected=${JSON.stringify(expected)} actual=${JSON.stringify(state)}` });
+  }
+}
+
+async function testUpdateSources() {
+  try {
+    await withTempDir('sources', async (dir) => {
+      fs.mkdirSync(path.join(dir, 'ramdb'));
+      fs.writeFileSync(path.join(dir, 'ramdb', 'version.json'), JSON.stringify({ RAM_DB_VERSION: 'test' }));
+      executeCommandSync(`cd ${dir} && zip -q -r bundle.zip ramdb`);
+
+      const bundleUrl = `file://${path.join(dir, 'bundle.zip')}`;
+      const bundle = parseUpdateSource(bundleUrl);
+      checkTestCase('updateSources:bundle', bundleUrl, 'bundle', bundle.type);
+
+      const mirrorDir = path.join(dir, 'mirror');
+      const mirrored = await createMirror(bundle, mirrorDir);
+      checkTestCase('updateSources:mirrored', mirrorDir, { version: 'test', versionFile: true },
+        { version: mirrored.version, versionFile: fs.existsSync(path.join(mirrorDir, 'version.json')) });
+
+      const mirror = parseUpdateSource(mirrorDir);
+      checkTestCase('updateSources:directory', mirrorDir, 'directory', mirror.type);
+      checkTestCase('updateSources:newerThanOld', 'installed version old', true, await isNewerVersionAvailable(mirror, 'old'));
+      checkTestCase('updateSources:notNewerThanTest', 'installed version test', false, await isNewerVersionAvailable(mirror, 'test'));
+      checkTestCase('updateSources:fetched', mirrorDir, path.join(mirrorDir, 'ipapi_database_ram.zip'),
+        await fetchFromSource(mirror, 'ramDatabase', null));
+    });
+    checkTestCase('updateSources:http', 'http://mirror.local/ipapi', 'http://mirror.local/ipapi/',
+      parseUpdateSource('http://mirror.local/ipapi').location);
+  } catch (err) {
+    logTestFail('updateSources', { input: 'bundle.zip', details: `error=${err.stack || err}` });
+  }
+}
+
+async function testDatabaseDiff() {
+  try {
+    await withTempDir('diff', (dir) => {
+      const persist = (version, name, entries, geonameIdLut = null) => {
+        const lut = new FastLut(name);
+        for (const [network, obj] of entries) {
+          lut.addLut(network, obj);
+        }
+        lut.prepareLut();
+        lut.ramDbStoreDir = path.join(dir, version, `${name}/`);
+        lut.persistLut();
+        if (geonameIdLut) {
+          fs.mkdirSync(path.join(dir, version, 'LookupTables'), { recursive: true });
+          fs.writeFileSync(path.join(dir, version, 'LookupTables', 'geonameIdLut.json'), JSON.stringify(geonameIdLut));
+        }
+      };
+      persist('old', 'TorLut', [['1.2.3.4', POS_VAL], ['5.6.7.0/24', POS_VAL]]);
+      persist('new', 'TorLut', [['1.2.3.4', POS_VAL], ['9.9.9.0/24', POS_VAL]]);
+      persist('old', 'FinalLut', [['10.0.0.0/8', 1], ['11.0.0.0/8', 2]], { 1: 'de_Berlin_Berlin_10115_52.5_13.4', 2: 'us_CA_LA_90001_34.0_-118.2' });
+      persist('new', 'FinalLut', [['10.0.0.0/8', 1], ['11.0.0.0/8', 2]], { 1: 'fr_IDF_Paris_75001_48.9_2.3', 2: 'us_CA_LA_90001_34.0_-118.2' });
+      const out = path.join(dir, 'changes.ndjson');
+      const result = diffDatabases(path.join(dir, 'old'), path.join(dir, 'new'), { tables: ['tor', 'geolocation', 'vpn'], out });
+      const changes = fs.readFileSync(out, 'utf-8').trim().split('\n').map(JSON.parse);
+
+      const { tor, geolocation, vpn } = result.tables;
+      checkTestCase('databaseDiff:tor', '5.6.7.0/24 replaced by 9.9.9.0/24', { added: 1, removed: 1, changed: 0 },
+        { added: tor.added, removed: tor.removed, changed: tor.changed });
+      checkTestCase('databaseDiff:geolocation', '10.0.0.0/8 moved from DE to FR', { changed: 1, country_code: 1 },
+        { changed: geolocation.changed, country_code: geolocation.changed_fields.country_code });
+      checkTestCase('databaseDiff:vpnSkipped', 'no VpnLut in either version', true, !!vpn.skipped);
+      checkTestCase('databaseDiff:changes', out, ['added', 'removed', 'changed'], changes.map((change) => change.change));
+      checkTestCase('databaseDiff:changedCountry', out, { old: 'DE', new: 'FR' },
+        { old: changes[2] && changes[2].old.country_code, new: changes[2] && changes[2].new.country_code });
+    });
+  } catch (err) {
+    logTestFail('databaseDiff', { input: 'tor, geolocation, vpn', details: `error=${err.stack || err}` });
+  }
+}
+
+async function testWatchlist() {
+  try {
+    await withTempDir('watchlist', async (dir) => {
+      const options = getWatchlistOptions({
+        watchlist: {
+          enabled: true,
+          logFile: path.join(dir, 'changes.ndjson'),
+          stateFile: path.join(dir, 'state.json'),
+        },
+      });
+      const fields = ['is_vpn', 'location.country_code'];
+      const entries = [{ query: '1.2.3.4', label: 'customer' }, { query: '10.0.0.0/8', label: 'partner' }];
+      let database = {
+        '1.2.3.4': { ip: '1.2.3.4', is_vpn: false, location: { country_code: 'DE' } },
+        '10.0.0.0': { ip: '10.0.0.0', is_vpn: false, location: { country_code: 'US' } },
+      };
+      const lookup = (ip) => database[ip];
+
+      const watchlist = new Watchlist(options);
+      checkTestCase('watchlist:firstEvaluation', 'v1', null, watchlist.update('v1', evaluateWatchlist(entries, fields, lookup)));
+      database = { ...database, '1.2.3.4': { ip: '1.2.3.4', is_vpn: true, location: { country_code: 'FR' } } };
+      const changeSet = watchlist.update('v2', evaluateWatchlist(entries, fields, lookup));
+      checkTestCase('watchlist:changes', 'v1 -> v2',
+        ['1.2.3.4 is_vpn false->true', '1.2.3.4 location.country_code DE->FR'],
+        changeSet ? changeSet.changes.map(({ query, field, old, new: value }) => `${query} ${field} ${old}->${value}`) : null);
+      checkTestCase('watchlist:sameVersion', 'v2 again', null, watchlist.update('v2', evaluateWatchlist(entries, fields, lookup)));
+      await sleep(100);
+
+      const logLines = fs.existsSync(options.logFile) ? fs.readFileSync(options.logFile, 'utf-8').trim().split('\n') : [];
+      checkTestCase('watchlist:logged', options.logFile, { lines: 2, to_version: 'v2' },
+        { lines: logLines.length, to_version: logLines[0] ? JSON.parse(logLines[0]).to_version : null });
+      const restored = new Watchlist(options).getChanges();
+      checkTestCase('watchlist:restored', options.stateFile, { version: 'v2', change_sets: 1 },
+        { version: restored.version, change_sets: restored.change_sets.length });
+    });
+  } catch (err) {
+    logTestFail('watchlist', { input: 'customer 1.2.3.4, partner 10.0.0.0/8', details: `error=${err.stack || err}` });
+  }
+}
+
+function testRiskScore() {
+  const input = { is_vpn: 60, is_tor: 200, unknown: 10 };
+  const { weights } = getRiskOptions({ risk: { enabled: true, weights: input } });
+  checkTestCase('riskScore:weights', JSON.stringify(input), { is_vpn: 60, is_tor: 90, unknown: false },
+    { is_vpn: weights.is_vpn, is_tor: weights.is_tor, unknown: 'unknown' in weights });
+  checkTestCase('riskScore:abuserScoreSignal:elevated', '0.0193 (Elevated)', 0.5, abuserScoreSignal('0.0193 (Elevated)'));
+  checkTestCase('riskScore:abuserScoreSignal:invalid', 'garbage', null, abuserScoreSignal('garbage'));
+
+  const risky = computeRiskScore({
+    is_tor: true,
+    is_datacenter: true,
+    asn: { abuser_score: '0.0193 (Elevated)' },
+    company: { abuser_score: '0 (Very Low)' },
+    is_blocked: true,
+  }, weights, 'is_blocked');
+  // 1 - (1 - 0.9) * (1 - 0.3) * (1 - 0.2) * (1 - 0.6) = 0.9776
+  checkTestCase('riskScore:risky', 'tor, datacenter, elevated ASN, custom list', {
+    score: 98,
+    level: 'critical',
+    factors: ['is_tor', 'custom_list', 'is_datacenter', 'asn_abuser_score'],
+  }, { score: risky.score, level: risky.level, factors: risky.factors.map(({ factor }) => factor) });
+
+  const clean = computeRiskScore({ is_tor: false, asn: { abuser_score: '0 (Very Low)' } }, weights);
+  checkTestCase('riskScore:clean', 'no flags, very low ASN', { score: 0, level: 'minimal', factors: [] },
+    { score: clean.score, level: clean.level, factors: clean.factors });
+}
+
+function testWhoisFormat() {
+  const ripeRecord = [
+    `% Abuse contact for '185.1.2.0 - 185.1.2.255' is 'abuse@example.net'`,
+    '',
+    'inetnum:        185.1.2.0 - 185.1.2.255',
+    'netname:        EXAMPLE-NET',
+    'country:        DE',
+    'org:            ORG-EX1-RIPE',
+    'admin-c:        EX1-RIPE',
+    'abuse-c:        AR1-RIPE',
+    'remarks:        first line',
+    '                second line',
+    'created:        2015-03-02T10:00:00Z',
+    'last-modified:  2021-07-01T08:30:00Z',
+    'source:         RIPE',
+    '',
+    'organisation:   ORG-EX1-RIPE',
+    'org-name:       Example GmbH',
+    '',
+    'role:           Example Abuse',
+    'nic-hdl:        AR1-RIPE',
+    'abuse-mailbox:  abuse@example.net',
+  ].join('\n');
+  const arinRecord = [
+    'NetRange:       8.8.8.0 - 8.8.8.255',
+    'CIDR:           8.8.8.0/24',
+    'NetName:        GOGL',
+    'NetHandle:      NET-8-8-8-0-2',
+    'RegDate:        2023-12-28',
+    '',
+    'OrgName:        Google LLC',
+    'OrgId:          GOGL',
+    'Country:        US',
+    '',
+    'OrgAbuseHandle: ABUSE5250-ARIN',
+    'OrgAbuseEmail:  network-abuse@google.com',
+  ].join('\n');
+
+  const ripe = formatWhoisRecord(ripeRecord, WHOIS_FORMATS.JSON);
+  checkTestCase('whoisFormat:ripe', 'RIPE inetnum 185.1.2.0 - 185.1.2.255', {
+    rir: 'RIPE',
+    name: 'EXAMPLE-NET',
+    org: 'Example GmbH',
+    abuse_email: 'abuse@example.net',
+    remarks: 'first line\nsecond line',
+    contacts: ['admin:EX1-RIPE', 'abuse:AR1-RIPE'],
+    updated: '2021-07-01T08:30:00.000Z',
+  }, {
+    rir: ripe.rir,
+    name: ripe.name,
+    org: ripe.org && ripe.org.name,
+    abuse_email: ripe.abuse_email,
+    remarks: ripe.remarks && ripe.remarks[0],
+    contacts: (ripe.contacts || []).map(({ role, handle }) => `${role}:${handle}`),
+    updated: ripe.updated,
+  });
+
+  const arin = formatWhoisRecord(arinRecord, WHOIS_FORMATS.JSON);
+  checkTestCase('whoisFormat:arin', 'ARIN NetRange 8.8.8.0 - 8.8.8.255', {
+    rir: 'ARIN',
+    handle: 'NET-8-8-8-0-2',
+    country: 'US',
+    cidr: '8.8.8.0/24',
+    abuse_email: 'network-abuse@google.com',
+  }, {
+    rir: arin.rir,
+    handle: arin.handle,
+    country: arin.country,
+    cidr: arin.cidr && arin.cidr[0],
+    abuse_email: arin.abuse_email,
+  });
+
+  const rdap = formatWhoisRecord(arinRecord, WHOIS_FORMATS.RDAP);
+  checkTestCase('whoisFormat:rdap', 'ARIN NetRange 8.8.8.0 - 8.8.8.255', {
+    objectClassName: 'ip network',
+    startAddress: '8.8.8.0',
+    endAddress: '8.8.8.255',
+    abuseEntity: true,
+    firstEvent: 'registration',
+  }, {
+    objectClassName: rdap.objectClassName,
+    startAddress: rdap.startAddress,
+    endAddress: rdap.endAddress,
+    abuseEntity: (rdap.entities || []).some(({ roles }) => roles.includes('abuse')),
+    firstEvent: rdap.events && rdap.events[0].eventAction,
+  });
+
+  checkTestCase('whoisFormat:rdapFallback', 'no record', 'no record', formatWhoisRecord('no record', WHOIS_FORMATS.RDAP));
+  checkTestCase('whoisFormat:text', 'ARIN NetRange 8.8.8.0 - 8.8.8.255', arinRecord, formatWhoisRecord(arinRecord, WHOIS_FORMATS.TEXT));
+}
+
+function testCompanySearch() {
+  // a company database without the lookup tables: companyIdLut rows and the networks of a CompanyLut
+  const company = Object.create(IPtoCompany.prototype);
+  company.companyIdLut = {
+    1: 'Deutsche Bahn AG\tdeutschebahn.com\t65\tDB Abuse\tBerlin\tabuse@deutschebahn.com\t',
+    2: 'DB Netz AG\tdbnetz.de\t65\tDB Netz Abuse\tFrankfurt\tabuse@deutschebahn.com\t',
+    3: 'Deutsche Bahn Connect GmbH\tdeutschebahn.com\t15\t\t\t\t',
+    4: 'Bahn Hosting LLC\texample.com\t21\t\t\tnoc@example.com\t',
+  };
+  const networks = [['1.2.3.0 - 1.2.3.255', 1], ['5.6.0.0 - 5.6.255.255', 1], ['9.9.9.0 - 9.9.9.255', 4]];
+  company.companyLut = { iterLut: (callback) => networks.forEach(([network, orgId]) => callback(network, orgId, 4)) };
+
+  company.resetOrgNetworkIndex();
+  const search = new CompanySearch(company);
+  const byName = search.search({ query: 'deutsche bahn' });
+  checkTestCase('companySearch:byName', 'query=deutsche bahn',
+    { total: 2, first: 'Deutsche Bahn AG', abuse_email: 'abuse@deutschebahn.com' },
+    { total: byName.total, first: byName.results[0].name, abuse_email: byName.results[0].abuse.email });
+
+  const byDomain = search.search({ domain: 'www.deutschebahn.com', type: 'business' });
+  checkTestCase('companySearch:byDomain', 'domain=www.deutschebahn.com type=business', { total: 1, org_id: '1' },
+    { total: byDomain.total, org_id: byDomain.results[0].org_id });
+
+  const byEmail = search.search({ query: 'abuse deutschebahn', rir: 'ripe', limit: 1, page: 2 });
+  checkTestCase('companySearch:pagination', 'query=abuse deutschebahn rir=ripe limit=1 page=2', { total: 2, results: 1, page: 2 },
+    { total: byEmail.total, results: byEmail.results.length, page: byEmail.page });
+
+  checkTestCase('companySearch:indexNotBuilt', 'searches without networks', null, company.orgNetworks);
+  const found = company.getNetworksOfOrgs(['1', '4'], 1);
+  checkTestCase('companySearch:networks', 'orgs 1, 4 maxNetworks=1',
+    { 1: { total: 2, networks: ['1.2.3.0 - 1.2.3.255'] }, 4: { total: 1 } },
+    { 1: { total: found['1'].total, networks: found['1'].networks }, 4: { total: found['4'].total } });
+
+  for (const params of [{ query: '' }, { query: 'bahn', type: 'bakery' }, { query: 'bahn', limit: 1000 }]) {
+    checkTestCase('companySearch:invalid', JSON.stringify(params), true, !!search.search(params).error);
+  }
+}
+
+function testDatacenterRanges() {
+  // overlapping and adjacent networks of a HostingLut
+  const networks = [
+    ['10.0.0.0 - 10.0.0.255', ['Amazon AWS', '10.0.0.0/24', 'aws.amazon.com']],
+    ['10.0.0.128/25', ['Amazon AWS', '10.0.0.128/25', 'aws.amazon.com']],
+    ['10.0.1.0 - 10.0.1.255', ['Amazon AWS', '10.0.1.0/24', 'aws.amazon.com']],
+    ['10.0.2.0 - 10.0.2.127', ['Amazon AWS', '10.0.2.0/25', 'aws.amazon.com']],
+    ['2001:db8::/33', ['Amazon AWS', '2001:db8::/33', 'aws.amazon.com']],
+    ['2001:db8:8000::/33', ['Amazon AWS', '2001:db8:8000::/33', 'aws.amazon.com']],
+    ['192.0.2.0 - 192.0.2.255', ['Hetzner Online GmbH', '192.0.2.0/24', 'hetzner.com']],
+  ];
+  const hostingLut = { iterLut: (callback) => networks.forEach(([network, obj]) => callback(network, obj, network.includes(':') ? 6 : 4)) };
+
+  const exported = exportDatacenterRanges(hostingLut, ['amazon aws', 'Hetzner Online GmbH']);
+  const aws = exported.providers ? exported.providers.find(({ provider }) => provider === 'Amazon AWS') : null;
+  checkTestCase('datacenterRanges:aggregated', 'Amazon AWS', { ipv4: ['10.0.0.0/23', '10.0.2.0/25'], ipv6: ['2001:db8::/32'] },
+    aws ? { ipv4: aws.ipv4, ipv6: aws.ipv6 } : null);
+
+  const nginx = renderDatacenterRanges(exported, 'nginx').body;
+  checkTestCase('datacenterRanges:nginx', 'format=nginx', { aws: true, hetzner: true }, {
+    aws: nginx.includes('deny 10.0.0.0/23;\n'),
+    hetzner: nginx.includes('# Hetzner Online GmbH\ndeny 192.0.2.0/24;'),
+  });
+
+  const iptables = renderDatacenterRanges(exported, 'iptables', { action: 'allow', name: 'cloud' }).body;
+  checkTestCase('datacenterRanges:iptables', 'format=iptables action=allow name=cloud', { rule: true, ipv6: false, commit: true }, {
+    rule: iptables.includes('-A CLOUD -s 192.0.2.0/24 -m comment --comment "Hetzner Online GmbH" -j ACCEPT'),
+    ipv6: iptables.includes('2001:db8'),
+    commit: iptables.trim().endsWith('COMMIT'),
+  });
+
+  const ipset = renderDatacenterRanges(exported, 'ipset', { name: 'cloud', ipVersion: 6 }).body;
+  checkTestCase('datacenterRanges:ipset', 'format=ipset name=cloud ip_version=6', { create: true, add: true, ipv4: false }, {
+    create: ipset.includes('create cloud-v6 hash:net family inet6'),
+    add: ipset.includes('add cloud-v6 2001:db8::/32 -exist'),
+    ipv4: ipset.includes('cloud-v4'),
+  });
+
+  checkTestCase('datacenterRanges:unknownProvider', 'Amazon AWS, Nobody', true,
+    !!exportDatacenterRanges(hostingLut, ['Amazon AWS', 'Nobody']).error);
+}
+
+function testAsnSearch() {
+  // an ASN database without the lookup table
+  const asnLut = Object.create(IPtoASN.prototype);
+  asnLut.autnums = {
+    64500: { d: 'EXAMPLE-NET Example Networks', c: 'DE', a: true,
+      p: ['192.0.2.0/25', '192.0.2.128/25', '198.51.100.0/24', '198.51.100.0/25'], p6: ['2001:db8::/48', '2001:db8:1::/48', '2001:db8:1:1::/64'] },
+    64501: { d: 'EXAMPLE-BACKUP Example Networks', c: 'DE', a: false, p: [], p6: [] },
+    64502: { d: 'OTHER-AS Other Carrier', c: 'US', a: true, p: ['203.0.113.0/24'], p6: [] },
+  };
+  asnLut.metaASN = { 64500: { org: 'Example Networks GmbH', domain: 'example.net', type: 'isp', rir: 'RIPE' } };
+
+  const search = new AsnSearch(asnLut);
+  const byName = search.search({ query: 'example networks' });
+  checkTestCase('asnSearch:byName', 'query=example networks',
+    { total: 2, asn: 64500, org: 'Example Networks GmbH', country: 'de' },
+    { total: byName.total, asn: byName.results[0].asn, org: byName.results[0].org, country: byName.results[0].country });
+
+  const byCountry = search.search({ country: 'us' });
+  checkTestCase('asnSearch:byCountry', 'country=us', { total: 1, asn: 64502 },
+    { total: byCountry.total, asn: byCountry.results[0].asn });
+
+  const page = search.prefixes('AS64500', { limit: 2, page: 2 });
+  checkTestCase('asnSearch:page', 'AS64500 limit=2 page=2', { total: 7, prefixes: ['198.51.100.0/24', '198.51.100.0/25'] },
+    { total: page.total, prefixes: page.prefixes });
+  checkTestCase('asnSearch:summary', 'AS64500', { num_prefixes_ipv4: 4, num_ipv4_addresses: 512, num_ipv6_48s: 2 }, {
+    num_prefixes_ipv4: page.summary.num_prefixes_ipv4,
+    num_ipv4_addresses: page.summary.num_ipv4_addresses,
+    num_ipv6_48s: page.summary.num_ipv6_48s,
+  });
+
+  checkTestCase('asnSearch:aggregated', '64500 aggregate', ['192.0.2.0/24', '198.51.100.0/24', '2001:db8::/47'],
+    search.prefixes(64500, { aggregate: true }).prefixes);
+  const ipv6 = search.prefixes('64500', { aggregate: true, ipVersion: 6 });
+  checkTestCase('asnSearch:ipv6', '64500 aggregate ip_version=6', { total: 1, prefixes: ['2001:db8::/47'] },
+    { total: ipv6.total, prefixes: ipv6.prefixes });
+
+  checkTestCase('asnSearch:emptyQuery', "query=''", true, !!search.search({ query: '' }).error);
+  checkTestCase('asnSearch:invalidAsn', 'bad', true, !!search.prefixes('bad').error);
+  checkTestCase('asnSearch:unknownAsn', 'AS1', 'ERR_ASN_NOT_FOUND', search.prefixes('AS1').error_code);
+  checkTestCase('asnSearch:limit', '64500 limit=5000', true, !!search.prefixes(64500, { limit: 5000 }).error);
+}
+
+function testIPv6Transition() {
+  const tests = {
+    '::ffff:1.2.3.4': { mechanism: 'ipv4-mapped', ipv4: '1.2.3.4' },
+    '::ffff:102:304': { mechanism: 'ipv4-mapped', ipv4: '1.2.3.4' },
+    '2002:c000:204::1': { mechanism: '6to4', ipv4: '192.0.2.4' },
+    // RFC 4380 example: server 65.54.227.120, client 192.0.2.45
+    '2001:0:4136:e378:8000:63bf:3fff:fdd2': { mechanism: 'teredo', ipv4: '192.0.2.45', teredo_server: '65.54.227.120' },
+    '64:ff9b::192.0.2.33': { mechanism: 'nat64', ipv4: '192.0.2.33' },
+    '64:ff9b::c000:221': { mechanism: 'nat64', ipv4: '192.0.2.33' },
+    '2001:db8::1': null,
+    '::1': null,
+    '1.2.3.4': null,
+  };
+  for (const ip in tests) {
+    checkTestCase(`ipv6Transition:${ip}`, ip, tests[ip], getEmbeddedIPv4(ip));
+  }
+}
+
+async function testCli() {
+  // a small fixture instead of the RAM database, only 1.2.3.4 is known
+  const ipApi = {
+    fastLookup: (query) => (query === '1.2.3.4'
+      ? { ip: query, is_vpn: true, location: { country_code: 'DE' } }
+      : { error: 'Invalid IP Address or AS Number', error_code: API_ERROR_CODE.INVALID_IP_OR_ASN }),
+  };
+  const loadApi = async () => ipApi;
+  const withoutElapsed = ({ elapsed_ms, total_elapsed_ms, ...rest }) => rest;
+  const consoleLog = console.log;
+
+  const captureStdout = async (fn) => {
+    const write = process.stdout.write;
+    let output = '';
+    process.stdout.write = (chunk) => {
+      output += chunk;
+      return true;
+    };
+    try {
+      const exitCode = await fn();
+      return { exitCode, output };
+    } finally {
+      process.stdout.write = write;
+    }
+  };
+
+  try {
+    const found = await captureStdout(() => runCli(['lookup', '1.2.3.4'], loadApi));
+    checkTestCase('cli:lookup', 'lookup 1.2.3.4',
+      { exitCode: 0, result: { ip: '1.2.3.4', is_vpn: true, location: { country_code: 'DE' } } },
+      { exitCode: found.exitCode, result: withoutElapsed(JSON.parse(found.output)) });
+    const invalid = await captureStdout(() => runCli(['lookup', 'foo'], loadApi));
+    checkTestCase('cli:lookupInvalid', 'lookup foo', { exitCode: 1, error_code: API_ERROR_CODE.INVALID_IP_OR_ASN },
+      { exitCode: invalid.exitCode, error_code: JSON.parse(invalid.output).error_code });
+    checkTestCase('cli:restoresConsoleLog', 'lookup', true, console.log === consoleLog);
+
+    await withTempDir('cli', async (dir) => {
+      const inFile = path.join(dir, 'ips.txt');
+      const ndjsonFile = path.join(dir, 'results.ndjson');
+      const csvFile = path.join(dir, 'results.csv');
+      fs.writeFileSync(inFile, '# fixture\n1.2.3.4\n\nfoo\n 1.2.3.4 \n');
+
+      const ndjsonExitCode = await runCli(['bulk', '--in', inFile, '--out', ndjsonFile], loadApi);
+      const ndjsonRows = fs.readFileSync(ndjsonFile, 'utf-8').trim().split('\n').map((line) => withoutElapsed(JSON.parse(line)));
+      checkTestCase('cli:bulkNdjson', inFile, {
+        exitCode: 0,
+        queries: ['1.2.3.4', 'foo', '1.2.3.4'],
+        trailer: { trailer: true, total: 3, succeeded: 2, failed: 1 },
+      }, {
+        exitCode: ndjsonExitCode,
+        queries: ndjsonRows.slice(0, -1).map((row) => row.query),
+        trailer: ndjsonRows[ndjsonRows.length - 1],
+      });
+
+      await runCli(['bulk', '--in', inFile, '--out', csvFile, '--format', 'csv'], loadApi);
+      const csvLines = fs.readFileSync(csvFile, 'utf-8').trim().split('\n');
+      checkTestCase('cli:bulkCsv', inFile, {
+        header: '"query","ip","is_vpn","location.country_code","elapsed_ms","error","error_code"',
+        failedRow: '"foo",,,,,"Invalid IP Address or AS Number","ERR_INVALID_IP_OR_ASN"',
+        rows: 4,
+      }, { header: csvLines[0], failedRow: csvLines[2], rows: csvLines.length });
+    });
+  } catch (err) {
+    logTestFail('cli', { input: 'lookup, bulk', details: `error=${err.stack || err}` });
+  }
+}
+
 async function runFunctionalTestSuite() {
   testFastLookupTable();
   simpleLutTests();
+  testNetworkEntryCap();
+  await testLocalApiKeyStore();
+  testRateLimiter();
+  await testRateLimiterMasterTimeout();
+  testClientIpResolution();
+  await testFirewall();
+  await testMmdbWriter();
+  await testLutExport();
+  await testDatabaseManifest();
+  await testRollingReload();
+  await testReloadReportsReloading();
+  await testUpdateSources();
+  await testDatabaseDiff();
+  await testWatchlist();
+  testRiskScore();
+  testWhoisFormat();
+  testCompanySearch();
+  testDatacenterRanges();
+  testAsnSearch();
+  testIPv6Transition();
+  await testCli();
   const apiLaunched = await launchAPI(process.argv[3]);
   if (!apiLaunched) {
     log('Turning down, unable to launch API', 'ERROR');
@@ -1390,6 +2350,21 @@ async function runFunctionalTestSuite() {
     }
   }
 
+  // explain=1 names the custom list as source of is_datacenter
+  for (let ip of customListDatacenter) {
+    let fast_lookup = await APIRequest(ip, false, false, { explain: 1 });
+    const sources = fast_lookup?.explain?.is_datacenter?.sources || [];
+    if (fast_lookup?.explain?.is_datacenter?.value === true && sources.some((source) => source.lut === 'CustomListsLut' && source.network)) {
+      log(`[explainCustomListDatacenter] test passed`)
+    } else {
+      logTestFail('explainCustomListDatacenter', {
+        input: ip,
+        url: `http://localhost:3899/?q=${ip}&explain=1`,
+        details: `explain=${JSON.stringify(fast_lookup && fast_lookup.explain)}`,
+      });
+    }
+  }
+
   for (let ip of customListAbuser) {
     let fast_lookup = await APIRequest(ip);
     if (fast_lookup.is_abuser === true) {
@@ -1639,6 +2614,11 @@ async function runFunctionalTestSuite() {
 
   await httpVariantTests();
   await testApiParameterBehavior();
+  await testFieldSelection();
+  await testNetworkQueries();
+  await testBulkStream();
+  await testMetrics();
+  await testHealthEndpoints();
 
   // use invalid API method
   let invalidResponse;
@@ -17,6 +17,35 @@ class IPtoLocation {
     return Promise.resolve();
   }
 
+  /**
+   * The location of a geoname id, without the time dependent fields.
+   *
+   * @param {number} geonameId - An object of the final LUT
+   * @returns {object|null}
+   */
+  decode(geonameId) {
+    const geodata = this.geonameLut[geonameId];
+    if (!geodata) {
+      return null;
+    }
+    let [country_code, state, city, zip, latitude, longitude] = geodata.split('_');
+    country_code = country_code.toUpperCase().trim();
+    const countryDetails = this.countryData[country_code];
+    return {
+      is_eu_member: countryDetails?.is_eu_member,
+      calling_code: countryDetails?.calling_code,
+      currency_code: countryDetails?.currency_code,
+      continent: countryDetails?.continent,
+      country: countryDetails?.country,
+      country_code: country_code,
+      state: state,
+      city: city,
+      latitude: parseFloat(latitude),
+      longitude: parseFloat(longitude),
+      zip: zip,
+    };
+  }
+
   getLocationFromFinal(ip, markSource = false, returnNetwork = false) {
     let res = null;
     let retVal = this.finalLut.fastLookup(ip, returnNetwork);
@@ -28,28 +57,13 @@ class IPtoLocation {
     }
 
     if (retVal) {
-      const geodata = this.geonameLut[retVal];
-      if (!geodata) {
+      const location = this.decode(retVal);
+      if (!location) {
         return null;
       }
-      let [country_code, state, city, zip, latitude, longitude] = geodata.split('_');
-      country_code = country_code.toUpperCase().trim();
-      const lat = parseFloat(latitude);
-      const lon = parseFloat(longitude);
-      let { timezone, local_time, local_time_unix, is_dst } = getTimeFromLocation(lat, lon);
-      const countryDetails = this.countryData[country_code];
+      let { timezone, local_time, local_time_unix, is_dst } = getTimeFromLocation(location.latitude, location.longitude);
       res = {
-        is_eu_member: countryDetails?.is_eu_member,
-        calling_code: countryDetails?.calling_code,
-        currency_code: countryDetails?.currency_code,
-        continent: countryDetails?.continent,
-        country: countryDetails?.country,
-        country_code: country_code,
-        state: state,
-        city: city,
-        latitude: lat,
-        longitude: lon,
-        zip: zip,
+        ...location,
         timezone: timezone,
         local_time: local_time,
         local_time_unix: local_time_unix,
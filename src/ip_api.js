@@ -26,6 +26,16 @@ const { log, delta, loadText } = require('./utils');
 const { APIEndpoint } = require('./constants');
 const { performEnvironmentChecks } = require('./environment_check');
 const { API_ERROR_CODE } = require('./ipapi_is_worker_utils');
+const { LUT_NAMES, getNeededLuts, pruneFields } = require('./field_selection');
+const { createExplanation, addSource, markOverridden, finalizeExplanation } = require('./lookup_explain');
+const { isNetworkQuery, parseNetworkQuery, collectRangeEntries, coverage, summarizeEntries } = require('./network_report');
+const { POS_VAL } = require('./constants');
+const { getRiskOptions, computeRiskScore } = require('./risk_score');
+const { WHOIS_FORMATS, formatWhoisRecord } = require('./whois_format');
+const { CompanySearch } = require('./company_search');
+const { exportDatacenterRanges } = require('./datacenter_export');
+const { AsnSearch } = require('./asn_search');
+const { getEmbeddedIPv4 } = require('./ipv6_transition');
 
 class MainIpApi {
   constructor(enableASN = true, enableGeolocation = true, preventLutLoading = false, apiConfig = {}) {
@@ -37,26 +47,43 @@ class MainIpApi {
     this.preventLutLoading = preventLutLoading;
     this.apiConfig = apiConfig;
     this.customLists = apiConfig.customLists || [];
+    this.riskOptions = getRiskOptions(apiConfig);
+    this.companySearchIndex = null;
+    this.asnSearchIndex = null;
     this.companyLutLoaded = false;
     this.apiReloading = false;
     this.ramDbVersion = null;
   }
 
-  reloadApi() {
-    if (!this.apiReloading) {
-      this.apiReloading = true;
-      this.apiLoaded = false;
+  /**
+   * Reload every loaded LUT from the persisted files. The reload yields to the event loop
+   * between the LUTs, so the health endpoints can report it while the lookups answer 503.
+   *
+   * @returns {Promise<string>} - `reloaded` or `currentlyReloading`
+   */
+  async reloadApi() {
+    if (this.apiReloading) {
+      return 'currentlyReloading';
+    }
+    this.apiReloading = true;
+    this.apiLoaded = false;
+    try {
       for (const lutName in this.loadedLuts) {
         const lutObj = this.loadedLuts[lutName];
         if (lutObj) {
+          await new Promise((resolve) => setImmediate(resolve));
           lutObj.loadPersistedLut();
         }
       }
+      // the organization networks are indexed by their position in the CompanyLut
+      if (this.companyLut && this.loadedLuts.companyLut) {
+        this.companyLut.resetOrgNetworkIndex();
+      }
+    } finally {
       this.apiReloading = false;
-      return 'reloaded';
-    } else {
-      return 'currentlyReloading';
+      this.apiLoaded = true;
     }
+    return 'reloaded';
   }
 
   async loadAPI() {
@@ -77,6 +104,7 @@ class MainIpApi {
         this.asnLut = new IPtoASN();
         this.asnLut.loadLookupTable().then((loaded) => {
           log('Loaded asnLut');
+          self.asnSearchIndex = new AsnSearch(self.asnLut);
         });
       }
       this.customListsLut = null;
@@ -99,6 +127,7 @@ class MainIpApi {
       await this.companyLut.loadLookupTable().then((ok) => {
         log('Loaded companyLut');
         self.loadedLuts.companyLut = self.companyLut.companyLut;
+        self.companySearchIndex = new CompanySearch(self.companyLut);
       });
 
       await this.mobileLut.loadLookupTable().then((ok) => {
@@ -108,7 +137,7 @@ class MainIpApi {
 
       await this.hostingLut.loadLookupTable().then((ok) => {
         log('Loaded datacenterLut');
-        self.loadedLuts.datacenterLut = self.hostingLut.datacenterLut;
+        self.loadedLuts.datacenterLut = self.hostingLut.hostingLut;
       });
 
       const blackListLoadConfig = { torLut: true, abuserLut: true, proxyLut: true, vpnLut: true, namedVpnLut: true };
@@ -152,6 +181,62 @@ class MainIpApi {
     }
   }
 
+  /**
+   * The lookup tables that must be loaded before the API can answer lookups.
+   *
+   * @returns {object} - FastLut objects by name, undefined if the wrapper was not created yet
+   */
+  getRequiredLuts() {
+    const luts = {
+      companyLut: this.companyLut && this.companyLut.companyLut,
+      datacenterLut: this.hostingLut && this.hostingLut.hostingLut,
+      torLut: this.blacklistLut && this.blacklistLut.torLut,
+      abuserLut: this.blacklistLut && this.blacklistLut.abuserLut,
+      proxyLut: this.blacklistLut && this.blacklistLut.proxyLut,
+      vpnLut: this.blacklistLut && this.blacklistLut.vpnLut,
+      namedVpnLut: this.blacklistLut && this.blacklistLut.namedVpnLut,
+      mobileLut: this.mobileLut && this.mobileLut.mobileLut,
+      crawlerLut: this.crawlerLut && this.crawlerLut.crawlerAndBotsLut,
+      satelliteLut: this.satelliteLut && this.satelliteLut.satelliteLut,
+      cleanLut: this.cleanLut && this.cleanLut.cleanLut,
+      whoisLut: this.whoisLut && this.whoisLut.whoisLut,
+    };
+    if (this.enableASN) {
+      luts.asnLut = this.asnLut && this.asnLut.lut;
+    }
+    if (this.enableGeolocation) {
+      luts.geolocationLut = this.geolocationLut && this.geolocationLut.finalLut;
+    }
+    return luts;
+  }
+
+  /**
+   * Load state of the API for the health endpoints.
+   * The API is ready once it was loaded, is not reloading and every required LUT is loaded.
+   *
+   * @returns {object} - `{ ready, apiLoaded, apiReloading, luts }`
+   */
+  getLoadStatus() {
+    const luts = {};
+    const requiredLuts = this.getRequiredLuts();
+    for (const lutName in requiredLuts) {
+      const lutObj = requiredLuts[lutName];
+      luts[lutName] = {
+        loaded: !!(lutObj && lutObj.loadedFromPersisted),
+        lutVersion: lutObj ? lutObj.lutVersion : null,
+        shared: !!(lutObj && lutObj.loadedFromShared),
+      };
+    }
+
+    const allLoaded = Object.values(luts).every((lut) => lut.loaded);
+    return {
+      ready: this.apiLoaded && !this.apiReloading && allLoaded,
+      apiLoaded: this.apiLoaded,
+      apiReloading: this.apiReloading,
+      luts: luts,
+    };
+  }
+
   getRamDbVersion(humanStr = false) {
     const versions = {};
 
@@ -238,15 +323,23 @@ class MainIpApi {
    * @param {*} query 
    * @param {*} mesaurePerformance 
    * @param {*} lut Bitmask for company lut, ASN lut, location lut, datacenter lut, blacklist lut
+   * @param {*} fieldSelection Parsed `fields` parameter, only the lookup tables for these fields are queried
+   * @param {*} explain Add an `explain` object with the LUT and network behind each flag
    * @returns 
    */
   fastLookup(query, mesaurePerformance = false, lutBitmask = '11111', allCompanies = false,
-    allDatacenters = false, allLocations = false) {
+    allDatacenters = false, allLocations = false, fieldSelection = null, explain = false) {
     const perf = {};
+    const neededLuts = getNeededLuts(fieldSelection);
+    const explanation = explain ? createExplanation() : null;
     let t0 = null;
     const inputIsIP = isIP(query);
     const inputIsASN = isASN(query);
 
+    if (!inputIsIP && !inputIsASN && isNetworkQuery(query)) {
+      return pruneFields(this.networkLookup(query), fieldSelection);
+    }
+
     if (!inputIsIP && !inputIsASN) {
       return {
         error: 'Invalid IP Address or AS Number',
@@ -256,7 +349,7 @@ class MainIpApi {
 
     if (inputIsASN) {
       if (this.enableASN) {
-        return this.asnLut.lookup(query);
+        return pruneFields(this.asnLut.lookup(query), fieldSelection);
       } else {
         return {
           error: 'ASN lookup disabled',
@@ -267,6 +360,7 @@ class MainIpApi {
 
     const retVal = {
       ip: query,
+      ipv6_transition: undefined,
       rir: null,
       is_bogon: false,
       is_mobile: false,
@@ -283,11 +377,24 @@ class MainIpApi {
       abuse: undefined,
       asn: undefined,
       location: undefined,
+      risk: undefined,
       elapsed_ms: undefined,
     };
 
-    const inputIsIPv4 = (inputIsIP === 4);
-    const inputIsIPv6 = (inputIsIP === 6);
+    // IPv6 transition addresses are looked up by the IPv4 address they embed
+    const transition = (inputIsIP === 6) ? getEmbeddedIPv4(query) : null;
+    if (transition) {
+      retVal.ipv6_transition = {
+        mechanism: transition.mechanism,
+        ipv6: query,
+        ipv4: transition.ipv4,
+        teredo_server: transition.teredo_server,
+      };
+      query = transition.ipv4;
+    }
+
+    const inputIsIPv4 = transition ? true : (inputIsIP === 4);
+    const inputIsIPv6 = transition ? false : (inputIsIP === 6);
 
     if (inputIsIPv4) {
       query = (new IPv4(query)).toString();
@@ -301,13 +408,13 @@ class MainIpApi {
     if (resIsSpecial) {
       retVal.is_bogon = true;
       // that's it, we are done
-      return retVal;
+      return pruneFields(retVal, fieldSelection);
     }
 
     let asnData = null;
 
     // lookup to which ASN the ip address belongs
-    if (this.enableASN && this.asnLut && lutBitmask[1] === '1') {
+    if (this.enableASN && this.asnLut && lutBitmask[1] === '1' && neededLuts.has(LUT_NAMES.ASN)) {
       t0 = performance.now();
       asnData = this.asnLut.lookup(query);
       perf.asnLookup = delta(t0);
@@ -316,7 +423,7 @@ class MainIpApi {
     }
 
     // lookup to which organization the IP address belongs
-    if (this.companyLut.companyLutLoaded && lutBitmask[0] === '1') {
+    if (this.companyLut.companyLutLoaded && lutBitmask[0] === '1' && neededLuts.has(LUT_NAMES.COMPANY)) {
       t0 = performance.now();
       retVal.company = this.companyLut.lookup(query, allCompanies, asnData);
       if (typeof retVal?.company?.rir === 'string') {
@@ -336,34 +443,38 @@ class MainIpApi {
     }
 
     // lookup datacenter information for this IP
-    if (this.hostingLut && lutBitmask[3] === '1') {
+    if (this.hostingLut && lutBitmask[3] === '1' && neededLuts.has(LUT_NAMES.DATACENTER)) {
       t0 = performance.now();
       let datacenter = this.hostingLut.lookup(query, allDatacenters);
       perf.datacenterLookup = delta(t0);
       if (datacenter) {
         retVal.is_datacenter = true;
         retVal.datacenter = datacenter;
+        addSource(explanation, 'is_datacenter', this.hostingLut.hostingLut, query);
       }
     }
 
     // lookup mobile information for this IP
-    if (this.mobileLut) {
+    if (this.mobileLut && neededLuts.has(LUT_NAMES.MOBILE)) {
       t0 = performance.now();
       retVal.is_mobile = this.mobileLut.lookup(query);
       perf.mobileLookup = delta(t0);
     }
 
     // lookup satellite information for this IP
-    if (this.satelliteLut) {
+    if (this.satelliteLut && neededLuts.has(LUT_NAMES.SATELLITE)) {
       t0 = performance.now();
       retVal.is_satellite = this.satelliteLut.lookup(query);
       perf.satelliteLookup = delta(t0);
     }
 
     // lookup crawler information for this IP
-    if (this.crawlerLut) {
+    if (this.crawlerLut && neededLuts.has(LUT_NAMES.CRAWLER)) {
       t0 = performance.now();
       retVal.is_crawler = this.crawlerLut.lookup(query);
+      if (retVal.is_crawler) {
+        addSource(explanation, 'is_crawler', this.crawlerLut.crawlerAndBotsLut, query);
+      }
       perf.crawlerLookup = delta(t0);
     }
 
@@ -372,7 +483,7 @@ class MainIpApi {
     }
 
     // lookup geolocation
-    if (this.geolocationLut && this.enableGeolocation && lutBitmask[2] === '1') {
+    if (this.geolocationLut && this.enableGeolocation && lutBitmask[2] === '1' && neededLuts.has(LUT_NAMES.LOCATION)) {
       t0 = performance.now();
       retVal.location = this.geolocationLut.lookup(query, allLocations);
       perf.geolocLookup = delta(t0);
@@ -380,9 +491,9 @@ class MainIpApi {
       retVal.location = null;
     }
 
-    if (lutBitmask[4] === '1') {
+    if (lutBitmask[4] === '1' && neededLuts.has(LUT_NAMES.BLACKLIST)) {
       t0 = performance.now();
-      let blacklistRes = this.blacklistLut.lookup(query);
+      let blacklistRes = this.blacklistLut.lookup(query, explanation);
       if (blacklistRes) {
         Object.assign(retVal, blacklistRes);
         if (typeof blacklistRes.is_vpn === 'object' && blacklistRes.is_vpn !== null) {
@@ -394,17 +505,20 @@ class MainIpApi {
     }
 
     // custom lists lookup
-    if (this.customListsLut) {
+    let customListHit = null;
+    if (this.customListsLut && neededLuts.has(LUT_NAMES.CUSTOM_LISTS)) {
       t0 = performance.now();
       const property = this.customListsLut.fastLookup(query);
       if (property) {
         retVal[property] = true;
+        customListHit = property;
+        addSource(explanation, property, this.customListsLut, query);
       }
       perf.customListLookup = delta(t0);
     }
 
     // lookup clean information for this IP
-    if (this.cleanLut) {
+    if (this.cleanLut && neededLuts.has(LUT_NAMES.CLEAN)) {
       t0 = performance.now();
       const cleanRes = this.cleanLut.lookup(query);
       if (cleanRes === CLEAN_ALL) {
@@ -416,15 +530,193 @@ class MainIpApi {
         retVal.is_abuser = false;
         delete retVal?.datacenter;
         delete retVal?.vpn;
+        markOverridden(explanation, ['is_datacenter', 'is_crawler', 'is_tor', 'is_proxy', 'is_vpn', 'is_abuser'],
+          this.cleanLut.cleanLut, query);
       }
       perf.cleanLookup = delta(t0);
     }
 
+    if (this.riskOptions.enabled && (!fieldSelection || 'risk' in fieldSelection.tree)) {
+      retVal.risk = computeRiskScore(retVal, this.riskOptions.weights, customListHit);
+    }
+
     if (mesaurePerformance) {
       retVal.perf = perf;
     }
 
-    return retVal;
+    if (explanation) {
+      retVal.explain = finalizeExplanation(explanation, retVal);
+    }
+
+    return pruneFields(retVal, fieldSelection);
+  }
+
+  /**
+   * Aggregated report for a CIDR or inetnum: which sub-ranges belong to which
+   * organization, datacenter and country, and what fraction of the network is
+   * flagged as tor, vpn, proxy or abuser. Networks up to a /16 (IPv4) or /48 (IPv6) can be queried,
+   * `truncated` is set when a LUT has more than MAX_RANGE_ENTRIES entries in the network.
+   *
+   * @param {string} network CIDR (1.2.3.0/24) or inetnum (1.2.3.0 - 1.2.3.255)
+   * @returns {Object} The network report or an error object
+   */
+  networkLookup(network) {
+    const range = parseNetworkQuery(network);
+    if (range.error) {
+      return range;
+    }
+
+    const report = {
+      network: range.network,
+      first_ip: range.firstIp,
+      last_ip: range.lastIp,
+      num_addresses: Number(range.size),
+      truncated: false,
+      companies: [],
+      datacenters: [],
+      countries: [],
+      flagged: {},
+    };
+
+    // at most MAX_RANGE_ENTRIES entries are collected per LUT
+    const collect = (lut) => {
+      const { entries, truncated } = collectRangeEntries(lut, range);
+      report.truncated = report.truncated || truncated;
+      return entries;
+    };
+
+    if (this.companyLut && this.companyLut.companyLutLoaded) {
+      const entries = collect(this.companyLut.companyLut);
+      report.companies = summarizeEntries(entries, range, (orgId) => {
+        const { orgName, domain, type, rir } = this.companyLut.decode(orgId) || {};
+        return { name: orgName, domain, type, rir: typeof rir === 'string' ? rir.toUpperCase() : rir };
+      }, 'name');
+    }
+
+    if (this.hostingLut) {
+      const entries = collect(this.hostingLut.hostingLut);
+      report.datacenters = summarizeEntries(entries, range, (obj) => {
+        const datacenter = this.hostingLut.handleLookupResult(obj);
+        return datacenter ? { datacenter: datacenter.datacenter, domain: datacenter.domain } : null;
+      }, 'datacenter');
+    }
+
+    if (this.geolocationLut && this.enableGeolocation) {
+      const entries = collect(this.geolocationLut.finalLut);
+      report.countries = summarizeEntries(entries, range, (geonameId) => {
+        const geodata = this.geolocationLut.geonameLut[geonameId];
+        return geodata ? { country_code: geodata.split('_')[0].toUpperCase().trim() } : null;
+      }, 'country_code');
+    }
+
+    if (this.blacklistLut) {
+      const isPositive = (obj) => obj === POS_VAL;
+      const isSet = (obj) => !!obj && !(Array.isArray(obj) && obj.length === 0);
+      const flagSources = {
+        is_tor: [[this.blacklistLut.torLut, isPositive]],
+        is_abuser: [[this.blacklistLut.abuserLut, isSet]],
+        is_proxy: [[this.blacklistLut.proxyLut, isPositive]],
+        is_vpn: [
+          [this.blacklistLut.namedVpnLut, isSet],
+          [this.blacklistLut.interpolatedVpnLut, isSet],
+          [this.blacklistLut.vpnLut, isPositive],
+        ],
+      };
+      for (const flag in flagSources) {
+        let flaggedEntries = [];
+        for (const [lut, isFlagged] of flagSources[flag]) {
+          flaggedEntries = flaggedEntries.concat(collect(lut).filter((entry) => isFlagged(entry.object)));
+        }
+        report.flagged[flag] = coverage(flaggedEntries, range);
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Search organizations by name, domain or abuse email, see CompanySearch.search().
+   *
+   * @param {Object} options `{ query, domain, type, rir, page, limit }`
+   * @param {boolean} withNetworks Add the networks of every organization of the page
+   * @param {number} maxNetworks Networks per organization
+   * @returns {Object} The matching organizations or an error object
+   */
+  companySearch(options, withNetworks = false, maxNetworks = 1000) {
+    if (!this.companyLut || !this.companyLut.companyLutLoaded || !this.companySearchIndex) {
+      return {
+        error: 'The company database is not loaded',
+        error_code: API_ERROR_CODE.API_NOT_READY,
+      };
+    }
+    const result = this.companySearchIndex.search(options);
+    if (withNetworks && !result.error && result.results.length > 0) {
+      const found = this.companyLut.getNetworksOfOrgs(result.results.map(({ org_id }) => org_id), maxNetworks);
+      for (const org of result.results) {
+        org.num_networks = found[org.org_id].total;
+        org.networks = found[org.org_id].networks;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * The AsnSearch of the loaded ASN database or an error object.
+   */
+  getAsnSearch() {
+    if (!this.enableASN) {
+      return {
+        error: 'ASN lookup disabled',
+        error_code: API_ERROR_CODE.ASN_LOOKUP_DISABLED,
+      };
+    }
+    if (!this.asnSearchIndex) {
+      return {
+        error: 'The ASN database is not loaded',
+        error_code: API_ERROR_CODE.API_NOT_READY,
+      };
+    }
+    return this.asnSearchIndex;
+  }
+
+  /**
+   * Search autonomous systems by description, organization or domain and country, see AsnSearch.search().
+   *
+   * @param {Object} options `{ query, country, page, limit }`
+   * @returns {Object} The matching autonomous systems or an error object
+   */
+  asnSearch(options) {
+    const asnSearch = this.getAsnSearch();
+    return asnSearch.error ? asnSearch : asnSearch.search(options);
+  }
+
+  /**
+   * One page of the prefixes of an ASN with summary stats, see AsnSearch.prefixes().
+   *
+   * @param {string|number} asn e.g. `AS13335`
+   * @param {Object} options `{ ipVersion, aggregate, page, limit }`
+   * @returns {Object} The prefixes or an error object
+   */
+  asnPrefixes(asn, options) {
+    const asnSearch = this.getAsnSearch();
+    return asnSearch.error ? asnSearch : asnSearch.prefixes(asn, options);
+  }
+
+  /**
+   * The aggregated ranges of datacenter providers, see datacenter_export.js.
+   *
+   * @param {Array<string>} providers Provider names, case insensitive
+   * @param {number|null} ipVersion 4, 6 or null for both
+   * @returns {Object} `{ providers: [{ provider, ipv4, ipv6 }] }` or an error object
+   */
+  datacenterRanges(providers, ipVersion = null) {
+    if (!this.hostingLut) {
+      return {
+        error: 'The datacenter database is not loaded',
+        error_code: API_ERROR_CODE.API_NOT_READY,
+      };
+    }
+    return exportDatacenterRanges(this.hostingLut.hostingLut, providers, ipVersion);
   }
 
   getDistance(ip1, ip2, useOnlyIfSourcesMatch) {
@@ -502,7 +794,12 @@ class MainIpApi {
     return apiResponse;
   }
 
-  whoisLookup(whoisQuery) {
+  /**
+   * @param {string} whoisQuery IP or ASN
+   * @param {string} whoisFormat One of WHOIS_FORMATS, a record that cannot be parsed is returned as text
+   * @returns {string|Object} The whois record or an error object
+   */
+  whoisLookup(whoisQuery, whoisFormat = WHOIS_FORMATS.TEXT) {
     // Validate input
     if (!whoisQuery || typeof whoisQuery !== 'string' || whoisQuery.trim() === '') {
       return {
@@ -516,7 +813,7 @@ class MainIpApi {
 
     // If result is an object with error property, it's an error response
     // Otherwise, it's a successful whois data string
-    return result;
+    return formatWhoisRecord(result, whoisFormat);
   }
 
   /**
@@ -524,9 +821,10 @@ class MainIpApi {
    * 
    * @param {Array} queries A non-empty array of IP addresses or ASNs to lookup
    * @param {number} maxBulkSize Maximum number of unique queries allowed after deduplication (default: 100)
+   * @param {Object} fieldSelection Parsed `fields` parameter applied to every lookup (default: all fields)
    * @returns {Object} Object with query results or error
    */
-  bulkLookup(queries, maxBulkSize = 100) {
+  bulkLookup(queries, maxBulkSize = 100, fieldSelection = null) {
     // Validate that queries is an array
     if (!Array.isArray(queries)) {
       return {
@@ -575,7 +873,7 @@ class MainIpApi {
 
     for (let query of validQueries) {
       let start_ts = performance.now();
-      let obj = this.fastLookup(query);
+      let obj = this.fastLookup(query, false, '11111', false, false, false, fieldSelection);
       obj.elapsed_ms = round(performance.now() - start_ts, 2);
       bulkLookupResults[query] = obj;
     }
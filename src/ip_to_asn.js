@@ -237,6 +237,47 @@ class IPtoASN {
     return abuserScore;
   }
 
+  /**
+   * The `asn` object of an IP lookup.
+   *
+   * @param {number} asn
+   * @param {string} route - The route the IP is in
+   * @param {boolean} addRoutesToOutput
+   * @param {boolean} addNumIPv4ToOutput
+   * @returns {object}
+   */
+  getAsnRecord(asn, route, addRoutesToOutput = false, addNumIPv4ToOutput = false) {
+    let { d, c, p, p6, a } = this.autnums[asn];
+    if (c) {
+      c = c.toLowerCase();
+    }
+
+    const asnRecord = {
+      asn: asn,
+      abuser_score: this.getAbuserScore(asn),
+      route: route,
+      descr: d,
+      country: c,
+      active: a,
+      prefixes: addRoutesToOutput ? p : undefined,
+      prefixesIPv6: addRoutesToOutput ? p6 : undefined,
+    };
+
+    if (addNumIPv4ToOutput) {
+      let prefixesIPv4Count = 0;
+      if (Array.isArray(p)) {
+        for (const route of p) {
+          prefixesIPv4Count += numHostsInNet(route);
+        }
+      }
+      asnRecord.prefixesIPv4Count = prefixesIPv4Count;
+    }
+
+    Object.assign(asnRecord, this.metaASN[asn]);
+    asnRecord.whois = `${APIEndpoint}?whois=AS${asn}`;
+    return asnRecord;
+  }
+
   /**
    * Lookup either an IP address or ASN number.
    * 
@@ -271,34 +312,7 @@ class IPtoASN {
       if (asn === undefined) {
         asn_lookup = null;
       } else {
-        let { d, c, p, p6, a } = this.autnums[asn];
-        if (c) {
-          c = c.toLowerCase();
-        }
-
-        asn_lookup = {
-          asn: asn,
-          abuser_score: this.getAbuserScore(asn),
-          route: cidr,
-          descr: d,
-          country: c,
-          active: a,
-          prefixes: addRoutesToOutput ? p : undefined,
-          prefixesIPv6: addRoutesToOutput ? p6 : undefined,
-        };
-
-        if (addNumIPv4ToOutput) {
-          let prefixesIPv4Count = 0;
-          if (Array.isArray(p)) {
-            for (const route of p) {
-              prefixesIPv4Count += numHostsInNet(route);
-            }
-          }
-          asn_lookup.prefixesIPv4Count = prefixesIPv4Count;
-        }
-
-        Object.assign(asn_lookup, this.metaASN[asn]);
-        asn_lookup.whois = `${APIEndpoint}?whois=AS${asn}`;
+        asn_lookup = this.getAsnRecord(asn, cidr, addRoutesToOutput, addNumIPv4ToOutput);
       }
 
       let t1 = performance.now();
@@ -0,0 +1,598 @@
+#!/usr/bin/env node
+/**
+ * Command line tool to look up IPs and ASNs offline, directly from the RAM database.
+ *
+ * Usage:
+ *   ipapi lookup <ip|asn> [--fields location.country,is_vpn] [--format json|csv|text|toon]
+ *   ipapi bulk [--in ips.txt] [--out results.ndjson] [--format json|ndjson|csv] [--fields ...] [--threads 4]
+ *   ipapi mmdb --out ipapi.mmdb [--datasets asn,geolocation,company,datacenter,privacy] [--split]
+ *   ipapi export --out dumps/ [--tables asn,company,...] [--format csv|ndjson]
+ *   ipapi diff <old> <new> [--tables asn,company,...] [--out changes.ndjson]
+ *   ipapi datacenter-ranges --provider "Amazon AWS,Hetzner" [--format nginx] [--ip-version 4] [--out deny.conf]
+ *
+ * `bulk` reads one IP or ASN per line from --in (or stdin) and writes the results
+ * to --out (or stdout) in input order. Log output goes to stderr, set LOG_LEVEL to see it.
+ *
+ * `mmdb` exports the datasets as one MaxMind DB, or with --split as one `<dataset>.mmdb`
+ * per dataset in the directory --out.
+ *
+ * `export` dumps LUTs as `<table>.csv` or `<table>.ndjson` into the directory --out.
+ *
+ * `diff` compares two database versions and prints the counts of added, removed and changed
+ * networks per table as JSON, --out gets every change as NDJSON. A version is a directory,
+ * `active` or the name or RAM_DB_VERSION of an installed version.
+ *
+ * `datacenter-ranges` writes the aggregated CIDRs of datacenter providers as plain list,
+ * JSON, nginx deny/allow lines, iptables-restore, ipset restore or HAProxy ACL file.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { performance } = require('perf_hooks');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { MainIpApi } = require('./ip_api');
+const { setSharedLutStore } = require('./fast_lut');
+const { SharedLutStore } = require('./shared_lut_store');
+const { parseFieldSelection } = require('./field_selection');
+const { getConfigPath, isErrorResponse } = require('./ipapi_is_worker_utils');
+const { FORMAT_TYPES, resolveRequestedFormat, formatResponsePayload, flattenRecord, renderCsvRows } = require('./response_formatter');
+const { MMDB_DATASET_NAMES, exportMmdb } = require('./mmdb_export');
+const { LUT_EXPORT_FORMATS, LUT_EXPORT_TABLE_NAMES, exportLutTables } = require('./lut_export');
+const { DIFF_TABLE_NAMES, resolveVersionDir, diffDatabases } = require('./database_diff');
+const { DATACENTER_EXPORT_FORMATS, parseDatacenterExportOptions, renderDatacenterRanges } = require('./datacenter_export');
+const { round } = require('./utils');
+
+const BULK_FORMATS = ['json', 'ndjson', 'csv'];
+const BATCH_SIZE = 1000;
+
+const USAGE = `Usage:
+  ipapi lookup <ip|asn> [options]
+  ipapi bulk [options]
+  ipapi mmdb --out <file|dir> [options]
+  ipapi export --out <dir> [options]
+  ipapi diff <old> <new> [options]
+  ipapi datacenter-ranges --provider <list> [options]
+
+Options:
+  --fields <list>    Only return these fields, e.g. location.country_code,is_vpn
+  --format <format>  lookup: json, csv, text, toon (default json)
+                     bulk: json, ndjson, csv (default ndjson)
+                     export: ${LUT_EXPORT_FORMATS.join(', ')} (default csv)
+                     datacenter-ranges: ${DATACENTER_EXPORT_FORMATS.join(', ')} (default text)
+  --in <file>        bulk: file with one IP or ASN per line (default stdin, also "-")
+  --out <file>       bulk: where to write the results (default stdout, also "-")
+                     diff: NDJSON file for every change (default none)
+                     datacenter-ranges: where to write the ranges (default stdout)
+  --threads <n>      bulk: number of worker threads (default 1)
+  --datasets <list>  mmdb: ${MMDB_DATASET_NAMES.join(', ')} (default all)
+  --split            mmdb: write one <dataset>.mmdb per dataset into the directory --out
+  --tables <list>    export: ${LUT_EXPORT_TABLE_NAMES.join(', ')} (default all)
+                     diff: ${DIFF_TABLE_NAMES.join(', ')} (default all)
+  --provider <list>  datacenter-ranges: comma separated providers, e.g. "Amazon AWS,Hetzner"
+  --ip-version <v>   datacenter-ranges: only IPv4 (4) or IPv6 (6) ranges, iptables is IPv4 unless 6
+  --action <action>  datacenter-ranges: deny or allow, for nginx and iptables (default deny)
+  --name <name>      datacenter-ranges: iptables chain or ipset set name (default ipapi-datacenter)
+  --config <file>    The config.json to use
+  -h, --help         Show this help
+`;
+
+class UsageError extends Error {}
+
+/**
+ * Load the config given with --config or the default config.json.
+ *
+ * @param {string|undefined} configPath
+ * @returns {object}
+ */
+function loadCliConfig(configPath) {
+  if (configPath) {
+    if (!fs.existsSync(configPath)) {
+      throw new UsageError(`Config file ${configPath} does not exist`);
+    }
+  } else {
+    configPath = getConfigPath();
+  }
+  return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+}
+
+async function loadIpApi(apiConfig) {
+  const ipApi = new MainIpApi(true, true, false, apiConfig);
+  await ipApi.loadAPI();
+  return ipApi;
+}
+
+function lookupQueries(ipApi, queries, fieldSelection) {
+  return queries.map((query) => {
+    const startTs = performance.now();
+    const result = ipApi.fastLookup(query, false, '11111', false, false, false, fieldSelection);
+    if (result && !isErrorResponse(result) && !('elapsed_ms' in result)) {
+      result.elapsed_ms = round(performance.now() - startTs, 2);
+    }
+    return result;
+  });
+}
+
+/**
+ * Parse --fields, throws on an invalid selection.
+ *
+ * @param {string|undefined} fields
+ * @returns {object|null}
+ */
+function getFieldSelection(fields) {
+  const fieldSelection = parseFieldSelection(fields);
+  if (fieldSelection && fieldSelection.error) {
+    throw new UsageError(fieldSelection.error);
+  }
+  return fieldSelection;
+}
+
+/**
+ * Runs the lookups either in this thread or spread over worker threads that
+ * share the LUTs through SharedArrayBuffers.
+ */
+class LookupPool {
+  constructor(numThreads, apiConfig, fields, loadApi) {
+    this.numThreads = numThreads;
+    this.apiConfig = apiConfig;
+    this.fields = fields;
+    this.loadApi = loadApi;
+    this.workers = [];
+    this.pending = new Map();
+    this.nextId = 0;
+    this.ipApi = null;
+  }
+
+  async start() {
+    if (this.numThreads <= 1) {
+      this.ipApi = await this.loadApi(this.apiConfig);
+      this.fieldSelection = getFieldSelection(this.fields);
+      return;
+    }
+
+    const sharedStore = SharedLutStore.loadPersisted();
+    const started = [];
+    for (let i = 0; i < this.numThreads; i++) {
+      const worker = new Worker(__filename, {
+        workerData: {
+          sharedLuts: sharedStore.toWorkerData(),
+          apiConfig: this.apiConfig,
+          fields: this.fields,
+        },
+      });
+      started.push(new Promise((resolve, reject) => {
+        worker.once('error', reject);
+        worker.on('message', (msg) => {
+          if (msg.ready) {
+            resolve();
+            return;
+          }
+          const { resolve: done } = this.pending.get(msg.id);
+          this.pending.delete(msg.id);
+          done(msg.results);
+        });
+      }));
+      worker.on('error', (err) => {
+        for (const { reject } of this.pending.values()) {
+          reject(err);
+        }
+        this.pending.clear();
+      });
+      this.workers.push(worker);
+    }
+    await Promise.all(started);
+  }
+
+  /**
+   * @param {Array<string>} queries
+   * @returns {Promise<Array<object>>} - The results in the order of the queries
+   */
+  lookup(queries) {
+    if (this.ipApi) {
+      return Promise.resolve(lookupQueries(this.ipApi, queries, this.fieldSelection));
+    }
+    const id = this.nextId++;
+    const worker = this.workers[id % this.workers.length];
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      worker.postMessage({ id, queries });
+    });
+  }
+
+  async close() {
+    await Promise.all(this.workers.map((worker) => worker.terminate()));
+  }
+}
+
+async function* readQueries(input) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    const query = line.trim();
+    if (query && !query.startsWith('#')) {
+      yield query;
+    }
+  }
+}
+
+async function* batches(items, size) {
+  let batch = [];
+  for await (const item of items) {
+    batch.push(item);
+    if (batch.length >= size) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+const writeChunk = (stream, chunk) => new Promise((resolve, reject) => {
+  if (stream.write(chunk)) {
+    resolve();
+    return;
+  }
+  const done = (err) => {
+    stream.off('drain', done);
+    stream.off('error', done);
+    err ? reject(err) : resolve();
+  };
+  stream.on('drain', done);
+  stream.on('error', done);
+});
+
+const endStream = (stream) => new Promise((resolve, reject) => {
+  if (stream === process.stdout) {
+    resolve();
+    return;
+  }
+  stream.on('error', reject);
+  stream.end(resolve);
+});
+
+/**
+ * NDJSON, one line per lookup and a trailer line, the same as POST /bulk/stream.
+ */
+function ndjsonWriter(out) {
+  return {
+    write: (query, result) => writeChunk(out, JSON.stringify({ query, ...result }) + '\n'),
+    end: (summary) => writeChunk(out, JSON.stringify({ trailer: true, ...summary }) + '\n'),
+  };
+}
+
+/**
+ * A JSON object keyed by query, the same as the bulk response of the API.
+ */
+function jsonWriter(out) {
+  const written = new Set();
+  return {
+    write: (query, result) => {
+      if (written.has(query)) {
+        return Promise.resolve();
+      }
+      const prefix = written.size === 0 ? '{\n' : ',\n';
+      written.add(query);
+      return writeChunk(out, `${prefix}  ${JSON.stringify(query)}: ${JSON.stringify(result)}`);
+    },
+    end: (summary) => {
+      const prefix = written.size === 0 ? '{\n' : ',\n';
+      return writeChunk(out, `${prefix}  "total_elapsed_ms": ${summary.total_elapsed_ms}\n}\n`);
+    },
+  };
+}
+
+/**
+ * CSV needs the union of all columns for the header, so the flattened rows
+ * are spooled to a temporary file first and rendered once all lookups are done.
+ */
+function csvWriter(out) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ipapi-cli-'));
+  const spoolPath = path.join(tmpDir, 'rows.ndjson');
+  const spool = fs.createWriteStream(spoolPath);
+  const fieldSet = new Set();
+
+  return {
+    write: (query, result) => {
+      const row = flattenRecord({ query, ...result });
+      Object.keys(row).forEach((field) => fieldSet.add(field));
+      return writeChunk(spool, JSON.stringify(row) + '\n');
+    },
+    end: async () => {
+      await endStream(spool);
+      try {
+        const fields = Array.from(fieldSet);
+        let rows = [];
+        let includeHeader = true;
+        const flush = async () => {
+          await writeChunk(out, renderCsvRows(rows, fields, includeHeader) + '\n');
+          includeHeader = false;
+          rows = [];
+        };
+        const lines = readline.createInterface({ input: fs.createReadStream(spoolPath), crlfDelay: Infinity });
+        for await (const line of lines) {
+          rows.push(JSON.parse(line));
+          if (rows.length >= BATCH_SIZE) {
+            await flush();
+          }
+        }
+        if (rows.length > 0 && fields.length > 0) {
+          await flush();
+        }
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    },
+  };
+}
+
+const BULK_WRITERS = {
+  json: jsonWriter,
+  ndjson: ndjsonWriter,
+  csv: csvWriter,
+};
+
+async function runLookup(query, options, loadApi) {
+  if (!query) {
+    throw new UsageError('lookup expects an IP address or ASN');
+  }
+  const format = resolveRequestedFormat(null, options.format);
+  if (format === FORMAT_TYPES.HTML) {
+    throw new UsageError('html output is not supported on the command line');
+  }
+  const fieldSelection = getFieldSelection(options.fields);
+  const ipApi = await loadApi(loadCliConfig(options.config));
+  const [result] = lookupQueries(ipApi, [query], fieldSelection);
+
+  const payload = formatResponsePayload(result, format);
+  const output = payload.isJson ? JSON.stringify(payload.body, null, 2) : payload.body;
+  process.stdout.write(output + '\n');
+
+  return isErrorResponse(result) ? 1 : 0;
+}
+
+async function runBulk(options, loadApi) {
+  const format = (options.format || 'ndjson').toLowerCase();
+  if (!BULK_WRITERS[format]) {
+    throw new UsageError(`bulk supports the formats ${BULK_FORMATS.join(', ')}`);
+  }
+  const numThreads = parseInt(options.threads || '1', 10);
+  if (!(numThreads >= 1)) {
+    throw new UsageError('--threads must be a positive number');
+  }
+  getFieldSelection(options.fields);
+  if (options.in && options.in !== '-' && !fs.existsSync(options.in)) {
+    throw new UsageError(`Input file ${options.in} does not exist`);
+  }
+
+  const pool = new LookupPool(numThreads, loadCliConfig(options.config), options.fields, loadApi);
+  await pool.start();
+
+  const input = options.in && options.in !== '-' ? fs.createReadStream(options.in) : process.stdin;
+  const out = options.out && options.out !== '-' ? fs.createWriteStream(options.out) : process.stdout;
+  const writer = BULK_WRITERS[format](out);
+
+  const startTs = performance.now();
+  const summary = { total: 0, succeeded: 0, failed: 0 };
+  const writeBatch = async ({ batch, results }) => {
+    for (let i = 0; i < batch.length; i++) {
+      summary.total++;
+      isErrorResponse(results[i]) ? summary.failed++ : summary.succeeded++;
+      await writer.write(batch[i], results[i]);
+    }
+  };
+
+  // keep a few batches in flight per thread, but write them in input order
+  const maxInFlight = numThreads * 2;
+  const inFlight = [];
+  try {
+    for await (const batch of batches(readQueries(input), BATCH_SIZE)) {
+      inFlight.push(pool.lookup(batch).then((results) => ({ batch, results })));
+      if (inFlight.length >= maxInFlight) {
+        await writeBatch(await inFlight.shift());
+      }
+    }
+    while (inFlight.length > 0) {
+      await writeBatch(await inFlight.shift());
+    }
+
+    summary.total_elapsed_ms = round(performance.now() - startTs, 2);
+    await writer.end(summary);
+    await endStream(out);
+  } finally {
+    await pool.close();
+  }
+
+  console.error(`Looked up ${summary.total} queries (${summary.failed} failed) in ${summary.total_elapsed_ms}ms`);
+  return 0;
+}
+
+async function runMmdb(options, loadApi) {
+  if (!options.out) {
+    throw new UsageError('mmdb expects --out');
+  }
+  const datasets = options.datasets ? options.datasets.split(',').map((dataset) => dataset.trim()) : MMDB_DATASET_NAMES;
+  const unknown = datasets.filter((dataset) => !MMDB_DATASET_NAMES.includes(dataset));
+  if (unknown.length > 0 || datasets.length === 0) {
+    throw new UsageError(`Unknown datasets: ${unknown.join(', ')}, mmdb supports ${MMDB_DATASET_NAMES.join(', ')}`);
+  }
+
+  const ipApi = await loadApi(loadCliConfig(options.config));
+  const exports = options.split
+    ? datasets.map((dataset) => [[dataset], path.join(options.out, `${dataset}.mmdb`)])
+    : [[datasets, options.out]];
+  for (const [exportedDatasets, file] of exports) {
+    const { networks, bytes } = exportMmdb(ipApi, exportedDatasets, file);
+    console.error(`Wrote ${networks} networks (${bytes} bytes) to ${file}`);
+  }
+  return 0;
+}
+
+async function runExport(options, loadApi) {
+  if (!options.out) {
+    throw new UsageError('export expects --out');
+  }
+  const format = (options.format || 'csv').toLowerCase();
+  if (!LUT_EXPORT_FORMATS.includes(format)) {
+    throw new UsageError(`export supports the formats ${LUT_EXPORT_FORMATS.join(', ')}`);
+  }
+  const tables = options.tables ? options.tables.split(',').map((table) => table.trim()) : LUT_EXPORT_TABLE_NAMES;
+  const unknown = tables.filter((table) => !LUT_EXPORT_TABLE_NAMES.includes(table));
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown tables: ${unknown.join(', ')}, export supports ${LUT_EXPORT_TABLE_NAMES.join(', ')}`);
+  }
+
+  const ipApi = await loadApi(loadCliConfig(options.config));
+  for (const { table, file, rows } of exportLutTables(ipApi, tables, options.out, format)) {
+    console.error(`Wrote ${rows} rows of ${table} to ${file}`);
+  }
+  return 0;
+}
+
+/**
+ * Entry point of a worker thread started by LookupPool.
+ */
+async function runLookupWorker() {
+  // the stdout of a worker thread is the stdout of the CLI
+  console.log = console.error;
+  setSharedLutStore(SharedLutStore.fromWorkerData(workerData.sharedLuts));
+  const ipApi = await loadIpApi(workerData.apiConfig);
+  const fieldSelection = parseFieldSelection(workerData.fields);
+
+  parentPort.on('message', ({ id, queries }) => {
+    parentPort.postMessage({ id, results: lookupQueries(ipApi, queries, fieldSelection) });
+  });
+  parentPort.postMessage({ ready: true });
+}
+
+async function runDiff(oldRef, newRef, options) {
+  if (!oldRef || !newRef) {
+    throw new UsageError('diff expects two database versions');
+  }
+  const tables = options.tables ? options.tables.split(',').map((table) => table.trim()) : DIFF_TABLE_NAMES;
+  const unknown = tables.filter((table) => !DIFF_TABLE_NAMES.includes(table));
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown tables: ${unknown.join(', ')}, diff supports ${DIFF_TABLE_NAMES.join(', ')}`);
+  }
+
+  const result = diffDatabases(resolveVersionDir(oldRef), resolveVersionDir(newRef), { tables, out: options.out });
+  process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+  return 0;
+}
+
+async function runDatacenterRanges(options, loadApi) {
+  const exportOptions = parseDatacenterExportOptions({
+    providers: options.provider,
+    format: options.format,
+    action: options.action,
+    name: options.name,
+    ipVersion: options['ip-version'],
+  });
+  if (isErrorResponse(exportOptions)) {
+    throw new UsageError(exportOptions.error);
+  }
+
+  const ipApi = await loadApi(loadCliConfig(options.config));
+  const exported = ipApi.datacenterRanges(exportOptions.providers, exportOptions.ipVersion);
+  if (isErrorResponse(exported)) {
+    throw new Error(exported.error);
+  }
+  const { body } = renderDatacenterRanges(exported, exportOptions.format, exportOptions);
+  if (options.out && options.out !== '-') {
+    fs.writeFileSync(options.out, body);
+  } else {
+    process.stdout.write(body);
+  }
+  for (const { provider, ipv4, ipv6 } of exported.providers) {
+    console.error(`${provider}: ${ipv4.length} IPv4 and ${ipv6.length} IPv6 CIDRs`);
+  }
+  return 0;
+}
+
+/**
+ * Run a command, the results go to stdout and the log output to stderr.
+ *
+ * @param {Array<string>} argv - The arguments after `ipapi`
+ * @param {function} [loadApi] - Loads the MainIpApi from a config, used by the lookups of the main thread
+ * @returns {Promise<number>} - The exit code
+ */
+async function main(argv, loadApi = loadIpApi) {
+  // keep stdout free for the results, log() writes to console.log
+  const consoleLog = console.log;
+  console.log = console.error;
+  try {
+    return await runCommand(argv, loadApi);
+  } finally {
+    console.log = consoleLog;
+  }
+}
+
+async function runCommand(argv, loadApi) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      fields: { type: 'string' },
+      format: { type: 'string' },
+      in: { type: 'string' },
+      out: { type: 'string' },
+      threads: { type: 'string' },
+      datasets: { type: 'string' },
+      split: { type: 'boolean' },
+      tables: { type: 'string' },
+      provider: { type: 'string' },
+      'ip-version': { type: 'string' },
+      action: { type: 'string' },
+      name: { type: 'string' },
+      config: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  const [command, query, secondQuery] = positionals;
+  if (values.help || !command) {
+    process.stdout.write(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (command === 'lookup') {
+    return runLookup(query, values, loadApi);
+  }
+  if (command === 'bulk') {
+    return runBulk(values, loadApi);
+  }
+  if (command === 'mmdb') {
+    return runMmdb(values, loadApi);
+  }
+  if (command === 'export') {
+    return runExport(values, loadApi);
+  }
+  if (command === 'diff') {
+    return runDiff(query, secondQuery, values);
+  }
+  if (command === 'datacenter-ranges') {
+    return runDatacenterRanges(values, loadApi);
+  }
+  throw new UsageError(`Unknown command: ${command}`);
+}
+
+if (!isMainThread && workerData && workerData.sharedLuts) {
+  runLookupWorker();
+} else if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((exitCode) => {
+      process.exitCode = exitCode;
+    })
+    .catch((err) => {
+      const isUsageError = err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION';
+      console.error(`ipapi: ${err.message}`);
+      if (isUsageError) {
+        console.error(USAGE);
+      }
+      process.exitCode = isUsageError ? 2 : 1;
+    });
+}
+
+module.exports = {
+  main,
+};
@@ -7,7 +7,6 @@
  */
 const express = require('express');
 const fs = require('fs');
-const path = require('path');
 const axios = require('axios');
 const cors = require('cors');
 const { MainIpApi } = require('./ip_api.js');
@@ -15,19 +14,35 @@ const { MinHeap } = require('./heap.js');
 const { performance } = require('perf_hooks');
 const { LFUCache } = require('./cache.js');
 const { isInInetnum, isInetnum, isCidr, getRandomIPv4 } = require('ip_address_tools');
-const { RequestParamAccessor, sortObjectByValue, log, round, spawnCommand, executeCommandSync, getSourceCodeHash, sendShrData } = require('./utils.js');
+const { RequestParamAccessor, sortObjectByValue, log, round, executeCommandSync, getSourceCodeHash, sendShrData,
+  getRamDatabaseVersion } = require('./utils.js');
 const { getTimeFromLocation } = require('./geolocation_tools.js');
 const { isInSubnet } = require('is-in-subnet');
 const { isUpdateNeeded } = require('./update_database.js');
+const { getEnvironmentCheckResults } = require('./environment_check.js');
+const { API_KEY_ROUTES, ApiKeyStoreClient, getStoreFile } = require('./api_key_store.js');
 const { update_config_template } = require('./templates.js');
 const { SOURCE_VERSION } = require('./constants.js');
 const { DuneClient } = require('./dune_client.js');
 const { FORMAT_TYPES, resolveRequestedFormat, formatResponsePayload } = require('./response_formatter.js');
+const { parseFieldSelection, pruneFields } = require('./field_selection.js');
+const { getBulkStreamLimits, getStreamBodyType, streamBulkLookup } = require('./bulk_stream.js');
+const { setSharedLutStore, getDecodedObjectStats } = require('./fast_lut.js');
+const { SharedLutStore } = require('./shared_lut_store.js');
+const { FirewallClient, getFirewallOptions } = require('./firewall.js');
+const { RateLimiterClient, getRateLimiterOptions, getRateLimits, setRateLimitHeaders } = require('./rate_limiter.js');
+const { UpdateSchedulerClient, getUpdateScheduleOptions } = require('./update_scheduler.js');
+const { WatchlistClient, getWatchlistOptions } = require('./watchlist.js');
+const { WHOIS_FORMATS } = require('./whois_format.js');
+const { SEARCH_DEFAULT_LIMIT } = require('./company_search.js');
+const { PREFIXES_DEFAULT_LIMIT } = require('./asn_search.js');
+const { parseDatacenterExportOptions, renderDatacenterRanges } = require('./datacenter_export.js');
+const { WorkerMetrics, createMetricsCollector, mergeSnapshots, renderMetrics, PROMETHEUS_CONTENT_TYPE, OPENMETRICS_CONTENT_TYPE } = require('./metrics.js');
+const { workerData } = require('worker_threads');
 const {
   API_REQUEST_TYPE,
   USER_API_STATUS,
   API_ERROR_CODE,
-  getIpHistCount,
   incrementIpHistCount,
   convertIpHistMapToObject,
   convertCurrentUsageToStringKeys,
@@ -35,10 +50,21 @@ const {
   getConfigPath,
   getServerIpAddress,
   getOsInfo,
+  getWorkerMemoryUsage,
+  isThreadWorker,
+  sendToMaster,
+  onMasterMessage,
+  hasClusterMaster,
   getIp,
   isErrorResponse,
 } = require('./ipapi_is_worker_utils.js');
 
+const RATE_LIMIT_MESSAGES = {
+  normal: 'Too many API requests. Please upgrade to a billing plan at https://ipapi.is/',
+  whois: 'Too many whois API requests. Please upgrade to a billing plan at https://ipapi.is/',
+  bulk: 'Too many bulk API requests. Please upgrade to a billing plan at https://ipapi.is/',
+};
+
 const configPath = getConfigPath();
 let apiConfig = {};
 
@@ -56,6 +82,11 @@ function loadConfigFile() {
 
 loadConfigFile();
 
+// When started as worker thread by the cluster master, the LUT buffers live in shared memory
+if (isThreadWorker() && workerData && workerData.sharedLuts) {
+  setSharedLutStore(SharedLutStore.fromWorkerData(workerData.sharedLuts));
+}
+
 /**
  * Following best practices here: https://expressjs.com/en/advanced/best-practice-performance.html
  * 
@@ -74,14 +105,65 @@ function init() {
   const API_PORT = apiConfig.API_PORT || 3899;
   const API_BIND_ADDRESS = apiConfig.API_BIND_ADDRESS || '0.0.0.0';
   const ENDPOINT = `http://${API_BIND_ADDRESS}:${API_PORT}`;
+  const metrics = new WorkerMetrics();
+  // local API keys replace the keys synced from the ipapi.is backend
+  const apiKeyStore = (apiConfig.localApiKeys && apiConfig.localApiKeys.enabled)
+    ? new ApiKeyStoreClient(getStoreFile(apiConfig), hasClusterMaster())
+    : null;
+  const rateLimiter = new RateLimiterClient(hasClusterMaster(), getRateLimiterOptions(apiConfig), () => metrics.countRateLimiterTimeout());
+  // blocks clients that are denied too often, the firewall is shared by all workers
+  const firewall = apiConfig.enableFirewall
+    ? new FirewallClient(getFirewallOptions(apiConfig), hasClusterMaster())
+    : null;
+  // under the cluster master the master schedules the updates, under PM2 every instance
+  // would install the same update, so only a worker started on its own runs the schedule
+  const updateScheduleOptions = getUpdateScheduleOptions(apiConfig);
+  if (!hasClusterMaster() && process.env.NODE_APP_INSTANCE !== undefined) {
+    updateScheduleOptions.enabled = false;
+  }
+  const updateScheduler = new UpdateSchedulerClient(updateScheduleOptions, hasClusterMaster(), () => reloadApi());
+  // re-evaluated after every load of the database, changes are reported once for all workers.
+  // Under PM2 every instance would report the same changes, as with the update schedule
+  const watchlistOptions = getWatchlistOptions(apiConfig);
+  if (watchlistOptions.enabled && !hasClusterMaster() && process.env.NODE_APP_INSTANCE !== undefined) {
+    log('[Watchlist] The watchlist needs the cluster master under PM2, it is disabled', 'WARN');
+    watchlistOptions.enabled = false;
+  }
+  const watchlist = watchlistOptions.enabled && watchlistOptions.file
+    ? new WatchlistClient(watchlistOptions, hasClusterMaster())
+    : null;
   sendShrData();
 
+  const checkWatchlist = () => {
+    if (!watchlist || !mainIpApiObj.apiLoaded) {
+      return;
+    }
+    const lutVersions = Object.values(mainIpApiObj.getRamDbVersion()).filter(Boolean);
+    const version = getRamDatabaseVersion() || (lutVersions.length > 0 ? new Date(Math.max(...lutVersions)).toISOString() : null);
+    watchlist.evaluate(version, (ip, selection) => mainIpApiObj.fastLookup(ip, false, '11111', false, false, false, selection));
+  };
+
+  const reloadApi = async () => {
+    const reloadStatus = await mainIpApiObj.reloadApi();
+    metrics.countReload();
+    checkWatchlist();
+    return reloadStatus;
+  };
+
   // Signal to start rolling reloads
-  process.on('SIGUSR1', () => {
+  process.on('SIGUSR1', async () => {
     log('[WORKER] Received SIGUSR1, asking the API to reload');
-    mainIpApiObj.reloadApi();
-    if (process.send) {
-      process.send('reloadFinished');
+    await reloadApi();
+    sendToMaster('reloadFinished');
+  });
+
+  // Worker threads don't receive signals, the master repacks the shared LUTs and sends them instead
+  onMasterMessage(async (msg) => {
+    if (msg && msg.type === 'reloadLuts') {
+      log('[WORKER] Received new shared LUTs, asking the API to reload');
+      setSharedLutStore(SharedLutStore.fromWorkerData(msg.sharedLuts));
+      await reloadApi();
+      sendToMaster('reloadFinished');
     }
   });
 
@@ -91,52 +173,16 @@ function init() {
 
   const oneHour = 1000 * 60 * 60;
   const fiveMin = 1000 * 60 * 5;
-  const halfDay = 1000 * 60 * 60 * 12;
   const oneDay = 1000 * 60 * 60 * 24;
 
   let totalRequests = 0;
   let totalRequestTimeMs = 0;
   let totalElapsed = Date.now();
-  let firewalledIPs = {};
   let apiErrors = {};
   let apiStats = null;
   const logExpensiveRequests = apiConfig.logExpensiveRequests;
   const requestHeap = new MinHeap();
 
-  /**
-   * Reset iptables.
-   * 
-   * Whenever the API restarts, no IP address is blocked.
-   */
-  const flushIptables = async () => {
-    if (process.platform === 'linux') {
-      try {
-        const flushScript = path.join(__dirname, './scripts/flush_iptables.sh');
-        await spawnCommand(flushScript);
-        log(`flushIptables complete`);
-      } catch (err) {
-        log(`Failed to flushIptables: ${err}`, 'ERROR');
-      }
-    }
-  };
-
-  if (apiConfig.enableFirewall) {
-    flushIptables();
-  }
-
-  /**
-   * Blocks a specified IP address using iptables.
-   * 
-   * @param {string} ip - The IP address to block.
-   * @returns {Promise<void>} - A promise that resolves when the IP is blocked.
-   */
-  const blockIP = async (ip) => {
-    if (process.platform === 'linux') {
-      const blockScript = path.join(__dirname, './scripts/block_offending.sh');
-      await spawnCommand(blockScript, [ip]);
-    }
-  };
-
   function resetCounters() {
     apiStats = {
       ip: getServerIpAddress(),
@@ -162,6 +208,15 @@ function init() {
   }
   resetCounters();
 
+  // the master asks every worker for this snapshot when /metrics is scraped
+  const collectClusterMetrics = createMetricsCollector(() => metrics.snapshot({
+    cacheStats: { hits: apiCache.hits, misses: apiCache.misses, itemCount: apiCache.size },
+    lutVersions: mainIpApiObj.getRamDbVersion(),
+    reloading: mainIpApiObj.apiReloading,
+    firewalledIPs: firewall ? firewall.list().length : 0,
+  }));
+
+  app.use(metrics.middleware());
   app.use(express.json());
   app.use(cors());
   app.set('json spaces', 2);
@@ -255,23 +310,16 @@ function init() {
     apiErrors = {};
   }, oneDay);
 
-  if (apiConfig.enableFirewall) {
-    // refresh firewall rules every 12 hours
-    setInterval(function () {
-      firewalledIPs = {};
-      log(`[Every 12 hours] Attempting to flush iptables...`);
-      flushIptables();
-    }, halfDay);
-  }
-
   /**
    * Check if a client is allowed to access the API.
    * 
    * @param {string} clientIP - The client's IP address.
    * @param {string|null} apiKey - The API key provided by the client.
-   * @returns {false|object} - Returns false if allowed, or an error object if not allowed.
+   * @param {string} route - The kind of request (API_KEY_ROUTES), local API keys can be restricted to some.
+   * @param {object|null} res - The response to set the RateLimit-* headers on.
+   * @returns {Promise<false|object>} - Resolves to false if allowed, or an error object if not allowed.
    */
-  function clientNotAllowed(clientIP, apiKey = null) {
+  async function clientNotAllowed(clientIP, apiKey = null, route = API_KEY_ROUTES.LOOKUP, res = null) {
     // if the request is using the global API_KEY
     // access is always granted
     if (apiKey === apiConfig.API_KEY) {
@@ -310,6 +358,10 @@ function init() {
     }
 
     // check API rate limits from registered users
+    if (apiKey && apiKeyStore) {
+      return apiKeyStore.check(apiKey, route);
+    }
+
     if (apiKey) {
       // @TODO: This gives users access with any api key if I fail to load users
       if (!apiUsersUsageLoaded) {
@@ -350,38 +402,18 @@ function init() {
       return false;
     }
 
-    // check absolute rate limits
-    const rateLimits = apiConfig.rateLimits || {};
-    if (rateLimits) {
-      // simple lookups
-      if (rateLimits.normalLookupsPerHour) {
-        const standardRequestCount = getIpHistCount(apiStats.ipHist, API_REQUEST_TYPE.STANDARD, clientIP);
-        if (standardRequestCount > rateLimits.normalLookupsPerHour) {
-          return {
-            error: 'Too many API requests. Please upgrade to a billing plan at https://ipapi.is/',
-            error_code: API_ERROR_CODE.RATE_LIMIT_EXCEEDED,
-          };
-        }
+    // check absolute rate limits, counted across all workers
+    const limits = getRateLimits(apiConfig, route);
+    if (limits) {
+      const result = await rateLimiter.consume(clientIP, limits);
+      if (res) {
+        setRateLimitHeaders(res, result);
       }
-      // whois lookups
-      if (rateLimits.whoisLookupsPerHour) {
-        const whoisRequestCount = getIpHistCount(apiStats.ipHist, API_REQUEST_TYPE.WHOIS, clientIP);
-        if (whoisRequestCount > rateLimits.whoisLookupsPerHour) {
-          return {
-            error: 'Too many whois API requests. Please upgrade to a billing plan at https://ipapi.is/',
-            error_code: API_ERROR_CODE.RATE_LIMIT_EXCEEDED,
-          };
-        }
-      }
-      // bulk lookups
-      if (rateLimits.bulkLookupsPerHour) {
-        const bulkRequestCount = getIpHistCount(apiStats.ipHist, API_REQUEST_TYPE.BULK, clientIP);
-        if (bulkRequestCount > rateLimits.bulkLookupsPerHour) {
-          return {
-            error: 'Too many bulk API requests. Please upgrade to a billing plan at https://ipapi.is/',
-            error_code: API_ERROR_CODE.RATE_LIMIT_EXCEEDED,
-          };
-        }
+      if (!result.allowed) {
+        return {
+          error: RATE_LIMIT_MESSAGES[limits.kind],
+          error_code: API_ERROR_CODE.RATE_LIMIT_EXCEEDED,
+        };
       }
     }
 
@@ -426,6 +458,33 @@ function init() {
     }
   }
 
+  const isErrorRequestType = (requestType) => requestType < 0 || [
+    API_REQUEST_TYPE.ERROR_INVALID_QUERY,
+    API_REQUEST_TYPE.ERROR_UNKNOWN,
+    API_REQUEST_TYPE.ERROR_INVALID_HTTP_METHOD,
+    API_REQUEST_TYPE.ERROR_BULK,
+  ].includes(requestType);
+
+  /**
+   * Which kind of request this is, for the `allowedRoutes` of local API keys.
+   * 
+   * @param {object} req - The Express request object.
+   * @param {RequestParamAccessor} params - The request parameters.
+   * @returns {string} - One of API_KEY_ROUTES
+   */
+  const getApiKeyRoute = (req, params) => {
+    if (req.method === 'POST' && params.getBodyOnly(['ips']) !== undefined) {
+      return API_KEY_ROUTES.BULK;
+    }
+    if (params.getWithPriority(['distance']) === '1') {
+      return API_KEY_ROUTES.DISTANCE;
+    }
+    if (params.getBodyOnly(['whois', 'w']) || params.getQueryOnly(['whois', 'w'])) {
+      return API_KEY_ROUTES.WHOIS;
+    }
+    return API_KEY_ROUTES.LOOKUP;
+  };
+
   /**
    * Count and track API request statistics.
    * 
@@ -448,6 +507,10 @@ function init() {
         currentUsage[apiKey][requestType] = 0;
       }
       currentUsage[apiKey][requestType] += lookupCount;
+
+      if (apiKeyStore && apiKey !== API_KEY) {
+        apiKeyStore.count(apiKey, isErrorRequestType(requestType) ? 0 : lookupCount);
+      }
     }
 
     let referrer = req.get('Referrer') || req.get('Referer') || 'unknown';
@@ -471,6 +534,22 @@ function init() {
     apiStats.userAgentHist[userAgent]++;
   };
 
+  /**
+   * Label of a denied request for the metrics.
+   * 
+   * @param {object} notAllowed - The error object returned by clientNotAllowed()
+   * @returns {string}
+   */
+  const getDeniedReason = (notAllowed) => {
+    if (notAllowed.error_code === API_ERROR_CODE.QUOTA_EXCEEDED) {
+      return 'quota';
+    }
+    if (notAllowed.error_code === API_ERROR_CODE.RATE_LIMIT_EXCEEDED) {
+      return 'rate_limit';
+    }
+    return 'forbidden';
+  };
+
   /**
    * Main handler for API calls.
    * Processes IP/ASN lookups, whois queries, distance calculations, and bulk requests.
@@ -486,7 +565,7 @@ function init() {
       const params = new RequestParamAccessor(req.body, req.query);
 
       apiKey = params.getWithPriority(['apiKey', 'key', 'api_key']);
-      const clientIP = getIp(req, true);
+      const clientIP = getIp(req, true, apiConfig.trustedProxies);
       const formatParam = params.getWithPriority(['format', 'fmt', 'output']);
       const requestedFormat = resolveRequestedFormat(req.desiredResponseFormat, formatParam);
       let requestType = -1; // -1 means that no request type was set
@@ -495,6 +574,8 @@ function init() {
 
       if (apiConfig.onlyAllowWithApiKey === true) {
         if (!apiKey) {
+          req.apiRequestType = 'denied';
+          metrics.countDenied('api_key_required');
           return res.status(403).json({
             error: 'Only requests with API key are allowed (`onlyAllowWithApiKey` is set to true)',
             error_code: API_ERROR_CODE.FORBIDDEN_API_KEY_REQUIRED,
@@ -502,8 +583,9 @@ function init() {
         }
       }
 
-      if (apiConfig.enableRateLimit) {
-        const notAllowed = clientNotAllowed(clientIP, apiKey);
+      // local API keys are always checked, their limits are part of the key
+      if (apiConfig.enableRateLimit || (apiKeyStore && apiKey)) {
+        const notAllowed = await clientNotAllowed(clientIP, apiKey, getApiKeyRoute(req, params), res);
         if (notAllowed !== false) {
           if (apiKey) {
             if (!apiStats.deniedApiKey[apiKey]) {
@@ -517,26 +599,17 @@ function init() {
               apiStats.deniedIpHist[clientIP] = 0;
             }
             apiStats.deniedIpHist[clientIP]++;
-            if (apiConfig.enableFirewall) {
+            if (firewall) {
               const isUserWithAccount = (apiKey in apiUsersUsage);
-              if (!isUserWithAccount) {
-                const firewallAfter = apiConfig.firewallAfter || 500;
-                const badBehavingClient = apiStats.deniedIpHist[clientIP] > firewallAfter;
-                if (badBehavingClient && !(clientIP in firewalledIPs)) {
-                  firewalledIPs[clientIP] = -1;
-                  blockIP(clientIP)
-                    .then((ok) => {
-                      firewalledIPs[clientIP] = Date.now();
-                    })
-                    .catch((err) => {
-                      log(`Failed to blockIP: ${err.toString()}`, 'ERROR');
-                    });
-                }
+              if (!isUserWithAccount && firewall.countDenied(clientIP, apiConfig.firewallAfter || 500)) {
+                metrics.countFirewalled();
               }
             }
           }
 
           apiStats.numDeniedRequests++;
+          req.apiRequestType = 'denied';
+          metrics.countDenied(getDeniedReason(notAllowed));
           // Use 429 for rate limit errors, 403 for forbidden access
           const statusCode = (notAllowed.error_code === API_ERROR_CODE.QUOTA_EXCEEDED ||
             notAllowed.error_code === API_ERROR_CODE.RATE_LIMIT_EXCEEDED)
@@ -553,7 +626,19 @@ function init() {
       const allDatacenters = params.getWithPriority(['all_datacenters']) === '1';
       const allLocations = (params.getWithPriority(['all_locations']) === '1' || params.getWithPriority(['loc']) === '1' || params.getWithPriority(['al']) === '1');
       const lutBitmask = params.getWithPriority(['lut'], '11111');
-      const isSpecialQuery = isDebug || measurePerf || allCompanies || allDatacenters || allLocations;
+      const explain = params.getWithPriority(['explain']) === '1';
+      const fieldSelection = parseFieldSelection(params.getWithPriority(['fields']));
+      if (isErrorResponse(fieldSelection)) {
+        return res.status(400).json(fieldSelection);
+      }
+      const whoisFormat = String(params.getWithPriority(['whois_format'], WHOIS_FORMATS.TEXT)).toLowerCase();
+      if (!Object.values(WHOIS_FORMATS).includes(whoisFormat)) {
+        return res.status(400).json({
+          error: `Invalid whois_format: ${whoisFormat}, expected one of ${Object.values(WHOIS_FORMATS).join(', ')}`,
+          error_code: API_ERROR_CODE.WHOIS_INVALID_FORMAT,
+        });
+      }
+      const isSpecialQuery = isDebug || measurePerf || allCompanies || allDatacenters || allLocations || explain;
 
       // count of IPs/ASNs looked up
       let lookupCount = 1;
@@ -580,7 +665,7 @@ function init() {
 
         if (isBulkRequest) {
           // Bulk lookup with ips parameter
-          let obj = mainIpApiObj.bulkLookup(bulkIps, apiConfig.maxBulkLookupIPs || 100);
+          let obj = mainIpApiObj.bulkLookup(bulkIps, apiConfig.maxBulkLookupIPs || 100, fieldSelection);
           if (!isErrorResponse(obj)) {
             lookupCount = Object.keys(obj).length;
             requestType = API_REQUEST_TYPE.BULK;
@@ -594,10 +679,10 @@ function init() {
           const distanceIp1 = params.getWithPriority(['ip1']);
           const distanceIp2 = params.getWithPriority(['ip2']);
           const accurateDistance = params.getWithPriority(['acc']) === '1';
-          apiResponse = mainIpApiObj.getDistance(distanceIp1, distanceIp2, accurateDistance || false);
+          apiResponse = pruneFields(mainIpApiObj.getDistance(distanceIp1, distanceIp2, accurateDistance || false), fieldSelection);
           requestType = API_REQUEST_TYPE.DISTANCE;
         } else if (whoisQuery) {
-          apiResponse = mainIpApiObj.whoisLookup(whoisQuery);
+          apiResponse = mainIpApiObj.whoisLookup(whoisQuery, whoisFormat);
           requestType = API_REQUEST_TYPE.WHOIS;
           apiStats.numWhoisRequests++;
         } else if (query) {
@@ -618,6 +703,8 @@ function init() {
               apiResponse.location.local_time_unix = local_time_unix;
               apiResponse.location.is_dst = is_dst;
             }
+            // the cache holds the full response, select the requested fields from it
+            apiResponse = pruneFields(apiResponse, fieldSelection);
             requestType = API_REQUEST_TYPE.STANDARD_CACHED;
           } else {
             apiResponse = mainIpApiObj.fastLookup(
@@ -627,16 +714,20 @@ function init() {
               allCompanies,
               allDatacenters,
               allLocations,
+              fieldSelection,
+              explain,
             );
             apiRequestWasCached = false;
             if (!isErrorResponse(apiResponse)) {
               requestType = API_REQUEST_TYPE.STANDARD;
-              if (!isSpecialQuery) {
+              // partial responses (`fields`) must not end up in the cache
+              if (!isSpecialQuery && !fieldSelection) {
                 // Cache the fetched data
                 apiCache.set(query, apiResponse);
               }
             } else {
-              if (apiResponse.error === 'Invalid IP Address or AS Number') {
+              if (apiResponse.error_code === API_ERROR_CODE.INVALID_IP_OR_ASN ||
+                apiResponse.error_code === API_ERROR_CODE.NETWORK_TOO_LARGE) {
                 requestType = API_REQUEST_TYPE.ERROR_INVALID_QUERY;
               } else {
                 requestType = API_REQUEST_TYPE.ERROR_UNKNOWN;
@@ -678,6 +769,8 @@ function init() {
         requestHeap.add({ query: query, type: requestType, elapsed_ms: elapsed_ms });
       }
 
+      req.apiRequestType = requestType;
+
       // Determine HTTP status code
       let statusCode = 200;
       if (isErrorResponse(apiResponse)) {
@@ -692,8 +785,14 @@ function init() {
         }
       }
 
-      // Send response (whois as plain text, everything else via formatters)
+      // Send response (whois as plain text unless it was parsed, everything else via formatters)
       if (requestType === API_REQUEST_TYPE.WHOIS) {
+        if (typeof apiResponse !== 'string') {
+          if (whoisFormat === WHOIS_FORMATS.RDAP && !isErrorResponse(apiResponse)) {
+            res.header('Content-Type', 'application/rdap+json');
+          }
+          return res.status(statusCode).json(apiResponse);
+        }
         res.header('Content-Type', 'text/plain');
         return res.status(statusCode).send(apiResponse);
       } else {
@@ -717,6 +816,7 @@ function init() {
       }
     } catch (err) {
       apiStats.numServerFailedRequests++;
+      req.apiRequestType = API_REQUEST_TYPE.ERROR_UNKNOWN;
       let errorKey = `Unexpected Server Error: ${err.toString()}`;
       apiErrors[errorKey] = {
         pid: process.pid,
@@ -737,8 +837,205 @@ function init() {
     }
   };
 
+  /**
+   * Streaming bulk lookups.
+   * The body is a newline-delimited list of IPs/ASNs (or a multipart file upload), every lookup
+   * is written back as one NDJSON line as soon as it is computed, followed by a trailer line.
+   * 
+   * @param {object} req - The Express request object.
+   * @param {object} res - The Express response object.
+   */
+  const handleBulkStream = async (req, res) => {
+    const params = new RequestParamAccessor(undefined, req.query);
+    const apiKey = params.getWithPriority(['apiKey', 'key', 'api_key']);
+    const clientIP = getIp(req, true, apiConfig.trustedProxies);
+
+    if (!apiKey) {
+      return res.status(403).json({
+        error: 'Streaming bulk lookups require an API key',
+        error_code: API_ERROR_CODE.FORBIDDEN_API_KEY_REQUIRED,
+      });
+    }
+
+    req.apiRequestType = API_REQUEST_TYPE.BULK;
+    const notAllowed = await clientNotAllowed(clientIP, apiKey, API_KEY_ROUTES.BULK_STREAM, res);
+    if (notAllowed !== false) {
+      apiStats.numDeniedRequests++;
+      req.apiRequestType = 'denied';
+      metrics.countDenied(getDeniedReason(notAllowed));
+      const statusCode = (notAllowed.error_code === API_ERROR_CODE.QUOTA_EXCEEDED ||
+        notAllowed.error_code === API_ERROR_CODE.RATE_LIMIT_EXCEEDED)
+        ? 429 : 403;
+      return res.status(statusCode).json(notAllowed);
+    }
+
+    const boundary = getStreamBodyType(req.headers['content-type']);
+    if (boundary === false || req.body !== undefined) {
+      return res.status(415).json({
+        error: 'Unsupported Content-Type: send newline-delimited text (text/plain, application/x-ndjson) or a multipart/form-data file upload',
+        error_code: API_ERROR_CODE.UNSUPPORTED_CONTENT_TYPE,
+      });
+    }
+
+    const fieldSelection = parseFieldSelection(params.getWithPriority(['fields']));
+    if (isErrorResponse(fieldSelection)) {
+      return res.status(400).json(fieldSelection);
+    }
+
+    const lookup = (query) => mainIpApiObj.fastLookup(query, false, '11111', false, false, false, fieldSelection);
+    let { maxLookups } = getBulkStreamLimits(apiConfig, apiKey);
+    if (apiKeyStore && apiKey !== API_KEY) {
+      // a stream must not overrun the quota of the key
+      maxLookups = Math.min(maxLookups, apiKeyStore.getRemainingLookups(apiKey));
+    }
+
+    try {
+      const trailer = await streamBulkLookup(req, res, lookup, { maxLookups, boundary });
+      apiStats.numBulkLookupRequests++;
+      countRequest(trailer.total, clientIP, req, API_REQUEST_TYPE.BULK, apiKey);
+      if (trailer.aborted) {
+        log(`Bulk stream of ${apiKey} aborted by client after ${trailer.total} lookups`, 'DEBUG');
+      }
+    } catch (err) {
+      apiStats.numServerFailedRequests++;
+      log(`Bulk stream failed: ${err.stack || err}`, 'ERROR');
+      if (!res.headersSent) {
+        return res.status(500).json({
+          error: `Unexpected Server Error: ${err.toString()}`,
+          error_code: API_ERROR_CODE.UNEXPECTED_SERVER_ERROR,
+        });
+      }
+      res.destroy(err);
+    }
+  };
+
+  /**
+   * Searches and exports need an API key and are limited like bulk lookups, they walk large parts of the database.
+   * 
+   * @param {object} req - The Express request object.
+   * @param {object} res - The Express response object.
+   * @param {string} route - One of API_KEY_ROUTES.
+   * @param {number} requestType - One of API_REQUEST_TYPE.
+   * @returns {Promise<object|null>} - `{ params, apiKey, clientIP }`, null if the request was denied and answered.
+   */
+  const authorizeKeyedRequest = async (req, res, route, requestType) => {
+    const params = new RequestParamAccessor(req.body, req.query);
+    const apiKey = params.getWithPriority(['apiKey', 'key', 'api_key']);
+    const clientIP = getIp(req, true, apiConfig.trustedProxies);
+
+    if (!apiKey) {
+      res.status(403).json({
+        error: 'This request requires an API key',
+        error_code: API_ERROR_CODE.FORBIDDEN_API_KEY_REQUIRED,
+      });
+      return null;
+    }
+
+    req.apiRequestType = requestType;
+    const notAllowed = await clientNotAllowed(clientIP, apiKey, route, res);
+    if (notAllowed !== false) {
+      apiStats.numDeniedRequests++;
+      req.apiRequestType = 'denied';
+      metrics.countDenied(getDeniedReason(notAllowed));
+      const statusCode = (notAllowed.error_code === API_ERROR_CODE.QUOTA_EXCEEDED ||
+        notAllowed.error_code === API_ERROR_CODE.RATE_LIMIT_EXCEEDED)
+        ? 429 : 403;
+      res.status(statusCode).json(notAllowed);
+      return null;
+    }
+    return { params, apiKey, clientIP };
+  };
+
+  /**
+   * @param {object} req - The Express request object.
+   * @param {object} res - The Express response object.
+   * @param {function} search - Called with the request parameters, returns the result or an error object.
+   */
+  const handleSearch = async (req, res, search) => {
+    const request = await authorizeKeyedRequest(req, res, API_KEY_ROUTES.SEARCH, API_REQUEST_TYPE.SEARCH);
+    if (!request) {
+      return;
+    }
+    const { params, apiKey, clientIP } = request;
+
+    try {
+      const startTs = performance.now();
+      const result = search(params);
+      if (isErrorResponse(result)) {
+        req.apiRequestType = API_REQUEST_TYPE.ERROR_INVALID_QUERY;
+        countRequest(1, clientIP, req, API_REQUEST_TYPE.ERROR_INVALID_QUERY, apiKey);
+        const statusCode = { [API_ERROR_CODE.API_NOT_READY]: 503, [API_ERROR_CODE.ASN_NOT_FOUND]: 404 }[result.error_code] || 400;
+        return res.status(statusCode).json(result);
+      }
+      countRequest(1, clientIP, req, API_REQUEST_TYPE.SEARCH, apiKey);
+      result.elapsed_ms = round(performance.now() - startTs, 2);
+      return res.status(200).json(result);
+    } catch (err) {
+      apiStats.numServerFailedRequests++;
+      log(`Search failed: ${err.stack || err}`, 'ERROR');
+      return res.status(500).json({
+        error: `Unexpected Server Error: ${err.toString()}`,
+        error_code: API_ERROR_CODE.UNEXPECTED_SERVER_ERROR,
+      });
+    }
+  };
+
+  /**
+   * The aggregated ranges of datacenter providers as block or allow list, see datacenter_export.js.
+   * 
+   * @param {object} req - The Express request object.
+   * @param {object} res - The Express response object.
+   */
+  const handleDatacenterRanges = async (req, res) => {
+    const request = await authorizeKeyedRequest(req, res, API_KEY_ROUTES.EXPORT, API_REQUEST_TYPE.EXPORT);
+    if (!request) {
+      return;
+    }
+    const { params, apiKey, clientIP } = request;
+
+    const options = parseDatacenterExportOptions({
+      providers: params.getWithPriority(['provider', 'providers']),
+      format: params.getWithPriority(['format'], 'text'),
+      action: params.getWithPriority(['action'], 'deny'),
+      name: params.getWithPriority(['name'], undefined),
+      ipVersion: params.getWithPriority(['ip_version'], null),
+    });
+    const exported = isErrorResponse(options) ? options : mainIpApiObj.datacenterRanges(options.providers, options.ipVersion);
+    if (isErrorResponse(exported)) {
+      req.apiRequestType = API_REQUEST_TYPE.ERROR_INVALID_QUERY;
+      countRequest(1, clientIP, req, API_REQUEST_TYPE.ERROR_INVALID_QUERY, apiKey);
+      return res.status(exported.error_code === API_ERROR_CODE.DATACENTER_PROVIDER_NOT_FOUND ? 404 : 400).json(exported);
+    }
+
+    countRequest(1, clientIP, req, API_REQUEST_TYPE.EXPORT, apiKey);
+    const { contentType, body } = renderDatacenterRanges(exported, options.format, options);
+    res.header('Content-Type', contentType);
+    return res.status(200).send(body);
+  };
+
+  /**
+   * Answer with 503 while the lookup tables are loading or reloading.
+   * 
+   * @param {object} res - The Express response object.
+   * @returns {boolean} - Whether the API is ready to answer lookups.
+   */
+  const ensureApiReady = (res) => {
+    if (mainIpApiObj.apiLoaded && !mainIpApiObj.apiReloading) {
+      return true;
+    }
+    res.header('Retry-After', '5');
+    res.status(503).json({
+      error: 'Service Unavailable: the database is being loaded, please retry shortly',
+      error_code: API_ERROR_CODE.API_NOT_READY,
+    });
+    return false;
+  };
+
   const registerApiRoute = (route, formatOverride = null) => {
     app.all(route, (req, res) => {
+      if (!ensureApiReady(res)) {
+        return;
+      }
       if (formatOverride) {
         req.desiredResponseFormat = formatOverride;
       } else if (req.desiredResponseFormat) {
@@ -750,13 +1047,46 @@ function init() {
 
   // this bad boy is not rate limited
   app.get('/ip', (req, res) => {
-    const clientIP = getIp(req, true);
+    const clientIP = getIp(req, true, apiConfig.trustedProxies);
     res.header('Content-Type', 'text/plain');
     return res.status(200).send(clientIP);
   });
 
   app.all('/config', handleUpdateServerConfig);
 
+  /**
+   * Load state of this worker for the health endpoints.
+   * 
+   * @returns {object}
+   */
+  const getHealthReport = () => {
+    const loadStatus = mainIpApiObj.getLoadStatus();
+    let status = 'ok';
+    if (!loadStatus.ready) {
+      status = loadStatus.apiReloading ? 'reloading' : 'loading';
+    }
+    return {
+      status: status,
+      pid: process.pid,
+      ...loadStatus,
+      environment_check: getEnvironmentCheckResults(),
+    };
+  };
+
+  // liveness: the worker is up and answering, also while the database is loading
+  app.get('/healthz', (req, res) => {
+    return res.status(200).json(getHealthReport());
+  });
+
+  // readiness: 503 until every required lookup table is loaded and while reloading
+  app.get('/readyz', (req, res) => {
+    const report = getHealthReport();
+    if (!report.ready) {
+      res.header('Retry-After', '5');
+    }
+    return res.status(report.ready ? 200 : 503).json(report);
+  });
+
   app.get('/apiVersion', (req, res) => {
     const humanDate = req.query.human !== '0';
     return res.status(200).json({
@@ -770,7 +1100,7 @@ function init() {
   app.get('/reloadApi', requireApiKey, async (req, res) => {
     log(`Api Worker ${process.pid} reloading...`);
 
-    const reloadStatus = mainIpApiObj.reloadApi();
+    const reloadStatus = await reloadApi();
     log(`Api Worker ${process.pid} finished reloading: ${reloadStatus}`);
 
     return res.status(200).json({
@@ -802,11 +1132,13 @@ function init() {
     }
     const statsCopy = Object.assign({}, apiStats);
     statsCopy.os = getOsInfo();
+    statsCopy.memory = getWorkerMemoryUsage();
     statsCopy.cacheStats = apiCache.getStats();
+    statsCopy.sharedObjectCacheStats = getDecodedObjectStats();
     statsCopy.userAgentHist = sortObjectByValue(statsCopy.userAgentHist, limit);
     statsCopy.deniedApiKey = sortObjectByValue(statsCopy.deniedApiKey, limit);
     statsCopy.deniedIpHist = sortObjectByValue(statsCopy.deniedIpHist, limit);
-    statsCopy.firewalledIPs = firewalledIPs;
+    statsCopy.firewalledIPs = firewall ? firewall.list() : [];
     statsCopy.refererHist = sortObjectByValue(statsCopy.refererHist, limit);
     // Convert currentUsage request types to string names
     statsCopy.currentUsage = convertCurrentUsageToStringKeys(currentUsage);
@@ -828,6 +1160,105 @@ function init() {
     return res.status(200).json(statsCopy);
   });
 
+  // Prometheus / OpenMetrics, aggregated over all workers by the master
+  app.get('/metrics', requireApiKey, async (req, res) => {
+    const snapshots = await collectClusterMetrics();
+    const openMetrics = (req.get('Accept') || '').includes('application/openmetrics-text');
+    res.header('Content-Type', openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE);
+    return res.status(200).send(renderMetrics(mergeSnapshots(snapshots), openMetrics));
+  });
+
+  /**
+   * Run an operation on the local API key store and answer with its result.
+   * 
+   * @param {object} res - The Express response object.
+   * @param {string} op - list, create, update, rotate or revoke
+   * @param {object} args - `{ id, options }`
+   * @param {number} successStatus - The status code if the operation succeeded.
+   */
+  const handleApiKeyAdmin = async (res, op, args = {}, successStatus = 200) => {
+    if (!apiKeyStore) {
+      return res.status(404).json({
+        error: 'Local API keys are disabled, set `localApiKeys.enabled` in the config',
+        error_code: API_ERROR_CODE.LOCAL_API_KEYS_DISABLED,
+      });
+    }
+    const result = await apiKeyStore.execute(op, args);
+    if (isErrorResponse(result)) {
+      let statusCode = 500;
+      if (result.error_code === API_ERROR_CODE.API_KEY_NOT_FOUND) {
+        statusCode = 404;
+      } else if (result.error_code === API_ERROR_CODE.INVALID_KEY_OPTIONS) {
+        statusCode = 400;
+      }
+      return res.status(statusCode).json(result);
+    }
+    return res.status(successStatus).json(result);
+  };
+
+  app.get('/admin/keys', requireApiKey, (req, res) => handleApiKeyAdmin(res, 'list'));
+  app.post('/admin/keys', requireApiKey, (req, res) => handleApiKeyAdmin(res, 'create', { options: req.body || {} }, 201));
+  app.patch('/admin/keys/:id', requireApiKey, (req, res) => handleApiKeyAdmin(res, 'update', { id: req.params.id, options: req.body || {} }));
+  app.post('/admin/keys/:id/rotate', requireApiKey, (req, res) => handleApiKeyAdmin(res, 'rotate', { id: req.params.id }));
+  app.delete('/admin/keys/:id', requireApiKey, (req, res) => handleApiKeyAdmin(res, 'revoke', { id: req.params.id }));
+
+  /**
+   * List the blocked IPs or unblock one.
+   * 
+   * @param {object} res - The Express response object.
+   * @param {string} op - list or unblock
+   * @param {object} args - `{ ip }`
+   */
+  const handleFirewallAdmin = async (res, op, args = {}) => {
+    if (!firewall) {
+      return res.status(404).json({
+        error: 'The firewall is disabled, set `enableFirewall` in the config',
+        error_code: API_ERROR_CODE.FIREWALL_DISABLED,
+      });
+    }
+    const result = await firewall.execute(op, args);
+    if (isErrorResponse(result)) {
+      const statusCode = result.error_code === API_ERROR_CODE.FIREWALL_ENTRY_NOT_FOUND ? 404 : 500;
+      return res.status(statusCode).json(result);
+    }
+    return res.status(200).json(result);
+  };
+
+  app.get('/admin/firewall', requireApiKey, (req, res) => handleFirewallAdmin(res, 'list'));
+  app.delete('/admin/firewall/:ip', requireApiKey, (req, res) => handleFirewallAdmin(res, 'unblock', { ip: req.params.ip }));
+
+  /**
+   * Status of the scheduled database updates, or start an update.
+   *
+   * @param {object} res - The Express response object.
+   * @param {string} op - status or run
+   * @param {object} args - `{ force }`
+   */
+  const handleUpdateAdmin = async (res, op, args = {}) => {
+    const result = await updateScheduler.execute(op, args);
+    if (isErrorResponse(result)) {
+      return res.status(500).json(result);
+    }
+    return res.status(op === 'run' ? 202 : 200).json(result);
+  };
+
+  app.get('/admin/updates', requireApiKey, (req, res) => handleUpdateAdmin(res, 'status'));
+  app.post('/admin/updates', requireApiKey, (req, res) => handleUpdateAdmin(res, 'run', {
+    force: req.query.force === '1' || req.query.force === 'true' || (req.body && req.body.force === true),
+  }));
+
+  app.get('/admin/watchlist/changes', requireApiKey, async (req, res) => {
+    if (!watchlist) {
+      return res.status(404).json({
+        error: 'The watchlist is disabled, set `watchlist.enabled` and `watchlist.file` in the config',
+        error_code: API_ERROR_CODE.WATCHLIST_DISABLED,
+      });
+    }
+    const limit = parseInt(req.query.limit, 10);
+    const result = await watchlist.getChanges(limit > 0 ? limit : 1);
+    return res.status(isErrorResponse(result) ? 500 : 200).json(result);
+  });
+
   app.get('/reloadUsers', requireApiKey, async (req, res) => {
     await syncUsersUsage();
     return res.status(200).json({ message: 'ok' });
@@ -871,24 +1302,54 @@ function init() {
     return res.status(200).send(getSourceCodeHash());
   });
 
-  // only when the API is loaded, attach the API routes and start the server
+  // the API routes answer 503 until the API is loaded, so /readyz can be polled while warming up
+  app.post('/bulk/stream', (req, res) => ensureApiReady(res) && handleBulkStream(req, res));
+  app.get('/datacenter/ranges', (req, res) => ensureApiReady(res) && handleDatacenterRanges(req, res));
+  app.get('/search/company', (req, res) => ensureApiReady(res) && handleSearch(req, res, (params) => mainIpApiObj.companySearch({
+    query: params.getWithPriority(['q', 'query'], ''),
+    domain: params.getWithPriority(['domain'], ''),
+    type: params.getWithPriority(['type'], null),
+    rir: params.getWithPriority(['rir'], null),
+    page: params.getWithPriority(['page'], 1),
+    limit: params.getWithPriority(['limit'], SEARCH_DEFAULT_LIMIT),
+  }, params.getWithPriority(['networks']) === '1')));
+  app.get('/search/asn', (req, res) => ensureApiReady(res) && handleSearch(req, res, (params) => mainIpApiObj.asnSearch({
+    query: params.getWithPriority(['q', 'query'], ''),
+    country: params.getWithPriority(['country'], null),
+    page: params.getWithPriority(['page'], 1),
+    limit: params.getWithPriority(['limit'], SEARCH_DEFAULT_LIMIT),
+  })));
+  app.get('/asn/prefixes', (req, res) => ensureApiReady(res) && handleSearch(req, res, (params) => mainIpApiObj.asnPrefixes(
+    params.getWithPriority(['asn', 'q']), {
+      ipVersion: params.getWithPriority(['ip_version'], null),
+      aggregate: params.getWithPriority(['aggregate']) === '1',
+      page: params.getWithPriority(['page'], 1),
+      limit: params.getWithPriority(['limit'], PREFIXES_DEFAULT_LIMIT),
+    })));
+  registerApiRoute('/datacenter');
+  registerApiRoute('/toon', FORMAT_TYPES.TOON);
+  registerApiRoute('/txt', FORMAT_TYPES.TEXT);
+  registerApiRoute('/text', FORMAT_TYPES.TEXT);
+  registerApiRoute('/csv', FORMAT_TYPES.CSV);
+  registerApiRoute('/html', FORMAT_TYPES.HTML);
+  registerApiRoute('/', null);
+  registerApiRoute('/json', null);
+
+  // worker threads cannot share a listening socket through the cluster module, let the kernel balance instead
+  const listenOptions = { port: API_PORT, host: API_BIND_ADDRESS, reusePort: isThreadWorker() };
+  app.listen(listenOptions, () => {
+    log(`IP API server with pid ${process.pid} listening on endpoint ${ENDPOINT}/?key=${API_KEY}&q=${getRandomIPv4(true)}`);
+  });
+
   mainIpApiObj.loadAPI().then((loaded) => {
-    registerApiRoute('/datacenter');
-    registerApiRoute('/toon', FORMAT_TYPES.TOON);
-    registerApiRoute('/txt', FORMAT_TYPES.TEXT);
-    registerApiRoute('/text', FORMAT_TYPES.TEXT);
-    registerApiRoute('/csv', FORMAT_TYPES.CSV);
-    registerApiRoute('/html', FORMAT_TYPES.HTML);
-    registerApiRoute('/', null);
-    registerApiRoute('/json', null);
-
-    app.listen(API_PORT, API_BIND_ADDRESS, () => {
-      log(`IP API server with pid ${process.pid} listening on endpoint ${ENDPOINT}/?key=${API_KEY}&q=${getRandomIPv4(true)}`);
-      if (process.send) {
-        log(`Worker ${process.pid} is ready, sending signal to PM2!`);
-        process.send("ready"); // PM2 will wait for this signal before stopping the old worker
-      }
-    });
+    checkWatchlist();
+    if (sendToMaster("ready")) {
+      // PM2 will wait for this signal before stopping the old worker
+      log(`Worker ${process.pid} is ready, sent signal to master!`);
+    }
+  }).catch((err) => {
+    // keep serving /healthz and /readyz so the failed environment check is visible
+    log(`Failed to load the API: ${err.message}`, 'ERROR');
   });
 }
 
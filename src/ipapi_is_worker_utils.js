@@ -11,8 +11,13 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const v8 = require('v8');
+const net = require('net');
+const { isMainThread, parentPort, threadId } = require('worker_threads');
 const { IPv4ToInt, IntToIPv4, abbreviateIPv6 } = require('ip_address_tools');
+const { isInSubnet } = require('is-in-subnet');
 const { round, memUsage, executeCommandSync, log } = require('./utils.js');
+const { getSharedLutStore } = require('./fast_lut.js');
 
 // Define API Request Type
 const API_REQUEST_TYPE = {
@@ -25,6 +30,8 @@ const API_REQUEST_TYPE = {
   ERROR_UNKNOWN: 0x7, // this error type is used to indicate that an error occurred for an unknown reason
   ERROR_INVALID_HTTP_METHOD: 0x8, // this error type is used to indicate that an error occurred because the HTTP method was invalid
   ERROR_BULK: 0x9, // this error type is used to indicate that an error occurred during bulk lookup
+  SEARCH: 0xa, // search of organizations or ASNs
+  EXPORT: 0xb, // export of ranges, e.g. of datacenter providers
 };
 
 // Define User API Status
@@ -43,8 +50,14 @@ const API_ERROR_CODE = {
   INVALID_BULK_INPUT_EMPTY: 'ERR_INVALID_BULK_INPUT_EMPTY',
   INVALID_BULK_INPUT_NO_VALID_ENTRIES: 'ERR_INVALID_BULK_INPUT_NO_VALID_ENTRIES',
   INVALID_BULK_SIZE_CONFIG: 'ERR_INVALID_BULK_SIZE_CONFIG',
+  INVALID_BULK_STREAM_LINE: 'ERR_INVALID_BULK_STREAM_LINE',
+  UNSUPPORTED_CONTENT_TYPE: 'ERR_UNSUPPORTED_CONTENT_TYPE',
   INVALID_HTTP_METHOD: 'ERR_INVALID_HTTP_METHOD',
   INVALID_CONFIG: 'ERR_INVALID_CONFIG',
+  INVALID_FIELDS: 'ERR_INVALID_FIELDS',
+  NETWORK_TOO_LARGE: 'ERR_NETWORK_TOO_LARGE',
+  INVALID_SEARCH_QUERY: 'ERR_INVALID_SEARCH_QUERY',
+  INVALID_EXPORT_OPTIONS: 'ERR_INVALID_EXPORT_OPTIONS',
 
   // Quota and rate limit errors (2xx)
   RATE_LIMIT_EXCEEDED: 'ERR_RATE_LIMIT_EXCEEDED',
@@ -57,6 +70,7 @@ const API_ERROR_CODE = {
   FORBIDDEN_INVALID_API_KEY: 'ERR_FORBIDDEN_INVALID_API_KEY',
   FORBIDDEN_API_KEY_REQUIRED: 'ERR_FORBIDDEN_API_KEY_REQUIRED',
   FORBIDDEN_NOT_ALLOWED: 'ERR_FORBIDDEN_NOT_ALLOWED',
+  FORBIDDEN_ROUTE_NOT_ALLOWED: 'ERR_FORBIDDEN_ROUTE_NOT_ALLOWED',
 
   // Feature/service errors (4xx)
   ASN_LOOKUP_DISABLED: 'ERR_ASN_LOOKUP_DISABLED',
@@ -67,12 +81,22 @@ const API_ERROR_CODE = {
   DISTANCE_LOCATION_NOT_FOUND_IP2: 'ERR_DISTANCE_LOCATION_NOT_FOUND_IP2',
   WHOIS_INVALID_QUERY: 'ERR_WHOIS_INVALID_QUERY',
   WHOIS_NOT_FOUND: 'ERR_WHOIS_NOT_FOUND',
+  WHOIS_INVALID_FORMAT: 'ERR_WHOIS_INVALID_FORMAT',
+  LOCAL_API_KEYS_DISABLED: 'ERR_LOCAL_API_KEYS_DISABLED',
+  INVALID_KEY_OPTIONS: 'ERR_INVALID_KEY_OPTIONS',
+  API_KEY_NOT_FOUND: 'ERR_API_KEY_NOT_FOUND',
+  FIREWALL_DISABLED: 'ERR_FIREWALL_DISABLED',
+  FIREWALL_ENTRY_NOT_FOUND: 'ERR_FIREWALL_ENTRY_NOT_FOUND',
+  WATCHLIST_DISABLED: 'ERR_WATCHLIST_DISABLED',
+  DATACENTER_PROVIDER_NOT_FOUND: 'ERR_DATACENTER_PROVIDER_NOT_FOUND',
+  ASN_NOT_FOUND: 'ERR_ASN_NOT_FOUND',
 
   // Server errors (5xx)
   UNEXPECTED_SERVER_ERROR: 'ERR_UNEXPECTED_SERVER_ERROR',
   CONFIG_UPDATE_FAILED: 'ERR_CONFIG_UPDATE_FAILED',
   PM2_LOGS_FAILED: 'ERR_PM2_LOGS_FAILED',
   PM2_STATUS_FAILED: 'ERR_PM2_STATUS_FAILED',
+  API_NOT_READY: 'ERR_API_NOT_READY',
 };
 
 /**
@@ -136,6 +160,8 @@ const getRequestTypeName = (requestType) => {
     [API_REQUEST_TYPE.ERROR_UNKNOWN]: 'ERROR_UNKNOWN',
     [API_REQUEST_TYPE.ERROR_INVALID_HTTP_METHOD]: 'ERROR_INVALID_HTTP_METHOD',
     [API_REQUEST_TYPE.ERROR_BULK]: 'ERROR_BULK',
+    [API_REQUEST_TYPE.SEARCH]: 'SEARCH',
+    [API_REQUEST_TYPE.EXPORT]: 'EXPORT',
   };
   return typeNames[requestType] || `UNKNOWN_${requestType}`;
 };
@@ -291,20 +317,197 @@ const getOsInfo = () => {
   };
 };
 
+/**
+ * Memory used by this worker. When the LUTs are shared (worker threads), the V8 heap
+ * is private to the worker, while `sharedLutMB` is held once for all workers.
+ * In cluster mode `arrayBuffersMB` contains the worker's own copy of the LUT buffers.
+ *
+ * @returns {object} - Object containing the worker memory info
+ */
+const getWorkerMemoryUsage = () => {
+  const toMB = (bytes) => round(bytes / 1024 / 1024, 2);
+  const heap = v8.getHeapStatistics();
+  const processMem = process.memoryUsage();
+  const sharedStore = getSharedLutStore();
+  return {
+    pid: process.pid,
+    threadId: threadId,
+    sharedLuts: !!sharedStore,
+    heapUsedMB: toMB(heap.used_heap_size),
+    heapTotalMB: toMB(heap.total_heap_size),
+    arrayBuffersMB: toMB(processMem.arrayBuffers),
+    sharedLutMB: sharedStore ? sharedStore.totalMB() : 0,
+    processRssMB: toMB(processMem.rss),
+  };
+};
+
+/**
+ * Whether this worker runs as a worker thread of the cluster master.
+ *
+ * @returns {boolean}
+ */
+const isThreadWorker = () => !isMainThread && parentPort !== null;
+
+/**
+ * Send a message to the cluster master (or PM2), regardless of whether
+ * this worker is a forked process or a worker thread.
+ *
+ * @param {string|object} msg - The message to send
+ * @returns {boolean} - False if there is no master to send to
+ */
+function sendToMaster(msg) {
+  if (isThreadWorker()) {
+    parentPort.postMessage(msg);
+    return true;
+  }
+  if (process.send) {
+    process.send(msg);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Whether this worker was started by cluster-manager.js, which answers the IPC requests
+ * of the workers. Under PM2 or when started directly there is no such master.
+ *
+ * @returns {boolean}
+ */
+function hasClusterMaster() {
+  return process.env.IPAPI_CLUSTER_MASTER === '1';
+}
+
+/**
+ * Listen for messages sent by the cluster master.
+ *
+ * @param {function} handler - Called with each message
+ */
+function onMasterMessage(handler) {
+  if (isThreadWorker()) {
+    parentPort.on('message', handler);
+  } else {
+    process.on('message', handler);
+  }
+}
+
+// Forwarded headers are honored from these peers when `trustedProxies` is not configured
+const DEFAULT_TRUSTED_PROXIES = ['127.0.0.0/8', '::1/128'];
+
+/**
+ * Normalize an IP address taken from a socket or a forwarded header.
+ * Strips brackets, ports and IPv6 zones and maps ::ffff:-mapped IPv4 addresses to IPv4.
+ * 
+ * @param {string} ip
+ * @returns {string|null} - The normalized IP or null if the value is not an IP (e.g. `unknown` or an obfuscated identifier)
+ */
+function normalizeIp(ip) {
+  if (typeof ip !== 'string') {
+    return null;
+  }
+  let value = ip.trim().replace(/^"|"$/g, '');
+  const bracketed = value.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) {
+    value = bracketed[1];
+  } else if (/^[\d.]+:\d+$/.test(value)) {
+    value = value.split(':')[0];
+  }
+  value = value.split('%')[0].toLowerCase();
+  const mapped = value.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    value = mapped[1];
+  }
+  return net.isIP(value) ? value : null;
+}
+
+/**
+ * Check if an IP is in a list of IPs and CIDRs, such as the trusted proxies.
+ * 
+ * @param {string} ip - A normalized IP
+ * @param {Array<string>} ipList - IPs and CIDRs
+ * @returns {boolean}
+ */
+function isInIpList(ip, ipList) {
+  for (const entry of ipList) {
+    if (typeof entry !== 'string') {
+      continue;
+    }
+    if (!entry.includes('/')) {
+      if (normalizeIp(entry) === ip) {
+        return true;
+      }
+      continue;
+    }
+    try {
+      if (isInSubnet(ip, entry.trim())) {
+        return true;
+      }
+    } catch (err) {
+      // invalid CIDR or address family mismatch
+    }
+  }
+  return false;
+}
+
+/**
+ * The addresses of the forwarded chain, client first.
+ * The RFC 7239 Forwarded header takes precedence over X-Forwarded-For, which takes precedence over X-Real-IP.
+ * 
+ * @param {object} headers - The request headers
+ * @returns {Array<string>|null} - Raw values, null if no forwarded header is present
+ */
+function getForwardedChain(headers) {
+  if (headers['forwarded'] !== undefined) {
+    const chain = [];
+    for (const element of String(headers['forwarded']).split(',')) {
+      const forPair = element.split(';').map((pair) => pair.trim()).find((pair) => /^for=/i.test(pair));
+      // an element without `for` still is a hop whose client is unknown
+      chain.push(forPair ? forPair.slice(4) : 'unknown');
+    }
+    return chain;
+  }
+  if (headers['x-forwarded-for'] !== undefined) {
+    return String(headers['x-forwarded-for']).split(',');
+  }
+  if (headers['x-real-ip'] !== undefined) {
+    return [String(headers['x-real-ip'])];
+  }
+  return null;
+}
+
 /**
  * Get the client IP address from the request.
  * 
+ * Forwarded headers are only honored when the socket peer is a trusted proxy. The chain is then
+ * walked from the right and the first address that is not a trusted proxy is the client.
+ * 
  * @param {object} req - The Express request object.
- * @param {boolean} forceHeader - Whether to prefer the x-real-ip header.
+ * @param {boolean} forceHeader - Whether to honor forwarded headers from trusted proxies.
+ * @param {Array<string>} trustedProxies - IPs and CIDRs of the reverse proxies (config `trustedProxies`).
  * @returns {string|null} - The client IP address.
  */
-function getIp(req, forceHeader = true) {
-  const ipForwardHeader = 'x-real-ip';
+function getIp(req, forceHeader = true, trustedProxies = DEFAULT_TRUSTED_PROXIES) {
   const socket = req.socket || req.connection;
-  let clientIP = socket ? socket.remoteAddress : null;
+  const peerIP = socket ? normalizeIp(socket.remoteAddress) : null;
+  if (!forceHeader || !peerIP || !Array.isArray(trustedProxies) || !isInIpList(peerIP, trustedProxies)) {
+    return peerIP;
+  }
 
-  if (forceHeader && req.headers[ipForwardHeader] !== undefined) {
-    clientIP = req.headers[ipForwardHeader];
+  const chain = getForwardedChain(req.headers || {});
+  if (!chain) {
+    return peerIP;
+  }
+
+  let clientIP = peerIP;
+  for (let i = chain.length - 1; i >= 0; i--) {
+    const hop = normalizeIp(chain[i]);
+    // nothing can be said about the hops before an unknown one
+    if (!hop) {
+      break;
+    }
+    clientIP = hop;
+    if (!isInIpList(hop, trustedProxies)) {
+      break;
+    }
   }
 
   return clientIP;
@@ -341,7 +544,14 @@ module.exports = {
   getConfigPath,
   getServerIpAddress,
   getOsInfo,
+  getWorkerMemoryUsage,
+  isThreadWorker,
+  sendToMaster,
+  onMasterMessage,
+  hasClusterMaster,
   getIp,
+  normalizeIp,
+  isInIpList,
   isErrorResponse,
 };
 
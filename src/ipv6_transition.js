@@ -0,0 +1,57 @@
+/**
+ * IPv6 addresses of transition mechanisms that carry an IPv4 address. They are looked up
+ * by the embedded IPv4 address, the IPv6 prefixes themselves are special-use and bogon.
+ *   - ipv4-mapped: ::ffff:0:0/96, the last 32 bits (RFC 4291)
+ *   - 6to4: 2002::/16, the 32 bits after the prefix (RFC 3056)
+ *   - teredo: 2001::/32, the client is the inverted last 32 bits, the server the 32 bits after the prefix (RFC 4380)
+ *   - nat64: 64:ff9b::/96, the last 32 bits (RFC 6052)
+ */
+const { IntToIPv4 } = require('ip_address_tools');
+const { parseNetwork } = require('./mmdb_writer');
+
+const IPV6_TRANSITION_MECHANISMS = Object.freeze({
+  IPV4_MAPPED: 'ipv4-mapped',
+  SIX_TO_FOUR: '6to4',
+  TEREDO: 'teredo',
+  NAT64: 'nat64',
+});
+
+const MASK_32 = 0xffffffffn;
+
+const embeddedIPv4 = (value, shift = 0n) => IntToIPv4(Number((value >> shift) & MASK_32));
+
+/**
+ * The IPv4 address embedded in an IPv6 transition address.
+ *
+ * @param {string} ip - An IPv6 address, dotted forms such as `::ffff:1.2.3.4` are accepted
+ * @returns {object|null} - `{ mechanism, ipv4 }` and `teredo_server` for Teredo, null for other addresses
+ */
+const getEmbeddedIPv4 = (ip) => {
+  const parsed = parseNetwork(ip);
+  if (!parsed || parsed.version !== 6 || parsed.start !== parsed.end) {
+    return null;
+  }
+  const value = parsed.start;
+  if ((value >> 32n) === 0xffffn) {
+    return { mechanism: IPV6_TRANSITION_MECHANISMS.IPV4_MAPPED, ipv4: embeddedIPv4(value) };
+  }
+  if ((value >> 32n) === 0x64ff9b0000000000000000n) {
+    return { mechanism: IPV6_TRANSITION_MECHANISMS.NAT64, ipv4: embeddedIPv4(value) };
+  }
+  if ((value >> 112n) === 0x2002n) {
+    return { mechanism: IPV6_TRANSITION_MECHANISMS.SIX_TO_FOUR, ipv4: embeddedIPv4(value, 80n) };
+  }
+  if ((value >> 96n) === 0x20010000n) {
+    return {
+      mechanism: IPV6_TRANSITION_MECHANISMS.TEREDO,
+      ipv4: embeddedIPv4(value ^ MASK_32),
+      teredo_server: embeddedIPv4(value, 64n),
+    };
+  }
+  return null;
+};
+
+module.exports = {
+  IPV6_TRANSITION_MECHANISMS,
+  getEmbeddedIPv4,
+};
@@ -0,0 +1,92 @@
+// Flags that can be explained with `explain=1`, in the order fastLookup() evaluates them
+const EXPLAINED_FLAGS = ['is_datacenter', 'is_crawler', 'is_tor', 'is_abuser', 'is_proxy', 'is_vpn'];
+
+/**
+ * Create an empty explanation, one entry per explained flag.
+ *
+ * @returns {object}
+ */
+function createExplanation() {
+  const explain = {};
+  for (const flag of EXPLAINED_FLAGS) {
+    explain[flag] = {
+      value: false,
+      sources: [],
+    };
+  }
+  return explain;
+}
+
+/**
+ * Record that `lut` set `flag` for `ip`, together with the matched network.
+ *
+ * @param {object|null} explain - The explanation to add to, nothing is done if null
+ * @param {string} flag - The response flag, e.g. is_vpn
+ * @param {FastLut} lut - The lookup table that matched
+ * @param {string} ip - The looked up IP address
+ */
+function addSource(explain, flag, lut, ip) {
+  if (!explain || !lut) {
+    return;
+  }
+  if (!explain[flag]) {
+    explain[flag] = {
+      value: false,
+      sources: [],
+    };
+  }
+  const match = lut.explainLookup(ip);
+  explain[flag].sources.push({
+    lut: lut.name,
+    network: match ? match.network : null,
+    overridden_by: null,
+  });
+}
+
+/**
+ * Mark all sources of `flags` as overridden by a later stage (e.g. CleanLut).
+ *
+ * @param {object|null} explain - The explanation
+ * @param {Array<string>} flags - The flags that were reset
+ * @param {FastLut} lut - The lookup table that overrode the flags
+ * @param {string} ip - The looked up IP address
+ */
+function markOverridden(explain, flags, lut, ip) {
+  if (!explain || !lut) {
+    return;
+  }
+  const match = lut.explainLookup(ip);
+  const overriddenBy = {
+    lut: lut.name,
+    network: match ? match.network : null,
+  };
+  for (const flag of flags) {
+    if (explain[flag]) {
+      for (const source of explain[flag].sources) {
+        source.overridden_by = overriddenBy;
+      }
+    }
+  }
+}
+
+/**
+ * Copy the final flag values of the lookup result into the explanation.
+ *
+ * @param {object} explain - The explanation
+ * @param {object} retVal - The lookup result
+ * @returns {object} - The explanation
+ */
+function finalizeExplanation(explain, retVal) {
+  for (const flag in explain) {
+    explain[flag].value = !!retVal[flag];
+  }
+  return explain;
+}
+
+module.exports = {
+  EXPLAINED_FLAGS,
+  createExplanation,
+  addSource,
+  markOverridden,
+  finalizeExplanation,
+};
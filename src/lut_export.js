@@ -0,0 +1,224 @@
+/**
+ * Dumps of the LUTs of the RAM database as CSV or NDJSON, one file per table.
+ *
+ * Every row is a network of the LUT with the columns `network`, `start`, `end` and `ip_version`,
+ * followed by the data of the LUT object. Ids are resolved the same way the API does:
+ * organization ids through the companyIdLut, geoname ids through the geonameLut.
+ * Rows are in the order of the LUT, so dumps of two database versions can be diffed.
+ */
+const fs = require('fs');
+const path = require('path');
+const { IPv6 } = require('ip-num');
+const { IntToIPv4 } = require('ip_address_tools');
+const { POS_VAL } = require('./constants');
+const { flattenRecord, renderCsvRows } = require('./response_formatter');
+const { log } = require('./utils');
+
+const LUT_EXPORT_FORMATS = ['csv', 'ndjson'];
+const NETWORK_COLUMNS = ['network', 'start', 'end', 'ip_version'];
+const WRITE_BATCH_SIZE = 5000;
+
+/**
+ * The data of a LUT object that has no special meaning: set flags (POS_VAL) have no columns,
+ * objects are exported as they are and anything else as `value`.
+ */
+const objectFields = (obj) => {
+  if (obj === POS_VAL) {
+    return {};
+  }
+  if (obj !== null && typeof obj === 'object' && !Array.isArray(obj)) {
+    return obj;
+  }
+  return { value: obj };
+};
+
+/**
+ * The tables that can be exported, `getLut(ipApi)` returns the FastLut or undefined if it is not loaded.
+ * `toFields(obj, net, ipVersion)` returns the columns of an entry, `cache` marks tables whose
+ * columns only depend on the object.
+ */
+const LUT_EXPORT_TABLES = Object.freeze({
+  asn: {
+    getLut: (ipApi) => ipApi.asnLut?.lut,
+    cache: true,
+    toFields: ([asn, route], net, ipVersion, ipApi) => (ipApi.asnLut.autnums[asn]
+      ? ipApi.asnLut.getAsnRecord(asn, route)
+      : { asn: asn, route: route }),
+  },
+  company: {
+    getLut: (ipApi) => ipApi.companyLut?.companyLut,
+    toFields: (orgId, net, ipVersion, ipApi) => {
+      if (!net) {
+        // entries of the direct LUT have no parsed network
+        return { org_id: orgId, ...ipApi.companyLut.decode(orgId) };
+      }
+      return { org_id: orgId, ...ipApi.companyLut.handleLookupResult({ obj: orgId, network: net }, ipVersion) };
+    },
+  },
+  datacenter: {
+    getLut: (ipApi) => ipApi.hostingLut?.hostingLut,
+    cache: true,
+    toFields: (obj, net, ipVersion, ipApi) => ipApi.hostingLut.handleLookupResult(obj) || {},
+  },
+  geolocation: {
+    getLut: (ipApi) => ipApi.geolocationLut?.finalLut,
+    cache: true,
+    toFields: (geonameId, net, ipVersion, ipApi) => ({ geoname_id: geonameId, ...ipApi.geolocationLut.decode(geonameId) }),
+  },
+  tor: { getLut: (ipApi) => ipApi.blacklistLut?.torLut, cache: true, toFields: objectFields },
+  proxy: { getLut: (ipApi) => ipApi.blacklistLut?.proxyLut, cache: true, toFields: objectFields },
+  vpn: { getLut: (ipApi) => ipApi.blacklistLut?.vpnLut, cache: true, toFields: objectFields },
+  named_vpn: { getLut: (ipApi) => ipApi.blacklistLut?.namedVpnLut, cache: true, toFields: objectFields },
+  interpolated_vpn: { getLut: (ipApi) => ipApi.blacklistLut?.interpolatedVpnLut, cache: true, toFields: objectFields },
+  abuser: { getLut: (ipApi) => ipApi.blacklistLut?.abuserLut, cache: true, toFields: objectFields },
+  mobile: { getLut: (ipApi) => ipApi.mobileLut?.mobileLut, cache: true, toFields: objectFields },
+  satellite: { getLut: (ipApi) => ipApi.satelliteLut?.satelliteLut, cache: true, toFields: objectFields },
+  crawler: { getLut: (ipApi) => ipApi.crawlerLut?.crawlerAndBotsLut, cache: true, toFields: objectFields },
+  clean: { getLut: (ipApi) => ipApi.cleanLut?.cleanLut, cache: true, toFields: objectFields },
+});
+
+const LUT_EXPORT_TABLE_NAMES = Object.keys(LUT_EXPORT_TABLES);
+
+/**
+ * Remove undefined values, they would become empty columns.
+ */
+const withoutUndefined = (fields) => {
+  const result = {};
+  for (const key in fields) {
+    const value = fields[key];
+    if (value === undefined) {
+      continue;
+    }
+    const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+    result[key] = isObject ? withoutUndefined(value) : value;
+  }
+  return result;
+};
+
+const ipToStr = (ip, ipVersion) => (ipVersion === 4 ? IntToIPv4(ip) : IPv6.fromBigInt(ip).toString());
+
+/**
+ * Call `callback(row)` for every network of a loaded table.
+ *
+ * @param {object} ipApi - A loaded MainIpApi
+ * @param {string} table - One of LUT_EXPORT_TABLES
+ * @param {function} callback
+ */
+const iterTableRows = (ipApi, table, callback) => {
+  const { getLut, cache, toFields } = LUT_EXPORT_TABLES[table];
+  const fieldsCache = new Map();
+  getLut(ipApi).iterLut((network, obj, ipVersion, net) => {
+    let fields = null;
+    if (cache) {
+      const key = JSON.stringify(obj);
+      if (!fieldsCache.has(key)) {
+        fieldsCache.set(key, withoutUndefined(toFields(obj, net, ipVersion, ipApi)));
+      }
+      fields = fieldsCache.get(key);
+    } else {
+      fields = withoutUndefined(toFields(obj, net, ipVersion, ipApi));
+    }
+    callback({
+      network: network,
+      start: net ? ipToStr(net[0], ipVersion) : network,
+      end: net ? ipToStr(net[1], ipVersion) : network,
+      ip_version: ipVersion,
+      ...fields,
+    });
+  });
+};
+
+/**
+ * Write one table to a file, atomically.
+ * A CSV needs the columns of all rows for the header, they are collected in a first pass over the LUT.
+ *
+ * @param {object} ipApi - A loaded MainIpApi
+ * @param {string} table - One of LUT_EXPORT_TABLES
+ * @param {string} file
+ * @param {string} format - csv or ndjson
+ * @returns {object|null} - `{ table, file, rows }`, null if the table is not loaded
+ */
+const exportLutTable = (ipApi, table, file, format = 'csv') => {
+  if (!LUT_EXPORT_TABLES[table]) {
+    throw new Error(`Unknown table: ${table}, expected one of ${LUT_EXPORT_TABLE_NAMES.join(', ')}`);
+  }
+  if (!LUT_EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format: ${format}, expected one of ${LUT_EXPORT_FORMATS.join(', ')}`);
+  }
+  if (!LUT_EXPORT_TABLES[table].getLut(ipApi)) {
+    return null;
+  }
+
+  let columns = null;
+  if (format === 'csv') {
+    const columnSet = new Set(NETWORK_COLUMNS);
+    iterTableRows(ipApi, table, (row) => {
+      Object.keys(flattenRecord(row)).forEach((column) => columnSet.add(column));
+    });
+    columns = Array.from(columnSet);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpFile, 'w');
+  let rows = 0;
+  try {
+    let batch = [];
+    const flush = () => {
+      if (format === 'csv') {
+        fs.writeSync(fd, renderCsvRows(batch, columns, rows === batch.length) + '\n');
+      } else {
+        fs.writeSync(fd, batch.join('\n') + '\n');
+      }
+      batch = [];
+    };
+    iterTableRows(ipApi, table, (row) => {
+      batch.push(format === 'csv' ? flattenRecord(row) : JSON.stringify(row));
+      rows++;
+      if (batch.length >= WRITE_BATCH_SIZE) {
+        flush();
+      }
+    });
+    if (batch.length > 0 || (rows === 0 && format === 'csv')) {
+      flush();
+    }
+    fs.closeSync(fd);
+  } catch (err) {
+    fs.closeSync(fd);
+    fs.rmSync(tmpFile, { force: true });
+    throw err;
+  }
+  fs.renameSync(tmpFile, file);
+  log(`[exportLutTable] Wrote ${rows} rows of ${table} to ${file}`, 'INFO');
+  return { table, file, rows };
+};
+
+/**
+ * Export tables into a directory, as `<table>.csv` or `<table>.ndjson`. Tables that are not loaded are skipped.
+ *
+ * @param {object} ipApi - A loaded MainIpApi
+ * @param {Array<string>} tables
+ * @param {string} outDir
+ * @param {string} format - csv or ndjson
+ * @returns {Array<object>} - The results of exportLutTable()
+ */
+const exportLutTables = (ipApi, tables, outDir, format = 'csv') => {
+  const results = [];
+  for (const table of tables) {
+    const result = exportLutTable(ipApi, table, path.join(outDir, `${table}.${format}`), format);
+    if (result) {
+      results.push(result);
+    } else {
+      log(`[exportLutTables] Table ${table} is not loaded, skipping it`, 'WARN');
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  LUT_EXPORT_FORMATS,
+  LUT_EXPORT_TABLES,
+  LUT_EXPORT_TABLE_NAMES,
+  exportLutTable,
+  exportLutTables,
+};
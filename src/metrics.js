@@ -0,0 +1,385 @@
+const { performance } = require('perf_hooks');
+const { getRequestTypeName, sendToMaster, onMasterMessage } = require('./ipapi_is_worker_utils');
+
+// Request latency buckets in seconds
+const DURATION_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+// How long the master waits for the snapshots of all workers
+const COLLECT_TIMEOUT_MS = 2000;
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+/**
+ * Monotonic per worker counters for the /metrics endpoint.
+ *
+ * Unlike apiStats these are never reset, Prometheus computes the rates itself.
+ * Only plain objects are kept so that a snapshot can be sent to the master as is.
+ */
+class WorkerMetrics {
+  constructor() {
+    this.requests = {};
+    this.durations = {};
+    this.deniedRequests = {};
+    this.firewalledTotal = 0;
+    this.rateLimiterTimeouts = 0;
+    this.reloadsTotal = 0;
+    this.lastReloadTs = null;
+    this.startedTs = Date.now();
+  }
+
+  /**
+   * Express middleware that records status code and latency of every request.
+   * Handlers set `req.apiRequestType` to label the request with its API_REQUEST_TYPE.
+   */
+  middleware() {
+    return (req, res, next) => {
+      const startTs = performance.now();
+      res.on('finish', () => {
+        this.observeRequest(req.apiRequestType, res.statusCode, (performance.now() - startTs) / 1000);
+      });
+      next();
+    };
+  }
+
+  /**
+   * @param {number|string|undefined} requestType - API_REQUEST_TYPE, a label or undefined for other routes
+   * @param {number} statusCode
+   * @param {number} durationSeconds
+   */
+  observeRequest(requestType, statusCode, durationSeconds) {
+    let type = 'other';
+    if (typeof requestType === 'number' && requestType > 0) {
+      type = getRequestTypeName(requestType).toLowerCase();
+    } else if (typeof requestType === 'string') {
+      type = requestType;
+    }
+
+    const key = `${type}|${statusCode}`;
+    this.requests[key] = (this.requests[key] || 0) + 1;
+
+    if (!this.durations[type]) {
+      this.durations[type] = {
+        buckets: DURATION_BUCKETS.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+    }
+    const histogram = this.durations[type];
+    for (let i = 0; i < DURATION_BUCKETS.length; i++) {
+      if (durationSeconds <= DURATION_BUCKETS[i]) {
+        histogram.buckets[i]++;
+      }
+    }
+    histogram.sum += durationSeconds;
+    histogram.count++;
+  }
+
+  /**
+   * @param {string} reason - e.g. rate_limit, quota, forbidden
+   */
+  countDenied(reason) {
+    this.deniedRequests[reason] = (this.deniedRequests[reason] || 0) + 1;
+  }
+
+  countFirewalled() {
+    this.firewalledTotal++;
+  }
+
+  countRateLimiterTimeout() {
+    this.rateLimiterTimeouts++;
+  }
+
+  countReload() {
+    this.reloadsTotal++;
+    this.lastReloadTs = Date.now();
+  }
+
+  /**
+   * Everything the master needs to aggregate the metrics of this worker.
+   *
+   * @param {object} state - `{ cacheStats, lutVersions, reloading, firewalledIPs }`
+   * @returns {object}
+   */
+  snapshot(state = {}) {
+    return {
+      requests: this.requests,
+      durations: this.durations,
+      deniedRequests: this.deniedRequests,
+      firewalledTotal: this.firewalledTotal,
+      firewalledIPs: state.firewalledIPs || 0,
+      rateLimiterTimeouts: this.rateLimiterTimeouts,
+      cacheHits: state.cacheStats ? state.cacheStats.hits : 0,
+      cacheMisses: state.cacheStats ? state.cacheStats.misses : 0,
+      cacheItems: state.cacheStats ? state.cacheStats.itemCount : 0,
+      lutVersions: state.lutVersions || {},
+      reloading: state.reloading ? 1 : 0,
+      reloadsTotal: this.reloadsTotal,
+      lastReloadTs: this.lastReloadTs,
+      startedTs: this.startedTs,
+    };
+  }
+}
+
+const addCounts = (target, source) => {
+  for (const key in source) {
+    target[key] = (target[key] || 0) + source[key];
+  }
+};
+
+/**
+ * Merge the snapshots of all workers into one.
+ * Counters are summed up, for the LUT versions the oldest worker wins
+ * so that a worker that missed a reload stands out.
+ *
+ * @param {Array<object>} snapshots
+ * @returns {object}
+ */
+function mergeSnapshots(snapshots) {
+  const merged = {
+    workers: snapshots.length,
+    requests: {},
+    durations: {},
+    deniedRequests: {},
+    firewalledTotal: 0,
+    firewalledIPs: 0,
+    rateLimiterTimeouts: 0,
+    cacheHits: 0,
+    cacheMisses: 0,
+    cacheItems: 0,
+    lutVersions: {},
+    reloading: 0,
+    reloadsTotal: 0,
+    lastReloadTs: null,
+  };
+
+  for (const snapshot of snapshots) {
+    addCounts(merged.requests, snapshot.requests);
+    addCounts(merged.deniedRequests, snapshot.deniedRequests);
+    for (const type in snapshot.durations) {
+      const source = snapshot.durations[type];
+      if (!merged.durations[type]) {
+        merged.durations[type] = {
+          buckets: DURATION_BUCKETS.map(() => 0),
+          sum: 0,
+          count: 0,
+        };
+      }
+      const target = merged.durations[type];
+      source.buckets.forEach((count, i) => {
+        target.buckets[i] += count;
+      });
+      target.sum += source.sum;
+      target.count += source.count;
+    }
+    for (const lutName in snapshot.lutVersions) {
+      const version = snapshot.lutVersions[lutName];
+      if (typeof version === 'number' && (merged.lutVersions[lutName] === undefined || version < merged.lutVersions[lutName])) {
+        merged.lutVersions[lutName] = version;
+      }
+    }
+    merged.firewalledTotal += snapshot.firewalledTotal;
+    merged.firewalledIPs += snapshot.firewalledIPs;
+    merged.rateLimiterTimeouts += snapshot.rateLimiterTimeouts || 0;
+    merged.cacheHits += snapshot.cacheHits;
+    merged.cacheMisses += snapshot.cacheMisses;
+    merged.cacheItems += snapshot.cacheItems;
+    merged.reloading += snapshot.reloading;
+    merged.reloadsTotal += snapshot.reloadsTotal;
+    if (snapshot.lastReloadTs && snapshot.lastReloadTs > (merged.lastReloadTs || 0)) {
+      merged.lastReloadTs = snapshot.lastReloadTs;
+    }
+  }
+
+  return merged;
+}
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const parts = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+};
+
+/**
+ * Render merged metrics in the Prometheus text format, or OpenMetrics if requested.
+ *
+ * @param {object} merged - Result of mergeSnapshots()
+ * @param {boolean} openMetrics
+ * @returns {string}
+ */
+function renderMetrics(merged, openMetrics = false) {
+  const lines = [];
+  const family = (name, type, help, samples) => {
+    // OpenMetrics names the counter family without the _total suffix
+    const familyName = openMetrics && type === 'counter' ? name.replace(/_total$/, '') : name;
+    lines.push(`# HELP ${familyName} ${help}`);
+    lines.push(`# TYPE ${familyName} ${type}`);
+    for (const [sampleName, labels, value] of samples) {
+      lines.push(`${sampleName}${formatLabels(labels)} ${value}`);
+    }
+  };
+
+  family('ipapi_workers', 'gauge', 'Number of workers that reported metrics.', [
+    ['ipapi_workers', {}, merged.workers],
+  ]);
+
+  family('ipapi_requests_total', 'counter', 'HTTP requests by API request type and status code.',
+    Object.entries(merged.requests).map(([key, count]) => {
+      const [type, status] = key.split('|');
+      return ['ipapi_requests_total', { type, status }, count];
+    }));
+
+  const durationSamples = [];
+  for (const type in merged.durations) {
+    const histogram = merged.durations[type];
+    DURATION_BUCKETS.forEach((le, i) => {
+      durationSamples.push(['ipapi_request_duration_seconds_bucket', { type, le }, histogram.buckets[i]]);
+    });
+    durationSamples.push(['ipapi_request_duration_seconds_bucket', { type, le: '+Inf' }, histogram.count]);
+    durationSamples.push(['ipapi_request_duration_seconds_sum', { type }, histogram.sum]);
+    durationSamples.push(['ipapi_request_duration_seconds_count', { type }, histogram.count]);
+  }
+  family('ipapi_request_duration_seconds', 'histogram', 'HTTP request latency by API request type.', durationSamples);
+
+  family('ipapi_cache_hits_total', 'counter', 'Lookups answered from the LFU cache.', [
+    ['ipapi_cache_hits_total', {}, merged.cacheHits],
+  ]);
+  family('ipapi_cache_misses_total', 'counter', 'Lookups not found in the LFU cache.', [
+    ['ipapi_cache_misses_total', {}, merged.cacheMisses],
+  ]);
+  family('ipapi_cache_items', 'gauge', 'Entries in the LFU caches of all workers.', [
+    ['ipapi_cache_items', {}, merged.cacheItems],
+  ]);
+
+  family('ipapi_denied_requests_total', 'counter', 'Requests denied by the rate limiter or access checks.',
+    Object.entries(merged.deniedRequests).map(([reason, count]) => ['ipapi_denied_requests_total', { reason }, count]));
+  family('ipapi_rate_limiter_timeouts_total', 'counter', 'Rate limit checks the cluster master did not answer in time.', [
+    ['ipapi_rate_limiter_timeouts_total', {}, merged.rateLimiterTimeouts],
+  ]);
+  family('ipapi_firewalled_total', 'counter', 'Client IPs blocked in the firewall.', [
+    ['ipapi_firewalled_total', {}, merged.firewalledTotal],
+  ]);
+  family('ipapi_firewalled_ips', 'gauge', 'Client IPs currently blocked in the firewall.', [
+    ['ipapi_firewalled_ips', {}, merged.firewalledIPs],
+  ]);
+
+  family('ipapi_lut_version_timestamp_seconds', 'gauge', 'Creation time of each loaded lookup table, the oldest across workers.',
+    Object.entries(merged.lutVersions).map(([lut, version]) => ['ipapi_lut_version_timestamp_seconds', { lut }, version / 1000]));
+
+  family('ipapi_reloading_workers', 'gauge', 'Workers currently reloading the database.', [
+    ['ipapi_reloading_workers', {}, merged.reloading],
+  ]);
+  family('ipapi_reloads_total', 'counter', 'Database reloads of all workers.', [
+    ['ipapi_reloads_total', {}, merged.reloadsTotal],
+  ]);
+  if (merged.lastReloadTs) {
+    family('ipapi_last_reload_timestamp_seconds', 'gauge', 'Time of the most recent database reload.', [
+      ['ipapi_last_reload_timestamp_seconds', {}, merged.lastReloadTs / 1000],
+    ]);
+  }
+
+  if (openMetrics) {
+    lines.push('# EOF');
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Worker side of the collection: asks the master for the snapshots of all
+ * workers and answers the master when it asks for the snapshot of this worker.
+ *
+ * @param {function} getSnapshot - Returns the snapshot of this worker
+ * @returns {function} - Resolves with the snapshots of all workers
+ */
+function createMetricsCollector(getSnapshot) {
+  const pending = new Map();
+  let nextRequestId = 0;
+
+  onMasterMessage((msg) => {
+    if (!msg || typeof msg !== 'object') {
+      return;
+    }
+    if (msg.type === 'metricsSnapshotRequest') {
+      sendToMaster({ type: 'metricsSnapshot', requestId: msg.requestId, snapshot: getSnapshot() });
+    } else if (msg.type === 'metricsSnapshots' && pending.has(msg.requestId)) {
+      const { resolve, timer } = pending.get(msg.requestId);
+      clearTimeout(timer);
+      pending.delete(msg.requestId);
+      resolve(msg.snapshots);
+    }
+  });
+
+  return () => new Promise((resolve) => {
+    const requestId = `${process.pid}-${nextRequestId++}`;
+    // without a master (or under PM2, which does not answer) only this worker is reported
+    const fallback = () => {
+      pending.delete(requestId);
+      resolve([getSnapshot()]);
+    };
+    const timer = setTimeout(fallback, COLLECT_TIMEOUT_MS + 500);
+    pending.set(requestId, { resolve, timer });
+    if (!sendToMaster({ type: 'collectMetrics', requestId })) {
+      clearTimeout(timer);
+      fallback();
+    }
+  });
+}
+
+/**
+ * Master side: ask every worker for its snapshot and hand all of them to the requesting worker.
+ *
+ * @param {Array<object>} workers - `{ id, send }` of every running worker
+ * @param {object} requester - The worker that asked
+ * @param {string} requestId
+ * @param {Map} pendingCollections - Collections in progress, keyed by request id
+ */
+function collectWorkerMetrics(workers, requester, requestId, pendingCollections) {
+  const collection = {
+    requester,
+    expected: workers.length,
+    snapshots: [],
+  };
+  const finish = () => {
+    if (pendingCollections.get(requestId) !== collection) {
+      return;
+    }
+    pendingCollections.delete(requestId);
+    clearTimeout(collection.timer);
+    requester.send({ type: 'metricsSnapshots', requestId, snapshots: collection.snapshots });
+  };
+  collection.finish = finish;
+  collection.timer = setTimeout(finish, COLLECT_TIMEOUT_MS);
+  pendingCollections.set(requestId, collection);
+
+  for (const worker of workers) {
+    worker.send({ type: 'metricsSnapshotRequest', requestId });
+  }
+}
+
+/**
+ * Master side: a worker answered a snapshot request.
+ *
+ * @param {Map} pendingCollections
+ * @param {object} msg - The `metricsSnapshot` message
+ */
+function addWorkerSnapshot(pendingCollections, msg) {
+  const collection = pendingCollections.get(msg.requestId);
+  if (!collection) {
+    return;
+  }
+  collection.snapshots.push(msg.snapshot);
+  if (collection.snapshots.length >= collection.expected) {
+    collection.finish();
+  }
+}
+
+module.exports = {
+  PROMETHEUS_CONTENT_TYPE,
+  OPENMETRICS_CONTENT_TYPE,
+  WorkerMetrics,
+  mergeSnapshots,
+  renderMetrics,
+  createMetricsCollector,
+  collectWorkerMetrics,
+  addWorkerSnapshot,
+};
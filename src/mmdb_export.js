@@ -0,0 +1,156 @@
+/**
+ * Export of the RAM database as MaxMind DB files, for the GeoIP modules of nginx, Envoy and others.
+ *
+ * Every network of a LUT becomes a record with the same fields the API returns for
+ * an IP in it, e.g. `{ asn: { asn, route, descr, ... } }` or `{ is_vpn: true, vpn: { ... } }`.
+ * Overlapping networks are merged by MmdbWriter, the smaller network wins.
+ *
+ * Not exported: fields that depend on the time of the lookup (local_time, is_dst),
+ * and the clean list, which overrides the privacy flags at lookup time.
+ */
+const path = require('path');
+const { MmdbWriter } = require('./mmdb_writer');
+const { POS_VAL } = require('./constants');
+const { getTimeFromLocation } = require('./geolocation_tools');
+const { log } = require('./utils');
+
+/**
+ * The record of an IP in the `company` LUT, shaped like in MainIpApi.fastLookup().
+ */
+const companyRecord = (companyLut, orgId, net, ipVersion) => {
+  const company = companyLut.handleLookupResult({ obj: orgId, network: net }, ipVersion);
+  const record = { company: company };
+  if (typeof company.rir === 'string') {
+    record.rir = company.rir.toUpperCase();
+  }
+  if (company.abuse?.name) {
+    record.abuse = company.abuse;
+  }
+  delete company.rir;
+  delete company.abuse;
+  return record;
+};
+
+/**
+ * Is a VPN entry set, an array of the namedVpnLut is set if it is not empty.
+ */
+const vpnRecord = (obj) => {
+  if (Array.isArray(obj)) {
+    return obj.length > 0 ? { is_vpn: true } : null;
+  }
+  if (obj !== null && typeof obj === 'object') {
+    return { is_vpn: true, vpn: obj };
+  }
+  return obj === POS_VAL ? { is_vpn: true } : null;
+};
+
+/**
+ * The LUTs of each dataset and how an object of the LUT becomes a record.
+ * `toRecord(obj, net, ipVersion)` returns null for entries that are not exported,
+ * `cache` marks records that only depend on the object, so equal objects share one record.
+ *
+ * Sources of one dataset are inserted in order, so for the same network the later one wins.
+ * This gives the precedence of IPtoBlacklist.lookup(): named VPNs, interpolated VPNs, the VPN list.
+ */
+const MMDB_DATASETS = Object.freeze({
+  asn: (ipApi) => ipApi.asnLut && [{
+    lut: ipApi.asnLut.lut,
+    cache: true,
+    toRecord: ([asn, route]) => (ipApi.asnLut.autnums[asn] ? { asn: ipApi.asnLut.getAsnRecord(asn, route) } : null),
+  }],
+  geolocation: (ipApi) => ipApi.geolocationLut && [{
+    lut: ipApi.geolocationLut.finalLut,
+    cache: true,
+    toRecord: (geonameId) => {
+      const location = ipApi.geolocationLut.decode(geonameId);
+      if (!location) {
+        return null;
+      }
+      location.timezone = getTimeFromLocation(location.latitude, location.longitude).timezone;
+      return { location: location };
+    },
+  }],
+  company: (ipApi) => ipApi.companyLut && [{
+    lut: ipApi.companyLut.companyLut,
+    // entries of the direct LUT have no parsed network
+    toRecord: (orgId, net, ipVersion) => (net ? companyRecord(ipApi.companyLut, orgId, net, ipVersion) : null),
+  }],
+  datacenter: (ipApi) => ipApi.hostingLut && [{
+    lut: ipApi.hostingLut.hostingLut,
+    cache: true,
+    toRecord: (obj) => {
+      const datacenter = ipApi.hostingLut.handleLookupResult(obj);
+      return datacenter ? { is_datacenter: true, datacenter: datacenter } : null;
+    },
+  }],
+  privacy: (ipApi) => ipApi.blacklistLut && [
+    { lut: ipApi.blacklistLut.torLut, cache: true, toRecord: (obj) => (obj === POS_VAL ? { is_tor: true } : null) },
+    { lut: ipApi.blacklistLut.proxyLut, cache: true, toRecord: (obj) => (obj === POS_VAL ? { is_proxy: true } : null) },
+    { lut: ipApi.blacklistLut.vpnLut, cache: true, toRecord: vpnRecord },
+    { lut: ipApi.blacklistLut.interpolatedVpnLut, cache: true, toRecord: vpnRecord },
+    { lut: ipApi.blacklistLut.namedVpnLut, cache: true, toRecord: vpnRecord },
+  ],
+});
+
+const MMDB_DATASET_NAMES = Object.keys(MMDB_DATASETS);
+
+/**
+ * Write one MaxMind DB with the given datasets of a loaded MainIpApi.
+ *
+ * @param {object} ipApi - A loaded MainIpApi
+ * @param {Array<string>} datasets - Names of MMDB_DATASETS
+ * @param {string} file - The .mmdb file to write
+ * @returns {object} - `{ file, networks, bytes }`
+ */
+const exportMmdb = (ipApi, datasets, file) => {
+  for (const dataset of datasets) {
+    if (!MMDB_DATASETS[dataset]) {
+      throw new Error(`Unknown MMDB dataset: ${dataset}, expected one of ${MMDB_DATASET_NAMES.join(', ')}`);
+    }
+  }
+
+  const name = datasets.length === 1 ? datasets[0] : 'combined';
+  const writer = new MmdbWriter({
+    databaseType: `ipapi.is-${name}`,
+    description: { en: `ipapi.is ${name} database (${datasets.join(', ')})` },
+    languages: ['en'],
+  });
+
+  for (const dataset of datasets) {
+    const sources = MMDB_DATASETS[dataset](ipApi);
+    if (!sources) {
+      log(`[exportMmdb] Dataset ${dataset} is not loaded, skipping it`, 'WARN');
+      continue;
+    }
+    let numNetworks = 0;
+    for (const { lut, cache, toRecord } of sources) {
+      const records = new Map();
+      lut.iterLut((network, obj, ipVersion, net) => {
+        let record = null;
+        if (cache) {
+          const key = JSON.stringify(obj);
+          if (!records.has(key)) {
+            records.set(key, toRecord(obj, net, ipVersion));
+          }
+          record = records.get(key);
+        } else {
+          record = toRecord(obj, net, ipVersion);
+        }
+        if (record && writer.insert(network, record)) {
+          numNetworks++;
+        }
+      });
+    }
+    log(`[exportMmdb] Added ${numNetworks} networks of dataset ${dataset}`, 'INFO');
+  }
+
+  const result = writer.write(file);
+  log(`[exportMmdb] Wrote ${result.networks} networks (${result.bytes} bytes) to ${path.resolve(file)}`, 'INFO');
+  return result;
+};
+
+module.exports = {
+  MMDB_DATASETS,
+  MMDB_DATASET_NAMES,
+  exportMmdb,
+};
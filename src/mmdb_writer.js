@@ -0,0 +1,705 @@
+/**
+ * Writer (and a small reader) for the MaxMind DB format, without mmdbctl or other native tools.
+ *
+ * Format: https://maxmind.github.io/MaxMind-DB/
+ *
+ * A database is a binary search tree over the bits of the IP address, followed by
+ * 16 zero bytes, the data section and the metadata. IPv4 networks in an IPv6 database
+ * live in ::/96, ::ffff:0:0/96 points to the same subtree.
+ */
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const METADATA_MARKER = Buffer.from('abcdef4d61784d696e642e636f6d', 'hex'); // \xAB\xCD\xEFMaxMind.com
+const DATA_SECTION_SEPARATOR = 16;
+
+const TYPE = Object.freeze({
+  POINTER: 1,
+  STRING: 2,
+  DOUBLE: 3,
+  BYTES: 4,
+  UINT16: 5,
+  UINT32: 6,
+  MAP: 7,
+  INT32: 8,
+  UINT64: 9,
+  UINT128: 10,
+  ARRAY: 11,
+  BOOLEAN: 14,
+});
+
+// Strings shorter than this are written again instead of pointing to the first copy
+const MIN_POINTER_STRING_LENGTH = 4;
+
+/**
+ * Parse an IP address into its version and value.
+ *
+ * @param {string} ip
+ * @returns {object|null} - `{ version, value }`, value is a BigInt
+ */
+const parseIp = (ip) => {
+  ip = String(ip).trim();
+  const version = net.isIP(ip);
+  if (version === 4) {
+    const value = ip.split('.').reduce((acc, octet) => (acc << 8n) | BigInt(parseInt(octet, 10)), 0n);
+    return { version, value };
+  }
+  if (version !== 6) {
+    return null;
+  }
+
+  let address = ip.split('%')[0];
+  // an embedded IPv4 address makes up the last two groups
+  const lastColon = address.lastIndexOf(':');
+  if (address.includes('.', lastColon)) {
+    const ipv4 = parseIp(address.slice(lastColon + 1)).value;
+    address = `${address.slice(0, lastColon + 1)}${(ipv4 >> 16n).toString(16)}:${(ipv4 & 0xffffn).toString(16)}`;
+  }
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  const value = groups.reduce((acc, group) => (acc << 16n) | BigInt(parseInt(group, 16)), 0n);
+  return { version, value };
+};
+
+/**
+ * Parse a network as returned by FastLut.iterLut(): an inetnum (`1.2.3.0 - 1.2.3.255`),
+ * a CIDR or a single IP address.
+ *
+ * @param {string} network
+ * @returns {object|null} - `{ version, start, end }`, start and end are BigInts
+ */
+const parseNetwork = (network) => {
+  network = String(network).trim();
+  if (network.includes(' - ') || /^[\d.]+\s*-\s*[\d.]+$/.test(network)) {
+    const [first, last] = network.split(/\s*-\s*/);
+    const start = parseIp(first);
+    const end = parseIp(last);
+    if (!start || !end || start.version !== end.version || start.value > end.value) {
+      return null;
+    }
+    return { version: start.version, start: start.value, end: end.value };
+  }
+  if (network.includes('/')) {
+    const [address, length] = network.split('/');
+    const ip = parseIp(address);
+    const prefixLength = parseInt(length, 10);
+    const bits = ip && ip.version === 4 ? 32 : 128;
+    if (!ip || !(prefixLength >= 0 && prefixLength <= bits)) {
+      return null;
+    }
+    const hostMask = (1n << BigInt(bits - prefixLength)) - 1n;
+    return { version: ip.version, start: ip.value & ~hostMask, end: (ip.value & ~hostMask) | hostMask };
+  }
+  const ip = parseIp(network);
+  return ip ? { version: ip.version, start: ip.value, end: ip.value } : null;
+};
+
+/**
+ * Split a range of addresses into the smallest list of CIDR prefixes that covers it.
+ *
+ * @param {BigInt} start
+ * @param {BigInt} end
+ * @param {number} bits - 32 or 128
+ * @returns {Array<Array>} - `[[start, prefixLength], ...]`
+ */
+const rangeToPrefixes = (start, end, bits) => {
+  const prefixes = [];
+  while (start <= end) {
+    let hostBits = 0;
+    while (hostBits < bits && ((start >> BigInt(hostBits)) & 1n) === 0n) {
+      hostBits++;
+    }
+    while (hostBits > 0 && start + (1n << BigInt(hostBits)) - 1n > end) {
+      hostBits--;
+    }
+    prefixes.push([start, bits - hostBits]);
+    start += 1n << BigInt(hostBits);
+  }
+  return prefixes;
+};
+
+/**
+ * Encodes values into the MaxMind DB data format.
+ * Used for the data section, where repeated strings and records become pointers,
+ * and for the metadata, which may not contain pointers.
+ */
+class DataEncoder {
+  constructor(usePointers = true) {
+    this.usePointers = usePointers;
+    this.chunks = [];
+    this.size = 0;
+    this.strings = new Map();
+    this.records = new Map();
+  }
+
+  push(bytes) {
+    const buf = Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes);
+    this.chunks.push(buf);
+    this.size += buf.length;
+  }
+
+  control(type, size) {
+    let first = type <= 7 ? type << 5 : 0;
+    const sizeBytes = [];
+    if (size < 29) {
+      first |= size;
+    } else if (size < 285) {
+      first |= 29;
+      sizeBytes.push(size - 29);
+    } else if (size < 65821) {
+      first |= 30;
+      const rest = size - 285;
+      sizeBytes.push((rest >> 8) & 0xff, rest & 0xff);
+    } else {
+      first |= 31;
+      const rest = size - 65821;
+      sizeBytes.push((rest >> 16) & 0xff, (rest >> 8) & 0xff, rest & 0xff);
+    }
+    this.push(type <= 7 ? [first, ...sizeBytes] : [first, type - 7, ...sizeBytes]);
+  }
+
+  pointer(offset) {
+    if (offset < 2048) {
+      this.push([0x20 | ((offset >> 8) & 0x7), offset & 0xff]);
+    } else if (offset < 526336) {
+      const value = offset - 2048;
+      this.push([0x28 | ((value >> 16) & 0x7), (value >> 8) & 0xff, value & 0xff]);
+    } else if (offset < 134744064) {
+      const value = offset - 526336;
+      this.push([0x30 | ((value >> 24) & 0x7), (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff]);
+    } else {
+      const buf = Buffer.alloc(5);
+      buf[0] = 0x38;
+      buf.writeUInt32BE(offset, 1);
+      this.push(buf);
+    }
+  }
+
+  string(value) {
+    if (this.usePointers && value.length >= MIN_POINTER_STRING_LENGTH) {
+      if (this.strings.has(value)) {
+        return this.pointer(this.strings.get(value));
+      }
+      this.strings.set(value, this.size);
+    }
+    const bytes = Buffer.from(value, 'utf-8');
+    this.control(TYPE.STRING, bytes.length);
+    this.push(bytes);
+  }
+
+  unsigned(type, value) {
+    const bytes = [];
+    let rest = BigInt(value);
+    while (rest > 0n) {
+      bytes.unshift(Number(rest & 0xffn));
+      rest >>= 8n;
+    }
+    this.control(type, bytes.length);
+    this.push(bytes);
+  }
+
+  double(value) {
+    const buf = Buffer.alloc(8);
+    buf.writeDoubleBE(value);
+    this.control(TYPE.DOUBLE, 8);
+    this.push(buf);
+  }
+
+  number(value) {
+    if (Number.isInteger(value) && value >= 0 && value <= 0xffffffff) {
+      return this.unsigned(TYPE.UINT32, value);
+    }
+    if (Number.isInteger(value) && value >= -0x80000000 && value < 0) {
+      const buf = Buffer.alloc(4);
+      buf.writeInt32BE(value);
+      this.control(TYPE.INT32, 4);
+      return this.push(buf);
+    }
+    this.double(value);
+  }
+
+  map(object) {
+    const entries = Object.entries(object).filter(([, value]) => value !== null && value !== undefined);
+    this.control(TYPE.MAP, entries.length);
+    for (const [key, value] of entries) {
+      this.string(key);
+      this.value(value);
+    }
+  }
+
+  array(values) {
+    const items = values.filter((value) => value !== null && value !== undefined);
+    this.control(TYPE.ARRAY, items.length);
+    for (const item of items) {
+      this.value(item);
+    }
+  }
+
+  value(value) {
+    if (typeof value === 'string') {
+      this.string(value);
+    } else if (typeof value === 'number') {
+      this.number(value);
+    } else if (typeof value === 'boolean') {
+      this.control(TYPE.BOOLEAN, value ? 1 : 0);
+    } else if (typeof value === 'bigint') {
+      this.unsigned(value > 0xffffffffffffffffn ? TYPE.UINT128 : TYPE.UINT64, value);
+    } else if (Buffer.isBuffer(value)) {
+      this.control(TYPE.BYTES, value.length);
+      this.push(value);
+    } else if (Array.isArray(value)) {
+      this.array(value);
+    } else if (value && typeof value === 'object') {
+      this.map(value);
+    } else {
+      throw new Error(`Can not encode ${typeof value} in a MaxMind DB`);
+    }
+  }
+
+  /**
+   * Write a record of the data section once, equal records share the offset.
+   *
+   * @param {object} record
+   * @returns {number} - The offset of the record in the data section
+   */
+  record(record) {
+    const key = JSON.stringify(record);
+    if (this.records.has(key)) {
+      return this.records.get(key);
+    }
+    const offset = this.size;
+    this.value(record);
+    this.records.set(key, offset);
+    return offset;
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks, this.size);
+  }
+}
+
+/**
+ * Builds a MaxMind DB from networks and their records.
+ *
+ * Records of overlapping networks are merged, the keys of the more specific network win.
+ * That way a combined database gets e.g. `asn` and `location` from different
+ * datasets, while a smaller network of the same dataset overrides a larger one.
+ */
+class MmdbWriter {
+  /**
+   * @param {object} options - `{ databaseType, description, languages }`
+   */
+  constructor(options = {}) {
+    this.databaseType = options.databaseType || 'ipapi.is';
+    this.description = options.description || {};
+    this.languages = options.languages || [];
+    this.values = [];
+    this.valueIds = new Map();
+    this.mergedIds = new Map();
+    // prefixes are inserted by length, shortest first: four 32 bit words of the address and the value id
+    this.buckets = [];
+    this.hasIPv6 = false;
+    this.hasIPv4 = false;
+    this.numNetworks = 0;
+  }
+
+  getValueId(record) {
+    if (!this.valueIds.has(record)) {
+      this.valueIds.set(record, this.values.length);
+      this.values.push(record);
+    }
+    return this.valueIds.get(record);
+  }
+
+  /**
+   * Add a network. Pass the same record object for networks with the same data, it is stored once.
+   *
+   * @param {string} network - Inetnum, CIDR or IP address
+   * @param {object} record
+   * @returns {boolean} - false if the network is invalid
+   */
+  insert(network, record) {
+    const range = parseNetwork(network);
+    if (!range || !record || typeof record !== 'object') {
+      return false;
+    }
+    const valueId = this.getValueId(record);
+    const bits = range.version === 4 ? 32 : 128;
+    const offset = range.version === 4 ? 96 : 0;
+    if (range.version === 4) {
+      this.hasIPv4 = true;
+    } else {
+      this.hasIPv6 = true;
+    }
+
+    for (const [start, prefixLength] of rangeToPrefixes(range.start, range.end, bits)) {
+      const length = prefixLength + offset;
+      if (!this.buckets[length]) {
+        this.buckets[length] = [];
+      }
+      this.buckets[length].push(
+        Number((start >> 96n) & 0xffffffffn),
+        Number((start >> 64n) & 0xffffffffn),
+        Number((start >> 32n) & 0xffffffffn),
+        Number(start & 0xffffffffn),
+        valueId,
+      );
+    }
+    this.numNetworks++;
+    return true;
+  }
+
+  merge(existingId, valueId) {
+    if (existingId === valueId) {
+      return valueId;
+    }
+    const key = `${existingId}:${valueId}`;
+    if (!this.mergedIds.has(key)) {
+      this.mergedIds.set(key, this.values.length);
+      this.values.push(Object.assign({}, this.values[existingId], this.values[valueId]));
+    }
+    return this.mergedIds.get(key);
+  }
+
+  /**
+   * The search tree. A record is 0 if empty, the index of a node if positive,
+   * or `-(valueId + 1)` if it holds data.
+   */
+  buildTree() {
+    const ipVersion = this.hasIPv6 ? 6 : 4;
+    // in an IPv4 database the addresses are the last word and prefix lengths start at 96
+    const skipBits = ipVersion === 6 ? 0 : 96;
+    let capacity = 1024;
+    let records = new Int32Array(capacity * 2);
+    let numNodes = 1;
+
+    const newNode = (inherit) => {
+      if (numNodes === capacity) {
+        capacity *= 2;
+        const grown = new Int32Array(capacity * 2);
+        grown.set(records);
+        records = grown;
+      }
+      records[numNodes * 2] = inherit;
+      records[numNodes * 2 + 1] = inherit;
+      return numNodes++;
+    };
+
+    // a network that contains already inserted, more specific networks: their keys win
+    const fill = (node, valueId) => {
+      for (let side = 0; side < 2; side++) {
+        const record = records[node * 2 + side];
+        if (record > 0) {
+          fill(record, valueId);
+        } else {
+          records[node * 2 + side] = -(record === 0 ? valueId : this.merge(valueId, -record - 1)) - 1;
+        }
+      }
+    };
+
+    for (let length = skipBits; length < this.buckets.length; length++) {
+      const bucket = this.buckets[length];
+      if (!bucket) {
+        continue;
+      }
+      for (let i = 0; i < bucket.length; i += 5) {
+        const valueId = bucket[i + 4];
+        if (length === skipBits) {
+          // a prefix of length 0 covers everything
+          fill(0, valueId);
+          continue;
+        }
+        let node = 0;
+        for (let depth = skipBits; depth < length; depth++) {
+          const bit = (bucket[i + (depth >> 5)] >>> (31 - (depth & 31))) & 1;
+          const index = node * 2 + bit;
+          const record = records[index];
+          if (depth === length - 1) {
+            if (record > 0) {
+              fill(record, valueId);
+            } else {
+              records[index] = -(record === 0 ? valueId : this.merge(-record - 1, valueId)) - 1;
+            }
+          } else if (record > 0) {
+            node = record;
+          } else {
+            // split an empty or data record, the new node inherits its data
+            const child = newNode(record);
+            records[index] = child;
+            node = child;
+          }
+        }
+      }
+      this.buckets[length] = null;
+    }
+
+    if (ipVersion === 6 && this.hasIPv4) {
+      // ::ffff:0:0/96 (IPv4-mapped) points to the IPv4 subtree at ::/96
+      let node = 0;
+      for (let depth = 0; depth < 96 && node !== null; depth++) {
+        const record = records[node * 2];
+        node = record > 0 ? record : null;
+      }
+      const ipv4Node = node;
+      node = 0;
+      for (let depth = 0; depth < 95 && ipv4Node !== null && node !== null; depth++) {
+        const bit = depth >= 80 ? 1 : 0;
+        const record = records[node * 2 + bit];
+        if (record > 0) {
+          node = record;
+        } else if (record === 0) {
+          const child = newNode(0);
+          records[node * 2 + bit] = child;
+          node = child;
+        } else {
+          node = null;
+        }
+      }
+      if (ipv4Node !== null && node !== null && records[node * 2 + 1] === 0) {
+        records[node * 2 + 1] = ipv4Node;
+      }
+    }
+
+    return { ipVersion, records, numNodes };
+  }
+
+  /**
+   * @returns {Buffer} - The complete database
+   */
+  toBuffer() {
+    const { ipVersion, records, numNodes } = this.buildTree();
+    this.buckets = [];
+
+    const data = new DataEncoder(true);
+    const offsets = new Map();
+    for (let i = 0; i < numNodes * 2; i++) {
+      const record = records[i];
+      if (record < 0 && !offsets.has(record)) {
+        offsets.set(record, data.record(this.values[-record - 1]));
+      }
+    }
+
+    const maxValue = numNodes + DATA_SECTION_SEPARATOR + data.size;
+    const recordSize = maxValue < 2 ** 24 ? 24 : (maxValue < 2 ** 28 ? 28 : 32);
+    const nodeBytes = recordSize / 4;
+    const tree = Buffer.alloc(numNodes * nodeBytes);
+    const resolve = (record) => {
+      if (record === 0) {
+        return numNodes;
+      }
+      return record > 0 ? record : numNodes + DATA_SECTION_SEPARATOR + offsets.get(record);
+    };
+
+    for (let node = 0; node < numNodes; node++) {
+      const left = resolve(records[node * 2]);
+      const right = resolve(records[node * 2 + 1]);
+      const offset = node * nodeBytes;
+      if (recordSize === 24) {
+        tree.writeUIntBE(left, offset, 3);
+        tree.writeUIntBE(right, offset + 3, 3);
+      } else if (recordSize === 28) {
+        tree.writeUIntBE(left & 0xffffff, offset, 3);
+        tree[offset + 3] = (((left >>> 24) & 0x0f) << 4) | ((right >>> 24) & 0x0f);
+        tree.writeUIntBE(right & 0xffffff, offset + 4, 3);
+      } else {
+        tree.writeUInt32BE(left, offset);
+        tree.writeUInt32BE(right, offset + 4);
+      }
+    }
+
+    const metadata = new DataEncoder(false);
+    metadata.control(TYPE.MAP, 9);
+    metadata.string('node_count');
+    metadata.unsigned(TYPE.UINT32, numNodes);
+    metadata.string('record_size');
+    metadata.unsigned(TYPE.UINT16, recordSize);
+    metadata.string('ip_version');
+    metadata.unsigned(TYPE.UINT16, ipVersion);
+    metadata.string('database_type');
+    metadata.string(this.databaseType);
+    metadata.string('languages');
+    metadata.array(this.languages);
+    metadata.string('binary_format_major_version');
+    metadata.unsigned(TYPE.UINT16, 2);
+    metadata.string('binary_format_minor_version');
+    metadata.unsigned(TYPE.UINT16, 0);
+    metadata.string('build_epoch');
+    metadata.unsigned(TYPE.UINT64, Math.floor(Date.now() / 1000));
+    metadata.string('description');
+    metadata.map(this.description);
+
+    return Buffer.concat([tree, Buffer.alloc(DATA_SECTION_SEPARATOR), data.toBuffer(), METADATA_MARKER, metadata.toBuffer()]);
+  }
+
+  /**
+   * Write the database atomically.
+   *
+   * @param {string} file
+   * @returns {object} - `{ file, networks, bytes }`
+   */
+  write(file) {
+    const buf = this.toBuffer();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, buf);
+    fs.renameSync(tmpFile, file);
+    return { file, networks: this.numNetworks, bytes: buf.length };
+  }
+}
+
+/**
+ * Minimal reader, used to verify exported databases.
+ */
+class MmdbReader {
+  constructor(buf) {
+    this.buf = buf;
+    const markerOffset = buf.lastIndexOf(METADATA_MARKER);
+    if (markerOffset === -1) {
+      throw new Error('Not a MaxMind DB: metadata marker not found');
+    }
+    this.metadataStart = markerOffset + METADATA_MARKER.length;
+    this.metadata = this.decode(this.metadataStart, this.metadataStart)[0];
+    this.nodeCount = this.metadata.node_count;
+    this.recordSize = this.metadata.record_size;
+    this.nodeBytes = this.recordSize / 4;
+    this.dataStart = this.nodeCount * this.nodeBytes + DATA_SECTION_SEPARATOR;
+  }
+
+  static open(file) {
+    return new MmdbReader(fs.readFileSync(file));
+  }
+
+  /**
+   * @param {number} offset - Where the value starts
+   * @param {number} base - Start of the section pointers are relative to
+   * @returns {Array} - `[value, offset after the value]`
+   */
+  decode(offset, base = this.dataStart) {
+    const buf = this.buf;
+    const control = buf[offset++];
+    let type = control >> 5;
+    if (type === TYPE.POINTER) {
+      const sizeBits = (control >> 3) & 0x3;
+      const valueBits = control & 0x7;
+      let pointer;
+      if (sizeBits === 0) {
+        pointer = (valueBits << 8) | buf[offset];
+      } else if (sizeBits === 1) {
+        pointer = ((valueBits << 16) | buf.readUInt16BE(offset)) + 2048;
+      } else if (sizeBits === 2) {
+        pointer = ((valueBits << 24) + buf.readUIntBE(offset, 3)) + 526336;
+      } else {
+        pointer = buf.readUInt32BE(offset);
+      }
+      return [this.decode(base + pointer, base)[0], offset + sizeBits + 1];
+    }
+    if (type === 0) {
+      type = 7 + buf[offset++];
+    }
+    let size = control & 0x1f;
+    if (size === 29) {
+      size = 29 + buf[offset++];
+    } else if (size === 30) {
+      size = 285 + buf.readUInt16BE(offset);
+      offset += 2;
+    } else if (size === 31) {
+      size = 65821 + buf.readUIntBE(offset, 3);
+      offset += 3;
+    }
+
+    switch (type) {
+      case TYPE.STRING:
+        return [buf.toString('utf-8', offset, offset + size), offset + size];
+      case TYPE.DOUBLE:
+        return [buf.readDoubleBE(offset), offset + 8];
+      case TYPE.BYTES:
+        return [buf.subarray(offset, offset + size), offset + size];
+      case TYPE.UINT16:
+      case TYPE.UINT32:
+        return [size === 0 ? 0 : buf.readUIntBE(offset, size), offset + size];
+      case TYPE.INT32:
+        return [size === 0 ? 0 : buf.readIntBE(offset, size), offset + size];
+      case TYPE.UINT64:
+      case TYPE.UINT128: {
+        let value = 0n;
+        for (let i = 0; i < size; i++) {
+          value = (value << 8n) | BigInt(buf[offset + i]);
+        }
+        return [value, offset + size];
+      }
+      case TYPE.MAP: {
+        const object = {};
+        for (let i = 0; i < size; i++) {
+          const [key, afterKey] = this.decode(offset, base);
+          const [value, afterValue] = this.decode(afterKey, base);
+          object[key] = value;
+          offset = afterValue;
+        }
+        return [object, offset];
+      }
+      case TYPE.ARRAY: {
+        const array = [];
+        for (let i = 0; i < size; i++) {
+          const [value, after] = this.decode(offset, base);
+          array.push(value);
+          offset = after;
+        }
+        return [array, offset];
+      }
+      case TYPE.BOOLEAN:
+        return [size === 1, offset];
+      default:
+        throw new Error(`Unsupported MaxMind DB type ${type} at offset ${offset}`);
+    }
+  }
+
+  readRecord(node, bit) {
+    const offset = node * this.nodeBytes;
+    if (this.recordSize === 24) {
+      return this.buf.readUIntBE(offset + bit * 3, 3);
+    }
+    if (this.recordSize === 28) {
+      const middle = this.buf[offset + 3];
+      return bit === 0
+        ? (((middle & 0xf0) << 20) | this.buf.readUIntBE(offset, 3)) >>> 0
+        : (((middle & 0x0f) << 24) | this.buf.readUIntBE(offset + 4, 3)) >>> 0;
+    }
+    return this.buf.readUInt32BE(offset + bit * 4);
+  }
+
+  /**
+   * @param {string} ip
+   * @returns {object|null} - The record of the IP
+   */
+  get(ip) {
+    const parsed = parseIp(ip);
+    if (!parsed || (parsed.version === 6 && this.metadata.ip_version === 4)) {
+      return null;
+    }
+    const bits = parsed.version === 4 ? 32 : 128;
+    let node = 0;
+    // IPv4 addresses in an IPv6 database start after 96 zero bits
+    for (let i = 0; i < (parsed.version === 4 && this.metadata.ip_version === 6 ? 96 : 0) && node < this.nodeCount; i++) {
+      node = this.readRecord(node, 0);
+    }
+    for (let i = bits - 1; i >= 0 && node < this.nodeCount; i--) {
+      node = this.readRecord(node, Number((parsed.value >> BigInt(i)) & 1n));
+    }
+    if (node <= this.nodeCount) {
+      return null;
+    }
+    return this.decode(this.dataStart + (node - this.nodeCount - DATA_SECTION_SEPARATOR))[0];
+  }
+}
+
+module.exports = {
+  MmdbWriter,
+  MmdbReader,
+  parseNetwork,
+  rangeToPrefixes,
+};
@@ -0,0 +1,233 @@
+const { getFirstAndLastIpOfNetwork, isIP, IPv4ToInt, networkToStr,
+  isIPv4Cidr, isIPv4Inetnum, isIPv6Cidr, isIPv6Inetnum } = require('ip_address_tools');
+const { IPv6 } = require('ip-num');
+const { round } = require('./utils');
+const { API_ERROR_CODE } = require('./ipapi_is_worker_utils');
+
+// Largest prefixes that can be queried, the range is walked on the request path in every LUT
+const MAX_NETWORK_PREFIX = {
+  4: 16,
+  6: 48,
+};
+const MAX_NETWORK_SIZE = {
+  4: 2n ** BigInt(32 - MAX_NETWORK_PREFIX[4]),
+  6: 2n ** BigInt(128 - MAX_NETWORK_PREFIX[6]),
+};
+// Entries collected per LUT, the report is marked as truncated beyond that
+const MAX_RANGE_ENTRIES = 10000;
+
+/**
+ * Whether the query is a CIDR (1.2.3.0/24) or inetnum (1.2.3.0 - 1.2.3.255).
+ *
+ * @param {string} query
+ * @returns {boolean}
+ */
+const isNetworkQuery = (query) => {
+  if (typeof query !== 'string') {
+    return false;
+  }
+  return !!(isIPv4Cidr(query) || isIPv4Inetnum(query) || isIPv6Cidr(query) || isIPv6Inetnum(query));
+};
+
+const ipToBigInt = (ip, ipVersion) => {
+  return ipVersion === 4 ? BigInt(IPv4ToInt(ip)) : IPv6.fromString(ip).value;
+};
+
+/**
+ * Convert a network (CIDR, inetnum or single IP) into an integer range.
+ *
+ * @param {string} network
+ * @returns {object|null} - `{ start, end, ipVersion, firstIp, lastIp }` with BigInt bounds
+ */
+const parseRange = (network) => {
+  let firstIp = null;
+  let lastIp = null;
+
+  if (isIP(network)) {
+    firstIp = lastIp = network;
+  } else {
+    [firstIp, lastIp] = getFirstAndLastIpOfNetwork(network) || [];
+  }
+
+  const ipVersion = isIP(firstIp);
+  if (!ipVersion || isIP(lastIp) !== ipVersion) {
+    return null;
+  }
+
+  return {
+    start: ipToBigInt(firstIp, ipVersion),
+    end: ipToBigInt(lastIp, ipVersion),
+    ipVersion,
+    firstIp,
+    lastIp,
+  };
+};
+
+/**
+ * Parse and validate a network query.
+ *
+ * @param {string} network - CIDR or inetnum
+ * @returns {object} - The parsed range or an error object
+ */
+const parseNetworkQuery = (network) => {
+  const range = parseRange(network.trim());
+  if (!range || range.end < range.start) {
+    return {
+      error: 'Invalid network: expected CIDR (e.g. 1.2.3.0/24) or inetnum (e.g. 1.2.3.0 - 1.2.3.255)',
+      error_code: API_ERROR_CODE.INVALID_IP_OR_ASN,
+    };
+  }
+
+  range.network = network.trim();
+  range.size = range.end - range.start + 1n;
+  if (range.size > MAX_NETWORK_SIZE[range.ipVersion]) {
+    return {
+      error: `Network too large: at most /${MAX_NETWORK_PREFIX[range.ipVersion]} networks can be queried`,
+      error_code: API_ERROR_CODE.NETWORK_TOO_LARGE,
+    };
+  }
+
+  return range;
+};
+
+/**
+ * All entries of a FastLut that overlap with the queried range, clipped to it.
+ * Combines lookupRange() with the networks enclosing the first address (which
+ * are not always within the walked line) and the single IPs of the directLut.
+ *
+ * @param {FastLut} lut
+ * @param {object} range - Parsed network query
+ * @param {number} maxEntries - Stop after this many entries
+ * @returns {object} - `{ entries, truncated }`, entries are `{ start, end, network, object }`
+ */
+const collectRangeEntries = (lut, range, maxEntries = MAX_RANGE_ENTRIES) => {
+  if (!lut) {
+    return { entries: [], truncated: false };
+  }
+
+  // one more than needed, so a cut off walk is noticed
+  const candidates = lut.getEntriesForNetworkRange(range.network, true, maxEntries + 1);
+  const lineTruncated = candidates.length > maxEntries;
+
+  let enclosing = lut.fastLookup(range.firstIp, true);
+  if (enclosing && !Array.isArray(enclosing)) {
+    enclosing = [enclosing];
+  }
+  for (const hit of enclosing || []) {
+    if (hit && hit.network) {
+      candidates.push({ object: hit.obj, network: networkToStr(hit.network, range.ipVersion) });
+    }
+  }
+
+  candidates.push(...lut.getDirectEntriesInRange(range.start, range.end, range.ipVersion, maxEntries + 1));
+
+  const seen = new Set();
+  const entries = [];
+  for (const candidate of candidates) {
+    const entryRange = parseRange(candidate.network);
+    if (!entryRange || entryRange.end < range.start || entryRange.start > range.end) {
+      continue;
+    }
+    const key = `${entryRange.start}-${entryRange.end}-${JSON.stringify(candidate.object)}`;
+    if (seen.has(key)) {
+      continue;
+    }
+    if (entries.length >= maxEntries) {
+      return { entries, truncated: true };
+    }
+    seen.add(key);
+    entries.push({
+      start: entryRange.start > range.start ? entryRange.start : range.start,
+      end: entryRange.end < range.end ? entryRange.end : range.end,
+      network: candidate.network,
+      object: candidate.object,
+    });
+  }
+
+  return { entries, truncated: lineTruncated };
+};
+
+/**
+ * Number of addresses covered by the union of the entries.
+ *
+ * @param {Array<object>} entries - Entries with BigInt `start` and `end`
+ * @returns {bigint}
+ */
+const coveredAddresses = (entries) => {
+  const sorted = [...entries].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+  let covered = 0n;
+  let curStart = null;
+  let curEnd = null;
+
+  for (const { start, end } of sorted) {
+    if (curEnd === null || start > curEnd + 1n) {
+      if (curEnd !== null) {
+        covered += curEnd - curStart + 1n;
+      }
+      curStart = start;
+      curEnd = end;
+    } else if (end > curEnd) {
+      curEnd = end;
+    }
+  }
+  if (curEnd !== null) {
+    covered += curEnd - curStart + 1n;
+  }
+
+  return covered;
+};
+
+const coverage = (entries, range) => {
+  const covered = coveredAddresses(entries);
+  return {
+    num_addresses: Number(covered),
+    fraction: round(Number(covered) / Number(range.size), 4),
+  };
+};
+
+/**
+ * Group the entries by `keyFn` and report which networks and what fraction of the range each group covers.
+ *
+ * @param {Array<object>} entries - Clipped entries of collectRangeEntries()
+ * @param {object} range - Parsed network query
+ * @param {function} describe - Maps a LUT object to the reported attributes, null to skip it
+ * @param {string} keyName - The attribute the entries are grouped by
+ * @returns {Array<object>} - Groups sorted by covered addresses, largest first
+ */
+const summarizeEntries = (entries, range, describe, keyName) => {
+  const groups = {};
+
+  for (const entry of entries) {
+    const attrs = describe(entry.object);
+    if (!attrs || !attrs[keyName]) {
+      continue;
+    }
+    const key = attrs[keyName];
+    if (!groups[key]) {
+      groups[key] = { attrs, networks: [], entries: [] };
+    }
+    if (!groups[key].networks.includes(entry.network)) {
+      groups[key].networks.push(entry.network);
+    }
+    groups[key].entries.push(entry);
+  }
+
+  return Object.values(groups)
+    .map((group) => ({
+      ...group.attrs,
+      networks: group.networks,
+      ...coverage(group.entries, range),
+    }))
+    .sort((a, b) => b.num_addresses - a.num_addresses);
+};
+
+module.exports = {
+  MAX_NETWORK_PREFIX,
+  MAX_RANGE_ENTRIES,
+  isNetworkQuery,
+  parseNetworkQuery,
+  collectRangeEntries,
+  coveredAddresses,
+  coverage,
+  summarizeEntries,
+};
@@ -0,0 +1,296 @@
+const { log } = require('./utils');
+const { sendToMaster, onMasterMessage } = require('./ipapi_is_worker_utils');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Limiter state of clients that were idle for this long is dropped
+const IDLE_STATE_MS = 2 * HOUR_MS;
+const PURGE_INTERVAL_MS = 60 * 1000;
+// If the master does not answer in time the worker limits the request itself, see RateLimiterClient
+const CONSUME_TIMEOUT_MS = 250;
+
+// The `rateLimits` config keys of each kind of request
+const RATE_LIMIT_CONFIG_KEYS = Object.freeze({
+  normal: { perSecond: 'normalLookupsPerSecond', perHour: 'normalLookupsPerHour' },
+  bulk: { perSecond: 'bulkLookupsPerSecond', perHour: 'bulkLookupsPerHour' },
+  whois: { perSecond: 'whoisLookupsPerSecond', perHour: 'whoisLookupsPerHour' },
+});
+
+// Which limits apply to the routes of API_KEY_ROUTES
+const ROUTE_KINDS = Object.freeze({
+  lookup: 'normal',
+  distance: 'normal',
+  bulk: 'bulk',
+  bulk_stream: 'bulk',
+  whois: 'whois',
+  search: 'bulk',
+  export: 'bulk',
+});
+
+/**
+ * The limits that apply to a route, from the `rateLimits` config.
+ *
+ * @param {object} apiConfig
+ * @param {string} route - One of API_KEY_ROUTES
+ * @returns {object|null} - `{ kind, perSecond, perHour }` or null if the route is not limited
+ */
+const getRateLimits = (apiConfig, route) => {
+  const rateLimits = apiConfig.rateLimits || {};
+  const kind = ROUTE_KINDS[route] || 'normal';
+  const keys = RATE_LIMIT_CONFIG_KEYS[kind];
+  const limits = {
+    kind: kind,
+    perSecond: rateLimits[keys.perSecond] || null,
+    perHour: rateLimits[keys.perHour] || null,
+  };
+  return (limits.perSecond || limits.perHour) ? limits : null;
+};
+
+/**
+ * The options of the rate limiter client from the `rateLimits` config.
+ *
+ * @param {object} apiConfig
+ * @returns {object} - `{ failOpen }`
+ */
+const getRateLimiterOptions = (apiConfig) => {
+  const rateLimits = apiConfig.rateLimits || {};
+  return {
+    failOpen: !!rateLimits.failOpen,
+  };
+};
+
+/**
+ * Per client limits: a token bucket that allows bursts of `perSecond` requests
+ * and refills at `perSecond` tokens per second, and a sliding window of one hour.
+ *
+ * The sliding window is approximated from the counts of the current and the previous
+ * fixed window, which needs constant memory per client and has no reset at the top of the hour.
+ */
+class RateLimiter {
+  constructor() {
+    this.buckets = new Map();
+    this.windows = new Map();
+  }
+
+  /**
+   * @param {string} key - Identifies the client and kind of request
+   * @param {object} limits - `{ perSecond, perHour }`
+   * @param {number} cost
+   * @param {number} now
+   * @returns {object} - `{ allowed, limit, remaining, reset, retryAfter, policy }`, times in seconds
+   */
+  consume(key, limits, cost = 1, now = Date.now()) {
+    const checks = [];
+    const commits = [];
+
+    if (limits.perSecond) {
+      const rate = limits.perSecond;
+      const bucket = this.buckets.get(key) || { tokens: rate, ts: now };
+      const tokens = Math.min(rate, bucket.tokens + ((now - bucket.ts) / 1000) * rate);
+      const allowed = tokens >= cost;
+      checks.push({
+        allowed: allowed,
+        limit: rate,
+        remaining: Math.floor(allowed ? tokens - cost : tokens),
+        reset: Math.ceil((rate - (allowed ? tokens - cost : tokens)) / rate),
+        retryAfter: allowed ? 0 : Math.ceil((cost - tokens) / rate),
+        policy: `${rate};w=1`,
+      });
+      commits.push(() => this.buckets.set(key, { tokens: tokens - cost, ts: now }));
+    }
+
+    if (limits.perHour) {
+      const limit = limits.perHour;
+      const windowStart = now - (now % HOUR_MS);
+      let window = this.windows.get(key) || { start: windowStart, current: 0, previous: 0 };
+      if (window.start !== windowStart) {
+        const previous = window.start === windowStart - HOUR_MS ? window.current : 0;
+        window = { start: windowStart, current: 0, previous: previous };
+      }
+      const elapsed = now - windowStart;
+      const weight = 1 - elapsed / HOUR_MS;
+      const used = window.previous * weight + window.current;
+      const allowed = used + cost <= limit;
+
+      let retryAfter = 0;
+      if (!allowed) {
+        // when the previous window has decayed enough, or else within the next window
+        const needed = used + cost - limit;
+        const decayMs = window.previous > 0 ? (needed / window.previous) * HOUR_MS : Infinity;
+        if (elapsed + decayMs < HOUR_MS) {
+          retryAfter = Math.ceil(decayMs / 1000);
+        } else {
+          const fraction = window.current > 0 ? Math.max(0, 1 - (limit - cost) / window.current) : 0;
+          retryAfter = Math.ceil((HOUR_MS - elapsed + fraction * HOUR_MS) / 1000);
+        }
+      }
+
+      checks.push({
+        allowed: allowed,
+        limit: limit,
+        remaining: Math.max(0, Math.floor(limit - used - (allowed ? cost : 0))),
+        reset: allowed ? Math.ceil((HOUR_MS - elapsed) / 1000) : retryAfter,
+        retryAfter: retryAfter,
+        policy: `${limit};w=3600`,
+      });
+      commits.push(() => {
+        window.current += cost;
+        this.windows.set(key, window);
+      });
+    }
+
+    const allowed = checks.every((check) => check.allowed);
+    // nothing is consumed by a denied request
+    if (allowed) {
+      commits.forEach((commit) => commit());
+    }
+
+    // report the most restrictive limit in the headers
+    const denied = checks.filter((check) => !check.allowed);
+    const reported = denied.length > 0
+      ? denied.reduce((a, b) => (b.retryAfter > a.retryAfter ? b : a))
+      : checks.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+    return {
+      allowed: allowed,
+      limit: reported.limit,
+      remaining: reported.remaining,
+      reset: reported.reset,
+      retryAfter: allowed ? 0 : Math.max(1, reported.retryAfter),
+      policy: checks.map((check) => check.policy).join(', '),
+    };
+  }
+
+  /**
+   * Drop the state of clients that have been idle for a while.
+   *
+   * @param {number} now
+   */
+  purge(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.ts > IDLE_STATE_MS) {
+        this.buckets.delete(key);
+      }
+    }
+    for (const [key, window] of this.windows) {
+      if (now - window.start > IDLE_STATE_MS) {
+        this.windows.delete(key);
+      }
+    }
+  }
+
+  startPurging() {
+    setInterval(() => this.purge(), PURGE_INTERVAL_MS).unref();
+  }
+}
+
+/**
+ * The rate limiter of a worker. Under the cluster master every request is
+ * counted by the master, so the limits hold for all workers together.
+ * A standalone worker counts itself.
+ *
+ * If the master does not answer in time the worker falls back to its own limiter, the limits
+ * then hold per worker. With `failOpen` the request is let through instead.
+ */
+class RateLimiterClient {
+  /**
+   * @param {boolean} useMaster
+   * @param {object} options - Result of getRateLimiterOptions()
+   * @param {function} onMasterTimeout - Called when the master did not answer in time
+   */
+  constructor(useMaster, options = {}, onMasterTimeout = () => {}) {
+    this.useMaster = useMaster;
+    this.failOpen = !!options.failOpen;
+    this.onMasterTimeout = onMasterTimeout;
+    this.pending = new Map();
+    this.nextRequestId = 0;
+    this.limiter = new RateLimiter();
+    this.limiter.startPurging();
+
+    if (useMaster) {
+      onMasterMessage((msg) => {
+        if (msg && msg.type === 'rateLimitResult' && this.pending.has(msg.requestId)) {
+          const { resolve, timer } = this.pending.get(msg.requestId);
+          clearTimeout(timer);
+          this.pending.delete(msg.requestId);
+          resolve(msg.result);
+        }
+      });
+    }
+  }
+
+  /**
+   * @param {string} clientIP
+   * @param {object} limits - Result of getRateLimits()
+   * @param {number} cost
+   * @returns {Promise<object>} - The result of RateLimiter.consume(), `skipped` if the master did not answer and `failOpen` is set
+   */
+  consume(clientIP, limits, cost = 1) {
+    const key = `${limits.kind}|${clientIP}`;
+    if (!this.useMaster) {
+      return Promise.resolve(this.limiter.consume(key, limits, cost));
+    }
+    return new Promise((resolve) => {
+      const requestId = `${process.pid}-${this.nextRequestId++}`;
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId);
+        this.onMasterTimeout();
+        if (this.failOpen) {
+          log(`Rate limiter of the cluster master did not answer, letting the request through`, 'WARN');
+          resolve({ allowed: true, skipped: true });
+        } else {
+          log(`Rate limiter of the cluster master did not answer, limiting the request in this worker`, 'WARN');
+          resolve(this.limiter.consume(key, limits, cost));
+        }
+      }, CONSUME_TIMEOUT_MS);
+      this.pending.set(requestId, { resolve, timer });
+      sendToMaster({ type: 'rateLimitConsume', requestId, key, limits, cost });
+    });
+  }
+}
+
+/**
+ * Master side: one limiter for all workers.
+ *
+ * @returns {function} - Called with the sending worker and the message, returns whether the message was handled
+ */
+const createRateLimiterMaster = () => {
+  const limiter = new RateLimiter();
+  limiter.startPurging();
+
+  return (sender, msg) => {
+    if (msg.type !== 'rateLimitConsume') {
+      return false;
+    }
+    const result = limiter.consume(msg.key, msg.limits, msg.cost);
+    sender.send({ type: 'rateLimitResult', requestId: msg.requestId, result });
+    return true;
+  };
+};
+
+/**
+ * Set the RateLimit-* headers (IETF draft) and Retry-After if the request was denied.
+ *
+ * @param {object} res - The Express response object
+ * @param {object} result - Result of RateLimiterClient.consume()
+ */
+const setRateLimitHeaders = (res, result) => {
+  if (!result || result.skipped) {
+    return;
+  }
+  res.header('RateLimit-Policy', result.policy);
+  res.header('RateLimit-Limit', String(result.limit));
+  res.header('RateLimit-Remaining', String(result.remaining));
+  res.header('RateLimit-Reset', String(result.reset));
+  if (!result.allowed) {
+    res.header('Retry-After', String(result.retryAfter));
+  }
+};
+
+module.exports = {
+  RateLimiter,
+  RateLimiterClient,
+  createRateLimiterMaster,
+  getRateLimiterOptions,
+  getRateLimits,
+  setRateLimitHeaders,
+};
@@ -191,7 +191,15 @@ function renderCsv(rows, meta) {
     return '';
   }
 
-  const parser = new Parser({ fields });
+  return renderCsvRows(flattenedRows, fields);
+}
+
+/**
+ * Render already flattened rows with a fixed set of columns. Used to write
+ * large CSV outputs in chunks, only the first chunk needs the header.
+ */
+function renderCsvRows(flattenedRows, fields, includeHeader = true) {
+  const parser = new Parser({ fields, header: includeHeader });
   return parser.parse(flattenedRows);
 }
 
@@ -208,6 +216,9 @@ function getPropertyDescription(key, objectName = null) {
   // Extract first paragraph from showModal descriptions
   const descriptions = {
     'ip': 'The field contains the IP address that was queried.',
+    'ipv6_transition': 'Set if the queried IPv6 address embeds an IPv4 address (IPv4-mapped, 6to4, Teredo or NAT64). The lookup is done for the embedded IPv4 address.',
+    'mechanism': 'The IPv6 transition mechanism: ipv4-mapped, 6to4, teredo or nat64.',
+    'teredo_server': 'The IPv4 address of the Teredo server embedded in a Teredo address.',
     'rir': 'The field specifies the Regional Internet Registry (RIR) that is authoritative for the queried IP address.',
     'is_bogon': 'The field determines if the queried IP address is bogon. Bogon IP addresses are not routable and thus not a part of the public Internet.',
     'is_mobile': 'The field determines if the queried IP address belongs to a mobile Internet Service Provider such as AT&T Wireless or T-Mobile.',
@@ -218,6 +229,10 @@ function getPropertyDescription(key, objectName = null) {
     'is_proxy': 'The field determines whether the IP address is a proxy server.',
     'is_vpn': 'The field determines whether the IP address is a VPN Exit Node and has datatype boolean.',
     'is_abuser': 'The field is true, if the IP address committed abusive actions.',
+    'risk': 'A risk score from 0 to 100 that combines the security flags, the abuser scores and custom list hits.',
+    'score': 'The risk score from 0 (no risk) to 100 (highest risk).',
+    'level': 'The risk score as level: minimal, low, elevated, high or critical.',
+    'factors': 'The factors that contributed to the risk score and their points, the largest first.',
     'elapsed_ms': 'The field provides the amount of time in milliseconds (ms) the API took to process the API query.',
     'asn': 'The field is a unique identifier assigned to each autonomous system (AS) on the Internet.',
     'route': 'The IP route (prefix) in CIDR network format for the queried IP address.',
@@ -526,6 +541,9 @@ function renderHtml(rows, meta, isBulkResponse) {
     const overviewData = {
       ip: row.ip,
       rir: row.rir,
+      ipv6_transition: row.ipv6_transition
+        ? `${row.ipv6_transition.mechanism} (${row.ipv6_transition.ipv4})`
+        : undefined,
       is_bogon: row.is_bogon,
       is_mobile: row.is_mobile,
       is_satellite: row.is_satellite,
@@ -608,6 +626,20 @@ function renderHtml(rows, meta, isBulkResponse) {
     });
   }
 
+  // Risk section
+  if (row.risk) {
+    menuItems.push({ id: 'risk', label: 'Risk' });
+    sections.push({
+      id: 'risk',
+      title: 'Risk',
+      content: renderHtmlSection({
+        score: row.risk.score,
+        level: row.risk.level,
+        factors: (row.risk.factors || []).map(({ factor, points }) => `${factor} (${points})`).join(', '),
+      }, 'risk'),
+    });
+  }
+
   // Meta section
   if (meta && Object.keys(meta).length > 0) {
     menuItems.push({ id: 'meta', label: 'Meta' });
@@ -751,5 +783,7 @@ module.exports = {
   FORMAT_TYPES,
   resolveRequestedFormat,
   formatResponsePayload,
+  flattenRecord,
+  renderCsvRows,
 };
 
@@ -0,0 +1,105 @@
+/**
+ * A single risk score for an IP lookup, so clients have one number to threshold on.
+ *
+ * Every factor that applies contributes `weight * signal` points, the signal is 1 for a flag
+ * and between 0 and 1 for an abuser score. The points are combined like independent
+ * probabilities, `100 * (1 - (1 - p1/100) * (1 - p2/100) ...)`, so the score stays within 0 to 100
+ * and a second factor raises it less than the first.
+ */
+
+const DEFAULT_RISK_WEIGHTS = Object.freeze({
+  is_tor: 90,
+  is_proxy: 70,
+  is_abuser: 80,
+  is_vpn: 50,
+  is_datacenter: 30,
+  is_crawler: 20,
+  asn_abuser_score: 40,
+  company_abuser_score: 50,
+  custom_list: 60,
+});
+
+// The abuser scores are strings like `0.0193 (Elevated)`, see computeScore() in blacklist.js
+const ABUSER_SCORE_SIGNALS = Object.freeze({
+  'Very Low': 0,
+  'Low': 0.25,
+  'Elevated': 0.5,
+  'High': 0.75,
+  'Very High': 1,
+});
+
+const RISK_LEVELS = [[80, 'critical'], [60, 'high'], [30, 'elevated'], [10, 'low'], [0, 'minimal']];
+
+/**
+ * The `risk` config with defaults. Weights are between 0 and 100, others are ignored.
+ *
+ * @param {object} apiConfig
+ * @returns {object} - `{ enabled, weights }`
+ */
+const getRiskOptions = (apiConfig = {}) => {
+  const options = apiConfig.risk || {};
+  const weights = { ...DEFAULT_RISK_WEIGHTS };
+  for (const factor in options.weights || {}) {
+    const weight = options.weights[factor];
+    if (factor in DEFAULT_RISK_WEIGHTS && typeof weight === 'number' && weight >= 0 && weight <= 100) {
+      weights[factor] = weight;
+    }
+  }
+  return { enabled: !!options.enabled, weights };
+};
+
+/**
+ * The signal of an abuser score string, null if it cannot be parsed.
+ *
+ * @param {string} abuserScore - e.g. `0.0193 (Elevated)`
+ * @returns {number|null}
+ */
+const abuserScoreSignal = (abuserScore) => {
+  const match = typeof abuserScore === 'string' ? abuserScore.match(/\(([^)]+)\)/) : null;
+  return match && match[1] in ABUSER_SCORE_SIGNALS ? ABUSER_SCORE_SIGNALS[match[1]] : null;
+};
+
+/**
+ * Score a lookup result.
+ *
+ * @param {object} lookup - The result of MainIpApi.fastLookup() before the fields are selected
+ * @param {object} weights - See DEFAULT_RISK_WEIGHTS
+ * @param {string|null} customListHit - The flag a custom list set for the IP
+ * @returns {object} - `{ score, level, factors }`, factors are `{ factor, weight, signal, points }`, the largest first
+ */
+const computeRiskScore = (lookup, weights, customListHit = null) => {
+  const signals = {
+    is_tor: lookup.is_tor ? 1 : 0,
+    is_proxy: lookup.is_proxy ? 1 : 0,
+    is_abuser: lookup.is_abuser ? 1 : 0,
+    is_vpn: lookup.is_vpn ? 1 : 0,
+    is_datacenter: lookup.is_datacenter ? 1 : 0,
+    is_crawler: lookup.is_crawler ? 1 : 0,
+    asn_abuser_score: abuserScoreSignal(lookup.asn?.abuser_score),
+    company_abuser_score: abuserScoreSignal(lookup.company?.abuser_score),
+    custom_list: customListHit && lookup[customListHit] ? 1 : 0,
+  };
+
+  const factors = [];
+  let remaining = 1;
+  for (const factor in signals) {
+    const signal = signals[factor];
+    const points = signal ? weights[factor] * signal : 0;
+    if (points > 0) {
+      factors.push({ factor, weight: weights[factor], signal, points: Math.round(points * 100) / 100 });
+      remaining *= 1 - points / 100;
+    }
+  }
+  factors.sort((a, b) => b.points - a.points);
+
+  const score = Math.round(100 * (1 - remaining));
+  const level = RISK_LEVELS.find(([minScore]) => score >= minScore)[1];
+  return { score, level, factors };
+};
+
+module.exports = {
+  DEFAULT_RISK_WEIGHTS,
+  getRiskOptions,
+  abuserScoreSignal,
+  computeRiskScore,
+};
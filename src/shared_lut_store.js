@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { objectsToBinary } = require('./fast_lut');
+const { log, round } = require('./utils');
+const { RAM_DB_DIR } = require('./constants');
+
+// All lookup tables that MainIpApi loads from the RAM database
+const SHARED_LUT_NAMES = [
+  'AsnLut',
+  'CompanyLut',
+  'HostingLut',
+  'MobileLut',
+  'CrawlerAndBotsLut',
+  'SatelliteLut',
+  'CleanLut',
+  'WhoisLut',
+  'TorLut',
+  'AbuserLut',
+  'ProxyLut',
+  'VpnLut',
+  'NamedVpnLut',
+  'InterpolatedVpnLut',
+  'FinalLut',
+];
+
+const BINARY_PARTS = ['line', 'line6', 'where', 'where6', 'overlapping', 'overlapping6'];
+
+/**
+ * Copy a Buffer into a newly allocated SharedArrayBuffer.
+ *
+ * @param {Buffer|null} buf
+ * @returns {SharedArrayBuffer|null}
+ */
+const toSharedArrayBuffer = (buf) => {
+  if (!buf || buf.length === 0) {
+    return null;
+  }
+  const sab = new SharedArrayBuffer(buf.length);
+  buf.copy(Buffer.from(sab));
+  return sab;
+};
+
+/**
+ * Holds the persisted FastLut files of the RAM database in SharedArrayBuffers.
+ *
+ * The cluster master loads the store once and hands it to every worker thread,
+ * so each worker reads the same memory instead of keeping its own copy.
+ */
+class SharedLutStore {
+  constructor(luts = {}) {
+    this.luts = luts;
+  }
+
+  /**
+   * Pack one persisted LUT directory into shared buffers.
+   *
+   * @param {string} name - The FastLut name (= directory in the RAM database)
+   * @param {string} ramDbDir - The RAM database directory
+   * @returns {object|null}
+   */
+  static packPersistedLut(name, ramDbDir = RAM_DB_DIR) {
+    const lutDir = path.join(ramDbDir, `${name}/`);
+    if (!fs.existsSync(lutDir)) {
+      log(`[SharedLutStore] Not packing ${name}, ${lutDir} does not exist`, 'ERROR');
+      return null;
+    }
+
+    const readBin = (file) => {
+      const filePath = path.join(lutDir, file);
+      return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+    };
+    const readJson = (file) => {
+      const filePath = path.join(lutDir, file);
+      return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : null;
+    };
+
+    const tsCreated = readJson('tsCreated.json');
+    const entry = {
+      name: name,
+      lutVersion: tsCreated ? tsCreated.lutVersion : null,
+    };
+
+    for (const part of BINARY_PARTS) {
+      entry[part] = toSharedArrayBuffer(readBin(`${part}.bin`));
+    }
+
+    entry.objects = toSharedArrayBuffer(objectsToBinary(readJson('objects.json') || []));
+    entry.objects6 = toSharedArrayBuffer(objectsToBinary(readJson('objects6.json') || []));
+    entry.directLut = toSharedArrayBuffer(readBin('directLut.json'));
+
+    return entry;
+  }
+
+  /**
+   * Load all LUTs used by the API into shared memory.
+   *
+   * @param {Array<string>} names
+   * @param {string} ramDbDir
+   * @returns {SharedLutStore}
+   */
+  static loadPersisted(names = SHARED_LUT_NAMES, ramDbDir = RAM_DB_DIR) {
+    const luts = {};
+    for (const name of names) {
+      const entry = SharedLutStore.packPersistedLut(name, ramDbDir);
+      if (entry) {
+        luts[name] = entry;
+      }
+    }
+    const store = new SharedLutStore(luts);
+    log(`[SharedLutStore] Packed ${Object.keys(luts).length} LUTs into ${store.totalMB()} MB of shared memory`);
+    return store;
+  }
+
+  /**
+   * Load all LUTs into shared memory in a worker thread, so the cluster master keeps
+   * answering IPC while a reload repacks them. The SharedArrayBuffers are not copied
+   * when they are posted back.
+   *
+   * @param {Array<string>} names
+   * @param {string} ramDbDir
+   * @returns {Promise<SharedLutStore>}
+   */
+  static loadPersistedInThread(names = SHARED_LUT_NAMES, ramDbDir = RAM_DB_DIR) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(__filename, { workerData: { packLuts: { names, ramDbDir } } });
+      worker.once('message', (luts) => resolve(new SharedLutStore(luts)));
+      worker.once('error', reject);
+      worker.once('exit', (code) => {
+        if (code !== 0) {
+          reject(new Error(`[SharedLutStore] Packing thread exited with code ${code}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Recreate the store in a worker thread from `workerData`.
+   * SharedArrayBuffers are not copied when posted to a worker.
+   *
+   * @param {object} workerData
+   * @returns {SharedLutStore}
+   */
+  static fromWorkerData(workerData) {
+    return new SharedLutStore(workerData || {});
+  }
+
+  toWorkerData() {
+    return this.luts;
+  }
+
+  get(name) {
+    return this.luts[name] || null;
+  }
+
+  totalBytes() {
+    let bytes = 0;
+    for (const name in this.luts) {
+      for (const part in this.luts[name]) {
+        const value = this.luts[name][part];
+        if (value instanceof SharedArrayBuffer) {
+          bytes += value.byteLength;
+        }
+      }
+    }
+    return bytes;
+  }
+
+  totalMB() {
+    return round(this.totalBytes() / 1024 / 1024, 2);
+  }
+}
+
+if (!isMainThread && workerData && workerData.packLuts) {
+  const { names, ramDbDir } = workerData.packLuts;
+  parentPort.postMessage(SharedLutStore.loadPersisted(names, ramDbDir).toWorkerData());
+}
+
+module.exports = {
+  SharedLutStore,
+  SHARED_LUT_NAMES,
+};
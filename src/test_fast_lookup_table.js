@@ -1,6 +1,8 @@
-const { ON_MULTI_FIRST, ON_MULTI_SMALLEST, ON_MULTI_ALL, ON_MULTI_LARGEST } = require('./fast_lut');
+const { ON_MULTI_FIRST, ON_MULTI_SMALLEST, ON_MULTI_ALL, ON_MULTI_LARGEST, setSharedLutStore, getDecodedObjectStats } = require('./fast_lut');
+const { SharedLutStore } = require('./shared_lut_store');
 const { arrayEquals, objectEquals, log, removeDirectoryIfExists } = require('./utils');
-const { isIP } = require('ip_address_tools');
+const { isIP, IPv4ToInt } = require('ip_address_tools');
+const { IPv6 } = require('ip-num');
 const path = require('path');
 const fs = require('fs');
 const { RAM_DB_DIR } = require('./constants');
@@ -530,6 +532,29 @@ const integrationTests = (fastLutClass = null) => {
   TestAssertions.testPassed(allResults, dualStackLut.fastLookup('192.0.2.1'), 'IPv4_Network_A_Subnet', null, true, 'IPv4 dual-stack subnet');
   TestAssertions.testPassed(allResults, dualStackLut.fastLookup('2001:db8:2::1'), 'IPv6_Network_B', null, true, 'IPv6 dual-stack network B');
 
+  // Scenario 4: Single IPs of a network range (used by CIDR queries)
+  const rangeLut = new FastLut('rangeTest', ON_MULTI_FIRST);
+  rangeLut.addLut('198.51.100.7', 'single_a');
+  rangeLut.addLut('198.51.100.200', 'single_b');
+  rangeLut.addLut('198.51.101.1', 'outside');
+  rangeLut.addLut('2001:db8:5::1', 'single_v6');
+  rangeLut.prepareLut();
+
+  const directV4 = rangeLut.getDirectEntriesInRange(IPv4ToInt('198.51.100.0'), IPv4ToInt('198.51.100.255'), 4);
+  TestAssertions.testPassed(allResults, directV4.map((entry) => entry.object).sort(), ['single_a', 'single_b'], arrayEquals, true, 'Direct entries within IPv4 range');
+  const directV6 = rangeLut.getDirectEntriesInRange(IPv6.fromString('2001:db8:5::').value, IPv6.fromString('2001:db8:5::ffff').value, 6);
+  TestAssertions.testPassed(allResults, directV6.map((entry) => entry.network), ['2001:db8:5::1'], arrayEquals, true, 'Direct entries within IPv6 range');
+  const directLimited = rangeLut.getDirectEntriesInRange(IPv4ToInt('198.51.0.0'), IPv4ToInt('198.51.255.255'), 4, 2);
+  TestAssertions.testPassed(allResults, directLimited.map((entry) => entry.object), ['single_a', 'single_b'], arrayEquals, true, 'Direct entries stop at maxEntries');
+
+  const walkLut = new FastLut('rangeWalkTest', ON_MULTI_FIRST);
+  walkLut.addLut('203.0.113.0/28', 'walk_a');
+  walkLut.addLut('203.0.113.64/28', 'walk_b');
+  walkLut.addLut('203.0.113.128/28', 'walk_c');
+  walkLut.prepareLut();
+  TestAssertions.testPassed(allResults, walkLut.lookupRange('203.0.113.0', '203.0.113.255', 4, true).length, 3, null, true, 'Range walk returns all entries');
+  TestAssertions.testPassed(allResults, walkLut.lookupRange('203.0.113.0', '203.0.113.255', 4, true, 2).length, 2, null, true, 'Range walk stops at maxEntries');
+
   log(`Integration Tests: ${numPassed} / ${total} passed`);
   return allResults.every((test) => !!test);
 };
@@ -1564,6 +1589,60 @@ const persistenceTests = async (fastLutClass = null) => {
   return allResults.every((test) => !!test);
 };
 
+const sharedBufferTests = async (fastLutClass = null) => {
+  let FastLut = TestUtils.getFastLutClass(fastLutClass);
+  let allResults = [];
+
+  log('\\n=== Running Shared Buffer Tests ===');
+
+  const sharedName = 'sharedBufferTest';
+  const sharedLut = new FastLut(sharedName, ON_MULTI_ALL, false);
+  sharedLut.addLut('10.0.0.0/8', { provider: 'large' });
+  sharedLut.addLut('10.0.0.0/24', { provider: 'small' });
+  sharedLut.addLut('8.8.8.8', { provider: 'direct' });
+  sharedLut.addLut('2001:db8::/32', { provider: 'ipv6' });
+  sharedLut.prepareLut();
+  sharedLut.persistLut();
+
+  // Test 1: Packing the persisted LUT into shared memory
+  const store = SharedLutStore.loadPersisted([sharedName]);
+  TestAssertions.testPassed(allResults, !!store.get(sharedName), true, null, true, 'LUT packed into shared store');
+  TestAssertions.testPassed(allResults, store.get(sharedName).line instanceof SharedArrayBuffer, true, null, true, 'Line buffer is a SharedArrayBuffer');
+  TestAssertions.testPassed(allResults, store.totalBytes() > 0, true, null, true, 'Shared store reports its size');
+  const threadStore = await SharedLutStore.loadPersistedInThread([sharedName]);
+  TestAssertions.testPassed(allResults, threadStore.get(sharedName).line instanceof SharedArrayBuffer, true, null, true, 'LUT packed in a worker thread');
+  TestAssertions.testPassed(allResults, threadStore.totalBytes(), store.totalBytes(), null, true, 'Thread packs the same buffers');
+
+  // Test 2: Loading attaches to the shared buffers instead of reading from disk
+  setSharedLutStore(SharedLutStore.fromWorkerData(store.toWorkerData()));
+  const attachedLut = new FastLut(sharedName, ON_MULTI_ALL, false);
+  TestAssertions.testPassed(allResults, attachedLut.loadPersistedLut(), 'success', null, true, 'Load from shared store success');
+  TestAssertions.testPassed(allResults, attachedLut.loadedFromShared, true, null, true, 'LUT attached to shared buffers');
+
+  const overlapResult = attachedLut.fastLookup('10.0.0.1').map((obj) => obj.provider).sort();
+  TestAssertions.testPassed(allResults, overlapResult, ['large', 'small'], arrayEquals, true, 'Overlapping lookup from shared buffers');
+  TestAssertions.testPassed(allResults, attachedLut.fastLookup('8.8.8.8')[0].provider, 'direct', null, true, 'Direct lookup from shared buffers');
+  TestAssertions.testPassed(allResults, attachedLut.fastLookup('2001:db8::1')[0].provider, 'ipv6', null, true, 'IPv6 lookup from shared buffers');
+  TestAssertions.testPassed(allResults, attachedLut.fastLookup('11.0.0.1'), null, null, true, 'Miss from shared buffers');
+  TestAssertions.testPassed(allResults, attachedLut.fastLookup('8.8.8.8')[0] === attachedLut.fastLookup('8.8.8.8')[0], true, null, true, 'Recently used shared objects are kept decoded');
+  const decodedStats = getDecodedObjectStats();
+  TestAssertions.testPassed(allResults, decodedStats.itemCount > 0 && decodedStats.itemCount <= decodedStats.maxItems, true, null, true, 'Decoded shared objects are bounded');
+
+  // Test 3: Same store version does not need a reload
+  TestAssertions.testPassed(allResults, attachedLut.loadPersistedLut(), 'reloadNotNeeded', null, true, 'Shared reload not needed when version unchanged');
+
+  // Test 4: Without a store the LUT is loaded from disk again
+  setSharedLutStore(null);
+  const diskLut = new FastLut(sharedName, ON_MULTI_ALL, false);
+  diskLut.loadPersistedLut();
+  TestAssertions.testPassed(allResults, diskLut.loadedFromShared, false, null, true, 'LUT loaded from disk without shared store');
+
+  removeDirectoryIfExists(path.join(RAM_DB_DIR, `${sharedName}/`));
+
+  log(`Shared Buffer Tests: ${numPassed} / ${total} passed`);
+  return allResults.every((test) => !!test);
+};
+
 // Comprehensive test runner
 const runAllTests = async (fastLutClass = null) => {
   log('🚀 Starting Comprehensive FastLut Test Suite\\n');
@@ -1579,6 +1658,7 @@ const runAllTests = async (fastLutClass = null) => {
     allPassed &= errorHandlingTests(fastLutClass);
     allPassed &= integrationTests(fastLutClass);
     allPassed &= await persistenceTests(fastLutClass);
+    allPassed &= await sharedBufferTests(fastLutClass);
     allPassed &= testFastLookupTable(fastLutClass);
 
     const endTime = performance.now();
@@ -2489,6 +2569,10 @@ if (process.argv[2] === 'lut') {
   (async () => {
     await persistenceTests();
   })();
+} else if (process.argv[2] === 'shared') {
+  (async () => {
+    await sharedBufferTests();
+  })();
 } else if (process.argv[2] === 'testReturnNetwork') {
   const testLut = new FastLut('asnLut', ON_MULTI_ALL);
   testLut.addLut("149.135.0.0/16", "Telstra Corporation Limited");
@@ -2510,6 +2594,7 @@ if (process.argv[2] === 'lut') {
   node test_fast_lookup_table.js error        - Run error handling tests
   node test_fast_lookup_table.js integration  - Run integration tests
   node test_fast_lookup_table.js persistence  - Run persistence tests
+  node test_fast_lookup_table.js shared       - Run shared buffer tests
   node test_fast_lookup_table.js singleTests  - Run single test functions
   node test_fast_lookup_table.js help         - Show this help
 
@@ -2519,6 +2604,7 @@ if (process.argv[2] === 'lut') {
   • Error Handling: Invalid inputs, exception handling
   • Integration: Real-world scenarios, ISP/CDN simulations
   • Persistence: File I/O, version management, data integrity
+  • Shared Buffers: LUTs attached to SharedArrayBuffers for worker threads
   • Original: Legacy test cases for backward compatibility
 `);
 }
@@ -2531,6 +2617,7 @@ module.exports = {
   errorHandlingTests,
   integrationTests,
   persistenceTests,
+  sharedBufferTests,
   runAllTests,
   resetCounters,
   TestUtils,
@@ -1,63 +1,96 @@
 const fs = require('fs');
 const path = require('path');
-const { download, executeCommandSync, executeCommand,
-  getRamDatabaseVersion, get, log } = require('./utils');
-const { IP_API_DB_DIR, RAM_DB_DIR } = require('./constants');
+const { executeCommandSync, executeCommand,
+  getRamDatabaseVersion, log } = require('./utils');
+const { IP_API_DB_DIR, RAM_DB_VERSIONS_DIR } = require('./constants');
+const { getDatabaseUpdateOptions, installDatabaseVersion, rollbackDatabase, listVersions } = require('./database_versions');
+const { parseUpdateSource, describeSource, isNewerVersionAvailable, fetchFromSource, createMirror } = require('./update_sources');
+const { getConfigPath } = require('./ipapi_is_worker_utils');
 
-const isUpdateNeeded = async () => {
+/**
+ * The `databaseUpdate` options of config.json, the defaults if there is no config.
+ */
+const loadDatabaseUpdateOptions = () => {
+  let apiConfig = {};
+  try {
+    apiConfig = JSON.parse(fs.readFileSync(getConfigPath(), 'utf-8'));
+  } catch (err) {
+    log(`[i] No config, using the default database update options: ${err}`, 'DEBUG');
+  }
+  return getDatabaseUpdateOptions(apiConfig);
+};
+
+/**
+ * Does the update source offer a newer RAM database than the installed one.
+ *
+ * @param {object} source - Result of parseUpdateSource(), the configured source by default
+ * @returns {Promise<boolean>}
+ */
+const isUpdateNeeded = async (source = loadDatabaseUpdateOptions().source) => {
   const ramDbVersion = getRamDatabaseVersion();
   log(`[i] Current RAM database version: ${ramDbVersion || 'unknown'}`);
-  let action = 'givenVersionOld';
-  if (ramDbVersion) {
-    try {
-      const response = await get(`https://ipapi.is/app/checkDbVersion?ramDbVersion=${ramDbVersion}`);
-      if (response) {
-        action = response.data;
-        log(`[i] Server response for version check: ${action}`);
-      }
-    } catch (error) {
-      log(`[fail] Error checking database version: ${error.toString()}`);
-    }
-  }
-  return action === 'givenVersionOld';
+  return await isNewerVersionAvailable(source, ramDbVersion);
 };
 
-const updateRamDatabase = async () => {
-  const parentDir = path.resolve(__dirname, '..');
-  const downloadLocation = path.resolve(__dirname, '../ipapi_database_ram.zip');
+/**
+ * Get the RAM database from the update source, extract it into a staging directory next to the
+ * installed versions and install it with installDatabaseVersion().
+ * The running database is not touched unless the new one passed all checks.
+ */
+const updateRamDatabase = async (options = loadDatabaseUpdateOptions()) => {
   const ramDbVersion = getRamDatabaseVersion();
-  const checkFile = path.resolve(RAM_DB_DIR, 'SatelliteLut/tsCreated.json');
-  const ipapiDatabaseSource = `https://ipapi.is/app/get?type=ramDatabase&apiKey=rd8730s9Yshdxv&ramDbVersion=${ramDbVersion}`;
   const versionStr = ramDbVersion ? ramDbVersion : 'unknown';
+  let downloadLocation = path.resolve(__dirname, '../ipapi_database_ram.zip');
 
-  log(`[i] Starting download of RAM database version: ${versionStr}`);
+  log(`[i] Getting the RAM database from ${describeSource(options.source)}, current version: ${versionStr}`);
   try {
-    await download(ipapiDatabaseSource, downloadLocation);
-    log(`[ok] Downloaded ipapi_database_ram.zip to ${downloadLocation}`);
+    downloadLocation = await fetchFromSource(options.source, 'ramDatabase', downloadLocation, ramDbVersion);
+    log(`[ok] Got ipapi_database_ram.zip at ${downloadLocation}`);
   } catch (err) {
-    log(`[fail] Failed to download ipapi_database_ram.zip: ${err.toString()}`);
+    log(`[fail] Failed to get ipapi_database_ram.zip: ${err.toString()}`);
     return 'update_failed';
   }
 
-  if (fs.existsSync(downloadLocation)) {
-    log(`[i] Unzipping database to ${parentDir}`);
-    executeCommandSync(`unzip -q -o ${downloadLocation} -d ${parentDir}`);
-    if (fs.existsSync(checkFile)) {
-      log(`[ok] Successfully updated database to version: ${ramDbVersion}`);
-      return 'successfully_updated';
-    } else {
-      log(`[fail] Failure updating database. Check file ${checkFile} not found.`);
-    }
-  } else {
+  if (!fs.existsSync(downloadLocation)) {
     log(`[fail] Download location ${downloadLocation} does not exist.`);
+    return 'update_failed';
+  }
+
+  const stagingDir = path.join(RAM_DB_VERSIONS_DIR, `.staging-${process.pid}`);
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+  fs.mkdirSync(stagingDir, { recursive: true });
+  try {
+    log(`[i] Unzipping database to ${stagingDir}`);
+    executeCommandSync(`unzip -q -o '${downloadLocation}' -d ${stagingDir}`);
+  } catch (err) {
+    log(`[fail] Failed to unzip ${downloadLocation}: ${err.toString()}`);
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    return 'update_failed';
+  }
+
+  const installed = await installDatabaseVersion(stagingDir, options);
+  if (!installed.ok) {
+    log(`[fail] Failure updating database: ${installed.error}`);
+    return 'update_failed';
   }
+  log(`[ok] Successfully updated database to version: ${installed.version}${installed.verified ? '' : ' (not verified, no manifest.json)'}`);
+  return 'successfully_updated';
+};
 
-  return 'update_failed';
+/**
+ * Install the RAM database of a bundle or mirror directory, for hosts without Internet access.
+ *
+ * @param {string} bundle - A RAM database .zip or a mirror directory, also as file:// URL
+ * @returns {Promise<string>} - successfully_updated or update_failed
+ */
+const importRamDatabase = async (bundle) => {
+  return await updateRamDatabase({ ...loadDatabaseUpdateOptions(), source: parseUpdateSource(bundle) });
 };
 
 const maybeUpdateRamDatabase = async (forceUpdate = false) => {
   log(`[i] Checking whether a ipapi_database_ram.zip update is needed`);
-  const shouldUpdate = await isUpdateNeeded();
+  const options = loadDatabaseUpdateOptions();
+  const shouldUpdate = await isUpdateNeeded(options.source);
 
   if (!shouldUpdate && !forceUpdate) {
     log(`[i] Local ipapi_database_ram.zip is the most recent one. There is no update needed.`);
@@ -69,29 +102,27 @@ const maybeUpdateRamDatabase = async (forceUpdate = false) => {
       log(`[i] Remote database is more recent. Will download remote database...`);
     }
     log(`[i] The download might take 1 to 5 minutes, depending on your Internet connection.`);
-    return await updateRamDatabase();
+    return await updateRamDatabase(options);
   }
 };
 
-const updateRawWhoisData = async () => {
-  log(`[i] Attempting to download raw WHOIS data`);
+const updateRawWhoisData = async (source = loadDatabaseUpdateOptions().source) => {
+  log(`[i] Attempting to get raw WHOIS data from ${describeSource(source)}`);
 
-  const downloadLocation = path.resolve(IP_API_DB_DIR, 'whoisData.tar.gz');
-
-  const whoisDataUrl = 'https://ipapi.is/app/get?type=whoisData&apiKey=rd8730s9Yshdxv';
+  let downloadLocation = path.resolve(IP_API_DB_DIR, 'whoisData.tar.gz');
   executeCommandSync(`mkdir -p ${IP_API_DB_DIR}`);
 
   try {
-    await download(whoisDataUrl, downloadLocation);
-    log(`[ok] Downloaded whoisData.tar.gz to ${downloadLocation}`);
+    downloadLocation = await fetchFromSource(source, 'whoisData', downloadLocation);
+    log(`[ok] Got whoisData.tar.gz at ${downloadLocation}`);
   } catch (err) {
-    log(`[fail] Failed to download whoisData.tar.gz: ${err.toString()}`);
+    log(`[fail] Failed to get whoisData.tar.gz: ${err.toString()}`);
     return 'download_failed';
   }
 
   if (fs.existsSync(downloadLocation)) {
     log(`[i] Extracting WHOIS data to ${IP_API_DB_DIR}`);
-    await executeCommand(`cd ${IP_API_DB_DIR} && tar -xzf whoisData.tar.gz`);
+    await executeCommand(`cd ${IP_API_DB_DIR} && tar -xzf '${downloadLocation}'`);
     log(`[ok] Successfully downloaded and extracted raw WHOIS data.`);
   } else {
     log(`[fail] Download location ${downloadLocation} does not exist.`);
@@ -108,14 +139,70 @@ if (require.main === module) {
     } else if (command === 'maybeUpdate') {
       log(`[i] Executing command: ${command}`);
       await maybeUpdateRamDatabase();
+    } else if (command === 'scheduledUpdate') {
+      // run by the update scheduler in a child process, the result goes back to the parent
+      const report = { type: 'updateResult', result: null, error: null };
+      try {
+        const options = loadDatabaseUpdateOptions();
+        if (process.argv[3] !== 'force' && !(await isUpdateNeeded(options.source))) {
+          report.result = 'up_to_date';
+        } else {
+          report.result = await updateRamDatabase(options);
+        }
+      } catch (err) {
+        report.result = 'update_failed';
+        report.error = err.message;
+        log(`[fail] Update failed: ${err.stack || err}`);
+      }
+      if (process.send) {
+        process.send(report, () => process.disconnect());
+      }
     } else if (command === 'isUpdateNeeded') {
       log(`[i] Executing command: ${command}`);
       log(await isUpdateNeeded());
+    } else if (command === 'import') {
+      log(`[i] Executing command: ${command}`);
+      if (!process.argv[3]) {
+        log(`[fail] Usage: update_database.js import <bundle.zip|mirror dir|file:// URL>`);
+        process.exitCode = 1;
+      } else if (await importRamDatabase(process.argv[3]) !== 'successfully_updated') {
+        process.exitCode = 1;
+      }
+    } else if (command === 'mirror') {
+      log(`[i] Executing command: ${command}`);
+      if (!process.argv[3]) {
+        log(`[fail] Usage: update_database.js mirror <dir>`);
+        process.exitCode = 1;
+      } else {
+        try {
+          const mirrored = await createMirror(loadDatabaseUpdateOptions().source, process.argv[3]);
+          log(`[ok] Mirrored database version ${mirrored.version}: ${mirrored.files.join(', ')}`);
+        } catch (err) {
+          log(`[fail] Mirroring failed: ${err.toString()}`);
+          process.exitCode = 1;
+        }
+      }
+    } else if (command === 'rollback') {
+      log(`[i] Executing command: ${command}`);
+      const rolledBack = await rollbackDatabase(process.argv[3] || null);
+      if (rolledBack.ok) {
+        log(`[ok] Rolled back to database version ${rolledBack.version}, reload the API to use it`);
+      } else {
+        log(`[fail] Rollback failed: ${rolledBack.error}`);
+        process.exitCode = 1;
+      }
+    } else if (command === 'versions') {
+      for (const { name, version, active, verified } of listVersions()) {
+        log(`${active ? '*' : ' '} ${name} (${version || 'unknown version'}${verified ? '' : ', not verified'})`);
+      }
     }
   })();
 }
 
 module.exports = {
   updateRamDatabase,
-  isUpdateNeeded
+  importRamDatabase,
+  updateRawWhoisData,
+  isUpdateNeeded,
+  rollbackDatabase,
 };
\ No newline at end of file
@@ -0,0 +1,314 @@
+const path = require('path');
+const { fork } = require('child_process');
+const { log } = require('./utils');
+const { sendToMaster, onMasterMessage, API_ERROR_CODE } = require('./ipapi_is_worker_utils');
+const { getDatabaseUpdateOptions, listVersions } = require('./database_versions');
+
+const UPDATE_SCRIPT = path.join(__dirname, 'update_database.js');
+
+const DEFAULT_CHECK_INTERVAL_MINUTES = 360;
+// the first check waits until the workers have loaded the database
+const FIRST_CHECK_DELAY_MS = 60 * 1000;
+// how long a single worker may take to reload before the rolling reload moves on
+const WORKER_RELOAD_TIMEOUT_MS = 10 * 60 * 1000;
+const ADMIN_TIMEOUT_MS = 5000;
+const MAX_RUN_HISTORY = 10;
+
+/**
+ * The `databaseUpdate` options of the config with their defaults.
+ *
+ * @param {object} apiConfig
+ * @returns {object} - `{ enabled, checkIntervalMinutes, keepVersions, requireManifest, source }`
+ */
+const getUpdateScheduleOptions = (apiConfig = {}) => {
+  const options = apiConfig.databaseUpdate || {};
+  return {
+    enabled: !!options.enabled,
+    checkIntervalMinutes: options.checkIntervalMinutes > 0 ? options.checkIntervalMinutes : DEFAULT_CHECK_INTERVAL_MINUTES,
+    ...getDatabaseUpdateOptions(apiConfig),
+  };
+};
+
+/**
+ * Check for and install an update in a child process. Unzipping, hashing and smoke testing the
+ * new database would otherwise block the event loop of the master or worker for minutes.
+ *
+ * @param {boolean} force - Update even if the database is the most recent one
+ * @returns {Promise<string>} - up_to_date, successfully_updated or update_failed
+ */
+const runUpdateProcess = (force) => new Promise((resolve, reject) => {
+  const child = fork(UPDATE_SCRIPT, force ? ['scheduledUpdate', 'force'] : ['scheduledUpdate']);
+  let report = null;
+  child.on('message', (msg) => {
+    if (msg && msg.type === 'updateResult') {
+      report = msg;
+    }
+  });
+  child.on('error', reject);
+  child.on('exit', (code) => {
+    if (!report) {
+      reject(new Error(`Update process exited with code ${code} without a result`));
+    } else if (report.error) {
+      reject(new Error(report.error));
+    } else {
+      resolve(report.result);
+    }
+  });
+});
+
+/**
+ * Reloads workers one after the other, so all but one keep serving requests.
+ * A worker reports `reloadFinished` when it is done, see finished().
+ */
+class RollingReload {
+  constructor(timeoutMs = WORKER_RELOAD_TIMEOUT_MS) {
+    this.timeoutMs = timeoutMs;
+    this.pending = new Map();
+    this.running = null;
+  }
+
+  /**
+   * A worker finished reloading.
+   *
+   * @param {*} key - Identifies the worker
+   */
+  finished(key) {
+    const pending = this.pending.get(key);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pending.delete(key);
+      pending.resolve(true);
+    }
+  }
+
+  reloadWorker(key, trigger) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(key);
+        log(`[RollingReload] Worker ${key} did not finish reloading in time`, 'WARN');
+        resolve(false);
+      }, this.timeoutMs);
+      this.pending.set(key, { resolve, timer });
+      trigger();
+    });
+  }
+
+  /**
+   * Reload the workers. A reload requested while one is running joins it.
+   *
+   * @param {Array<object>} workers - `{ key, trigger }`, trigger() starts the reload of the worker
+   * @returns {Promise<object>} - `{ reloaded, failed }`
+   */
+  run(workers) {
+    if (!this.running) {
+      this.running = (async () => {
+        const result = { reloaded: 0, failed: 0 };
+        for (const { key, trigger } of workers) {
+          if (await this.reloadWorker(key, trigger)) {
+            result.reloaded++;
+          } else {
+            result.failed++;
+          }
+        }
+        log(`[RollingReload] Reloaded ${result.reloaded} workers, ${result.failed} failed`, 'INFO');
+        return result;
+      })().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+}
+
+/**
+ * Checks for a new RAM database on a schedule, installs it and reloads the workers.
+ */
+class UpdateScheduler {
+  /**
+   * @param {object} options - Result of getUpdateScheduleOptions()
+   * @param {function} reloadWorkers - Returns a Promise of `{ reloaded, failed }`
+   * @param {function} update - Checks for and installs an update, see runUpdateProcess()
+   */
+  constructor(options, reloadWorkers, update = runUpdateProcess) {
+    this.options = options;
+    this.reloadWorkers = reloadWorkers;
+    this.update = update;
+    this.current = null;
+    this.runs = [];
+    this.nextCheck = null;
+    this.timer = null;
+  }
+
+  start() {
+    if (!this.options.enabled) {
+      log('[UpdateScheduler] Scheduled database updates are disabled', 'DEBUG');
+      return;
+    }
+    log(`[UpdateScheduler] Checking for database updates every ${this.options.checkIntervalMinutes} minutes`, 'INFO');
+    this.schedule(FIRST_CHECK_DELAY_MS);
+  }
+
+  schedule(delayMs) {
+    clearTimeout(this.timer);
+    this.nextCheck = new Date(Date.now() + delayMs).toISOString();
+    this.timer = setTimeout(async () => {
+      await this.run();
+      this.schedule(this.options.checkIntervalMinutes * 60 * 1000);
+    }, delayMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Check for an update, install it and reload the workers. A run requested while
+   * one is in progress joins it.
+   *
+   * @param {boolean} force - Update even if the database is the most recent one
+   * @returns {Promise<object>} - The run, see getStatus()
+   */
+  run(force = false) {
+    if (!this.current) {
+      this.current = this.runUpdate(force).finally(() => {
+        this.current = null;
+      });
+    }
+    return this.current;
+  }
+
+  async runUpdate(force) {
+    const run = { started: new Date().toISOString(), finished: null, forced: force, result: null, reload: null, error: null };
+    this.runs.unshift(run);
+    this.runs.length = Math.min(this.runs.length, MAX_RUN_HISTORY);
+    try {
+      run.result = await this.update(force);
+      if (run.result === 'successfully_updated') {
+        run.reload = await this.reloadWorkers();
+        if (run.reload.failed > 0) {
+          run.result = 'reload_failed';
+        }
+      }
+    } catch (err) {
+      run.result = 'update_failed';
+      run.error = err.message;
+      log(`[UpdateScheduler] Update failed: ${err.stack || err}`, 'ERROR');
+    }
+    run.finished = new Date().toISOString();
+    log(`[UpdateScheduler] Update run finished: ${run.result}`, 'INFO');
+    return run;
+  }
+
+  getStatus() {
+    const active = listVersions().find((version) => version.active);
+    return {
+      enabled: this.options.enabled,
+      // unverified: the database had no manifest.json and was only smoke tested
+      active_version: active ? { name: active.name, version: active.version, verified: active.verified } : null,
+      check_interval_minutes: this.options.checkIntervalMinutes,
+      running: !!this.current,
+      next_check: this.options.enabled ? this.nextCheck : null,
+      runs: this.runs,
+    };
+  }
+
+  /**
+   * Run an admin operation.
+   *
+   * @param {string} op - status or run
+   * @param {object} args - `{ force }`
+   * @returns {object}
+   */
+  execute(op, args = {}) {
+    if (op === 'run') {
+      // an update takes minutes, the run is started and shows up in the status
+      this.run(!!args.force);
+    } else if (op !== 'status') {
+      return { error: `Unknown update operation: ${op}`, error_code: API_ERROR_CODE.UNEXPECTED_SERVER_ERROR };
+    }
+    return this.getStatus();
+  }
+}
+
+/**
+ * The update scheduler seen from a worker. Under the cluster master the master runs the
+ * scheduler for all workers, a standalone worker runs it for itself.
+ */
+class UpdateSchedulerClient {
+  /**
+   * @param {object} options - Result of getUpdateScheduleOptions()
+   * @param {boolean} useMaster
+   * @param {function} reloadSelf - Reloads the API of this worker
+   */
+  constructor(options, useMaster, reloadSelf) {
+    this.useMaster = useMaster;
+    this.pending = new Map();
+    this.nextRequestId = 0;
+
+    if (useMaster) {
+      onMasterMessage((msg) => {
+        if (msg && msg.type === 'updateAdminResult' && this.pending.has(msg.requestId)) {
+          const { resolve, timer } = this.pending.get(msg.requestId);
+          clearTimeout(timer);
+          this.pending.delete(msg.requestId);
+          resolve(msg.result);
+        }
+      });
+    } else {
+      this.scheduler = new UpdateScheduler(options, async () => {
+        await reloadSelf();
+        return { reloaded: 1, failed: 0 };
+      });
+      this.scheduler.start();
+    }
+  }
+
+  /**
+   * @param {string} op - status or run
+   * @param {object} args - `{ force }`
+   * @returns {Promise<object>}
+   */
+  execute(op, args = {}) {
+    if (!this.useMaster) {
+      return Promise.resolve(this.scheduler.execute(op, args));
+    }
+    return new Promise((resolve) => {
+      const requestId = `${process.pid}-${this.nextRequestId++}`;
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId);
+        resolve({
+          error: 'The cluster master did not answer the update request',
+          error_code: API_ERROR_CODE.UNEXPECTED_SERVER_ERROR,
+        });
+      }, ADMIN_TIMEOUT_MS);
+      this.pending.set(requestId, { resolve, timer });
+      sendToMaster({ type: 'updateAdmin', requestId, op, args });
+    });
+  }
+}
+
+/**
+ * Master side: run the scheduler and answer the update admin messages of the workers.
+ *
+ * @param {object} apiConfig
+ * @param {function} reloadWorkers - Rolling reload of all workers
+ * @returns {function} - Called with the sending worker and the message, returns whether the message was handled
+ */
+const createUpdateSchedulerMaster = (apiConfig, reloadWorkers) => {
+  const scheduler = new UpdateScheduler(getUpdateScheduleOptions(apiConfig), reloadWorkers);
+  scheduler.start();
+
+  return (sender, msg) => {
+    if (msg.type !== 'updateAdmin') {
+      return false;
+    }
+    sender.send({ type: 'updateAdminResult', requestId: msg.requestId, result: scheduler.execute(msg.op, msg.args) });
+    return true;
+  };
+};
+
+module.exports = {
+  RollingReload,
+  UpdateScheduler,
+  UpdateSchedulerClient,
+  createUpdateSchedulerMaster,
+  getUpdateScheduleOptions,
+  runUpdateProcess,
+};
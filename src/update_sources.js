@@ -0,0 +1,217 @@
+/**
+ * Where database updates come from.
+ *
+ * The `source` of the `databaseUpdate` config is one of:
+ *   - `ipapi.is` (default): the download API of ipapi.is
+ *   - `http://mirror.internal/ipapi/`: a mirror served by any web server
+ *   - `/srv/ipapi-mirror` or `file:///srv/ipapi-mirror`: a mirror in a local directory, e.g. an NFS mount
+ *   - `/srv/ipapi_database_ram.zip` or `file:///srv/ipapi_database_ram.zip`: a single RAM database bundle
+ *
+ * A mirror holds the files of MIRROR_FILES and is written by createMirror(), so one host with
+ * Internet access downloads the database and the rest of the fleet updates from it.
+ */
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { download, executeCommandSync, get, log } = require('./utils');
+
+const IPAPI_SOURCE = 'ipapi.is';
+const DEFAULT_DOWNLOAD_KEY = 'rd8730s9Yshdxv';
+
+const MIRROR_FILES = Object.freeze({
+  ramDatabase: 'ipapi_database_ram.zip',
+  whoisData: 'whoisData.tar.gz',
+  version: 'version.json',
+});
+
+/**
+ * Parse the `source` of the `databaseUpdate` config.
+ *
+ * @param {string} source - See the top of this file
+ * @param {string} downloadKey - Key for the download API of ipapi.is
+ * @returns {object} - `{ type, location, downloadKey }`, type is ipapi, http, directory or bundle
+ */
+const parseUpdateSource = (source = IPAPI_SOURCE, downloadKey = DEFAULT_DOWNLOAD_KEY) => {
+  if (!source || source === IPAPI_SOURCE) {
+    return { type: 'ipapi', location: 'https://ipapi.is/app/', downloadKey: downloadKey || DEFAULT_DOWNLOAD_KEY };
+  }
+  if (/^https?:\/\//i.test(source)) {
+    return { type: 'http', location: source.endsWith('/') ? source : `${source}/`, downloadKey: null };
+  }
+  // the directory may not be mounted yet, anything that is not a .zip is taken as a mirror directory
+  const location = path.resolve(source.startsWith('file://') ? fileURLToPath(source) : source);
+  const isBundle = location.endsWith('.zip') && !(fs.existsSync(location) && fs.statSync(location).isDirectory());
+  return { type: isBundle ? 'bundle' : 'directory', location, downloadKey: null };
+};
+
+const describeSource = (source) => (source.type === 'ipapi' ? IPAPI_SOURCE : source.location);
+
+/**
+ * The RAM_DB_VERSION in a RAM database zip, read from its version.json.
+ *
+ * @param {string} zipFile
+ * @returns {string|null}
+ */
+const readZipVersion = (zipFile) => {
+  try {
+    const versionFile = executeCommandSync(`unzip -Z1 '${zipFile}'`)
+      .split('\n')
+      .filter((entry) => path.posix.basename(entry) === MIRROR_FILES.version)
+      .sort((a, b) => a.length - b.length)[0];
+    if (!versionFile) {
+      return null;
+    }
+    const contents = executeCommandSync(`unzip -p '${zipFile}' '${versionFile}'`);
+    return JSON.parse(contents).RAM_DB_VERSION || null;
+  } catch (err) {
+    log(`[readZipVersion] Cannot read the version of ${zipFile}: ${err}`, 'DEBUG');
+    return null;
+  }
+};
+
+/**
+ * The RAM_DB_VERSION a mirror or bundle offers, null if it is unknown.
+ *
+ * @param {object} source - Result of parseUpdateSource()
+ * @returns {Promise<string|null>}
+ */
+const getSourceVersion = async (source) => {
+  if (source.type === 'bundle') {
+    return fs.existsSync(source.location) ? readZipVersion(source.location) : null;
+  }
+  if (source.type === 'directory') {
+    try {
+      const versionFile = path.join(source.location, MIRROR_FILES.version);
+      return JSON.parse(fs.readFileSync(versionFile, 'utf-8')).RAM_DB_VERSION || null;
+    } catch (err) {
+      return null;
+    }
+  }
+  if (source.type === 'http') {
+    const response = await get(`${source.location}${MIRROR_FILES.version}`);
+    return (response && response.data && response.data.RAM_DB_VERSION) || null;
+  }
+  return null;
+};
+
+/**
+ * Does the source offer a different database than the installed one. ipapi.is is asked whether
+ * the installed version is old, for a mirror the versions are compared.
+ *
+ * @param {object} source - Result of parseUpdateSource()
+ * @param {string|false} installedVersion - RAM_DB_VERSION of the installed database
+ * @returns {Promise<boolean>}
+ */
+const isNewerVersionAvailable = async (source, installedVersion) => {
+  if (!installedVersion) {
+    return true;
+  }
+  if (source.type === 'ipapi') {
+    let action = 'givenVersionOld';
+    try {
+      const response = await get(`${source.location}checkDbVersion?ramDbVersion=${installedVersion}`);
+      if (response) {
+        action = response.data;
+        log(`[i] Server response for version check: ${action}`);
+      }
+    } catch (error) {
+      log(`[fail] Error checking database version: ${error.toString()}`);
+    }
+    return action === 'givenVersionOld';
+  }
+  const sourceVersion = await getSourceVersion(source);
+  log(`[i] Database version of ${describeSource(source)}: ${sourceVersion || 'unknown'}`);
+  return sourceVersion !== null && sourceVersion !== installedVersion;
+};
+
+/**
+ * Get a file of the source into `dest`. Local files are used where they are,
+ * the returned path is where the file is. The raw WHOIS data of a bundle is the
+ * whoisData.tar.gz next to it.
+ *
+ * @param {object} source - Result of parseUpdateSource()
+ * @param {string} file - ramDatabase or whoisData
+ * @param {string} dest - Where to download to
+ * @param {string|false} installedVersion - Sent to ipapi.is with the RAM database download
+ * @returns {Promise<string>}
+ */
+const fetchFromSource = async (source, file, dest, installedVersion = false) => {
+  if (source.type === 'ipapi') {
+    let url = `${source.location}get?type=${file}&apiKey=${source.downloadKey}`;
+    if (file === 'ramDatabase') {
+      url += `&ramDbVersion=${installedVersion}`;
+    }
+    await download(url, dest);
+    return dest;
+  }
+  if (source.type === 'http') {
+    await download(`${source.location}${MIRROR_FILES[file]}`, dest);
+    return dest;
+  }
+  const localFile = source.type === 'bundle' && file === 'ramDatabase'
+    ? source.location
+    : path.join(source.type === 'bundle' ? path.dirname(source.location) : source.location, MIRROR_FILES[file]);
+  if (!fs.existsSync(localFile)) {
+    throw new Error(`${localFile} does not exist`);
+  }
+  return localFile;
+};
+
+/**
+ * Fill a mirror directory from a source, usually ipapi.is. Files are replaced
+ * atomically, so hosts updating from the mirror never see a partial download.
+ * The raw WHOIS data is optional.
+ *
+ * @param {object} source - Result of parseUpdateSource()
+ * @param {string} dir - The mirror directory
+ * @returns {Promise<object>} - `{ version, files }`
+ */
+const createMirror = async (source, dir) => {
+  fs.mkdirSync(dir, { recursive: true });
+  const fetchInto = async (file) => {
+    const target = path.join(dir, MIRROR_FILES[file]);
+    const tmpFile = `${target}.${process.pid}.tmp`;
+    try {
+      const fetched = await fetchFromSource(source, file, tmpFile);
+      if (fetched !== tmpFile) {
+        fs.copyFileSync(fetched, tmpFile);
+      }
+      fs.renameSync(tmpFile, target);
+      return target;
+    } finally {
+      fs.rmSync(tmpFile, { force: true });
+    }
+  };
+
+  const ramDatabase = await fetchInto('ramDatabase');
+  const version = readZipVersion(ramDatabase);
+  if (!version) {
+    throw new Error(`${ramDatabase} has no ${MIRROR_FILES.version}, it is not a RAM database`);
+  }
+  const files = [MIRROR_FILES.ramDatabase];
+  try {
+    await fetchInto('whoisData');
+    files.push(MIRROR_FILES.whoisData);
+  } catch (err) {
+    log(`[createMirror] No raw WHOIS data in the mirror: ${err}`, 'WARN');
+  }
+
+  // written last, hosts only see the new version once its files are in place
+  const versionFile = path.join(dir, MIRROR_FILES.version);
+  fs.writeFileSync(`${versionFile}.tmp`, JSON.stringify({ RAM_DB_VERSION: version, created: new Date().toISOString() }, null, 2));
+  fs.renameSync(`${versionFile}.tmp`, versionFile);
+  log(`[createMirror] Mirrored database version ${version} from ${describeSource(source)} to ${dir}`, 'INFO');
+  return { version, files };
+};
+
+module.exports = {
+  IPAPI_SOURCE,
+  MIRROR_FILES,
+  parseUpdateSource,
+  describeSource,
+  readZipVersion,
+  getSourceVersion,
+  isNewerVersionAvailable,
+  fetchFromSource,
+  createMirror,
+};
@@ -31,6 +31,7 @@ const {
   RAM_DB_DIR,
   SOURCE_VERSION
 } = require('./constants');
+const { MmdbWriter } = require('./mmdb_writer');
 
 function toParamObject(input) {
   if (!input || typeof input !== 'object' || Array.isArray(input)) {
@@ -2144,23 +2145,41 @@ const capitalize = (word) => {
 };
 
 /**
- * mmdbctl import --range-multicol --in HostingRangesIPv4.csv --out test.mmdb
- * mmdbctl read -f json-pretty 177.75.223.117 location.mmdb
- * mmdbctl read -f json-pretty 186.194.55.250 HostingRangesIPv4.mmdb
- * mmdbctl read -f json-pretty 63.167.18.136 asn.mmdb
- * 
- * @param {*} inFile 
- * @param {*} outFile 
- * @returns 
+ * Convert a CSV file in the `mmdbctl import --range-multicol` layout to a MaxMind DB:
+ * a header row, the first two columns are the start and end IP of the range,
+ * the other columns become the fields of the record.
+ *
+ * @param {string} inFile
+ * @param {string} outFile
+ * @returns {Promise<object>} - `{ file, networks, bytes }`
  */
-const convertToMMDB = (inFile, outFile) => {
+const convertToMMDB = async (inFile, outFile) => {
   log(`Converting ${inFile} to ${outFile}`);
-  const command = `/usr/local/bin/mmdbctl import --range-multicol --in ${inFile} --out ${outFile}`;
-  log(command);
-  return executeCommandSync(command)
+  const writer = new MmdbWriter({
+    databaseType: `ipapi.is-${path.basename(outFile, '.mmdb')}`,
+    description: { en: `Converted from ${path.basename(inFile)}` },
+    languages: ['en'],
+  });
+  let invalid = 0;
+  await loadCsv(inFile, (row) => {
+    const [startCol, endCol, ...fields] = Object.keys(row);
+    const record = {};
+    for (const field of fields) {
+      if (row[field] !== '') {
+        record[field] = row[field];
+      }
+    }
+    if (!writer.insert(`${row[startCol]} - ${row[endCol]}`, record)) {
+      invalid++;
+    }
+  }, true, inFile.endsWith('.tsv') ? '\t' : undefined);
+  if (invalid > 0) {
+    log(`[convertToMMDB] Skipped ${invalid} rows with an invalid range in ${inFile}`, 'WARN');
+  }
+  return writer.write(outFile);
 };
 
-const convertAllToMMDB = (files) => {
+const convertAllToMMDB = async (files) => {
   if (!Array.isArray(files)) {
     if (fs.existsSync(files)) {
       files = [files];
@@ -2170,8 +2189,8 @@ const convertAllToMMDB = (files) => {
   }
   for (const filePath of files) {
     if (filePath.endsWith('.csv') || filePath.endsWith('.tsv')) {
-      const outPath = filePath.replace('/csv/', '/mmdb/').replace('.csv', '.mmdb');
-      convertToMMDB(filePath, outPath);
+      const outPath = filePath.replace('/csv/', '/mmdb/').replace(/\.[ct]sv$/, '.mmdb');
+      await convertToMMDB(filePath, outPath);
       maybeFail(outPath);
     }
   }
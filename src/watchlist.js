@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { log } = require('./utils');
+const { projectPath } = require('./constants');
+const { parseFieldSelection } = require('./field_selection');
+const { API_ERROR_CODE, sendToMaster, onMasterMessage, isErrorResponse } = require('./ipapi_is_worker_utils');
+
+const DEFAULT_FIELDS = [
+  'is_vpn', 'is_proxy', 'is_tor', 'is_datacenter', 'is_abuser', 'is_mobile', 'is_crawler',
+  'asn.asn', 'company.name', 'datacenter.datacenter', 'location.country_code',
+];
+const DEFAULT_LOG_FILE = path.join(projectPath, 'log/watchlist_changes.ndjson');
+const DEFAULT_STATE_FILE = path.join(projectPath, 'log/watchlist_state.json');
+const DEFAULT_MAX_CHANGE_SETS = 20;
+const ADMIN_TIMEOUT_MS = 5000;
+
+/**
+ * The `watchlist` config with defaults.
+ *
+ * @param {object} apiConfig
+ * @returns {object}
+ */
+const getWatchlistOptions = (apiConfig) => {
+  const options = apiConfig.watchlist || {};
+  return {
+    enabled: !!options.enabled,
+    file: options.file ? path.resolve(projectPath, options.file) : null,
+    fields: Array.isArray(options.fields) && options.fields.length > 0 ? options.fields : DEFAULT_FIELDS,
+    logFile: options.logFile ? path.resolve(projectPath, options.logFile) : DEFAULT_LOG_FILE,
+    stateFile: options.stateFile ? path.resolve(projectPath, options.stateFile) : DEFAULT_STATE_FILE,
+    webhookUrl: options.webhookUrl || null,
+    maxChangeSets: options.maxChangeSets > 0 ? options.maxChangeSets : DEFAULT_MAX_CHANGE_SETS,
+  };
+};
+
+/**
+ * Read a watchlist file: one IP or network per line, optionally followed by a label.
+ * Empty lines and lines starting with # are skipped.
+ *
+ * Only the network address of a network is checked, e.g. 203.0.113.0 for 203.0.113.0/24.
+ * Changes in the rest of the range are not reported, list its addresses one by one to watch them.
+ *
+ * @param {string} file
+ * @returns {Array<object>} - `{ query, label }`
+ */
+const readWatchlist = (file) => {
+  const entries = [];
+  for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      continue;
+    }
+    const [query, ...label] = trimmed.split(/\s+/);
+    entries.push({ query, label: label.join(' ') || null });
+  }
+  return entries;
+};
+
+const getPath = (obj, fieldPath) => {
+  let value = obj;
+  for (const key of fieldPath.split('.')) {
+    if (value === null || typeof value !== 'object') {
+      return null;
+    }
+    value = value[key];
+  }
+  return value === undefined ? null : value;
+};
+
+/**
+ * Look up every entry of the watchlist. A network is looked up at the address in front of the slash.
+ *
+ * @param {Array<object>} entries - Result of readWatchlist()
+ * @param {Array<string>} fields - Field paths, e.g. location.country_code
+ * @param {function} lookup - Called with an IP and the field selection, returns the API result
+ * @returns {object} - The values of the fields by query, `{ error }` for entries that cannot be looked up
+ */
+const evaluateWatchlist = (entries, fields, lookup) => {
+  const selection = parseFieldSelection(fields);
+  if (selection && selection.error) {
+    throw new Error(selection.error);
+  }
+  const results = {};
+  for (const { query, label } of entries) {
+    // only the network address, see readWatchlist()
+    const result = lookup(query.split('/')[0], selection);
+    if (!result || isErrorResponse(result)) {
+      results[query] = { label, error: (result && result.error) || 'lookup failed' };
+      continue;
+    }
+    const values = {};
+    for (const field of fields) {
+      values[field] = getPath(result, field);
+    }
+    results[query] = { label, values };
+  }
+  return results;
+};
+
+/**
+ * The fields whose values differ between two evaluations, entries that are only in one are skipped.
+ *
+ * @param {object} before - Result of evaluateWatchlist()
+ * @param {object} after - Result of evaluateWatchlist()
+ * @returns {Array<object>} - `{ query, label, field, old, new }`
+ */
+const compareEvaluations = (before, after) => {
+  const changes = [];
+  for (const query in after) {
+    const oldValues = before[query] && before[query].values;
+    const newValues = after[query].values;
+    if (!oldValues || !newValues) {
+      continue;
+    }
+    for (const field in newValues) {
+      if (field in oldValues && JSON.stringify(oldValues[field]) !== JSON.stringify(newValues[field])) {
+        changes.push({ query, label: after[query].label, field, old: oldValues[field], new: newValues[field] });
+      }
+    }
+  }
+  return changes;
+};
+
+/**
+ * The last evaluation of the watchlist and the change sets since. An evaluation of a
+ * database version that differs from the last one is compared to it, the changes are
+ * appended to the log file and posted to the webhook.
+ */
+class Watchlist {
+  constructor(options) {
+    this.options = options;
+    this.version = null;
+    this.evaluated = null;
+    this.results = {};
+    this.changeSets = [];
+    this.loadState();
+  }
+
+  loadState() {
+    try {
+      if (fs.existsSync(this.options.stateFile)) {
+        const state = JSON.parse(fs.readFileSync(this.options.stateFile, 'utf-8'));
+        this.version = state.version;
+        this.evaluated = state.evaluated;
+        this.results = state.results || {};
+        this.changeSets = state.changeSets || [];
+      }
+    } catch (err) {
+      log(`[Watchlist] Cannot read ${this.options.stateFile}, starting without an evaluation: ${err}`, 'WARN');
+    }
+  }
+
+  saveState() {
+    try {
+      fs.mkdirSync(path.dirname(this.options.stateFile), { recursive: true });
+      const tmpFile = `${this.options.stateFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({
+        version: this.version,
+        evaluated: this.evaluated,
+        results: this.results,
+        changeSets: this.changeSets,
+      }));
+      fs.renameSync(tmpFile, this.options.stateFile);
+    } catch (err) {
+      log(`[Watchlist] Cannot write ${this.options.stateFile}: ${err}`, 'ERROR');
+    }
+  }
+
+  /**
+   * Take the evaluation of a database version.
+   *
+   * @param {string} version - Identifies the loaded database
+   * @param {object} results - Result of evaluateWatchlist()
+   * @returns {object|null} - The change set, null if the version was already evaluated or there is no earlier evaluation
+   */
+  update(version, results) {
+    if (version === this.version) {
+      return null;
+    }
+    const isFirst = this.version === null;
+    const changeSet = {
+      evaluated: new Date().toISOString(),
+      from_version: this.version,
+      to_version: version,
+      changes: compareEvaluations(this.results, results),
+    };
+    this.version = version;
+    this.evaluated = changeSet.evaluated;
+    this.results = results;
+    if (isFirst) {
+      const networks = Object.keys(results).filter((query) => query.includes('/')).length;
+      log(`[Watchlist] First evaluation of ${Object.keys(results).length} entries` +
+        (networks > 0 ? `, ${networks} networks are only checked at their network address` : ''), 'INFO');
+      this.saveState();
+      return null;
+    }
+    this.changeSets.unshift(changeSet);
+    this.changeSets.length = Math.min(this.changeSets.length, this.options.maxChangeSets);
+    this.saveState();
+    log(`[Watchlist] ${changeSet.changes.length} changes after the database reload`, changeSet.changes.length > 0 ? 'WARN' : 'INFO');
+    if (changeSet.changes.length > 0) {
+      this.emit(changeSet);
+    }
+    return changeSet;
+  }
+
+  emit(changeSet) {
+    const { changes, ...meta } = changeSet;
+    const lines = changes.map((change) => JSON.stringify({ ...meta, ...change })).join('\n') + '\n';
+    fs.promises.mkdir(path.dirname(this.options.logFile), { recursive: true })
+      .then(() => fs.promises.appendFile(this.options.logFile, lines))
+      .catch((err) => log(`[Watchlist] Cannot write ${this.options.logFile}: ${err}`, 'ERROR'));
+    if (this.options.webhookUrl) {
+      axios.post(this.options.webhookUrl, changeSet, { timeout: 10000 })
+        .catch((err) => log(`[Watchlist] Posting the changes to the webhook failed: ${err.message}`, 'ERROR'));
+    }
+  }
+
+  /**
+   * @param {number} limit - Number of change sets, the most recent first
+   * @returns {object}
+   */
+  getChanges(limit = 1) {
+    return {
+      version: this.version,
+      evaluated: this.evaluated,
+      entries: Object.keys(this.results).length,
+      change_sets: this.changeSets.slice(0, limit),
+    };
+  }
+}
+
+/**
+ * The watchlist seen from a worker. Every worker evaluates the watchlist after loading a
+ * database, under the cluster master the master keeps the evaluations, so a change is only
+ * reported once for all workers. PM2 instances without the master do not evaluate it, see the worker.
+ */
+class WatchlistClient {
+  constructor(options, useMaster) {
+    this.options = options;
+    this.useMaster = useMaster;
+    this.pending = new Map();
+    this.nextRequestId = 0;
+
+    if (useMaster) {
+      onMasterMessage((msg) => {
+        if (msg && msg.type === 'watchlistChanges' && this.pending.has(msg.requestId)) {
+          const { resolve, timer } = this.pending.get(msg.requestId);
+          clearTimeout(timer);
+          this.pending.delete(msg.requestId);
+          resolve(msg.result);
+        }
+      });
+    } else {
+      this.watchlist = new Watchlist(options);
+    }
+  }
+
+  /**
+   * Evaluate the watchlist against the loaded database.
+   *
+   * @param {string} version - Identifies the loaded database
+   * @param {function} lookup - See evaluateWatchlist()
+   */
+  evaluate(version, lookup) {
+    let results = null;
+    try {
+      results = evaluateWatchlist(readWatchlist(this.options.file), this.options.fields, lookup);
+    } catch (err) {
+      log(`[Watchlist] Cannot evaluate the watchlist ${this.options.file}: ${err}`, 'ERROR');
+      return;
+    }
+    if (this.useMaster) {
+      sendToMaster({ type: 'watchlistResults', version, results });
+    } else {
+      this.watchlist.update(version, results);
+    }
+  }
+
+  /**
+   * @param {number} limit - Number of change sets, the most recent first
+   * @returns {Promise<object>}
+   */
+  getChanges(limit = 1) {
+    if (!this.useMaster) {
+      return Promise.resolve(this.watchlist.getChanges(limit));
+    }
+    return new Promise((resolve) => {
+      const requestId = `${process.pid}-${this.nextRequestId++}`;
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId);
+        resolve({
+          error: 'The cluster master did not answer the watchlist request',
+          error_code: API_ERROR_CODE.UNEXPECTED_SERVER_ERROR,
+        });
+      }, ADMIN_TIMEOUT_MS);
+      this.pending.set(requestId, { resolve, timer });
+      sendToMaster({ type: 'watchlistChangesRequest', requestId, limit });
+    });
+  }
+}
+
+/**
+ * Master side: keep the evaluations of the workers and answer their change requests.
+ *
+ * @param {object} apiConfig
+ * @returns {function} - Called with the sending worker and the message, returns whether the message was handled
+ */
+const createWatchlistMaster = (apiConfig) => {
+  const watchlist = new Watchlist(getWatchlistOptions(apiConfig));
+
+  return (sender, msg) => {
+    if (msg.type === 'watchlistResults') {
+      watchlist.update(msg.version, msg.results);
+    } else if (msg.type === 'watchlistChangesRequest') {
+      sender.send({ type: 'watchlistChanges', requestId: msg.requestId, result: watchlist.getChanges(msg.limit) });
+    } else {
+      return false;
+    }
+    return true;
+  };
+};
+
+module.exports = {
+  getWatchlistOptions,
+  readWatchlist,
+  evaluateWatchlist,
+  compareEvaluations,
+  Watchlist,
+  WatchlistClient,
+  createWatchlistMaster,
+};
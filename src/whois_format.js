@@ -0,0 +1,396 @@
+/**
+ * Structured whois records.
+ *
+ * The whois files hold the raw records of the RIRs, whose attribute names differ:
+ * RIPE, APNIC and AFRINIC write RPSL objects (`inetnum:`, `netname:`, `org:`, `admin-c:`, followed by
+ * the organisation, role and person objects), ARIN writes blocks of `NetRange:`, `OrgName:` and
+ * `OrgAbuseEmail:`, LACNIC `owner:` and `ownerid:`. normalizeWhoisRecord() maps them onto one
+ * object, toRdap() turns that into an RDAP (RFC 9083) ip network or autnum document.
+ */
+const { getFirstAndLastIpOfNetwork, isIP } = require('ip_address_tools');
+const { log } = require('./utils');
+
+const WHOIS_FORMATS = Object.freeze({
+  TEXT: 'text',
+  JSON: 'json',
+  RDAP: 'rdap',
+});
+
+const NETWORK_TYPES = ['inetnum', 'inet6num', 'netrange'];
+const AUTNUM_TYPES = ['aut-num', 'asnumber'];
+
+const WHOIS_SERVERS = Object.freeze({
+  ARIN: 'whois.arin.net',
+  RIPE: 'whois.ripe.net',
+  APNIC: 'whois.apnic.net',
+  LACNIC: 'whois.lacnic.net',
+  AFRINIC: 'whois.afrinic.net',
+});
+
+// RPSL attributes that reference a contact, and the role of the contact
+const RPSL_CONTACTS = Object.freeze({
+  'admin-c': 'admin',
+  'owner-c': 'admin',
+  'tech-c': 'tech',
+  'abuse-c': 'abuse',
+  'mnt-irt': 'abuse',
+});
+
+const RDAP_ROLES = Object.freeze({
+  admin: 'administrative',
+  tech: 'technical',
+  abuse: 'abuse',
+  noc: 'noc',
+  routing: 'technical',
+  dns: 'technical',
+});
+
+/**
+ * Split a whois record into objects, an object ends at an empty line.
+ * Comment lines (% or #) are collected separately, continuation lines are appended to the last value.
+ *
+ * @param {string} text
+ * @returns {object} - `{ objects, comments }`, objects are `{ type, attributes: [{ key, value }] }`
+ */
+const parseWhoisObjects = (text) => {
+  const objects = [];
+  const comments = [];
+  let current = null;
+  let last = null;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trimEnd();
+    if (line.startsWith('%') || line.startsWith('#')) {
+      comments.push(line.replace(/^[%#]+\s?/, ''));
+      continue;
+    }
+    if (!line.trim()) {
+      current = null;
+      last = null;
+      continue;
+    }
+    if (last && /^[\s+]/.test(line)) {
+      last.value = `${last.value}\n${line.replace(/^[\s+]+/, '')}`.trim();
+      continue;
+    }
+    const match = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (!match) {
+      continue;
+    }
+    last = { key: match[1].toLowerCase(), value: match[2].trim() };
+    if (!current) {
+      current = { type: last.key, attributes: [] };
+      objects.push(current);
+    }
+    current.attributes.push(last);
+  }
+  return { objects, comments };
+};
+
+const getAll = (obj, keys) => (obj ? obj.attributes.filter(({ key, value }) => keys.includes(key) && value).map(({ value }) => value) : []);
+
+const get = (obj, keys) => getAll(obj, keys)[0] || null;
+
+const findByHandle = (objects, keys, handle) => {
+  if (!handle) {
+    return null;
+  }
+  return objects.find((obj) => getAll(obj, keys).some((value) => value.toUpperCase() === handle.toUpperCase())) || null;
+};
+
+/**
+ * A whois date as ISO string. `changed:` of APNIC and AFRINIC is `email date`, LACNIC writes 20040101.
+ */
+const normalizeDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const token = value.trim().split(/\s+/).pop();
+  const compact = token.match(/^(\d{4})(\d{2})(\d{2})$/);
+  const date = new Date(compact ? `${compact[1]}-${compact[2]}-${compact[3]}T00:00:00Z` : token);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * First and last address of an inetnum or CIDR. LACNIC abbreviates IPv4 CIDRs, e.g. 200.3.12/22.
+ */
+const parseRange = (value) => {
+  let network = value.trim();
+  const [ip, prefix] = network.split('/');
+  if (prefix !== undefined && !ip.includes(':') && ip.split('.').length < 4) {
+    network = `${ip}${'.0'.repeat(4 - ip.split('.').length)}/${prefix}`;
+  }
+  const [start, end] = getFirstAndLastIpOfNetwork(network) || [];
+  const ipVersion = isIP(start);
+  if (!ipVersion || isIP(end) !== ipVersion) {
+    return null;
+  }
+  return { start, end, ipVersion, cidr: prefix !== undefined ? network : null };
+};
+
+const parseAutnum = (value) => {
+  const [start, end] = value.split(/\s*-\s*/).map((asn) => parseInt(asn.replace(/^AS/i, ''), 10));
+  return isNaN(start) ? null : { start, end: isNaN(end) ? start : end };
+};
+
+const detectRir = (network, objects) => {
+  const source = get(network, ['source']) || objects.map((obj) => get(obj, ['source'])).find(Boolean);
+  if (source) {
+    return source.split(/\s/)[0].toUpperCase();
+  }
+  if (network.type === 'netrange' || network.type === 'asnumber') {
+    return 'ARIN';
+  }
+  if (get(network, ['ownerid', 'owner'])) {
+    return 'LACNIC';
+  }
+  return null;
+};
+
+/**
+ * The organisation and contacts of an ARIN record, they are in the blocks after the network.
+ */
+const getArinParties = (network, objects) => {
+  const orgObject = objects.find((obj) => obj.type === 'orgname' || obj.type === 'custname');
+  let org = null;
+  if (orgObject) {
+    const cityLine = [get(orgObject, ['city']), get(orgObject, ['stateprov']), get(orgObject, ['postalcode'])].filter(Boolean).join(' ');
+    org = {
+      handle: get(orgObject, ['orgid']) || (get(network, ['customer']) || '').match(/\(([^)]+)\)\s*$/)?.[1] || null,
+      name: get(orgObject, ['orgname', 'custname']),
+      address: [...getAll(orgObject, ['address']), ...(cityLine ? [cityLine] : [])],
+      country: get(orgObject, ['country']),
+    };
+  }
+
+  const contacts = [];
+  for (const obj of objects) {
+    const match = obj.type.match(/^(org|r)(abuse|tech|noc|admin|routing|dns)handle$/);
+    if (match) {
+      const prefix = `${match[1]}${match[2]}`;
+      contacts.push({
+        role: match[2],
+        handle: get(obj, [obj.type]),
+        name: get(obj, [`${prefix}name`]),
+        email: get(obj, [`${prefix}email`]),
+      });
+    }
+  }
+  return { org, contacts };
+};
+
+/**
+ * The organisation and contacts of an RPSL record (RIPE, APNIC, AFRINIC, LACNIC).
+ */
+const getRpslParties = (network, objects) => {
+  const orgHandle = get(network, ['org', 'ownerid']);
+  const orgObject = findByHandle(objects, ['organisation'], orgHandle);
+  let org = null;
+  if (orgObject || get(network, ['owner'])) {
+    org = {
+      handle: orgHandle,
+      name: get(orgObject, ['org-name']) || get(network, ['owner']),
+      address: getAll(orgObject || network, ['address']),
+      country: get(orgObject, ['country']) || (orgObject ? null : get(network, ['country'])),
+    };
+  }
+
+  const contacts = [];
+  const seen = new Set();
+  for (const source of [network, orgObject]) {
+    for (const { key, value } of source ? source.attributes : []) {
+      const role = RPSL_CONTACTS[key];
+      if (!role || !value || seen.has(`${role} ${value}`) || (source === orgObject && role !== 'abuse')) {
+        continue;
+      }
+      seen.add(`${role} ${value}`);
+      const contact = findByHandle(objects, ['nic-hdl', 'nic-hdl-br', 'irt'], value);
+      contacts.push({
+        role,
+        handle: value,
+        name: get(contact, ['person', 'role', 'irt']),
+        email: get(contact, ['abuse-mailbox', 'e-mail']),
+      });
+    }
+  }
+  return { org, contacts };
+};
+
+/**
+ * Normalize the record of a network or AS of any RIR.
+ *
+ * @param {string} text - The raw whois record
+ * @returns {object|null} - The normalized record, null if there is no network or AS in it
+ */
+const normalizeWhoisRecord = (text) => {
+  const { objects, comments } = parseWhoisObjects(text);
+  // ARIN lists the enclosing networks first, the most specific one is the last
+  const network = objects.filter(({ type }) => NETWORK_TYPES.includes(type) || AUTNUM_TYPES.includes(type)).pop();
+  if (!network) {
+    return null;
+  }
+
+  const rir = detectRir(network, objects);
+  const { org, contacts } = rir === 'ARIN' ? getArinParties(network, objects) : getRpslParties(network, objects);
+  const abuseFromComments = comments.map((line) => line.match(/abuse contact for .* is '([^']+@[^']+)'/i)).find(Boolean);
+  const abuseEmail = contacts.find(({ role, email }) => role === 'abuse' && email)?.email ||
+    objects.map((obj) => get(obj, ['abuse-mailbox'])).find(Boolean) ||
+    (abuseFromComments ? abuseFromComments[1] : null);
+  const updated = getAll(network, ['last-modified', 'updated', 'changed']).map(normalizeDate).filter(Boolean).sort().pop() || null;
+
+  const record = { object_type: null, rir };
+  if (AUTNUM_TYPES.includes(network.type)) {
+    const autnum = parseAutnum(network.attributes[0].value);
+    if (!autnum) {
+      return null;
+    }
+    Object.assign(record, {
+      object_type: 'autnum',
+      handle: get(network, ['ashandle']) || `AS${autnum.start}`,
+      name: get(network, ['as-name', 'asname']),
+      start_autnum: autnum.start,
+      end_autnum: autnum.end,
+    });
+  } else {
+    const range = parseRange(network.attributes[0].value);
+    if (!range) {
+      return null;
+    }
+    const cidrs = getAll(network, ['cidr']).flatMap((value) => value.split(/\s*,\s*/));
+    Object.assign(record, {
+      object_type: 'network',
+      handle: get(network, ['nethandle']) || network.attributes[0].value,
+      name: get(network, ['netname']),
+      start_address: range.start,
+      end_address: range.end,
+      ip_version: range.ipVersion,
+      cidr: cidrs.length > 0 ? cidrs : (range.cidr ? [range.cidr] : []),
+    });
+  }
+
+  return Object.assign(record, {
+    description: getAll(network, ['descr']),
+    country: get(network, ['country']) || (org && org.country),
+    status: get(network, ['status', 'nettype']),
+    org,
+    contacts,
+    abuse_email: abuseEmail,
+    created: normalizeDate(get(network, ['created', 'regdate'])),
+    updated,
+    remarks: getAll(network, ['remarks', 'comment']),
+  });
+};
+
+const toVcard = (name, email, address = []) => {
+  const properties = [['version', {}, 'text', '4.0'], ['fn', {}, 'text', name || '']];
+  if (address.length > 0) {
+    properties.push(['adr', { label: address.join('\n') }, 'text', ['', '', '', '', '', '', '']]);
+  }
+  if (email) {
+    properties.push(['email', {}, 'text', email]);
+  }
+  return ['vcard', properties];
+};
+
+/**
+ * An RDAP document of a normalized record.
+ *
+ * @param {object} record - Result of normalizeWhoisRecord()
+ * @returns {object}
+ */
+const toRdap = (record) => {
+  const doc = { rdapConformance: ['rdap_level_0'], objectClassName: record.object_type === 'autnum' ? 'autnum' : 'ip network' };
+  doc.handle = record.handle;
+  if (record.object_type === 'autnum') {
+    doc.startAutnum = record.start_autnum;
+    doc.endAutnum = record.end_autnum;
+  } else {
+    doc.startAddress = record.start_address;
+    doc.endAddress = record.end_address;
+    doc.ipVersion = record.ip_version === 6 ? 'v6' : 'v4';
+    if (record.cidr.length > 0) {
+      doc.rdapConformance.push('cidr0');
+      doc.cidr0_cidrs = record.cidr.map((cidr) => {
+        const [prefix, length] = cidr.split('/');
+        return { [record.ip_version === 6 ? 'v6prefix' : 'v4prefix']: prefix, length: parseInt(length, 10) };
+      });
+    }
+  }
+  doc.name = record.name;
+  doc.type = record.status;
+  doc.country = record.country;
+
+  const entities = [];
+  if (record.org) {
+    entities.push({
+      objectClassName: 'entity',
+      handle: record.org.handle,
+      roles: ['registrant'],
+      vcardArray: toVcard(record.org.name, null, record.org.address),
+    });
+  }
+  const byHandle = new Map();
+  for (const contact of record.contacts) {
+    const role = RDAP_ROLES[contact.role];
+    const entity = byHandle.get(contact.handle);
+    if (entity) {
+      if (!entity.roles.includes(role)) {
+        entity.roles.push(role);
+      }
+      continue;
+    }
+    const created = { objectClassName: 'entity', handle: contact.handle, roles: [role], vcardArray: toVcard(contact.name, contact.email) };
+    byHandle.set(contact.handle, created);
+    entities.push(created);
+  }
+  doc.entities = entities;
+
+  doc.events = [];
+  if (record.created) {
+    doc.events.push({ eventAction: 'registration', eventDate: record.created });
+  }
+  if (record.updated) {
+    doc.events.push({ eventAction: 'last changed', eventDate: record.updated });
+  }
+  doc.remarks = [];
+  if (record.description.length > 0) {
+    doc.remarks.push({ title: 'description', description: record.description });
+  }
+  if (record.remarks.length > 0) {
+    doc.remarks.push({ title: 'remarks', description: record.remarks });
+  }
+  if (WHOIS_SERVERS[record.rir]) {
+    doc.port43 = WHOIS_SERVERS[record.rir];
+  }
+  return doc;
+};
+
+/**
+ * A whois record in the requested format.
+ *
+ * @param {string} text - The raw whois record
+ * @param {string} format - One of WHOIS_FORMATS
+ * @returns {string|object} - The structured record, the raw record if it is text or cannot be parsed
+ */
+const formatWhoisRecord = (text, format = WHOIS_FORMATS.TEXT) => {
+  if (format === WHOIS_FORMATS.TEXT || typeof text !== 'string') {
+    return text;
+  }
+  let record = null;
+  try {
+    record = normalizeWhoisRecord(text);
+  } catch (err) {
+    log(`[formatWhoisRecord] Cannot parse the whois record: ${err}`, 'DEBUG');
+  }
+  if (!record) {
+    return text;
+  }
+  return format === WHOIS_FORMATS.RDAP ? toRdap(record) : record;
+};
+
+module.exports = {
+  WHOIS_FORMATS,
+  parseWhoisObjects,
+  normalizeWhoisRecord,
+  toRdap,
+  formatWhoisRecord,
+};